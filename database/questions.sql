@@ -192,6 +192,13 @@ INSERT INTO questions (question_text, question_type, category, difficulty, corre
 ('The human brain uses about 20% of the body''s energy.', 'true_false', 'Science', 'medium', 'True', '["True", "False"]', 'The human brain uses approximately 20% of the body''s total energy despite being only 2% of body weight.', 20),
 ('Australia is both a country and a continent.', 'true_false', 'Geography', 'easy', 'True', '["True", "False"]', 'Australia is unique in being both a country and a continent.', 10);
 
+-- Add some Fill-in-the-blank questions
+INSERT INTO questions (question_text, question_type, category, difficulty, correct_answer, accepted_answers, explanation, points_value) VALUES
+('The chemical symbol Fe stands for which element?', 'fill_blank', 'Science', 'medium', 'Iron', '["Ferrum"]', 'Fe comes from ferrum, the Latin word for iron.', 20),
+('What is the capital city of Japan?', 'fill_blank', 'Geography', 'easy', 'Tokyo', '[]', 'Tokyo has been the capital of Japan since 1868.', 10),
+('Who wrote "Don Quixote"?', 'fill_blank', 'Literature', 'hard', 'Miguel de Cervantes', '["Cervantes", "Miguel de Cervantes Saavedra"]', 'Miguel de Cervantes published "Don Quixote" in two parts, in 1605 and 1615.', 30),
+('Which Mexican artist painted "The Two Fridas"?', 'fill_blank', 'Art', 'hard', 'Frida Kahlo', '["Kahlo"]', 'Frida Kahlo painted "The Two Fridas" in 1939.', 30);
+
 -- Update category question counts
 UPDATE categories SET question_count = (
     SELECT COUNT(*) 
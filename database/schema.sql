@@ -3,6 +3,7 @@
 
 -- Enable necessary extensions
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+CREATE EXTENSION IF NOT EXISTS "unaccent";
 
 -- Create profiles table for user data
 CREATE TABLE IF NOT EXISTS profiles (
@@ -16,8 +17,11 @@ CREATE TABLE IF NOT EXISTS profiles (
     average_score DECIMAL(5,2) DEFAULT 0,
     best_score INTEGER DEFAULT 0,
     favorite_category VARCHAR(50),
-    streak_count INTEGER DEFAULT 0,
+    streak_count INTEGER DEFAULT 0, -- consecutive days the daily challenge was played
     last_quiz_date TIMESTAMP,
+    last_daily_date DATE, -- last day the daily challenge was played
+    role VARCHAR(20) DEFAULT 'player' CHECK (role IN ('player', 'editor')), -- editors can write questions
+    time_multiplier DECIMAL(3,2) DEFAULT 1 CHECK (time_multiplier IN (1, 1.25, 1.5, 2)), -- extended time accommodation for quiz clocks
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW()
 );
@@ -31,12 +35,42 @@ CREATE TABLE IF NOT EXISTS questions (
     difficulty VARCHAR(20) DEFAULT 'medium' CHECK (difficulty IN ('easy', 'medium', 'hard')),
     correct_answer TEXT NOT NULL,
     options JSONB, -- For multiple choice options: ["option1", "option2", "option3", "option4"]
+    accepted_answers JSONB DEFAULT '[]', -- For fill_blank: alternate spellings also graded as correct
     explanation TEXT,
     points_value INTEGER DEFAULT 10,
+    media JSONB, -- Optional attachments: {"image": {"src", "alt"}, "audio": {"src", "title"}, "code": {"language", "source"}, "optionImages": {"<option>": {"src", "alt"}}}
     times_answered INTEGER DEFAULT 0,
     times_correct INTEGER DEFAULT 0,
     is_active BOOLEAN DEFAULT true,
     created_by UUID REFERENCES auth.users(id),
+    status VARCHAR(20) DEFAULT 'approved' CHECK (status IN ('pending', 'approved', 'rejected')), -- user submissions start pending
+    reviewed_by UUID REFERENCES auth.users(id),
+    reviewed_at TIMESTAMP,
+    review_notes TEXT,
+    quality_flags JSONB DEFAULT '[]', -- set by flag_questions() from observed answers
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT true_false_answer_check CHECK (question_type <> 'true_false' OR correct_answer IN ('True', 'False'))
+);
+
+-- Create scoring_profiles table for the versioned rule sets quizzes are scored with
+-- (mirrors APP_CONFIG.quiz.scoring.profiles). Rules under a version never change;
+-- new rules get a new version and the old one is retired, not deleted.
+CREATE TABLE IF NOT EXISTS scoring_profiles (
+    version VARCHAR(40) PRIMARY KEY, -- e.g. 'classic-v1'
+    name VARCHAR(40) NOT NULL,
+    label VARCHAR(60) NOT NULL,
+    rules JSONB NOT NULL CHECK (jsonb_typeof(rules) = 'object'),
+    retired BOOLEAN DEFAULT false, -- kept so old sessions can be rescored, no longer offered
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create quiz_definitions table for saved custom quizzes from the quiz builder
+CREATE TABLE IF NOT EXISTS quiz_definitions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    owner_id UUID REFERENCES profiles(id) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    definition JSONB NOT NULL CHECK (jsonb_typeof(definition) = 'object'), -- category weights, difficulty mix, question types and time policy
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW()
 );
@@ -53,6 +87,22 @@ CREATE TABLE IF NOT EXISTS quiz_sessions (
     total_points INTEGER DEFAULT 0,
     time_limit INTEGER, -- in seconds
     time_spent INTEGER, -- in seconds
+    timing_mode VARCHAR(20) DEFAULT 'total' CHECK (timing_mode IN ('total', 'per_question')),
+    game_mode VARCHAR(20) DEFAULT 'standard' CHECK (game_mode IN ('standard', 'survival', 'sudden_death')), -- endless runs have total_questions 0 and their own leaderboards
+    lifeline_allowance JSONB DEFAULT '{}' CHECK ( -- uses of each lifeline allowed, e.g. {"fifty_fifty": 1}
+        jsonb_typeof(lifeline_allowance) = 'object'
+        AND lifeline_allowance - ARRAY['fifty_fifty', 'skip', 'extra_time'] = '{}'::jsonb
+        -- 0 to 3 of each (mirrors APP_CONFIG.quiz.lifelines.allowanceOptions)
+        AND COALESCE((lifeline_allowance->>'fifty_fifty')::INTEGER, 0) BETWEEN 0 AND 3
+        AND COALESCE((lifeline_allowance->>'skip')::INTEGER, 0) BETWEEN 0 AND 3
+        AND COALESCE((lifeline_allowance->>'extra_time')::INTEGER, 0) BETWEEN 0 AND 3
+    ),
+    challenge_id UUID, -- challenges row this session answers; set by accept_challenge
+    daily_date DATE, -- daily challenge this session plays; set by start_daily_challenge
+    seed VARCHAR(32), -- picks and shuffles the questions; the same seed and question pool give the same quiz
+    scoring_version VARCHAR(40) DEFAULT 'classic-v1' REFERENCES scoring_profiles(version), -- rule set the answers are scored with
+    confidence_mode BOOLEAN DEFAULT false, -- every answer is rated low, medium or high confidence and staked on it
+    definition_id UUID REFERENCES quiz_definitions(id) ON DELETE SET NULL, -- saved quiz this session plays, for grading against other attempts at it
     status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'completed', 'abandoned')),
     started_at TIMESTAMP DEFAULT NOW(),
     completed_at TIMESTAMP,
@@ -66,11 +116,34 @@ CREATE TABLE IF NOT EXISTS quiz_answers (
     question_id UUID REFERENCES questions(id),
     user_answer TEXT NOT NULL,
     is_correct BOOLEAN NOT NULL,
+    timed_out BOOLEAN DEFAULT false, -- question countdown ran out before an answer
     points_earned INTEGER DEFAULT 0,
     time_taken INTEGER, -- in seconds
+    lifelines_used JSONB DEFAULT '[]', -- lifelines charged to this answer, e.g. ["fifty_fifty"]
+    confidence VARCHAR(10) CHECK (confidence IN ('low', 'medium', 'high')), -- rating on a confidence-weighted quiz; NULL when timed out
+    difficulty VARCHAR(20), -- question's difficulty when answered; calibrate_question_difficulty() can relabel it later
     answered_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Create quiz_lifeline_uses table for lifelines used during a quiz session
+CREATE TABLE IF NOT EXISTS quiz_lifeline_uses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    quiz_session_id UUID REFERENCES quiz_sessions(id) ON DELETE CASCADE NOT NULL,
+    question_id UUID REFERENCES questions(id) NOT NULL, -- the question shown when it was used
+    lifeline VARCHAR(20) NOT NULL CHECK (lifeline IN ('fifty_fifty', 'skip', 'extra_time')),
+    used_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(quiz_session_id, question_id, lifeline)
+);
+
+-- Create quiz_session_questions table for the questions served to a quiz session
+CREATE TABLE IF NOT EXISTS quiz_session_questions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    quiz_session_id UUID REFERENCES quiz_sessions(id) ON DELETE CASCADE NOT NULL,
+    question_id UUID REFERENCES questions(id) NOT NULL,
+    served_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(quiz_session_id, question_id)
+);
+
 -- Create quiz_results table for completed quiz summaries
 CREATE TABLE IF NOT EXISTS quiz_results (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -83,6 +156,8 @@ CREATE TABLE IF NOT EXISTS quiz_results (
     total_points INTEGER NOT NULL,
     accuracy DECIMAL(5,2) NOT NULL,
     time_spent INTEGER, -- in seconds
+    timing_mode VARCHAR(20) DEFAULT 'total' CHECK (timing_mode IN ('total', 'per_question')),
+    difficulty_path JSONB, -- per-answer difficulty and correctness, in order
     rank_at_completion INTEGER,
     completed_at TIMESTAMP DEFAULT NOW()
 );
@@ -122,6 +197,132 @@ CREATE TABLE IF NOT EXISTS categories (
     created_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Create review_schedule table for spaced-repetition review of missed questions (SM-2)
+CREATE TABLE IF NOT EXISTS review_schedule (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+    question_id UUID REFERENCES questions(id) ON DELETE CASCADE NOT NULL,
+    repetitions INTEGER DEFAULT 0,
+    interval_days INTEGER DEFAULT 0,
+    ease_factor DECIMAL(4,2) DEFAULT 2.50,
+    lapses INTEGER DEFAULT 0,
+    due_date DATE DEFAULT CURRENT_DATE,
+    last_reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(user_id, question_id)
+);
+
+-- Create quiz_rooms table for live multiplayer quizzes
+CREATE TABLE IF NOT EXISTS quiz_rooms (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(8) NOT NULL UNIQUE, -- short join code
+    host_id UUID REFERENCES profiles(id) NOT NULL,
+    category VARCHAR(50) DEFAULT 'all',
+    difficulty VARCHAR(20) DEFAULT 'all',
+    question_count INTEGER NOT NULL DEFAULT 10,
+    time_per_question INTEGER NOT NULL DEFAULT 20, -- in seconds
+    seed VARCHAR(32) NOT NULL, -- every player gets the questions picked from this seed
+    question_ids JSONB DEFAULT '[]',
+    status VARCHAR(20) DEFAULT 'lobby' CHECK (status IN ('lobby', 'in_progress', 'finished')),
+    current_question_index INTEGER DEFAULT -1,
+    question_started_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    finished_at TIMESTAMP
+);
+
+-- Create room_participants table for players in a live room
+CREATE TABLE IF NOT EXISTS room_participants (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    room_id UUID REFERENCES quiz_rooms(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES profiles(id) NOT NULL,
+    score INTEGER DEFAULT 0,
+    correct_answers INTEGER DEFAULT 0,
+    questions_answered INTEGER DEFAULT 0,
+    joined_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(room_id, user_id)
+);
+
+-- Create room_answers table for answers given in a live room
+CREATE TABLE IF NOT EXISTS room_answers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    room_id UUID REFERENCES quiz_rooms(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES profiles(id) NOT NULL,
+    question_index INTEGER NOT NULL,
+    question_id UUID REFERENCES questions(id),
+    user_answer TEXT NOT NULL DEFAULT '',
+    is_correct BOOLEAN NOT NULL,
+    timed_out BOOLEAN DEFAULT false,
+    points_earned INTEGER DEFAULT 0,
+    time_taken INTEGER, -- in seconds
+    answered_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(room_id, user_id, question_index)
+);
+
+-- Create challenges table for asynchronous head-to-head challenges
+CREATE TABLE IF NOT EXISTS challenges (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    challenger_id UUID REFERENCES profiles(id) NOT NULL,
+    opponent_id UUID REFERENCES profiles(id) NOT NULL,
+    challenger_session_id UUID REFERENCES quiz_sessions(id) NOT NULL,
+    opponent_session_id UUID REFERENCES quiz_sessions(id),
+    category VARCHAR(50),
+    difficulty VARCHAR(20),
+    timing_mode VARCHAR(20) DEFAULT 'total',
+    time_limit INTEGER, -- in seconds
+    lifeline_allowance JSONB DEFAULT '{}',
+    question_ids JSONB NOT NULL, -- in the order the challenger answered them
+    seed VARCHAR(32), -- the challenger's quiz seed, carried over to the opponent's session
+    scoring_version VARCHAR(40) REFERENCES scoring_profiles(version), -- the challenger's scoring, carried over the same way
+    challenger_score INTEGER DEFAULT 0,
+    opponent_score INTEGER,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'completed', 'expired')),
+    created_at TIMESTAMP DEFAULT NOW(),
+    accepted_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL
+);
+
+-- Create daily_challenges table for the question set everyone plays on a given day
+CREATE TABLE IF NOT EXISTS daily_challenges (
+    challenge_date DATE PRIMARY KEY, -- UTC calendar day
+    question_ids JSONB NOT NULL, -- picked from a hash of the date, in play order
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create practice_attempts table for practice mode answers, kept apart from ranked quiz data
+CREATE TABLE IF NOT EXISTS practice_attempts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+    question_id UUID REFERENCES questions(id) ON DELETE CASCADE NOT NULL,
+    category VARCHAR(50),
+    difficulty VARCHAR(20),
+    attempt_number INTEGER DEFAULT 1 CHECK (attempt_number >= 1), -- retries of the same question count up
+    is_correct BOOLEAN NOT NULL,
+    time_taken INTEGER DEFAULT 0, -- in seconds
+    attempted_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create player_ratings table for Glicko skill ratings, overall (category 'all') and per category
+CREATE TABLE IF NOT EXISTS player_ratings (
+    user_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+    category VARCHAR(50) NOT NULL, -- 'all' for the overall rating
+    rating DECIMAL(7,2) DEFAULT 1500,
+    deviation DECIMAL(6,2) DEFAULT 350, -- uncertainty of the rating; shrinks with each rated answer
+    matches INTEGER DEFAULT 0, -- rated answers
+    updated_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (user_id, category)
+);
+
+-- Create question_ratings table for the Glicko rating each question earns against players
+-- Questions without a row play at initial_question_rating() for their difficulty.
+CREATE TABLE IF NOT EXISTS question_ratings (
+    question_id UUID REFERENCES questions(id) ON DELETE CASCADE PRIMARY KEY,
+    rating DECIMAL(7,2) NOT NULL,
+    deviation DECIMAL(6,2) NOT NULL,
+    matches INTEGER DEFAULT 0, -- rated answers
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
 -- Create leaderboard view for rankings
 CREATE OR REPLACE VIEW leaderboard AS
 SELECT 
@@ -160,43 +361,133 @@ JOIN quiz_results qr ON p.id = qr.user_id
 GROUP BY p.id, p.username, p.full_name, p.avatar_url, qr.category
 ORDER BY qr.category, SUM(qr.total_points) DESC;
 
+-- Create rating leaderboard view, overall (category 'all') and per category
+-- Players need 20 rated answers to be ranked (mirrors APP_CONFIG.ratings.minMatches)
+CREATE OR REPLACE VIEW rating_leaderboard AS
+SELECT
+    p.id,
+    p.username,
+    p.full_name,
+    p.avatar_url,
+    pr.category,
+    ROUND(pr.rating) as rating,
+    ROUND(pr.deviation) as rating_deviation,
+    pr.matches as rated_answers,
+    ROW_NUMBER() OVER (PARTITION BY pr.category ORDER BY pr.rating DESC, pr.matches DESC) as rating_rank,
+    p.created_at
+FROM profiles p
+JOIN player_ratings pr ON p.id = pr.user_id
+WHERE pr.matches >= 20
+ORDER BY pr.category, pr.rating DESC;
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_profiles_total_points ON profiles(total_points DESC);
 CREATE INDEX IF NOT EXISTS idx_profiles_username ON profiles(username);
 CREATE INDEX IF NOT EXISTS idx_questions_category ON questions(category);
 CREATE INDEX IF NOT EXISTS idx_questions_difficulty ON questions(difficulty);
 CREATE INDEX IF NOT EXISTS idx_questions_active ON questions(is_active);
+CREATE INDEX IF NOT EXISTS idx_questions_status ON questions(status);
 CREATE INDEX IF NOT EXISTS idx_quiz_sessions_user_id ON quiz_sessions(user_id);
 CREATE INDEX IF NOT EXISTS idx_quiz_sessions_status ON quiz_sessions(status);
 CREATE INDEX IF NOT EXISTS idx_quiz_results_user_id ON quiz_results(user_id);
 CREATE INDEX IF NOT EXISTS idx_quiz_results_category ON quiz_results(category);
 CREATE INDEX IF NOT EXISTS idx_quiz_results_completed_at ON quiz_results(completed_at DESC);
 CREATE INDEX IF NOT EXISTS idx_quiz_answers_session_id ON quiz_answers(quiz_session_id);
+CREATE INDEX IF NOT EXISTS idx_quiz_answers_confidence ON quiz_answers(quiz_session_id) WHERE confidence IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_quiz_lifeline_uses_session_id ON quiz_lifeline_uses(quiz_session_id);
+CREATE INDEX IF NOT EXISTS idx_quiz_session_questions_session_id ON quiz_session_questions(quiz_session_id);
 CREATE INDEX IF NOT EXISTS idx_user_achievements_user_id ON user_achievements(user_id);
+CREATE INDEX IF NOT EXISTS idx_review_schedule_user_due ON review_schedule(user_id, due_date);
+CREATE INDEX IF NOT EXISTS idx_room_participants_room_id ON room_participants(room_id);
+CREATE INDEX IF NOT EXISTS idx_room_participants_user_id ON room_participants(user_id);
+CREATE INDEX IF NOT EXISTS idx_room_answers_room_id ON room_answers(room_id);
+CREATE INDEX IF NOT EXISTS idx_challenges_challenger_id ON challenges(challenger_id);
+CREATE INDEX IF NOT EXISTS idx_challenges_opponent_id ON challenges(opponent_id);
+CREATE INDEX IF NOT EXISTS idx_quiz_definitions_owner_id ON quiz_definitions(owner_id);
+CREATE INDEX IF NOT EXISTS idx_practice_attempts_user_id ON practice_attempts(user_id);
+CREATE INDEX IF NOT EXISTS idx_player_ratings_category ON player_ratings(category, rating DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quiz_sessions_daily ON quiz_sessions(user_id, daily_date) WHERE daily_date IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_quiz_sessions_daily_date ON quiz_sessions(daily_date) WHERE daily_date IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_quiz_sessions_game_mode ON quiz_sessions(game_mode, status) WHERE game_mode <> 'standard';
+CREATE INDEX IF NOT EXISTS idx_quiz_sessions_definition ON quiz_sessions(definition_id, status) WHERE definition_id IS NOT NULL;
 
 -- Enable Row Level Security (RLS)
 ALTER TABLE profiles ENABLE ROW LEVEL SECURITY;
 ALTER TABLE questions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE quiz_sessions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE quiz_answers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE quiz_lifeline_uses ENABLE ROW LEVEL SECURITY;
+ALTER TABLE quiz_session_questions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE quiz_results ENABLE ROW LEVEL SECURITY;
 ALTER TABLE achievements ENABLE ROW LEVEL SECURITY;
 ALTER TABLE user_achievements ENABLE ROW LEVEL SECURITY;
 ALTER TABLE categories ENABLE ROW LEVEL SECURITY;
+ALTER TABLE review_schedule ENABLE ROW LEVEL SECURITY;
+ALTER TABLE quiz_rooms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE room_participants ENABLE ROW LEVEL SECURITY;
+ALTER TABLE room_answers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE challenges ENABLE ROW LEVEL SECURITY;
+ALTER TABLE daily_challenges ENABLE ROW LEVEL SECURITY;
+ALTER TABLE quiz_definitions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE practice_attempts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scoring_profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE player_ratings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE question_ratings ENABLE ROW LEVEL SECURITY;
 
 -- Create RLS policies for profiles
 CREATE POLICY "Users can view all profiles" ON profiles FOR SELECT USING (true);
 CREATE POLICY "Users can update own profile" ON profiles FOR UPDATE USING (auth.uid() = id);
-CREATE POLICY "Users can insert own profile" ON profiles FOR INSERT WITH CHECK (auth.uid() = id);
+CREATE POLICY "Users can insert own profile" ON profiles FOR INSERT WITH CHECK (auth.uid() = id AND role = 'player');
+
+-- Create function to check whether the current user is an editor (used by question policies)
+CREATE OR REPLACE FUNCTION is_editor()
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN EXISTS (
+        SELECT 1 FROM profiles
+        WHERE id = auth.uid() AND role = 'editor'
+    );
+END;
+$$ language 'plpgsql' STABLE SECURITY DEFINER;
 
 -- Create RLS policies for questions
 CREATE POLICY "Anyone can view active questions" ON questions FOR SELECT USING (is_active = true);
 CREATE POLICY "Authenticated users can view all questions" ON questions FOR SELECT USING (auth.role() = 'authenticated');
+CREATE POLICY "Editors can insert questions" ON questions FOR INSERT WITH CHECK (is_editor());
+CREATE POLICY "Users can submit questions for review" ON questions FOR INSERT WITH CHECK (
+    auth.uid() = created_by AND status = 'pending' AND is_active = false
+);
+CREATE POLICY "Editors can update questions" ON questions FOR UPDATE USING (is_editor()) WITH CHECK (is_editor());
 
 -- Create RLS policies for quiz_sessions
 CREATE POLICY "Users can view own quiz sessions" ON quiz_sessions FOR SELECT USING (auth.uid() = user_id);
-CREATE POLICY "Users can insert own quiz sessions" ON quiz_sessions FOR INSERT WITH CHECK (auth.uid() = user_id);
-CREATE POLICY "Users can update own quiz sessions" ON quiz_sessions FOR UPDATE USING (auth.uid() = user_id);
+-- Challenge attempts are opened by accept_challenge() and daily attempts by start_daily_challenge()
+CREATE POLICY "Users can insert own quiz sessions" ON quiz_sessions FOR INSERT WITH CHECK (
+    auth.uid() = user_id AND challenge_id IS NULL AND daily_date IS NULL
+    AND started_at = NOW() -- the clock starts when the session opens, not when the client says
+    AND (scoring_version IS NULL OR scoring_version IN (SELECT version FROM scoring_profiles WHERE NOT retired))
+    AND (confidence_mode IS NOT TRUE OR game_mode = 'standard')
+    -- A session tagged with a saved quiz plays its settings, so percentile grades compare like with like
+    -- (mirrors QuizManager.startQuiz; extended time stretches the limit up to double)
+    AND (definition_id IS NULL OR EXISTS (
+        SELECT 1 FROM quiz_definitions d
+        WHERE d.id = quiz_sessions.definition_id
+        AND quiz_sessions.game_mode = 'standard'
+        AND quiz_sessions.difficulty = 'all'
+        AND quiz_sessions.category = CASE WHEN jsonb_array_length(d.definition->'categories') = 1
+            THEN d.definition->'categories'->0->>'category' ELSE 'all' END
+        AND quiz_sessions.total_questions = (d.definition->>'questionCount')::INTEGER
+        AND quiz_sessions.timing_mode = d.definition->'timePolicy'->>'timingMode'
+        AND quiz_sessions.time_limit <= quiz_sessions.total_questions * (d.definition->'timePolicy'->>'secondsPerQuestion')::INTEGER * 2
+        AND quiz_sessions.scoring_version IN (SELECT version FROM scoring_profiles WHERE name = d.definition->>'scoringProfile')
+        AND NOT EXISTS (
+            SELECT 1 FROM jsonb_each_text(quiz_sessions.lifeline_allowance) allowance
+            WHERE allowance.value::INTEGER > (d.definition->>'lifelines')::INTEGER
+        )
+    ))
+);
+-- Settings fixed at insert are locked by sync_quiz_session_totals
+CREATE POLICY "Users can update own quiz sessions" ON quiz_sessions FOR UPDATE USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
 
 -- Create RLS policies for quiz_answers
 CREATE POLICY "Users can view own quiz answers" ON quiz_answers 
@@ -207,14 +498,29 @@ FOR SELECT USING (
         AND quiz_sessions.user_id = auth.uid()
     )
 );
-CREATE POLICY "Users can insert own quiz answers" ON quiz_answers 
-FOR INSERT WITH CHECK (
+-- No INSERT policy: answers are graded and recorded by submit_quiz_answer()
+
+-- Create RLS policies for quiz_lifeline_uses
+CREATE POLICY "Users can view own lifeline uses" ON quiz_lifeline_uses 
+FOR SELECT USING (
     EXISTS (
         SELECT 1 FROM quiz_sessions 
-        WHERE quiz_sessions.id = quiz_answers.quiz_session_id 
+        WHERE quiz_sessions.id = quiz_lifeline_uses.quiz_session_id 
+        AND quiz_sessions.user_id = auth.uid()
+    )
+);
+-- No INSERT policy: lifelines are checked against the allowance and recorded by use_lifeline()
+
+-- Create RLS policies for quiz_session_questions
+CREATE POLICY "Users can view own served questions" ON quiz_session_questions
+FOR SELECT USING (
+    EXISTS (
+        SELECT 1 FROM quiz_sessions
+        WHERE quiz_sessions.id = quiz_session_questions.quiz_session_id
         AND quiz_sessions.user_id = auth.uid()
     )
 );
+-- No INSERT policy: questions are recorded as get_quiz_questions() serves them
 
 -- Create RLS policies for quiz_results
 CREATE POLICY "Users can view all quiz results" ON quiz_results FOR SELECT USING (true);
@@ -230,6 +536,65 @@ CREATE POLICY "Users can insert own achievements" ON user_achievements FOR INSER
 -- Create RLS policies for categories
 CREATE POLICY "Anyone can view active categories" ON categories FOR SELECT USING (is_active = true);
 
+-- Create RLS policies for review_schedule
+-- Rows are written by schedule_missed_question() and submit_review_answer()
+CREATE POLICY "Users can view own review schedule" ON review_schedule FOR SELECT USING (auth.uid() = user_id);
+
+-- Create function to check whether the current user is in a live room (used by room policies)
+CREATE OR REPLACE FUNCTION is_room_member(p_room_id UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN EXISTS (
+        SELECT 1 FROM room_participants
+        WHERE room_id = p_room_id AND user_id = auth.uid()
+    );
+END;
+$$ language 'plpgsql' STABLE SECURITY DEFINER;
+
+-- Create RLS policies for live rooms
+-- Rooms, participants and answers are written by the room functions
+CREATE POLICY "Room members can view rooms" ON quiz_rooms FOR SELECT USING (is_room_member(id));
+CREATE POLICY "Room members can view participants" ON room_participants FOR SELECT USING (is_room_member(room_id));
+CREATE POLICY "Users can view own room answers" ON room_answers FOR SELECT USING (auth.uid() = user_id);
+
+-- Create RLS policies for challenges
+-- Challenges are written by the challenge functions
+CREATE POLICY "Players can view own challenges" ON challenges FOR SELECT USING (auth.uid() IN (challenger_id, opponent_id));
+
+-- No policies for daily_challenges: each day's set is picked by start_daily_challenge(),
+-- and players only see it through get_daily_questions() once they have started
+
+-- Create RLS policies for quiz_definitions
+-- Anyone can read a definition so shared links work; it holds settings, not answers
+CREATE POLICY "Anyone can view quiz definitions" ON quiz_definitions FOR SELECT USING (true);
+CREATE POLICY "Users can insert own quiz definitions" ON quiz_definitions FOR INSERT WITH CHECK (auth.uid() = owner_id);
+CREATE POLICY "Users can update own quiz definitions" ON quiz_definitions FOR UPDATE USING (auth.uid() = owner_id) WITH CHECK (auth.uid() = owner_id);
+CREATE POLICY "Users can delete own quiz definitions" ON quiz_definitions FOR DELETE USING (auth.uid() = owner_id);
+
+-- Create RLS policies for practice_attempts
+-- Attempts are only written by submit_practice_answer()
+CREATE POLICY "Users can view own practice attempts" ON practice_attempts FOR SELECT USING (auth.uid() = user_id);
+
+-- Create RLS policies for scoring_profiles
+-- Profiles are published from the SQL editor
+CREATE POLICY "Anyone can view scoring profiles" ON scoring_profiles FOR SELECT USING (true);
+
+-- Create RLS policies for ratings
+-- Ratings are only written by rate_answer()
+CREATE POLICY "Anyone can view player ratings" ON player_ratings FOR SELECT USING (true);
+CREATE POLICY "Anyone can view question ratings" ON question_ratings FOR SELECT USING (true);
+
+-- Create a public storage bucket for question images and audio
+-- Anyone can read question media; only editors can upload, replace or remove it.
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('question-media', 'question-media', true)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE POLICY "Anyone can view question media" ON storage.objects FOR SELECT USING (bucket_id = 'question-media');
+CREATE POLICY "Editors can upload question media" ON storage.objects FOR INSERT WITH CHECK (bucket_id = 'question-media' AND is_editor());
+CREATE POLICY "Editors can update question media" ON storage.objects FOR UPDATE USING (bucket_id = 'question-media' AND is_editor());
+CREATE POLICY "Editors can delete question media" ON storage.objects FOR DELETE USING (bucket_id = 'question-media' AND is_editor());
+
 -- Create functions for updating timestamps
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -246,27 +611,45 @@ CREATE TRIGGER update_profiles_updated_at BEFORE UPDATE ON profiles
 CREATE TRIGGER update_questions_updated_at BEFORE UPDATE ON questions
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_quiz_definitions_updated_at BEFORE UPDATE ON quiz_definitions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Create function to update user statistics
 CREATE OR REPLACE FUNCTION update_user_stats()
 RETURNS TRIGGER AS $$
 BEGIN
     -- Update user profile statistics when a quiz is completed
     IF NEW.status = 'completed' AND OLD.status != 'completed' THEN
-        UPDATE profiles SET
-            total_points = total_points + NEW.total_points,
-            quizzes_completed = quizzes_completed + 1,
-            average_score = (
-                SELECT AVG(total_points) 
-                FROM quiz_results 
-                WHERE user_id = NEW.user_id
-            ),
-            best_score = GREATEST(
-                COALESCE(best_score, 0), 
-                NEW.total_points
-            ),
-            last_quiz_date = NEW.completed_at,
-            updated_at = NOW()
-        WHERE id = NEW.user_id;
+        -- Endless runs are ranked by get_endless_leaderboard and leave profile totals alone
+        IF NEW.game_mode = 'standard' THEN
+            UPDATE profiles SET
+                total_points = total_points + NEW.total_points,
+                quizzes_completed = quizzes_completed + 1,
+                average_score = (
+                    SELECT AVG(total_points) 
+                    FROM quiz_results 
+                    WHERE user_id = NEW.user_id
+                ),
+                best_score = GREATEST(
+                    COALESCE(best_score, 0), 
+                    NEW.total_points
+                ),
+                last_quiz_date = NEW.completed_at,
+                updated_at = NOW()
+            WHERE id = NEW.user_id;
+            
+            -- Daily challenge streak: consecutive days played, counted by the challenge's day
+            IF NEW.daily_date IS NOT NULL THEN
+                UPDATE profiles SET
+                    streak_count = CASE
+                        WHEN last_daily_date = NEW.daily_date - 1 THEN streak_count + 1
+                        WHEN last_daily_date = NEW.daily_date THEN streak_count
+                        ELSE 1
+                    END,
+                    last_daily_date = NEW.daily_date
+                WHERE id = NEW.user_id;
+            END IF;
+        END IF;
         
         -- Update question statistics
         UPDATE questions SET
@@ -283,11 +666,27 @@ BEGIN
             FROM quiz_answers 
             WHERE quiz_session_id = NEW.id
         );
+        
+        -- Relabel the answered questions whose rating has settled in another band
+        PERFORM calibrate_question_difficulty(ARRAY(
+            SELECT DISTINCT question_id
+            FROM quiz_answers
+            WHERE quiz_session_id = NEW.id
+            AND question_id IS NOT NULL
+        ));
+        
+        -- Re-check the answered questions against their new statistics
+        PERFORM flag_questions(ARRAY(
+            SELECT DISTINCT question_id
+            FROM quiz_answers
+            WHERE quiz_session_id = NEW.id
+            AND question_id IS NOT NULL
+        ));
     END IF;
     
     RETURN NEW;
 END;
-$$ language 'plpgsql';
+$$ language 'plpgsql' SECURITY DEFINER;
 
 -- Create trigger for updating user statistics
 CREATE TRIGGER update_user_stats_trigger 
@@ -344,6 +743,15 @@ INSERT INTO achievements (name, description, icon, category, requirement_type, r
 ('Knowledge Seeker', 'Try all quiz categories', '🌟', 'variety', 'categories', 10, 300)
 ON CONFLICT (name) DO NOTHING;
 
+-- Insert scoring profiles (keep in sync with APP_CONFIG.quiz.scoring.profiles)
+-- Rates are shares of the base points; completion bonuses are points per question
+INSERT INTO scoring_profiles (version, name, label, rules) VALUES
+('classic-v1', 'classic', 'Classic', '{"streak": {"minStreak": 2, "multiplier": 1.5}, "speed": {"thresholds": {"easy": 10, "medium": 15, "hard": 20}, "maxBonus": 0.3}, "hardBonus": 0.2, "incorrectPenalty": 0.1, "slowPenalty": {"afterSeconds": 60, "rate": 0.5}, "completionBonuses": {"perfect_score": 10, "high_accuracy": 5, "completion": 2, "speed_completion": 3, "category_mastery": 8}}'),
+('no-penalty-v1', 'no-penalty', 'No Penalty', '{"streak": {"minStreak": 2, "multiplier": 1.5}, "speed": {"thresholds": {"easy": 10, "medium": 15, "hard": 20}, "maxBonus": 0.3}, "hardBonus": 0.2, "incorrectPenalty": 0, "slowPenalty": null, "completionBonuses": {"perfect_score": 10, "high_accuracy": 5, "completion": 2, "speed_completion": 3, "category_mastery": 8}}'),
+('speed-focused-v1', 'speed-focused', 'Speed Focused', '{"streak": {"minStreak": 2, "multiplier": 1.25}, "speed": {"thresholds": {"easy": 8, "medium": 12, "hard": 16}, "maxBonus": 0.75}, "hardBonus": 0.1, "incorrectPenalty": 0.1, "slowPenalty": {"afterSeconds": 30, "rate": 1}, "completionBonuses": {"perfect_score": 10, "high_accuracy": 5, "completion": 2, "speed_completion": 8, "category_mastery": 8}}'),
+('accuracy-only-v1', 'accuracy-only', 'Accuracy Only', '{"streak": null, "speed": null, "hardBonus": 0, "incorrectPenalty": 0, "slowPenalty": null, "completionBonuses": {"perfect_score": 10, "high_accuracy": 5, "category_mastery": 8}}')
+ON CONFLICT (version) DO NOTHING;
+
 -- Create function to check and award achievements
 CREATE OR REPLACE FUNCTION check_achievements(user_uuid UUID)
 RETURNS void AS $$
@@ -406,11 +814,2569 @@ BEGIN
 END;
 $$ language 'plpgsql' SECURITY DEFINER;
 
--- Grant necessary permissions
-GRANT USAGE ON SCHEMA public TO anon, authenticated;
-GRANT ALL ON ALL TABLES IN SCHEMA public TO anon, authenticated;
-GRANT ALL ON ALL SEQUENCES IN SCHEMA public TO anon, authenticated;
-GRANT ALL ON ALL FUNCTIONS IN SCHEMA public TO anon, authenticated;
+-- Create function to mark quiz sessions left unfinished past a cutoff as abandoned
+-- Schedule it with pg_cron (see Schedule Session Cleanup in the README); answers and
+-- lifelines are refused past the cutoff either way. Clients can't run it (see the grants at the end).
+CREATE OR REPLACE FUNCTION abandon_stale_quiz_sessions(max_age INTERVAL DEFAULT INTERVAL '60 minutes')
+RETURNS INTEGER AS $$
+DECLARE
+    abandoned_count INTEGER;
+BEGIN
+    UPDATE quiz_sessions
+    SET status = 'abandoned'
+    WHERE status = 'active'
+    AND started_at < NOW() - max_age;
+    
+    GET DIAGNOSTICS abandoned_count = ROW_COUNT;
+    RETURN abandoned_count;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function to normalize free-text answers (mirrors Utils.normalizeAnswer)
+CREATE OR REPLACE FUNCTION normalize_answer(answer TEXT)
+RETURNS TEXT AS $$
+BEGIN
+    RETURN btrim(regexp_replace(lower(unaccent(COALESCE(answer, ''))), '\s+', ' ', 'g'));
+END;
+$$ language 'plpgsql' STABLE;
+
+-- Create function to check an answer (mirrors QuizManager.isAnswerCorrect)
+CREATE OR REPLACE FUNCTION is_answer_correct(question questions, answer TEXT)
+RETURNS BOOLEAN AS $$
+BEGIN
+    IF question.question_type <> 'fill_blank' THEN
+        RETURN answer IS NOT NULL AND answer = question.correct_answer;
+    END IF;
+    
+    IF normalize_answer(answer) = '' THEN
+        RETURN false;
+    END IF;
+    
+    RETURN normalize_answer(answer) = normalize_answer(question.correct_answer)
+        OR EXISTS (
+            SELECT 1
+            FROM jsonb_array_elements_text(COALESCE(question.accepted_answers, '[]'::jsonb)) AS alternate
+            WHERE normalize_answer(alternate) = normalize_answer(answer)
+        );
+END;
+$$ language 'plpgsql' STABLE;
+
+-- Create function to look up the rules of a scoring profile version
+-- Unknown or missing versions get classic-v1, the rules every session was scored with before profiles
+CREATE OR REPLACE FUNCTION scoring_rules(p_version VARCHAR)
+RETURNS JSONB AS $$
+DECLARE
+    found_rules JSONB;
+BEGIN
+    SELECT rules INTO found_rules FROM scoring_profiles WHERE version = p_version;
+    IF found_rules IS NULL THEN
+        SELECT rules INTO found_rules FROM scoring_profiles WHERE version = 'classic-v1';
+    END IF;
+    RETURN found_rules;
+END;
+$$ language 'plpgsql' STABLE;
+
+-- Create function to score one answer (mirrors ScoreCalculator.calculateAnswerPoints)
+-- profile_rules come from scoring_rules(); the lifeline deductions mirror APP_CONFIG.quiz.lifelines.deductions
+-- and the confidence stakes mirror APP_CONFIG.quiz.confidence.stakes
+CREATE OR REPLACE FUNCTION calculate_answer_points(
+    base_points INTEGER,
+    difficulty VARCHAR,
+    answer_correct BOOLEAN,
+    time_spent INTEGER,
+    consecutive_correct INTEGER,
+    lifelines_used JSONB DEFAULT '[]'::jsonb,
+    profile_rules JSONB DEFAULT NULL,
+    confidence VARCHAR DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    rules JSONB := COALESCE(profile_rules, scoring_rules(NULL));
+    final_points INTEGER := 0;
+    bonuses JSONB := '[]'::jsonb;
+    penalties JSONB := '[]'::jsonb;
+    speed_threshold INTEGER;
+    amount INTEGER;
+    penalty INTEGER;
+    stake_penalty INTEGER := 0;
+    lifeline TEXT;
+BEGIN
+    IF answer_correct THEN
+        final_points := base_points;
+        
+        -- Less than full confidence earns only a share of the base points
+        IF confidence IN ('low', 'medium') THEN
+            amount := base_points - FLOOR(base_points * CASE confidence WHEN 'low' THEN 0.5 ELSE 0.8 END);
+            IF amount > 0 THEN
+                final_points := final_points - amount;
+                penalties := penalties || jsonb_build_object('type', 'confidence', 'amount', amount, 'description', INITCAP(confidence) || ' confidence');
+            END IF;
+        END IF;
+        
+        -- Consecutive answer bonus
+        IF jsonb_typeof(rules->'streak') = 'object' AND consecutive_correct >= (rules->'streak'->>'minStreak')::INTEGER THEN
+            amount := FLOOR(base_points * (rules->'streak'->>'multiplier')::NUMERIC - base_points);
+            IF amount > 0 THEN
+                final_points := final_points + amount;
+                bonuses := bonuses || jsonb_build_object('type', 'streak', 'amount', amount, 'description', (consecutive_correct + 1) || ' in a row!');
+            END IF;
+        END IF;
+        
+        -- Speed bonus, shrinking from its maximum to nothing at the difficulty threshold
+        IF jsonb_typeof(rules->'speed') = 'object' THEN
+            speed_threshold := COALESCE(
+                (rules->'speed'->'thresholds'->>difficulty)::INTEGER,
+                (rules->'speed'->'thresholds'->>'medium')::INTEGER
+            );
+            IF time_spent <= speed_threshold THEN
+                amount := FLOOR(base_points * ((speed_threshold - time_spent)::NUMERIC / speed_threshold) * (rules->'speed'->>'maxBonus')::NUMERIC);
+                IF amount > 0 THEN
+                    final_points := final_points + amount;
+                    bonuses := bonuses || jsonb_build_object('type', 'speed', 'amount', amount, 'description', 'Quick answer!');
+                END IF;
+            END IF;
+        END IF;
+        
+        -- Difficulty bonus
+        IF difficulty = 'hard' THEN
+            amount := FLOOR(base_points * COALESCE((rules->>'hardBonus')::NUMERIC, 0));
+            IF amount > 0 THEN
+                final_points := final_points + amount;
+                bonuses := bonuses || jsonb_build_object('type', 'difficulty', 'amount', amount, 'description', 'Hard question mastery!');
+            END IF;
+        END IF;
+        
+        -- Lifeline deductions (APP_CONFIG.quiz.lifelines.deductions)
+        FOR lifeline IN SELECT jsonb_array_elements_text(COALESCE(lifelines_used, '[]'::jsonb)) LOOP
+            amount := FLOOR(base_points * CASE lifeline
+                WHEN 'fifty_fifty' THEN 0.5
+                WHEN 'skip' THEN 0.25
+                WHEN 'extra_time' THEN 0.25
+                ELSE 0
+            END);
+            IF amount > 0 THEN
+                final_points := final_points - amount;
+                penalties := penalties || jsonb_build_object('type', 'lifeline', 'lifeline', lifeline, 'amount', amount, 'description', 'Lifeline used');
+            END IF;
+        END LOOP;
+    ELSIF confidence IN ('low', 'medium', 'high') THEN
+        -- The wrong answer costs what its confidence put at stake
+        stake_penalty := FLOOR(base_points * CASE confidence WHEN 'low' THEN 0 WHEN 'medium' THEN 0.3 ELSE 1 END);
+        final_points := -stake_penalty;
+        IF stake_penalty > 0 THEN
+            penalties := penalties || jsonb_build_object('type', 'confidence', 'amount', stake_penalty, 'description', 'Wrong at ' || confidence || ' confidence');
+        END IF;
+    ELSE
+        -- Incorrect answer penalty
+        penalty := FLOOR(base_points * COALESCE((rules->>'incorrectPenalty')::NUMERIC, 0));
+        final_points := -penalty;
+        IF penalty > 0 THEN
+            penalties := penalties || jsonb_build_object('type', 'incorrect', 'amount', penalty, 'description', 'Incorrect answer');
+        END IF;
+        
+        -- Time penalty for very slow answers
+        IF jsonb_typeof(rules->'slowPenalty') = 'object' AND time_spent > (rules->'slowPenalty'->>'afterSeconds')::INTEGER THEN
+            amount := FLOOR(penalty * (rules->'slowPenalty'->>'rate')::NUMERIC);
+            IF amount > 0 THEN
+                final_points := final_points - amount;
+                penalties := penalties || jsonb_build_object('type', 'time', 'amount', amount, 'description', 'Slow response');
+            END IF;
+        END IF;
+    END IF;
+    
+    -- Minimum bounds; a wrong answer can always lose its full confidence stake
+    final_points := GREATEST(final_points, CASE WHEN answer_correct THEN 1 ELSE -GREATEST(FLOOR(base_points * 0.5)::INTEGER, stake_penalty) END);
+    
+    RETURN jsonb_build_object(
+        'base_points', base_points,
+        'final_points', final_points,
+        'bonuses', bonuses,
+        'penalties', penalties
+    );
+END;
+$$ language 'plpgsql' STABLE;
+
+-- Create function to score completion bonuses (mirrors ScoreCalculator.calculateCompletionBonuses)
+CREATE OR REPLACE FUNCTION calculate_completion_bonus(
+    answered INTEGER,
+    correct INTEGER,
+    time_spent INTEGER,
+    time_limit INTEGER,
+    quiz_category VARCHAR,
+    profile_rules JSONB DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+    per_question JSONB := COALESCE(COALESCE(profile_rules, scoring_rules(NULL))->'completionBonuses', '{}'::jsonb);
+    accuracy NUMERIC;
+    bonus INTEGER := 0;
+BEGIN
+    IF answered = 0 THEN
+        RETURN 0;
+    END IF;
+    
+    accuracy := correct * 100.0 / answered;
+    
+    IF accuracy = 100 THEN
+        bonus := bonus + answered * COALESCE((per_question->>'perfect_score')::INTEGER, 0);
+    ELSIF accuracy >= 90 THEN
+        bonus := bonus + answered * COALESCE((per_question->>'high_accuracy')::INTEGER, 0);
+    END IF;
+    
+    IF answered >= 10 THEN
+        bonus := bonus + answered * COALESCE((per_question->>'completion')::INTEGER, 0);
+    END IF;
+    
+    IF time_spent > 0 AND time_limit > 0 AND time_spent::NUMERIC / time_limit < 0.5 AND accuracy >= 70 THEN
+        bonus := bonus + answered * COALESCE((per_question->>'speed_completion')::INTEGER, 0);
+    END IF;
+    
+    IF quiz_category IS NOT NULL AND quiz_category <> 'all' AND accuracy = 100 THEN
+        bonus := bonus + answered * COALESCE((per_question->>'category_mastery')::INTEGER, 0);
+    END IF;
+    
+    RETURN bonus;
+END;
+$$ language 'plpgsql' STABLE;
+
+-- Create function to score one answer in an endless run (mirrors ScoreCalculator.calculateEndlessAnswerPoints)
+-- A miss costs a life rather than points. Keep in sync with APP_CONFIG.quiz.endless
+CREATE OR REPLACE FUNCTION calculate_endless_points(
+    game_mode VARCHAR,
+    base_points INTEGER,
+    difficulty VARCHAR,
+    answer_correct BOOLEAN,
+    time_spent INTEGER,
+    consecutive_correct INTEGER
+)
+RETURNS JSONB AS $$
+DECLARE
+    final_points INTEGER := 0;
+    bonuses JSONB := '[]'::jsonb;
+    speed_threshold INTEGER;
+    multiplier NUMERIC;
+    amount INTEGER;
+BEGIN
+    IF answer_correct THEN
+        final_points := base_points;
+        
+        IF game_mode = 'sudden_death' THEN
+            -- Run multiplier (mirrors ScoreCalculator.calculateStreakMultiplier)
+            multiplier := CASE
+                WHEN consecutive_correct + 1 < 2 THEN 1.0
+                WHEN consecutive_correct + 1 < 5 THEN 1.2
+                WHEN consecutive_correct + 1 < 10 THEN 1.5
+                ELSE 2.0
+            END;
+            amount := FLOOR(base_points * multiplier)::INTEGER - base_points;
+            IF amount > 0 THEN
+                final_points := final_points + amount;
+                bonuses := bonuses || jsonb_build_object('type', 'run', 'amount', amount,
+                    'description', '×' || rtrim(rtrim(multiplier::TEXT, '0'), '.') || ' run multiplier');
+            END IF;
+        ELSE
+            -- Speed bonus, up to 30% when answered under the difficulty threshold
+            speed_threshold := CASE difficulty WHEN 'easy' THEN 10 WHEN 'hard' THEN 20 ELSE 15 END;
+            IF time_spent <= speed_threshold THEN
+                amount := FLOOR(base_points * ((speed_threshold - time_spent)::NUMERIC / speed_threshold) * 0.3);
+                IF amount > 0 THEN
+                    final_points := final_points + amount;
+                    bonuses := bonuses || jsonb_build_object('type', 'speed', 'amount', amount, 'description', 'Quick answer!');
+                END IF;
+            END IF;
+        END IF;
+    END IF;
+    
+    RETURN jsonb_build_object(
+        'base_points', base_points,
+        'final_points', final_points,
+        'bonuses', bonuses,
+        'penalties', '[]'::jsonb
+    );
+END;
+$$ language 'plpgsql' IMMUTABLE;
+
+-- Create function to score the bonus for finishing an endless run (mirrors ScoreCalculator.calculateEndlessBonuses)
+-- Survival pays for each life left; sudden death pays for every milestone passed.
+CREATE OR REPLACE FUNCTION calculate_endless_bonus(
+    game_mode VARCHAR,
+    answered INTEGER,
+    correct INTEGER
+)
+RETURNS INTEGER AS $$
+BEGIN
+    IF answered = 0 THEN
+        RETURN 0;
+    END IF;
+    
+    IF game_mode = 'sudden_death' THEN
+        RETURN (correct / 10) * 50;
+    END IF;
+    
+    RETURN GREATEST(0, 3 - (answered - correct)) * 20;
+END;
+$$ language 'plpgsql' IMMUTABLE;
+
+-- Create function for the expected score of a Glicko match (mirrors RatingManager.getExpectedScore)
+CREATE OR REPLACE FUNCTION rating_expected_score(
+    rating DOUBLE PRECISION,
+    opponent_rating DOUBLE PRECISION,
+    opponent_deviation DOUBLE PRECISION
+)
+RETURNS DOUBLE PRECISION AS $$
+DECLARE
+    weight DOUBLE PRECISION;
+BEGIN
+    -- Results against an uncertain opponent count for less
+    weight := 1 / sqrt(1 + 3 * power(ln(10) / 400, 2) * power(opponent_deviation, 2) / power(pi(), 2));
+    RETURN 1 / (1 + power(10, -weight * (rating - opponent_rating) / 400));
+END;
+$$ language 'plpgsql' IMMUTABLE;
+
+-- Create function to rate one side of a Glicko match (mirrors RatingManager.updateRating)
+-- score is 1 for a win and 0 for a loss. The deviation floor mirrors APP_CONFIG.ratings.minDeviation.
+CREATE OR REPLACE FUNCTION glicko_update(
+    rating DOUBLE PRECISION,
+    deviation DOUBLE PRECISION,
+    opponent_rating DOUBLE PRECISION,
+    opponent_deviation DOUBLE PRECISION,
+    score DOUBLE PRECISION
+)
+RETURNS JSONB AS $$
+DECLARE
+    scale CONSTANT DOUBLE PRECISION := ln(10) / 400;
+    weight DOUBLE PRECISION;
+    expected DOUBLE PRECISION;
+    new_variance DOUBLE PRECISION;
+BEGIN
+    weight := 1 / sqrt(1 + 3 * power(scale, 2) * power(opponent_deviation, 2) / power(pi(), 2));
+    expected := rating_expected_score(rating, opponent_rating, opponent_deviation);
+    new_variance := 1 / (1 / power(deviation, 2) + power(scale, 2) * power(weight, 2) * expected * (1 - expected));
+    
+    RETURN jsonb_build_object(
+        'rating', rating + scale * new_variance * weight * (score - expected),
+        'deviation', GREATEST(sqrt(new_variance), 50)
+    );
+END;
+$$ language 'plpgsql' IMMUTABLE;
+
+-- Create function for the rating a question plays at until it has one (mirrors APP_CONFIG.ratings.initialQuestionRatings)
+CREATE OR REPLACE FUNCTION initial_question_rating(difficulty VARCHAR)
+RETURNS DOUBLE PRECISION AS $$
+BEGIN
+    RETURN CASE difficulty WHEN 'easy' THEN 1300 WHEN 'hard' THEN 1700 ELSE 1500 END;
+END;
+$$ language 'plpgsql' IMMUTABLE;
+
+-- Create function to rate an answer as a match between player and question (mirrors RatingManager.recordLocalAnswer)
+-- The player wins by answering correctly and the question wins when it is missed.
+-- The player's overall and category ratings each play the question, and the question
+-- plays the category rating; every side is rated from the ratings before the answer.
+-- Only submit_quiz_answer calls this.
+CREATE OR REPLACE FUNCTION rate_answer(p_user_id UUID, p_question questions, p_correct BOOLEAN)
+RETURNS JSONB AS $$
+DECLARE
+    question_rating DOUBLE PRECISION;
+    question_deviation DOUBLE PRECISION;
+    player RECORD;
+    updated JSONB;
+    overall JSONB;
+    question_updated JSONB;
+    score DOUBLE PRECISION := CASE WHEN p_correct THEN 1 ELSE 0 END;
+BEGIN
+    SELECT r.rating, r.deviation INTO question_rating, question_deviation
+    FROM question_ratings r
+    WHERE r.question_id = p_question.id
+    FOR UPDATE;
+    
+    IF NOT FOUND THEN
+        question_rating := initial_question_rating(p_question.difficulty);
+        question_deviation := 350;
+    END IF;
+    
+    INSERT INTO player_ratings (user_id, category)
+    VALUES (p_user_id, 'all'), (p_user_id, p_question.category)
+    ON CONFLICT (user_id, category) DO NOTHING;
+    
+    FOR player IN
+        SELECT pr.category, pr.rating, pr.deviation
+        FROM player_ratings pr
+        WHERE pr.user_id = p_user_id
+        AND pr.category IN ('all', p_question.category)
+        FOR UPDATE
+    LOOP
+        updated := glicko_update(player.rating, player.deviation, question_rating, question_deviation, score);
+        
+        UPDATE player_ratings SET
+            rating = (updated->>'rating')::NUMERIC,
+            deviation = (updated->>'deviation')::NUMERIC,
+            matches = matches + 1,
+            updated_at = NOW()
+        WHERE user_id = p_user_id AND category = player.category;
+        
+        IF player.category = 'all' THEN
+            overall := updated;
+        ELSE
+            question_updated := glicko_update(question_rating, question_deviation, player.rating, player.deviation, 1 - score);
+        END IF;
+    END LOOP;
+    
+    INSERT INTO question_ratings (question_id, rating, deviation, matches)
+    VALUES (p_question.id, (question_updated->>'rating')::NUMERIC, (question_updated->>'deviation')::NUMERIC, 1)
+    ON CONFLICT (question_id) DO UPDATE SET
+        rating = EXCLUDED.rating,
+        deviation = EXCLUDED.deviation,
+        matches = question_ratings.matches + 1,
+        updated_at = NOW();
+    
+    RETURN jsonb_build_object(
+        'rating', ROUND((overall->>'rating')::NUMERIC),
+        'deviation', ROUND((overall->>'deviation')::NUMERIC)
+    );
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function to serve quiz questions without their answers
+-- With a seed the questions are ordered by a hash of seed and ID, so the same
+-- seed and question pool always give the same pick; without one they are random.
+-- With p_target_probability the pick is matched to the player's rating: the questions
+-- whose chance of a correct answer is closest to the target make a pool three times
+-- the count (mirrors APP_CONFIG.ratings.matchPoolFactor), and the seed picks from it.
+-- Signed-in players are matched on their stored rating, guests on p_player_rating.
+-- With p_session_id the questions are recorded as served to that session, which
+-- submit_quiz_answer then only takes answers to.
+CREATE OR REPLACE FUNCTION get_quiz_questions(
+    p_category VARCHAR DEFAULT 'all',
+    p_difficulty VARCHAR DEFAULT 'all',
+    p_count INTEGER DEFAULT 10,
+    p_exclude_ids UUID[] DEFAULT NULL,
+    p_seed VARCHAR DEFAULT NULL,
+    p_question_types VARCHAR[] DEFAULT NULL,
+    p_target_probability NUMERIC DEFAULT NULL,
+    p_player_rating NUMERIC DEFAULT NULL,
+    p_session_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+    id UUID,
+    question_text TEXT,
+    question_type VARCHAR,
+    category VARCHAR,
+    difficulty VARCHAR,
+    options JSONB,
+    points_value INTEGER,
+    media JSONB,
+    rating NUMERIC,
+    rating_deviation NUMERIC
+) AS $$
+DECLARE
+    question_count INTEGER := LEAST(GREATEST(p_count, 1), 50);
+    player_rating DOUBLE PRECISION;
+BEGIN
+    IF p_session_id IS NOT NULL AND NOT EXISTS (
+        SELECT 1 FROM quiz_sessions s
+        WHERE s.id = p_session_id
+        AND s.user_id = auth.uid()
+        AND s.status = 'active'
+        AND s.started_at > NOW() - INTERVAL '60 minutes'
+    ) THEN
+        RAISE EXCEPTION 'Quiz session not found';
+    END IF;
+    
+    IF p_target_probability IS NOT NULL THEN
+        -- The category rating when there is one, the overall rating otherwise
+        SELECT pr.rating INTO player_rating
+        FROM player_ratings pr
+        WHERE pr.user_id = auth.uid()
+        AND pr.category IN ('all', COALESCE(NULLIF(p_category, 'all'), 'all'))
+        ORDER BY pr.category = 'all'
+        LIMIT 1;
+        
+        player_rating := COALESCE(player_rating, p_player_rating, 1500);
+    END IF;
+    
+    RETURN QUERY
+    WITH picked AS (
+        SELECT pool.*
+        FROM (
+            SELECT q.id, q.question_text, q.question_type, q.category, q.difficulty, q.options, q.points_value, q.media,
+                COALESCE(r.rating, initial_question_rating(q.difficulty))::NUMERIC AS question_rating,
+                COALESCE(r.deviation, 350)::NUMERIC AS question_deviation,
+                md5(COALESCE(p_seed, random()::TEXT) || q.id::TEXT) AS pick_order
+            FROM questions q
+            LEFT JOIN question_ratings r ON r.question_id = q.id
+            WHERE q.is_active = true
+            AND (p_category IS NULL OR p_category = 'all' OR q.category = p_category)
+            AND (p_difficulty IS NULL OR p_difficulty = 'all' OR q.difficulty = p_difficulty)
+            AND (p_exclude_ids IS NULL OR q.id <> ALL(p_exclude_ids))
+            AND (p_question_types IS NULL OR q.question_type = ANY(p_question_types))
+            ORDER BY CASE WHEN p_target_probability IS NULL THEN 0 ELSE ABS(rating_expected_score(
+                player_rating,
+                COALESCE(r.rating, initial_question_rating(q.difficulty)),
+                COALESCE(r.deviation, 350)
+            ) - p_target_probability) END, pick_order
+            LIMIT question_count * 3
+        ) pool
+        ORDER BY pool.pick_order
+        LIMIT question_count
+    ), served AS (
+        INSERT INTO quiz_session_questions (quiz_session_id, question_id)
+        SELECT p_session_id, picked.id FROM picked
+        WHERE p_session_id IS NOT NULL
+        ON CONFLICT DO NOTHING
+    )
+    SELECT picked.id, picked.question_text, picked.question_type, picked.category, picked.difficulty,
+        picked.options, picked.points_value, picked.media, picked.question_rating, picked.question_deviation
+    FROM picked
+    ORDER BY picked.pick_order;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function to grade one answer and record it against a quiz session
+-- Without a session (guest play) the answer is graded but not recorded, and
+-- scored by the reported p_game_mode; sessions carry their own. Guest grading
+-- never reveals the answer or explanation, since anyone can call it for any
+-- question, and is refused while the caller has a ranked quiz in progress.
+CREATE OR REPLACE FUNCTION submit_quiz_answer(
+    p_session_id UUID,
+    p_question_id UUID,
+    p_answer TEXT,
+    p_time_taken INTEGER DEFAULT 0,
+    p_timed_out BOOLEAN DEFAULT false,
+    p_consecutive_correct INTEGER DEFAULT 0,
+    p_lifelines JSONB DEFAULT '[]'::jsonb,
+    p_game_mode VARCHAR DEFAULT 'standard',
+    p_scoring_version VARCHAR DEFAULT NULL,
+    p_confidence VARCHAR DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    session_record quiz_sessions%ROWTYPE;
+    question_record questions%ROWTYPE;
+    previous_answer RECORD;
+    last_answered_at TIMESTAMP;
+    answer_correct BOOLEAN;
+    streak INTEGER := 0;
+    seconds_taken INTEGER;
+    lifelines JSONB;
+    scoring JSONB;
+    run_mode VARCHAR;
+    profile_rules JSONB;
+    rating VARCHAR;
+    player_rating JSONB;
+    clock_multiplier DECIMAL(3,2);
+    clock_left NUMERIC;
+BEGIN
+    SELECT * INTO question_record FROM questions WHERE id = p_question_id AND is_active = true;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Question not found';
+    END IF;
+    
+    answer_correct := NOT COALESCE(p_timed_out, false) AND is_answer_correct(question_record, p_answer);
+    seconds_taken := GREATEST(COALESCE(p_time_taken, 0), 0);
+    
+    IF p_session_id IS NULL THEN
+        -- Sessions past the abandon cutoff (APP_CONFIG.quiz.abandonAfterMinutes) don't count
+        IF auth.uid() IS NOT NULL AND EXISTS (
+            SELECT 1 FROM quiz_sessions
+            WHERE user_id = auth.uid()
+            AND status = 'active'
+            AND started_at > NOW() - INTERVAL '60 minutes'
+        ) THEN
+            RAISE EXCEPTION 'Finish or quit the quiz in progress first';
+        END IF;
+        
+        streak := GREATEST(COALESCE(p_consecutive_correct, 0), 0);
+        run_mode := CASE WHEN p_game_mode IN ('survival', 'sudden_death') THEN p_game_mode ELSE 'standard' END;
+        profile_rules := scoring_rules(p_scoring_version);
+        rating := CASE WHEN run_mode = 'standard' AND p_confidence IN ('low', 'medium', 'high') THEN p_confidence END;
+        
+        -- Guests have nothing to cheat on, so their reported lifelines are taken as-is
+        SELECT COALESCE(jsonb_agg(DISTINCT reported), '[]'::jsonb) INTO lifelines
+        FROM jsonb_array_elements_text(COALESCE(p_lifelines, '[]'::jsonb)) AS reported
+        WHERE reported IN ('fifty_fifty', 'skip', 'extra_time');
+    ELSE
+        SELECT * INTO session_record FROM quiz_sessions WHERE id = p_session_id FOR UPDATE;
+        IF NOT FOUND OR session_record.user_id IS DISTINCT FROM auth.uid() THEN
+            RAISE EXCEPTION 'Quiz session not found';
+        END IF;
+        
+        IF session_record.status <> 'active' THEN
+            RAISE EXCEPTION 'Quiz session is not active';
+        END IF;
+        
+        -- Sessions past the abandon cutoff (APP_CONFIG.quiz.abandonAfterMinutes) are over,
+        -- whether or not abandon_stale_quiz_sessions() has marked them yet
+        IF session_record.started_at <= NOW() - INTERVAL '60 minutes' THEN
+            RAISE EXCEPTION 'Quiz session has expired';
+        END IF;
+        
+        IF EXISTS (SELECT 1 FROM quiz_answers WHERE quiz_session_id = p_session_id AND question_id = p_question_id) THEN
+            RAISE EXCEPTION 'Question already answered';
+        END IF;
+        
+        -- Challenge attempts only take the challenge's questions
+        IF session_record.challenge_id IS NOT NULL AND NOT EXISTS (
+            SELECT 1 FROM challenges c
+            WHERE c.id = session_record.challenge_id
+            AND c.question_ids ? p_question_id::TEXT
+        ) THEN
+            RAISE EXCEPTION 'Question is not part of this challenge';
+        END IF;
+        
+        -- Daily challenge attempts only take that day's questions
+        IF session_record.daily_date IS NOT NULL AND NOT EXISTS (
+            SELECT 1 FROM daily_challenges d
+            WHERE d.challenge_date = session_record.daily_date
+            AND d.question_ids ? p_question_id::TEXT
+        ) THEN
+            RAISE EXCEPTION 'Question is not part of this daily challenge';
+        END IF;
+        
+        -- Other sessions only take questions get_quiz_questions() served them
+        IF session_record.challenge_id IS NULL AND session_record.daily_date IS NULL AND NOT EXISTS (
+            SELECT 1 FROM quiz_session_questions s
+            WHERE s.quiz_session_id = p_session_id
+            AND s.question_id = p_question_id
+        ) THEN
+            RAISE EXCEPTION 'Question was not served in this quiz';
+        END IF;
+        
+        -- A quiz takes one answer per question; endless runs have no count
+        IF session_record.game_mode = 'standard' AND (
+            SELECT COUNT(*) FROM quiz_answers WHERE quiz_session_id = p_session_id
+        ) >= session_record.total_questions THEN
+            RAISE EXCEPTION 'Every question in this quiz is already answered';
+        END IF;
+        
+        -- Sessions are scored with the version they started with, whatever the client reports
+        profile_rules := scoring_rules(session_record.scoring_version);
+        
+        -- A confidence-weighted session stakes every answer on its rating; others ignore ratings
+        IF session_record.confidence_mode THEN
+            rating := CASE WHEN p_confidence IN ('low', 'medium', 'high') THEN p_confidence END;
+            IF rating IS NULL AND NOT COALESCE(p_timed_out, false) THEN
+                RAISE EXCEPTION 'Rate your confidence in the answer';
+            END IF;
+        END IF;
+        
+        -- Endless runs are over after the first miss (sudden death) or the third (survival)
+        run_mode := session_record.game_mode;
+        IF run_mode <> 'standard' AND (
+            SELECT COUNT(*) FROM quiz_answers WHERE quiz_session_id = p_session_id AND NOT is_correct
+        ) >= (CASE run_mode WHEN 'survival' THEN 3 ELSE 1 END) THEN
+            RAISE EXCEPTION 'This run is already over';
+        END IF;
+        
+        -- Current streak from the recorded answers, newest first
+        FOR previous_answer IN
+            SELECT is_correct FROM quiz_answers
+            WHERE quiz_session_id = p_session_id
+            ORDER BY answered_at DESC
+        LOOP
+            EXIT WHEN NOT previous_answer.is_correct;
+            streak := streak + 1;
+        END LOOP;
+        
+        -- Never score a reported time faster than the server saw, allowing
+        -- a few seconds for the feedback delay between questions
+        SELECT MAX(answered_at) INTO last_answered_at FROM quiz_answers WHERE quiz_session_id = p_session_id;
+        seconds_taken := GREATEST(
+            seconds_taken,
+            EXTRACT(EPOCH FROM (NOW() - COALESCE(last_answered_at, session_record.started_at)))::INTEGER - 3
+        );
+        
+        -- An answer given after the clock ran out counts as timed out, allowing 5 seconds
+        -- for the round trip. Endless runs are also over when their clock runs out (mirrors
+        -- APP_CONFIG.quiz.endless, stretched by the player's time_multiplier): sudden death
+        -- gives each question 20 seconds; survival starts one clock at 60 seconds, which each
+        -- correct answer tops up by 5 to at most 90. Other quizzes have the session's time
+        -- limit, pooled or split evenly per question, plus 15 seconds for each Extra Time
+        -- lifeline (mirrors APP_CONFIG.quiz.lifelines.extraTimeSeconds).
+        IF run_mode <> 'standard' THEN
+            SELECT COALESCE(p.time_multiplier, 1) INTO clock_multiplier FROM profiles p WHERE p.id = session_record.user_id;
+            
+            IF run_mode = 'survival' THEN
+                clock_left := ROUND(60 * clock_multiplier);
+                FOR previous_answer IN
+                    SELECT is_correct, time_taken FROM quiz_answers
+                    WHERE quiz_session_id = p_session_id
+                    ORDER BY answered_at
+                LOOP
+                    clock_left := clock_left - COALESCE(previous_answer.time_taken, 0);
+                    IF previous_answer.is_correct THEN
+                        clock_left := LEAST(clock_left + ROUND(5 * clock_multiplier), GREATEST(clock_left, ROUND(90 * clock_multiplier)));
+                    END IF;
+                END LOOP;
+                
+                IF clock_left <= 0 THEN
+                    RAISE EXCEPTION 'This run is already over';
+                END IF;
+            ELSE
+                clock_left := ROUND(20 * clock_multiplier);
+            END IF;
+        ELSIF session_record.timing_mode = 'per_question' THEN
+            clock_left := session_record.time_limit / GREATEST(session_record.total_questions, 1) + 15 * (
+                SELECT COUNT(*) FROM quiz_lifeline_uses
+                WHERE quiz_session_id = p_session_id AND question_id = p_question_id AND lifeline = 'extra_time'
+            );
+        ELSE
+            clock_left := session_record.time_limit + 15 * (
+                SELECT COUNT(*) FROM quiz_lifeline_uses
+                WHERE quiz_session_id = p_session_id AND lifeline = 'extra_time'
+            ) - (
+                SELECT COALESCE(SUM(time_taken), 0) FROM quiz_answers WHERE quiz_session_id = p_session_id
+            );
+        END IF;
+        
+        IF seconds_taken > clock_left + 5 THEN
+            p_timed_out := true;
+            answer_correct := false;
+        END IF;
+        
+        -- Lifelines used on this question, plus skips since the previous answer
+        -- (a skip is recorded against the question it replaced)
+        SELECT COALESCE(jsonb_agg(DISTINCT u.lifeline), '[]'::jsonb) INTO lifelines
+        FROM quiz_lifeline_uses u
+        WHERE u.quiz_session_id = p_session_id
+        AND (
+            u.question_id = p_question_id
+            OR (u.lifeline = 'skip' AND u.used_at > COALESCE(last_answered_at, session_record.started_at))
+        );
+    END IF;
+    
+    -- A question that timed out was never rated
+    IF COALESCE(p_timed_out, false) THEN
+        rating := NULL;
+    END IF;
+    
+    IF run_mode = 'standard' THEN
+        scoring := calculate_answer_points(
+            COALESCE(NULLIF(question_record.points_value, 0),
+                CASE question_record.difficulty WHEN 'easy' THEN 10 WHEN 'hard' THEN 30 ELSE 20 END),
+            question_record.difficulty,
+            answer_correct,
+            seconds_taken,
+            streak,
+            lifelines,
+            profile_rules,
+            rating
+        );
+    ELSE
+        scoring := calculate_endless_points(
+            run_mode,
+            COALESCE(NULLIF(question_record.points_value, 0),
+                CASE question_record.difficulty WHEN 'easy' THEN 10 WHEN 'hard' THEN 30 ELSE 20 END),
+            question_record.difficulty,
+            answer_correct,
+            seconds_taken,
+            streak
+        );
+    END IF;
+    
+    IF p_session_id IS NOT NULL THEN
+        INSERT INTO quiz_answers (quiz_session_id, question_id, user_answer, is_correct, timed_out, points_earned, time_taken, lifelines_used, confidence, difficulty)
+        VALUES (
+            p_session_id,
+            p_question_id,
+            CASE WHEN p_timed_out THEN '' ELSE COALESCE(p_answer, '') END,
+            answer_correct,
+            COALESCE(p_timed_out, false),
+            (scoring->>'final_points')::INTEGER,
+            seconds_taken,
+            lifelines,
+            rating,
+            question_record.difficulty
+        );
+        
+        -- Totals are recomputed from quiz_answers by sync_quiz_session_totals
+        UPDATE quiz_sessions SET questions_answered = questions_answered + 1 WHERE id = p_session_id;
+        
+        -- Every answer is a rated match against the question, unless 50/50 helped
+        -- (mirrors APP_CONFIG.ratings.unratedLifelines)
+        IF NOT lifelines ? 'fifty_fifty' THEN
+            player_rating := rate_answer(session_record.user_id, question_record, answer_correct);
+        END IF;
+    END IF;
+    
+    RETURN jsonb_build_object(
+        'is_correct', answer_correct,
+        'correct_answer', CASE WHEN p_session_id IS NOT NULL THEN question_record.correct_answer END,
+        'accepted_answers', CASE WHEN p_session_id IS NOT NULL THEN COALESCE(question_record.accepted_answers, '[]'::jsonb) ELSE '[]'::jsonb END,
+        'explanation', CASE WHEN p_session_id IS NOT NULL THEN question_record.explanation END,
+        'points_earned', scoring->'final_points',
+        'base_points', scoring->'base_points',
+        'bonuses', scoring->'bonuses',
+        'penalties', scoring->'penalties',
+        'consecutive_correct', streak,
+        'time_taken', seconds_taken,
+        'lifelines_used', lifelines,
+        'confidence', rating,
+        'player_rating', player_rating
+    );
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function to use a lifeline on the current question of a quiz session
+-- Checks the session allowance and records the use, so submit_quiz_answer can
+-- charge it. For 50/50 it returns the wrong options to remove; they are picked
+-- deterministically per session, so asking twice reveals nothing more.
+-- Without a session (guest play) nothing is recorded.
+CREATE OR REPLACE FUNCTION use_lifeline(
+    p_session_id UUID,
+    p_question_id UUID,
+    p_lifeline VARCHAR
+)
+RETURNS JSONB AS $$
+DECLARE
+    session_record quiz_sessions%ROWTYPE;
+    question_record questions%ROWTYPE;
+    allowance INTEGER;
+    removed_options JSONB := '[]'::jsonb;
+BEGIN
+    IF p_lifeline NOT IN ('fifty_fifty', 'skip', 'extra_time') THEN
+        RAISE EXCEPTION 'Unknown lifeline';
+    END IF;
+    
+    SELECT * INTO question_record FROM questions WHERE id = p_question_id AND is_active = true;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Question not found';
+    END IF;
+    
+    IF p_lifeline = 'fifty_fifty' THEN
+        IF question_record.question_type <> 'multiple_choice' OR jsonb_array_length(COALESCE(question_record.options, '[]'::jsonb)) < 3 THEN
+            RAISE EXCEPTION '50/50 needs a multiple choice question';
+        END IF;
+        
+        -- Keep the answer and one wrong option
+        SELECT COALESCE(jsonb_agg(wrong.option), '[]'::jsonb) INTO removed_options
+        FROM (
+            SELECT option
+            FROM jsonb_array_elements_text(question_record.options) AS option
+            WHERE option <> question_record.correct_answer
+            ORDER BY md5(COALESCE(p_session_id::TEXT, '') || p_question_id::TEXT || option)
+            OFFSET 1
+            LIMIT 2
+        ) AS wrong;
+    END IF;
+    
+    IF p_session_id IS NOT NULL THEN
+        SELECT * INTO session_record FROM quiz_sessions WHERE id = p_session_id FOR UPDATE;
+        IF NOT FOUND OR session_record.user_id IS DISTINCT FROM auth.uid() THEN
+            RAISE EXCEPTION 'Quiz session not found';
+        END IF;
+        
+        IF session_record.status <> 'active' THEN
+            RAISE EXCEPTION 'Quiz session is not active';
+        END IF;
+        
+        -- Sessions past the abandon cutoff (APP_CONFIG.quiz.abandonAfterMinutes) are over,
+        -- whether or not abandon_stale_quiz_sessions() has marked them yet
+        IF session_record.started_at <= NOW() - INTERVAL '60 minutes' THEN
+            RAISE EXCEPTION 'Quiz session has expired';
+        END IF;
+        
+        IF EXISTS (SELECT 1 FROM quiz_answers WHERE quiz_session_id = p_session_id AND question_id = p_question_id) THEN
+            RAISE EXCEPTION 'Question already answered';
+        END IF;
+        
+        -- Using the same lifeline on the same question again (e.g. after a reload) is free
+        IF NOT EXISTS (
+            SELECT 1 FROM quiz_lifeline_uses
+            WHERE quiz_session_id = p_session_id AND question_id = p_question_id AND lifeline = p_lifeline
+        ) THEN
+            allowance := COALESCE((session_record.lifeline_allowance->>p_lifeline)::INTEGER, 0);
+            IF (SELECT COUNT(*) FROM quiz_lifeline_uses
+                WHERE quiz_session_id = p_session_id AND lifeline = p_lifeline) >= allowance THEN
+                RAISE EXCEPTION 'No lifelines of this kind left';
+            END IF;
+            
+            INSERT INTO quiz_lifeline_uses (quiz_session_id, question_id, lifeline)
+            VALUES (p_session_id, p_question_id, p_lifeline);
+        END IF;
+    END IF;
+    
+    RETURN jsonb_build_object(
+        'lifeline', p_lifeline,
+        'removed_options', removed_options
+    );
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function to keep quiz session totals in line with the recorded answers
+CREATE OR REPLACE FUNCTION sync_quiz_session_totals()
+RETURNS TRIGGER AS $$
+DECLARE
+    answer_count INTEGER;
+    correct_count INTEGER;
+    answer_points INTEGER;
+    last_answered_at TIMESTAMP;
+BEGIN
+    -- Finished sessions are final
+    IF OLD.status <> 'active' THEN
+        RETURN OLD;
+    END IF;
+    
+    -- Fields the score depends on cannot be changed by the client
+    NEW.user_id := OLD.user_id;
+    NEW.category := OLD.category;
+    NEW.difficulty := OLD.difficulty;
+    NEW.total_questions := OLD.total_questions;
+    NEW.time_limit := OLD.time_limit;
+    NEW.timing_mode := OLD.timing_mode;
+    NEW.started_at := OLD.started_at;
+    NEW.lifeline_allowance := OLD.lifeline_allowance;
+    NEW.game_mode := OLD.game_mode;
+    NEW.challenge_id := OLD.challenge_id;
+    NEW.daily_date := OLD.daily_date;
+    NEW.seed := OLD.seed;
+    NEW.scoring_version := OLD.scoring_version;
+    NEW.confidence_mode := OLD.confidence_mode;
+    NEW.definition_id := OLD.definition_id;
+    
+    SELECT COUNT(*), COUNT(*) FILTER (WHERE is_correct), COALESCE(SUM(points_earned), 0), MAX(answered_at)
+    INTO answer_count, correct_count, answer_points, last_answered_at
+    FROM quiz_answers
+    WHERE quiz_session_id = NEW.id;
+    
+    NEW.questions_answered := answer_count;
+    NEW.correct_answers := correct_count;
+    NEW.total_points := answer_points;
+    
+    IF NEW.status = 'completed' THEN
+        -- The reported time cannot be shorter than the server saw, allowing for
+        -- the feedback delay after each question
+        NEW.time_spent := GREATEST(
+            COALESCE(NEW.time_spent, 0),
+            EXTRACT(EPOCH FROM (COALESCE(last_answered_at, NOW()) - NEW.started_at))::INTEGER - (2 * answer_count + 5)
+        );
+        NEW.total_points := GREATEST(0, answer_points + CASE
+            WHEN NEW.game_mode = 'standard' THEN calculate_completion_bonus(
+                answer_count, correct_count, NEW.time_spent, NEW.time_limit, NEW.category,
+                scoring_rules(NEW.scoring_version)
+            )
+            ELSE calculate_endless_bonus(NEW.game_mode, answer_count, correct_count)
+        END);
+    END IF;
+    
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Create trigger for keeping quiz session totals honest
+CREATE TRIGGER sync_quiz_session_totals_trigger
+    BEFORE UPDATE ON quiz_sessions
+    FOR EACH ROW
+    EXECUTE FUNCTION sync_quiz_session_totals();
+
+-- Create function to only accept quiz results that match the recorded session
+CREATE OR REPLACE FUNCTION validate_quiz_result()
+RETURNS TRIGGER AS $$
+DECLARE
+    session_record quiz_sessions%ROWTYPE;
+BEGIN
+    SELECT * INTO session_record FROM quiz_sessions WHERE id = NEW.quiz_session_id;
+    IF NOT FOUND OR session_record.user_id <> NEW.user_id THEN
+        RAISE EXCEPTION 'Quiz result does not belong to a quiz session of this user';
+    END IF;
+    
+    IF session_record.status <> 'completed' THEN
+        RAISE EXCEPTION 'Quiz session is not completed';
+    END IF;
+    
+    IF session_record.game_mode <> 'standard' THEN
+        RAISE EXCEPTION 'Endless runs are ranked on their own leaderboards';
+    END IF;
+    
+    IF EXISTS (SELECT 1 FROM quiz_results WHERE quiz_session_id = NEW.quiz_session_id) THEN
+        RAISE EXCEPTION 'Quiz result already recorded for this session';
+    END IF;
+    
+    IF NEW.questions_answered <> session_record.questions_answered
+        OR NEW.correct_answers <> session_record.correct_answers
+        OR NEW.total_points <> session_record.total_points THEN
+        RAISE EXCEPTION 'Quiz result does not match the recorded answers';
+    END IF;
+    
+    -- Derived fields always come from the session
+    NEW.category := session_record.category;
+    NEW.difficulty := session_record.difficulty;
+    NEW.timing_mode := session_record.timing_mode;
+    NEW.time_spent := session_record.time_spent;
+    NEW.accuracy := CASE
+        WHEN session_record.questions_answered > 0
+        THEN ROUND(session_record.correct_answers * 100.0 / session_record.questions_answered, 1)
+        ELSE 0
+    END;
+    NEW.difficulty_path := (
+        SELECT COALESCE(jsonb_agg(jsonb_build_object(
+            'difficulty', q.difficulty,
+            'isCorrect', qa.is_correct
+        ) ORDER BY qa.answered_at), '[]'::jsonb)
+        FROM quiz_answers qa
+        JOIN questions q ON q.id = qa.question_id
+        WHERE qa.quiz_session_id = NEW.quiz_session_id
+    );
+    
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Create trigger for validating quiz results
+CREATE TRIGGER validate_quiz_result_trigger
+    BEFORE INSERT ON quiz_results
+    FOR EACH ROW
+    EXECUTE FUNCTION validate_quiz_result();
+
+-- Create function to stop clients editing their own profile statistics or role
+-- Stats are only written by update_user_stats and check_achievements; roles are
+-- granted from the SQL editor.
+CREATE OR REPLACE FUNCTION protect_profile_stats()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF pg_trigger_depth() = 1 AND current_user IN ('anon', 'authenticated') THEN
+        NEW.total_points := OLD.total_points;
+        NEW.quizzes_completed := OLD.quizzes_completed;
+        NEW.average_score := OLD.average_score;
+        NEW.best_score := OLD.best_score;
+        NEW.streak_count := OLD.streak_count;
+        NEW.last_daily_date := OLD.last_daily_date;
+        NEW.role := OLD.role;
+    END IF;
+    
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Create trigger for protecting profile statistics
+CREATE TRIGGER protect_profile_stats_trigger
+    BEFORE UPDATE ON profiles
+    FOR EACH ROW
+    EXECUTE FUNCTION protect_profile_stats();
+
+-- Create function to rate recall quality on the SM-2 0-5 scale (mirrors ReviewScheduler.getReviewQuality)
+CREATE OR REPLACE FUNCTION review_quality(answer_correct BOOLEAN, timed_out BOOLEAN, time_spent INTEGER, difficulty VARCHAR)
+RETURNS INTEGER AS $$
+DECLARE
+    speed_threshold INTEGER;
+BEGIN
+    IF timed_out THEN
+        RETURN 0;
+    END IF;
+    
+    IF NOT answer_correct THEN
+        RETURN 1;
+    END IF;
+    
+    speed_threshold := CASE difficulty WHEN 'easy' THEN 10 WHEN 'hard' THEN 20 ELSE 15 END;
+    
+    IF time_spent <= speed_threshold THEN
+        RETURN 5;
+    ELSIF time_spent <= speed_threshold * 2 THEN
+        RETURN 4;
+    END IF;
+    
+    RETURN 3;
+END;
+$$ language 'plpgsql' IMMUTABLE;
+
+-- Create function to put missed questions on the review schedule
+CREATE OR REPLACE FUNCTION schedule_missed_question()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NOT NEW.is_correct AND NEW.question_id IS NOT NULL THEN
+        INSERT INTO review_schedule (user_id, question_id)
+        SELECT user_id, NEW.question_id
+        FROM quiz_sessions
+        WHERE id = NEW.quiz_session_id
+        ON CONFLICT (user_id, question_id) DO UPDATE SET
+            repetitions = 0,
+            interval_days = 0,
+            due_date = LEAST(review_schedule.due_date, CURRENT_DATE);
+    END IF;
+    
+    RETURN NEW;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create trigger for scheduling missed questions
+CREATE TRIGGER schedule_missed_question_trigger
+    AFTER INSERT ON quiz_answers
+    FOR EACH ROW
+    EXECUTE FUNCTION schedule_missed_question();
+
+-- Create function to serve the current user's due review questions without their answers
+CREATE OR REPLACE FUNCTION get_due_review_questions(p_count INTEGER DEFAULT 10)
+RETURNS TABLE (
+    id UUID,
+    question_text TEXT,
+    question_type VARCHAR,
+    category VARCHAR,
+    difficulty VARCHAR,
+    options JSONB,
+    points_value INTEGER,
+    media JSONB
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT q.id, q.question_text, q.question_type, q.category, q.difficulty, q.options, q.points_value, q.media
+    FROM review_schedule rs
+    JOIN questions q ON q.id = rs.question_id
+    WHERE rs.user_id = auth.uid()
+    AND rs.due_date <= CURRENT_DATE
+    AND q.is_active = true
+    ORDER BY rs.due_date, random()
+    LIMIT LEAST(GREATEST(p_count, 1), 50);
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function to grade a review answer and reschedule the question (SM-2)
+-- Mirrors ReviewScheduler.calculateNextReview. Nothing is written to quiz sessions,
+-- so reviews never affect the leaderboard. Grading is refused while a ranked quiz
+-- is in progress, since missed questions come back in ranked quizzes.
+CREATE OR REPLACE FUNCTION submit_review_answer(
+    p_question_id UUID,
+    p_answer TEXT,
+    p_time_taken INTEGER DEFAULT 0,
+    p_timed_out BOOLEAN DEFAULT false,
+    p_consecutive_correct INTEGER DEFAULT 0
+)
+RETURNS JSONB AS $$
+DECLARE
+    schedule_record review_schedule%ROWTYPE;
+    question_record questions%ROWTYPE;
+    answer_correct BOOLEAN;
+    quality INTEGER;
+    new_repetitions INTEGER;
+    new_interval INTEGER;
+    new_lapses INTEGER;
+    new_ease_factor DECIMAL(4,2);
+    scoring JSONB;
+BEGIN
+    -- Sessions past the abandon cutoff (APP_CONFIG.quiz.abandonAfterMinutes) don't count
+    IF EXISTS (
+        SELECT 1 FROM quiz_sessions
+        WHERE user_id = auth.uid()
+        AND status = 'active'
+        AND started_at > NOW() - INTERVAL '60 minutes'
+    ) THEN
+        RAISE EXCEPTION 'Finish or quit the quiz in progress before reviewing';
+    END IF;
+    
+    SELECT * INTO schedule_record
+    FROM review_schedule
+    WHERE user_id = auth.uid() AND question_id = p_question_id
+    FOR UPDATE;
+    
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Question is not scheduled for review';
+    END IF;
+    
+    SELECT * INTO question_record FROM questions WHERE id = p_question_id;
+    
+    answer_correct := NOT COALESCE(p_timed_out, false) AND is_answer_correct(question_record, p_answer);
+    quality := review_quality(answer_correct, COALESCE(p_timed_out, false), GREATEST(COALESCE(p_time_taken, 0), 0), question_record.difficulty);
+    
+    new_lapses := schedule_record.lapses;
+    IF quality < 3 THEN
+        -- Forgotten: start the question over
+        new_repetitions := 0;
+        new_interval := 1;
+        new_lapses := new_lapses + 1;
+    ELSE
+        new_repetitions := schedule_record.repetitions + 1;
+        new_interval := CASE
+            WHEN new_repetitions = 1 THEN 1
+            WHEN new_repetitions = 2 THEN 6
+            ELSE ROUND(schedule_record.interval_days * schedule_record.ease_factor)
+        END;
+    END IF;
+    
+    new_ease_factor := GREATEST(1.3, schedule_record.ease_factor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+    
+    UPDATE review_schedule SET
+        repetitions = new_repetitions,
+        interval_days = new_interval,
+        lapses = new_lapses,
+        ease_factor = new_ease_factor,
+        due_date = CURRENT_DATE + new_interval,
+        last_reviewed_at = NOW()
+    WHERE id = schedule_record.id;
+    
+    -- Points are shown for feedback only and never recorded
+    scoring := calculate_answer_points(
+        COALESCE(NULLIF(question_record.points_value, 0),
+            CASE question_record.difficulty WHEN 'easy' THEN 10 WHEN 'hard' THEN 30 ELSE 20 END),
+        question_record.difficulty,
+        answer_correct,
+        GREATEST(COALESCE(p_time_taken, 0), 0),
+        GREATEST(COALESCE(p_consecutive_correct, 0), 0)
+    );
+    
+    RETURN jsonb_build_object(
+        'is_correct', answer_correct,
+        'correct_answer', question_record.correct_answer,
+        'accepted_answers', COALESCE(question_record.accepted_answers, '[]'::jsonb),
+        'explanation', question_record.explanation,
+        'points_earned', scoring->'final_points',
+        'base_points', scoring->'base_points',
+        'bonuses', scoring->'bonuses',
+        'penalties', scoring->'penalties',
+        'quality', quality,
+        'interval_days', new_interval,
+        'next_due_date', CURRENT_DATE + new_interval
+    );
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function to grade a practice answer and record the attempt
+-- Nothing is written to quiz sessions, so practice never affects profile totals,
+-- the leaderboard or achievements. Retries are allowed, so the answer is only
+-- revealed once it is right or on the last attempt. Attempts are counted here from
+-- practice_attempts: the misses at the question since it was last answered right,
+-- plus this one. Grading is refused while a ranked quiz is in progress so practice
+-- can't check its answers.
+CREATE OR REPLACE FUNCTION submit_practice_answer(
+    p_question_id UUID,
+    p_answer TEXT,
+    p_time_taken INTEGER DEFAULT 0,
+    p_timed_out BOOLEAN DEFAULT false,
+    p_consecutive_correct INTEGER DEFAULT 0
+)
+RETURNS JSONB AS $$
+DECLARE
+    question_record questions%ROWTYPE;
+    answer_correct BOOLEAN;
+    attempt INTEGER;
+    revealed BOOLEAN;
+    scoring JSONB;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Sign in to practise';
+    END IF;
+    
+    -- Sessions past the abandon cutoff (APP_CONFIG.quiz.abandonAfterMinutes) don't count
+    IF EXISTS (
+        SELECT 1 FROM quiz_sessions
+        WHERE user_id = auth.uid()
+        AND status = 'active'
+        AND started_at > NOW() - INTERVAL '60 minutes'
+    ) THEN
+        RAISE EXCEPTION 'Finish or quit the quiz in progress before practising';
+    END IF;
+    
+    SELECT * INTO question_record FROM questions WHERE id = p_question_id AND is_active = true;
+    
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Question not found';
+    END IF;
+    
+    SELECT COUNT(*) + 1 INTO attempt
+    FROM practice_attempts pa
+    WHERE pa.user_id = auth.uid()
+    AND pa.question_id = p_question_id
+    AND pa.attempted_at > COALESCE((
+        SELECT MAX(c.attempted_at) FROM practice_attempts c
+        WHERE c.user_id = auth.uid() AND c.question_id = p_question_id AND c.is_correct
+    ), '-infinity');
+    
+    answer_correct := NOT COALESCE(p_timed_out, false) AND is_answer_correct(question_record, p_answer);
+    -- Shown on the third try (mirrors APP_CONFIG.quiz.practice.maxAttempts)
+    revealed := answer_correct OR attempt >= 3;
+    
+    INSERT INTO practice_attempts (user_id, question_id, category, difficulty, attempt_number, is_correct, time_taken)
+    VALUES (
+        auth.uid(),
+        p_question_id,
+        question_record.category,
+        question_record.difficulty,
+        attempt,
+        answer_correct,
+        GREATEST(COALESCE(p_time_taken, 0), 0)
+    );
+    
+    -- Points are shown for feedback only and never recorded; retries earn none
+    IF attempt = 1 THEN
+        scoring := calculate_answer_points(
+            COALESCE(NULLIF(question_record.points_value, 0),
+                CASE question_record.difficulty WHEN 'easy' THEN 10 WHEN 'hard' THEN 30 ELSE 20 END),
+            question_record.difficulty,
+            answer_correct,
+            GREATEST(COALESCE(p_time_taken, 0), 0),
+            GREATEST(COALESCE(p_consecutive_correct, 0), 0)
+        );
+    ELSE
+        scoring := jsonb_build_object('final_points', 0, 'base_points', 0, 'bonuses', '[]'::jsonb, 'penalties', '[]'::jsonb);
+    END IF;
+    
+    RETURN jsonb_build_object(
+        'is_correct', answer_correct,
+        'attempt_number', attempt,
+        'correct_answer', CASE WHEN revealed THEN question_record.correct_answer END,
+        'accepted_answers', CASE WHEN revealed THEN COALESCE(question_record.accepted_answers, '[]'::jsonb) ELSE '[]'::jsonb END,
+        'explanation', CASE WHEN revealed THEN question_record.explanation END,
+        'points_earned', scoring->'final_points',
+        'base_points', scoring->'base_points',
+        'bonuses', scoring->'bonuses',
+        'penalties', scoring->'penalties'
+    );
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function to summarize the current user's practice attempts by category (mirrors PracticeTracker.summarizeLocalAttempts)
+CREATE OR REPLACE FUNCTION get_practice_stats()
+RETURNS TABLE (
+    category VARCHAR,
+    attempts INTEGER,
+    questions INTEGER,
+    first_try_correct INTEGER,
+    mastered INTEGER
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        pa.category,
+        COUNT(*)::INTEGER,
+        COUNT(*) FILTER (WHERE pa.attempt_number = 1)::INTEGER,
+        COUNT(*) FILTER (WHERE pa.attempt_number = 1 AND pa.is_correct)::INTEGER,
+        COUNT(DISTINCT pa.question_id) FILTER (WHERE pa.is_correct)::INTEGER
+    FROM practice_attempts pa
+    WHERE pa.user_id = auth.uid()
+    GROUP BY pa.category
+    ORDER BY pa.category;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function to summarize the current user's confidence-rated answers by category and rating
+-- (mirrors CalibrationTracker.summarizeLocalAnswers)
+CREATE OR REPLACE FUNCTION get_confidence_calibration()
+RETURNS TABLE (
+    category VARCHAR,
+    confidence VARCHAR,
+    answers INTEGER,
+    correct INTEGER
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        q.category,
+        qa.confidence,
+        COUNT(*)::INTEGER,
+        COUNT(*) FILTER (WHERE qa.is_correct)::INTEGER
+    FROM quiz_answers qa
+    JOIN quiz_sessions qs ON qs.id = qa.quiz_session_id
+    JOIN questions q ON q.id = qa.question_id
+    WHERE qs.user_id = auth.uid()
+    AND qa.confidence IS NOT NULL
+    GROUP BY q.category, qa.confidence
+    ORDER BY q.category, qa.confidence;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function to keep category question counts in line with active questions
+CREATE OR REPLACE FUNCTION refresh_category_question_count()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE categories SET question_count = (
+        SELECT COUNT(*)
+        FROM questions
+        WHERE questions.category = categories.name
+        AND questions.is_active = true
+    )
+    WHERE categories.name IN (
+        CASE WHEN TG_OP <> 'INSERT' THEN OLD.category END,
+        CASE WHEN TG_OP <> 'DELETE' THEN NEW.category END
+    );
+    
+    RETURN NULL;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create trigger for category question counts
+CREATE TRIGGER refresh_category_question_count_trigger
+    AFTER INSERT OR DELETE OR UPDATE OF is_active, category ON questions
+    FOR EACH ROW
+    EXECUTE FUNCTION refresh_category_question_count();
+
+-- Create function to import question bank rows (used by QuestionBankManager)
+-- Rows are checked again here, and each gets its own result so one bad row
+-- doesn't stop the rest of the file. Editors publish straight away; anyone
+-- else's rows go to the review queue.
+CREATE OR REPLACE FUNCTION import_questions(p_questions JSONB)
+RETURNS TABLE (
+    row_index INTEGER,
+    question_id UUID,
+    question_status VARCHAR,
+    error_message TEXT
+) AS $$
+DECLARE
+    item JSONB;
+    publish BOOLEAN := is_editor();
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Sign in to import questions';
+    END IF;
+    
+    FOR item IN SELECT value FROM jsonb_array_elements(p_questions)
+    LOOP
+        row_index := (item->>'row_index')::INTEGER;
+        question_id := NULL;
+        question_status := NULL;
+        error_message := NULL;
+        
+        IF NOT EXISTS (SELECT 1 FROM categories c WHERE c.name = item->>'category' AND c.is_active = true) THEN
+            error_message := format('Unknown category "%s"', item->>'category');
+        ELSIF EXISTS (
+            SELECT 1 FROM questions q
+            WHERE normalize_answer(q.question_text) = normalize_answer(item->>'question_text')
+        ) THEN
+            error_message := 'Question already exists in the question bank';
+        ELSIF item->>'question_type' = 'multiple_choice'
+            AND NOT (COALESCE(item->'options', '[]'::jsonb) ? (item->>'correct_answer')) THEN
+            error_message := 'Correct answer must be one of the options';
+        ELSE
+            BEGIN
+                INSERT INTO questions (question_text, question_type, category, difficulty, correct_answer,
+                    options, accepted_answers, explanation, points_value, media, created_by, status, is_active)
+                VALUES (
+                    item->>'question_text',
+                    COALESCE(item->>'question_type', 'multiple_choice'),
+                    item->>'category',
+                    COALESCE(item->>'difficulty', 'medium'),
+                    item->>'correct_answer',
+                    CASE WHEN jsonb_typeof(item->'options') = 'array' THEN item->'options' END,
+                    CASE WHEN jsonb_typeof(item->'accepted_answers') = 'array' THEN item->'accepted_answers' ELSE '[]'::jsonb END,
+                    NULLIF(item->>'explanation', ''),
+                    COALESCE((item->>'points_value')::INTEGER, 10),
+                    CASE WHEN jsonb_typeof(item->'media') = 'object' THEN item->'media' END,
+                    auth.uid(),
+                    CASE WHEN publish THEN 'approved' ELSE 'pending' END,
+                    publish
+                )
+                RETURNING id, status INTO question_id, question_status;
+            EXCEPTION WHEN others THEN
+                error_message := SQLERRM;
+            END;
+        END IF;
+        
+        RETURN NEXT;
+    END LOOP;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function to export questions with their answers for offline editing
+-- Answers are hidden from direct table reads, so only editors get the whole bank;
+-- anyone else gets the questions they submitted.
+CREATE OR REPLACE FUNCTION export_questions(p_category VARCHAR DEFAULT 'all')
+RETURNS TABLE (
+    question_text TEXT,
+    question_type VARCHAR,
+    category VARCHAR,
+    difficulty VARCHAR,
+    correct_answer TEXT,
+    options JSONB,
+    accepted_answers JSONB,
+    explanation TEXT,
+    points_value INTEGER,
+    media JSONB
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT q.question_text, q.question_type, q.category, q.difficulty, q.correct_answer,
+        q.options, q.accepted_answers, q.explanation, q.points_value, q.media
+    FROM questions q
+    WHERE (q.created_by = auth.uid() OR is_editor())
+    AND (p_category IS NULL OR p_category = 'all' OR q.category = p_category)
+    ORDER BY q.category, q.difficulty, q.created_at;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function to list questions with their answers for the admin page
+-- p_status is 'all', 'active', 'inactive' (approved but switched off) or a review status.
+CREATE OR REPLACE FUNCTION get_editor_questions(
+    p_status VARCHAR DEFAULT 'all',
+    p_category VARCHAR DEFAULT 'all',
+    p_search TEXT DEFAULT NULL,
+    p_limit INTEGER DEFAULT 100
+)
+RETURNS TABLE (
+    id UUID,
+    question_text TEXT,
+    question_type VARCHAR,
+    category VARCHAR,
+    difficulty VARCHAR,
+    correct_answer TEXT,
+    options JSONB,
+    accepted_answers JSONB,
+    explanation TEXT,
+    points_value INTEGER,
+    media JSONB,
+    is_active BOOLEAN,
+    status VARCHAR,
+    review_notes TEXT,
+    created_by_username VARCHAR,
+    created_at TIMESTAMP
+) AS $$
+BEGIN
+    IF NOT is_editor() THEN
+        RAISE EXCEPTION 'Only editors can manage questions';
+    END IF;
+    
+    RETURN QUERY
+    SELECT q.id, q.question_text, q.question_type, q.category, q.difficulty, q.correct_answer,
+        q.options, q.accepted_answers, q.explanation, q.points_value, q.media, q.is_active, q.status,
+        q.review_notes, p.username, q.created_at
+    FROM questions q
+    LEFT JOIN profiles p ON p.id = q.created_by
+    WHERE (p_category IS NULL OR p_category = 'all' OR q.category = p_category)
+    AND (
+        p_status IS NULL OR p_status = 'all'
+        OR (p_status = 'active' AND q.is_active = true)
+        OR (p_status = 'inactive' AND q.is_active = false AND q.status = 'approved')
+        OR (p_status = 'flagged' AND jsonb_array_length(COALESCE(q.quality_flags, '[]'::jsonb)) > 0)
+        OR q.status = p_status
+    )
+    AND (p_search IS NULL OR p_search = '' OR q.question_text ILIKE '%' || p_search || '%')
+    ORDER BY q.created_at DESC
+    LIMIT LEAST(GREATEST(p_limit, 1), 500);
+END;
+$$ language 'plpgsql' STABLE SECURITY DEFINER;
+
+-- Create function to summarize the recorded answers to each question
+-- answer_counts maps each submitted answer to how often it was picked (timeouts excluded).
+CREATE OR REPLACE FUNCTION question_answer_stats(p_question_ids UUID[] DEFAULT NULL)
+RETURNS TABLE (
+    question_id UUID,
+    responses INTEGER,
+    correct_responses INTEGER,
+    timed_out_responses INTEGER,
+    p_value NUMERIC,
+    avg_time_taken NUMERIC,
+    answer_counts JSONB
+) AS $$
+BEGIN
+    RETURN QUERY
+    WITH answers AS (
+        SELECT qa.question_id, qa.user_answer, qa.is_correct, COALESCE(qa.timed_out, false) AS timed_out, qa.time_taken
+        FROM quiz_answers qa
+        WHERE qa.question_id IS NOT NULL
+        AND (p_question_ids IS NULL OR qa.question_id = ANY(p_question_ids))
+    ),
+    picks AS (
+        SELECT grouped.question_id, jsonb_object_agg(grouped.user_answer, grouped.pick_count) AS counts
+        FROM (
+            SELECT answers.question_id, answers.user_answer, COUNT(*) AS pick_count
+            FROM answers
+            WHERE answers.timed_out = false
+            GROUP BY answers.question_id, answers.user_answer
+        ) grouped
+        GROUP BY grouped.question_id
+    )
+    SELECT
+        answers.question_id,
+        COUNT(*)::INTEGER,
+        (COUNT(*) FILTER (WHERE answers.is_correct))::INTEGER,
+        (COUNT(*) FILTER (WHERE answers.timed_out))::INTEGER,
+        ROUND((COUNT(*) FILTER (WHERE answers.is_correct))::NUMERIC / COUNT(*), 3),
+        ROUND(AVG(answers.time_taken), 1),
+        COALESCE(picks.counts, '{}'::jsonb)
+    FROM answers
+    LEFT JOIN picks ON picks.question_id = answers.question_id
+    GROUP BY answers.question_id, picks.counts;
+END;
+$$ language 'plpgsql' STABLE;
+
+-- Create function to map observed accuracy (p-value) onto a difficulty level
+CREATE OR REPLACE FUNCTION difficulty_for_p_value(p_value NUMERIC)
+RETURNS VARCHAR AS $$
+BEGIN
+    RETURN CASE
+        WHEN p_value >= 0.75 THEN 'easy'
+        WHEN p_value >= 0.45 THEN 'medium'
+        ELSE 'hard'
+    END;
+END;
+$$ language 'plpgsql' IMMUTABLE;
+
+-- Create function to map a question rating onto a difficulty level (mirrors RatingManager.getDifficultyForRating)
+CREATE OR REPLACE FUNCTION difficulty_for_rating(rating NUMERIC)
+RETURNS VARCHAR AS $$
+BEGIN
+    RETURN CASE
+        WHEN rating < 1400 THEN 'easy'
+        WHEN rating >= 1600 THEN 'hard'
+        ELSE 'medium'
+    END;
+END;
+$$ language 'plpgsql' IMMUTABLE;
+
+-- Create function to relabel questions whose rating has settled in another difficulty band
+-- Questions need p_min_answers rated answers first (mirrors APP_CONFIG.ratings.calibrationMinAnswers).
+-- Only update_user_stats calls this, so players can't relabel questions early.
+CREATE OR REPLACE FUNCTION calibrate_question_difficulty(p_question_ids UUID[] DEFAULT NULL, p_min_answers INTEGER DEFAULT 30)
+RETURNS INTEGER AS $$
+DECLARE
+    updated_count INTEGER;
+BEGIN
+    UPDATE questions q SET difficulty = difficulty_for_rating(r.rating)
+    FROM question_ratings r
+    WHERE r.question_id = q.id
+    AND (p_question_ids IS NULL OR q.id = ANY(p_question_ids))
+    AND r.matches >= p_min_answers
+    AND q.difficulty IS DISTINCT FROM difficulty_for_rating(r.rating);
+    
+    GET DIAGNOSTICS updated_count = ROW_COUNT;
+    RETURN updated_count;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function to flag questions whose answers suggest a problem
+-- distractor_beats_answer: a wrong option is picked more often than the right one
+-- easier_than_labeled / harder_than_labeled: accuracy is well outside the labeled difficulty
+-- Questions need 20 answers before they are judged (mirrors APP_CONFIG.questionAnalytics.minResponses).
+-- Clients can't run it (see the grants at the end); editors use recheck_question_flags.
+CREATE OR REPLACE FUNCTION flag_questions(p_question_ids UUID[] DEFAULT NULL)
+RETURNS INTEGER AS $$
+DECLARE
+    updated_count INTEGER;
+BEGIN
+    UPDATE questions q SET quality_flags = (
+        SELECT COALESCE(jsonb_agg(flags.flag), '[]'::jsonb)
+        FROM (
+            SELECT 'distractor_beats_answer' AS flag
+            WHERE q.question_type <> 'fill_blank' AND EXISTS (
+                SELECT 1 FROM jsonb_each_text(s.answer_counts) pick
+                WHERE pick.key <> q.correct_answer
+                AND pick.value::INTEGER > s.correct_responses
+            )
+            UNION ALL
+            SELECT 'easier_than_labeled'
+            WHERE (q.difficulty = 'medium' AND s.p_value > 0.9)
+                OR (q.difficulty = 'hard' AND s.p_value > 0.6)
+            UNION ALL
+            SELECT 'harder_than_labeled'
+            WHERE (q.difficulty = 'easy' AND s.p_value < 0.6)
+                OR (q.difficulty = 'medium' AND s.p_value < 0.3)
+        ) flags
+    )
+    FROM question_answer_stats(p_question_ids) s
+    WHERE q.id = s.question_id
+    AND s.responses >= 20;
+    
+    GET DIAGNOSTICS updated_count = ROW_COUNT;
+    RETURN updated_count;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function for editors to re-run the quality checks, on the given questions or all of them
+CREATE OR REPLACE FUNCTION recheck_question_flags(p_question_ids UUID[] DEFAULT NULL)
+RETURNS INTEGER AS $$
+BEGIN
+    IF NOT is_editor() THEN
+        RAISE EXCEPTION 'Only editors can re-check questions';
+    END IF;
+    
+    RETURN flag_questions(p_question_ids);
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function to list per-question analytics for editors
+CREATE OR REPLACE FUNCTION get_question_analytics(
+    p_category VARCHAR DEFAULT 'all',
+    p_flagged_only BOOLEAN DEFAULT false,
+    p_min_responses INTEGER DEFAULT 20,
+    p_limit INTEGER DEFAULT 100
+)
+RETURNS TABLE (
+    id UUID,
+    question_text TEXT,
+    question_type VARCHAR,
+    category VARCHAR,
+    difficulty VARCHAR,
+    correct_answer TEXT,
+    options JSONB,
+    is_active BOOLEAN,
+    quality_flags JSONB,
+    responses INTEGER,
+    correct_responses INTEGER,
+    timed_out_responses INTEGER,
+    p_value NUMERIC,
+    avg_time_taken NUMERIC,
+    answer_counts JSONB,
+    suggested_difficulty VARCHAR
+) AS $$
+BEGIN
+    IF NOT is_editor() THEN
+        RAISE EXCEPTION 'Only editors can view question analytics';
+    END IF;
+    
+    RETURN QUERY
+    SELECT q.id, q.question_text, q.question_type, q.category, q.difficulty, q.correct_answer,
+        q.options, q.is_active, COALESCE(q.quality_flags, '[]'::jsonb),
+        COALESCE(s.responses, 0), COALESCE(s.correct_responses, 0), COALESCE(s.timed_out_responses, 0),
+        s.p_value, s.avg_time_taken, COALESCE(s.answer_counts, '{}'::jsonb),
+        CASE WHEN s.responses >= p_min_responses THEN difficulty_for_p_value(s.p_value) END
+    FROM questions q
+    LEFT JOIN question_answer_stats() s ON s.question_id = q.id
+    WHERE q.status = 'approved'
+    AND (p_category IS NULL OR p_category = 'all' OR q.category = p_category)
+    AND (NOT p_flagged_only OR jsonb_array_length(COALESCE(q.quality_flags, '[]'::jsonb)) > 0)
+    ORDER BY jsonb_array_length(COALESCE(q.quality_flags, '[]'::jsonb)) DESC, COALESCE(s.responses, 0) DESC
+    LIMIT LEAST(GREATEST(p_limit, 1), 500);
+END;
+$$ language 'plpgsql' STABLE SECURITY DEFINER;
+
+-- Create function to open a live room with a fresh join code and seed
+-- Codes use APP_CONFIG.multiplayer.codeAlphabet, which leaves out look-alike characters
+CREATE OR REPLACE FUNCTION create_room(
+    p_category VARCHAR DEFAULT 'all',
+    p_difficulty VARCHAR DEFAULT 'all',
+    p_question_count INTEGER DEFAULT 10,
+    p_time_per_question INTEGER DEFAULT 20
+)
+RETURNS quiz_rooms AS $$
+DECLARE
+    alphabet TEXT := 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    new_code VARCHAR(8);
+    room_record quiz_rooms%ROWTYPE;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Sign in to host a room';
+    END IF;
+    
+    LOOP
+        new_code := '';
+        FOR i IN 1..6 LOOP
+            new_code := new_code || substr(alphabet, 1 + FLOOR(random() * length(alphabet))::INTEGER, 1);
+        END LOOP;
+        EXIT WHEN NOT EXISTS (SELECT 1 FROM quiz_rooms WHERE code = new_code);
+    END LOOP;
+    
+    INSERT INTO quiz_rooms (code, host_id, category, difficulty, question_count, time_per_question, seed)
+    VALUES (
+        new_code,
+        auth.uid(),
+        COALESCE(p_category, 'all'),
+        COALESCE(p_difficulty, 'all'),
+        LEAST(GREATEST(COALESCE(p_question_count, 10), 1), 50),
+        LEAST(GREATEST(COALESCE(p_time_per_question, 20), 5), 120),
+        md5(random()::TEXT || clock_timestamp()::TEXT)
+    )
+    RETURNING * INTO room_record;
+    
+    INSERT INTO room_participants (room_id, user_id) VALUES (room_record.id, auth.uid());
+    
+    RETURN room_record;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function to join a live room by its code
+-- Players already in the room can rejoin at any time; new players only while it is in the lobby.
+-- Keep the player cap in sync with APP_CONFIG.multiplayer.maxPlayers
+CREATE OR REPLACE FUNCTION join_room(p_code VARCHAR)
+RETURNS quiz_rooms AS $$
+DECLARE
+    room_record quiz_rooms%ROWTYPE;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Sign in to join a room';
+    END IF;
+    
+    SELECT * INTO room_record FROM quiz_rooms WHERE code = upper(trim(p_code)) FOR UPDATE;
+    IF NOT FOUND OR room_record.status = 'finished' THEN
+        RAISE EXCEPTION 'Room not found';
+    END IF;
+    
+    IF NOT EXISTS (SELECT 1 FROM room_participants WHERE room_id = room_record.id AND user_id = auth.uid()) THEN
+        IF room_record.status <> 'lobby' THEN
+            RAISE EXCEPTION 'This quiz has already started';
+        END IF;
+        
+        IF (SELECT COUNT(*) FROM room_participants WHERE room_id = room_record.id) >= 20 THEN
+            RAISE EXCEPTION 'This room is full';
+        END IF;
+        
+        INSERT INTO room_participants (room_id, user_id) VALUES (room_record.id, auth.uid());
+    END IF;
+    
+    RETURN room_record;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function for the host to start a live room
+-- Questions are ordered by a hash of the room seed, so the pick is fixed once the room exists.
+CREATE OR REPLACE FUNCTION start_room(p_room_id UUID)
+RETURNS quiz_rooms AS $$
+DECLARE
+    room_record quiz_rooms%ROWTYPE;
+    picked_ids JSONB;
+BEGIN
+    SELECT * INTO room_record FROM quiz_rooms WHERE id = p_room_id FOR UPDATE;
+    IF NOT FOUND OR room_record.host_id IS DISTINCT FROM auth.uid() THEN
+        RAISE EXCEPTION 'Only the host can start the room';
+    END IF;
+    
+    IF room_record.status <> 'lobby' THEN
+        RAISE EXCEPTION 'The room has already started';
+    END IF;
+    
+    SELECT COALESCE(jsonb_agg(picked.id ORDER BY picked.sort_key), '[]'::jsonb) INTO picked_ids
+    FROM (
+        SELECT q.id, md5(room_record.seed || q.id::TEXT) AS sort_key
+        FROM questions q
+        WHERE q.is_active = true
+        AND (room_record.category = 'all' OR q.category = room_record.category)
+        AND (room_record.difficulty = 'all' OR q.difficulty = room_record.difficulty)
+        ORDER BY sort_key
+        LIMIT room_record.question_count
+    ) AS picked;
+    
+    IF jsonb_array_length(picked_ids) = 0 THEN
+        RAISE EXCEPTION 'No questions found for this room';
+    END IF;
+    
+    UPDATE quiz_rooms SET
+        question_ids = picked_ids,
+        question_count = jsonb_array_length(picked_ids),
+        status = 'in_progress',
+        current_question_index = 0,
+        question_started_at = NOW()
+    WHERE id = p_room_id
+    RETURNING * INTO room_record;
+    
+    RETURN room_record;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function for the host to move a live room to the next question, or finish it
+CREATE OR REPLACE FUNCTION advance_room(p_room_id UUID, p_finish BOOLEAN DEFAULT false)
+RETURNS quiz_rooms AS $$
+DECLARE
+    room_record quiz_rooms%ROWTYPE;
+BEGIN
+    SELECT * INTO room_record FROM quiz_rooms WHERE id = p_room_id FOR UPDATE;
+    IF NOT FOUND OR room_record.host_id IS DISTINCT FROM auth.uid() THEN
+        RAISE EXCEPTION 'Only the host can advance the room';
+    END IF;
+    
+    IF room_record.status = 'finished' THEN
+        RETURN room_record;
+    END IF;
+    
+    IF p_finish OR room_record.status = 'lobby' OR room_record.current_question_index + 1 >= room_record.question_count THEN
+        UPDATE quiz_rooms SET status = 'finished', finished_at = NOW()
+        WHERE id = p_room_id
+        RETURNING * INTO room_record;
+    ELSE
+        UPDATE quiz_rooms SET
+            current_question_index = current_question_index + 1,
+            question_started_at = NOW()
+        WHERE id = p_room_id
+        RETURNING * INTO room_record;
+    END IF;
+    
+    RETURN room_record;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function to serve a live room question without its answer
+-- Only questions the host has already opened are served.
+CREATE OR REPLACE FUNCTION get_room_question(p_room_id UUID, p_question_index INTEGER)
+RETURNS TABLE (
+    id UUID,
+    question_text TEXT,
+    question_type VARCHAR,
+    category VARCHAR,
+    difficulty VARCHAR,
+    options JSONB,
+    points_value INTEGER,
+    media JSONB
+) AS $$
+DECLARE
+    room_record quiz_rooms%ROWTYPE;
+BEGIN
+    SELECT * INTO room_record FROM quiz_rooms WHERE quiz_rooms.id = p_room_id;
+    IF NOT FOUND OR NOT is_room_member(p_room_id) THEN
+        RAISE EXCEPTION 'Room not found';
+    END IF;
+    
+    IF room_record.status = 'lobby' OR p_question_index < 0 OR p_question_index > room_record.current_question_index THEN
+        RAISE EXCEPTION 'Question is not open yet';
+    END IF;
+    
+    RETURN QUERY
+    SELECT q.id, q.question_text, q.question_type, q.category, q.difficulty, q.options, q.points_value, q.media
+    FROM questions q
+    WHERE q.id = (room_record.question_ids->>p_question_index)::UUID;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function to grade an answer to the open question of a live room
+-- Time is measured from when the host opened the question, allowing two seconds of latency.
+CREATE OR REPLACE FUNCTION submit_room_answer(
+    p_room_id UUID,
+    p_question_index INTEGER,
+    p_answer TEXT,
+    p_timed_out BOOLEAN DEFAULT false
+)
+RETURNS JSONB AS $$
+DECLARE
+    room_record quiz_rooms%ROWTYPE;
+    participant_record room_participants%ROWTYPE;
+    question_record questions%ROWTYPE;
+    previous_answer RECORD;
+    seconds_taken INTEGER;
+    answer_timed_out BOOLEAN;
+    answer_correct BOOLEAN;
+    streak INTEGER := 0;
+    scoring JSONB;
+BEGIN
+    SELECT * INTO room_record FROM quiz_rooms WHERE id = p_room_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Room not found';
+    END IF;
+    
+    SELECT * INTO participant_record FROM room_participants
+    WHERE room_id = p_room_id AND user_id = auth.uid()
+    FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Room not found';
+    END IF;
+    
+    IF room_record.status <> 'in_progress' OR p_question_index <> room_record.current_question_index THEN
+        RAISE EXCEPTION 'Question is closed';
+    END IF;
+    
+    IF EXISTS (SELECT 1 FROM room_answers WHERE room_id = p_room_id AND user_id = auth.uid() AND question_index = p_question_index) THEN
+        RAISE EXCEPTION 'Question already answered';
+    END IF;
+    
+    SELECT * INTO question_record FROM questions WHERE id = (room_record.question_ids->>p_question_index)::UUID;
+    
+    seconds_taken := GREATEST(EXTRACT(EPOCH FROM (NOW() - room_record.question_started_at))::INTEGER, 0);
+    answer_timed_out := COALESCE(p_timed_out, false) OR seconds_taken > room_record.time_per_question + 2;
+    answer_correct := NOT answer_timed_out AND is_answer_correct(question_record, p_answer);
+    
+    -- Current streak in this room, newest first
+    FOR previous_answer IN
+        SELECT is_correct FROM room_answers
+        WHERE room_id = p_room_id AND user_id = auth.uid()
+        ORDER BY question_index DESC
+    LOOP
+        EXIT WHEN NOT previous_answer.is_correct;
+        streak := streak + 1;
+    END LOOP;
+    
+    scoring := calculate_answer_points(
+        COALESCE(NULLIF(question_record.points_value, 0),
+            CASE question_record.difficulty WHEN 'easy' THEN 10 WHEN 'hard' THEN 30 ELSE 20 END),
+        question_record.difficulty,
+        answer_correct,
+        LEAST(seconds_taken, room_record.time_per_question),
+        streak
+    );
+    
+    INSERT INTO room_answers (room_id, user_id, question_index, question_id, user_answer, is_correct, timed_out, points_earned, time_taken)
+    VALUES (
+        p_room_id,
+        auth.uid(),
+        p_question_index,
+        question_record.id,
+        CASE WHEN answer_timed_out THEN '' ELSE COALESCE(p_answer, '') END,
+        answer_correct,
+        answer_timed_out,
+        (scoring->>'final_points')::INTEGER,
+        seconds_taken
+    );
+    
+    UPDATE room_participants SET
+        score = score + (scoring->>'final_points')::INTEGER,
+        correct_answers = correct_answers + CASE WHEN answer_correct THEN 1 ELSE 0 END,
+        questions_answered = questions_answered + 1
+    WHERE id = participant_record.id
+    RETURNING * INTO participant_record;
+    
+    RETURN jsonb_build_object(
+        'is_correct', answer_correct,
+        'timed_out', answer_timed_out,
+        'correct_answer', question_record.correct_answer,
+        'accepted_answers', COALESCE(question_record.accepted_answers, '[]'::jsonb),
+        'explanation', question_record.explanation,
+        'points_earned', scoring->'final_points',
+        'base_points', scoring->'base_points',
+        'bonuses', scoring->'bonuses',
+        'penalties', scoring->'penalties',
+        'score', participant_record.score,
+        'correct_answers', participant_record.correct_answers,
+        'questions_answered', participant_record.questions_answered
+    );
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function to rank the players in a live room
+CREATE OR REPLACE FUNCTION get_room_standings(p_room_id UUID)
+RETURNS TABLE (
+    user_id UUID,
+    username VARCHAR,
+    score INTEGER,
+    correct_answers INTEGER,
+    questions_answered INTEGER
+) AS $$
+BEGIN
+    IF NOT is_room_member(p_room_id) THEN
+        RAISE EXCEPTION 'Room not found';
+    END IF;
+    
+    RETURN QUERY
+    SELECT rp.user_id, p.username, rp.score, rp.correct_answers, rp.questions_answered
+    FROM room_participants rp
+    JOIN profiles p ON p.id = rp.user_id
+    WHERE rp.room_id = p_room_id
+    ORDER BY rp.score DESC, rp.correct_answers DESC, rp.joined_at;
+END;
+$$ language 'plpgsql' STABLE SECURITY DEFINER;
+
+-- Create function to challenge another player to the quiz the current user just finished
+-- The opponent gets the same questions in the same order, with the same timer and
+-- lifelines except skip, which would swap in a question the challenger never saw.
+-- Keep the expiry in sync with APP_CONFIG.challenges.expiryDays
+CREATE OR REPLACE FUNCTION create_challenge(p_session_id UUID, p_opponent_username VARCHAR)
+RETURNS challenges AS $$
+DECLARE
+    session_record quiz_sessions%ROWTYPE;
+    opponent UUID;
+    answered_ids JSONB;
+    challenge_record challenges%ROWTYPE;
+BEGIN
+    SELECT * INTO session_record FROM quiz_sessions WHERE id = p_session_id;
+    IF NOT FOUND OR session_record.user_id IS DISTINCT FROM auth.uid() THEN
+        RAISE EXCEPTION 'Quiz session not found';
+    END IF;
+    
+    IF session_record.status <> 'completed' THEN
+        RAISE EXCEPTION 'Finish the quiz before challenging someone';
+    END IF;
+    
+    IF session_record.daily_date IS NOT NULL THEN
+        RAISE EXCEPTION 'Daily challenges cannot be turned into challenges';
+    END IF;
+    
+    IF session_record.game_mode <> 'standard' THEN
+        RAISE EXCEPTION 'Endless runs cannot be turned into challenges';
+    END IF;
+    
+    SELECT p.id INTO opponent FROM profiles p WHERE lower(p.username) = lower(trim(p_opponent_username));
+    IF opponent IS NULL THEN
+        RAISE EXCEPTION 'No player with that username';
+    END IF;
+    
+    IF opponent = auth.uid() THEN
+        RAISE EXCEPTION 'You cannot challenge yourself';
+    END IF;
+    
+    IF EXISTS (SELECT 1 FROM challenges c WHERE c.challenger_session_id = p_session_id AND c.opponent_id = opponent) THEN
+        RAISE EXCEPTION 'You already challenged this player to this quiz';
+    END IF;
+    
+    SELECT COALESCE(jsonb_agg(qa.question_id ORDER BY qa.answered_at), '[]'::jsonb) INTO answered_ids
+    FROM quiz_answers qa
+    WHERE qa.quiz_session_id = p_session_id;
+    
+    IF jsonb_array_length(answered_ids) = 0 THEN
+        RAISE EXCEPTION 'This quiz has no answers to challenge';
+    END IF;
+    
+    INSERT INTO challenges (
+        challenger_id, opponent_id, challenger_session_id, category, difficulty, timing_mode,
+        time_limit, lifeline_allowance, question_ids, seed, scoring_version, challenger_score, expires_at
+    )
+    VALUES (
+        auth.uid(),
+        opponent,
+        p_session_id,
+        session_record.category,
+        session_record.difficulty,
+        session_record.timing_mode,
+        session_record.time_limit,
+        COALESCE(session_record.lifeline_allowance, '{}'::jsonb) || '{"skip": 0}'::jsonb,
+        answered_ids,
+        session_record.seed,
+        session_record.scoring_version,
+        session_record.total_points,
+        NOW() + INTERVAL '7 days'
+    )
+    RETURNING * INTO challenge_record;
+    
+    RETURN challenge_record;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function for the opponent to accept a challenge
+-- Opens the quiz session for the attempt; each challenge can only be played once.
+CREATE OR REPLACE FUNCTION accept_challenge(p_challenge_id UUID)
+RETURNS challenges AS $$
+DECLARE
+    challenge_record challenges%ROWTYPE;
+    new_session_id UUID;
+BEGIN
+    SELECT * INTO challenge_record FROM challenges WHERE id = p_challenge_id FOR UPDATE;
+    IF NOT FOUND OR challenge_record.opponent_id IS DISTINCT FROM auth.uid() THEN
+        RAISE EXCEPTION 'Challenge not found';
+    END IF;
+    
+    IF challenge_record.status = 'expired' OR challenge_record.expires_at < NOW() THEN
+        RAISE EXCEPTION 'This challenge has expired';
+    END IF;
+    
+    IF challenge_record.status <> 'pending' THEN
+        RAISE EXCEPTION 'This challenge has already been played';
+    END IF;
+    
+    INSERT INTO quiz_sessions (
+        user_id, category, difficulty, total_questions, time_limit, timing_mode,
+        lifeline_allowance, challenge_id, seed, scoring_version, status
+    )
+    VALUES (
+        auth.uid(),
+        challenge_record.category,
+        challenge_record.difficulty,
+        jsonb_array_length(challenge_record.question_ids),
+        challenge_record.time_limit,
+        challenge_record.timing_mode,
+        challenge_record.lifeline_allowance,
+        challenge_record.id,
+        challenge_record.seed,
+        COALESCE(challenge_record.scoring_version, 'classic-v1'),
+        'active'
+    )
+    RETURNING id INTO new_session_id;
+    
+    UPDATE challenges SET
+        status = 'accepted',
+        accepted_at = NOW(),
+        opponent_session_id = new_session_id
+    WHERE id = p_challenge_id
+    RETURNING * INTO challenge_record;
+    
+    RETURN challenge_record;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function to serve an accepted challenge's questions, in order, without their answers
+CREATE OR REPLACE FUNCTION get_challenge_questions(p_challenge_id UUID)
+RETURNS TABLE (
+    id UUID,
+    question_text TEXT,
+    question_type VARCHAR,
+    category VARCHAR,
+    difficulty VARCHAR,
+    options JSONB,
+    points_value INTEGER,
+    media JSONB
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT q.id, q.question_text, q.question_type, q.category, q.difficulty, q.options, q.points_value, q.media
+    FROM challenges c
+    CROSS JOIN LATERAL jsonb_array_elements_text(c.question_ids) WITH ORDINALITY AS picked(question_id, sort_order)
+    JOIN questions q ON q.id = picked.question_id::UUID
+    WHERE c.id = p_challenge_id
+    AND c.opponent_id = auth.uid()
+    AND c.status = 'accepted'
+    ORDER BY picked.sort_order;
+END;
+$$ language 'plpgsql' STABLE SECURITY DEFINER;
+
+-- Create function to list the current user's challenges, sent and received
+-- Challenges past their expiry show as expired even before expire_challenges() runs.
+CREATE OR REPLACE FUNCTION get_challenges(p_limit INTEGER DEFAULT 20)
+RETURNS TABLE (
+    id UUID,
+    challenger_id UUID,
+    challenger_username VARCHAR,
+    opponent_id UUID,
+    opponent_username VARCHAR,
+    category VARCHAR,
+    difficulty VARCHAR,
+    question_count INTEGER,
+    challenger_score INTEGER,
+    opponent_score INTEGER,
+    status VARCHAR,
+    created_at TIMESTAMP,
+    expires_at TIMESTAMP,
+    completed_at TIMESTAMP
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT c.id, c.challenger_id, challenger.username, c.opponent_id, opponent.username,
+        c.category, c.difficulty, jsonb_array_length(c.question_ids), c.challenger_score, c.opponent_score,
+        (CASE
+            WHEN c.status IN ('pending', 'accepted') AND c.expires_at < NOW() THEN 'expired'
+            ELSE c.status
+        END)::VARCHAR,
+        c.created_at, c.expires_at, c.completed_at
+    FROM challenges c
+    JOIN profiles challenger ON challenger.id = c.challenger_id
+    JOIN profiles opponent ON opponent.id = c.opponent_id
+    WHERE auth.uid() IN (c.challenger_id, c.opponent_id)
+    ORDER BY c.created_at DESC
+    LIMIT LEAST(GREATEST(p_limit, 1), 100);
+END;
+$$ language 'plpgsql' STABLE SECURITY DEFINER;
+
+-- Create function to compare both players' answers to a completed challenge, question by question
+CREATE OR REPLACE FUNCTION get_challenge_comparison(p_challenge_id UUID)
+RETURNS TABLE (
+    question_position INTEGER,
+    question_id UUID,
+    question_text TEXT,
+    correct_answer TEXT,
+    challenger_answer TEXT,
+    challenger_correct BOOLEAN,
+    challenger_timed_out BOOLEAN,
+    challenger_points INTEGER,
+    challenger_time INTEGER,
+    opponent_answer TEXT,
+    opponent_correct BOOLEAN,
+    opponent_timed_out BOOLEAN,
+    opponent_points INTEGER,
+    opponent_time INTEGER
+) AS $$
+DECLARE
+    challenge_record challenges%ROWTYPE;
+BEGIN
+    SELECT * INTO challenge_record FROM challenges c WHERE c.id = p_challenge_id;
+    IF NOT FOUND OR auth.uid() NOT IN (challenge_record.challenger_id, challenge_record.opponent_id) THEN
+        RAISE EXCEPTION 'Challenge not found';
+    END IF;
+    
+    -- Answers stay hidden until both players have played
+    IF challenge_record.status <> 'completed' THEN
+        RAISE EXCEPTION 'The comparison is ready once both players have finished';
+    END IF;
+    
+    RETURN QUERY
+    SELECT picked.sort_order::INTEGER, q.id, q.question_text, q.correct_answer,
+        ca.user_answer, ca.is_correct, ca.timed_out, ca.points_earned, ca.time_taken,
+        oa.user_answer, oa.is_correct, oa.timed_out, oa.points_earned, oa.time_taken
+    FROM jsonb_array_elements_text(challenge_record.question_ids) WITH ORDINALITY AS picked(question_id, sort_order)
+    JOIN questions q ON q.id = picked.question_id::UUID
+    LEFT JOIN quiz_answers ca ON ca.quiz_session_id = challenge_record.challenger_session_id AND ca.question_id = q.id
+    LEFT JOIN quiz_answers oa ON oa.quiz_session_id = challenge_record.opponent_session_id AND oa.question_id = q.id
+    ORDER BY picked.sort_order;
+END;
+$$ language 'plpgsql' STABLE SECURITY DEFINER;
+
+-- Create function to complete a challenge when the opponent's attempt is completed
+CREATE OR REPLACE FUNCTION complete_challenge()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.challenge_id IS NOT NULL AND NEW.status = 'completed' AND OLD.status = 'active' THEN
+        UPDATE challenges SET
+            status = 'completed',
+            opponent_score = NEW.total_points,
+            completed_at = NOW()
+        WHERE id = NEW.challenge_id
+        AND opponent_session_id = NEW.id
+        AND status = 'accepted';
+    END IF;
+    
+    RETURN NEW;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create trigger for completing challenges (after sync_quiz_session_totals has set the final score)
+CREATE TRIGGER complete_challenge_trigger
+    AFTER UPDATE ON quiz_sessions
+    FOR EACH ROW
+    EXECUTE FUNCTION complete_challenge();
+
+-- Create function to mark challenges that were not played in time as expired
+-- Schedule with pg_cron, e.g. SELECT cron.schedule('0 * * * *', 'SELECT expire_challenges()');
+CREATE OR REPLACE FUNCTION expire_challenges()
+RETURNS INTEGER AS $$
+DECLARE
+    expired_count INTEGER;
+BEGIN
+    UPDATE challenges
+    SET status = 'expired'
+    WHERE status IN ('pending', 'accepted')
+    AND expires_at < NOW();
+    
+    GET DIAGNOSTICS expired_count = ROW_COUNT;
+    RETURN expired_count;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function to pick the daily challenge questions for a day
+-- Each category's questions are ranked by a hash of the date, then the categories
+-- take turns, so the set is spread across categories and the same for everyone.
+-- The pick is stored the first time the day is played, so later question edits
+-- don't change it.
+CREATE OR REPLACE FUNCTION get_daily_question_ids(p_date DATE, p_question_count INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+    picked_ids JSONB;
+BEGIN
+    SELECT question_ids INTO picked_ids FROM daily_challenges WHERE challenge_date = p_date;
+    IF FOUND THEN
+        RETURN picked_ids;
+    END IF;
+    
+    SELECT COALESCE(jsonb_agg(picked.id ORDER BY md5(picked.id::TEXT || p_date::TEXT)), '[]'::jsonb) INTO picked_ids
+    FROM (
+        SELECT ranked.id
+        FROM (
+            SELECT q.id,
+                ROW_NUMBER() OVER (PARTITION BY q.category ORDER BY md5(p_date::TEXT || q.id::TEXT)) AS category_rank,
+                md5(p_date::TEXT || q.category) AS category_key
+            FROM questions q
+            WHERE q.is_active = true
+        ) AS ranked
+        ORDER BY ranked.category_rank, ranked.category_key
+        LIMIT p_question_count
+    ) AS picked;
+    
+    IF jsonb_array_length(picked_ids) = 0 THEN
+        RAISE EXCEPTION 'No questions found for the daily challenge';
+    END IF;
+    
+    INSERT INTO daily_challenges (challenge_date, question_ids)
+    VALUES (p_date, picked_ids)
+    ON CONFLICT (challenge_date) DO NOTHING;
+    
+    SELECT question_ids INTO picked_ids FROM daily_challenges WHERE challenge_date = p_date;
+    RETURN picked_ids;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function to start the current user's attempt at today's daily challenge
+-- Days are UTC calendar days, and each user gets one attempt per day.
+-- Keep the question count, timer and lifelines in sync with APP_CONFIG.daily
+CREATE OR REPLACE FUNCTION start_daily_challenge()
+RETURNS quiz_sessions AS $$
+DECLARE
+    today DATE := (NOW() AT TIME ZONE 'UTC')::DATE;
+    picked_ids JSONB;
+    session_record quiz_sessions%ROWTYPE;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Sign in to play the daily challenge';
+    END IF;
+    
+    IF EXISTS (SELECT 1 FROM quiz_sessions WHERE user_id = auth.uid() AND daily_date = today) THEN
+        RAISE EXCEPTION 'You have already played today''s daily challenge';
+    END IF;
+    
+    picked_ids := get_daily_question_ids(today, 10);
+    
+    INSERT INTO quiz_sessions (
+        user_id, category, difficulty, total_questions, time_limit, timing_mode,
+        lifeline_allowance, daily_date, seed, status
+    )
+    VALUES (
+        auth.uid(),
+        'all',
+        'all',
+        jsonb_array_length(picked_ids),
+        jsonb_array_length(picked_ids) * 30,
+        'per_question',
+        '{}'::jsonb,
+        today,
+        today::TEXT,
+        'active'
+    )
+    RETURNING * INTO session_record;
+    
+    RETURN session_record;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Create function to serve a daily challenge's questions, in order, without their answers
+-- Only players who have started that day's challenge get them.
+CREATE OR REPLACE FUNCTION get_daily_questions(p_date DATE)
+RETURNS TABLE (
+    id UUID,
+    question_text TEXT,
+    question_type VARCHAR,
+    category VARCHAR,
+    difficulty VARCHAR,
+    options JSONB,
+    points_value INTEGER,
+    media JSONB
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT q.id, q.question_text, q.question_type, q.category, q.difficulty, q.options, q.points_value, q.media
+    FROM daily_challenges d
+    CROSS JOIN LATERAL jsonb_array_elements_text(d.question_ids) WITH ORDINALITY AS picked(question_id, sort_order)
+    JOIN questions q ON q.id = picked.question_id::UUID
+    WHERE d.challenge_date = p_date
+    AND EXISTS (
+        SELECT 1 FROM quiz_sessions s
+        WHERE s.user_id = auth.uid()
+        AND s.daily_date = p_date
+    )
+    ORDER BY picked.sort_order;
+END;
+$$ language 'plpgsql' STABLE SECURITY DEFINER;
+
+-- Create function to rank the finished attempts at a day's daily challenge
+-- Ties on points go to the faster player.
+CREATE OR REPLACE FUNCTION get_daily_leaderboard(p_date DATE DEFAULT NULL, p_limit INTEGER DEFAULT 10)
+RETURNS TABLE (
+    rank BIGINT,
+    user_id UUID,
+    username VARCHAR,
+    total_points INTEGER,
+    correct_answers INTEGER,
+    total_questions INTEGER,
+    time_spent INTEGER,
+    streak_count INTEGER
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        ROW_NUMBER() OVER (ORDER BY s.total_points DESC, s.time_spent ASC, s.completed_at ASC) AS rank,
+        s.user_id,
+        p.username,
+        s.total_points,
+        s.correct_answers,
+        s.total_questions,
+        s.time_spent,
+        p.streak_count
+    FROM quiz_sessions s
+    JOIN profiles p ON p.id = s.user_id
+    WHERE s.daily_date = COALESCE(p_date, (NOW() AT TIME ZONE 'UTC')::DATE)
+    AND s.status = 'completed'
+    ORDER BY rank
+    LIMIT p_limit;
+END;
+$$ language 'plpgsql' STABLE SECURITY DEFINER;
+
+-- Create function to rank each player's best endless run (mirrors LeaderboardManager.getEndlessLeaderboardFromLocal)
+-- p_sort_by 'run' ranks by correct answers, 'score' by points; ties go to the
+-- other measure and then to whoever got there first.
+CREATE OR REPLACE FUNCTION get_endless_leaderboard(
+    p_game_mode VARCHAR,
+    p_sort_by VARCHAR DEFAULT 'run',
+    p_limit INTEGER DEFAULT 10
+)
+RETURNS TABLE (
+    rank BIGINT,
+    user_id UUID,
+    username VARCHAR,
+    run_length INTEGER,
+    total_points INTEGER,
+    time_spent INTEGER,
+    completed_at TIMESTAMP
+) AS $$
+BEGIN
+    IF p_game_mode NOT IN ('survival', 'sudden_death') THEN
+        RAISE EXCEPTION 'Unknown endless mode';
+    END IF;
+    
+    RETURN QUERY
+    WITH best AS (
+        SELECT DISTINCT ON (s.user_id)
+            s.user_id,
+            s.correct_answers,
+            s.total_points,
+            s.time_spent,
+            s.completed_at,
+            CASE WHEN p_sort_by = 'score' THEN s.total_points ELSE s.correct_answers END AS primary_value,
+            CASE WHEN p_sort_by = 'score' THEN s.correct_answers ELSE s.total_points END AS secondary_value
+        FROM quiz_sessions s
+        WHERE s.game_mode = p_game_mode
+        AND s.status = 'completed'
+        ORDER BY s.user_id, primary_value DESC, secondary_value DESC, s.completed_at ASC
+    )
+    SELECT
+        ROW_NUMBER() OVER (ORDER BY b.primary_value DESC, b.secondary_value DESC, b.completed_at ASC) AS rank,
+        b.user_id,
+        p.username,
+        b.correct_answers,
+        b.total_points,
+        b.time_spent,
+        b.completed_at
+    FROM best b
+    JOIN profiles p ON p.id = b.user_id
+    ORDER BY rank
+    LIMIT LEAST(GREATEST(p_limit, 1), 100);
+END;
+$$ language 'plpgsql' STABLE SECURITY DEFINER;
+
+-- Create function to rank an attempt at a saved quiz against every other completed attempt at it
+-- The percentile is the share of the other attempts with lower accuracy, ties
+-- counting half (mirrors ScoreCalculator.calculatePercentile). It is null until
+-- someone else has finished the quiz.
+CREATE OR REPLACE FUNCTION get_quiz_percentile(
+    p_definition_id UUID,
+    p_accuracy NUMERIC,
+    p_session_id UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    attempt_count INTEGER;
+    below_count NUMERIC;
+BEGIN
+    SELECT
+        COUNT(*),
+        COUNT(*) FILTER (WHERE others.accuracy < p_accuracy) + 0.5 * COUNT(*) FILTER (WHERE others.accuracy = p_accuracy)
+    INTO attempt_count, below_count
+    FROM (
+        -- Rounded like the accuracy the client reports
+        SELECT ROUND(s.correct_answers * 100.0 / s.questions_answered, 1) AS accuracy
+        FROM quiz_sessions s
+        WHERE s.definition_id = p_definition_id
+        AND s.status = 'completed'
+        AND s.questions_answered > 0
+        AND (p_session_id IS NULL OR s.id <> p_session_id)
+    ) others;
+    
+    RETURN jsonb_build_object(
+        'attempts', attempt_count,
+        'percentile', CASE WHEN attempt_count > 0 THEN ROUND(below_count * 100 / attempt_count) END
+    );
+END;
+$$ language 'plpgsql' STABLE SECURITY DEFINER;
+
+-- Schedule questions already missed before review mode existed
+INSERT INTO review_schedule (user_id, question_id)
+SELECT DISTINCT qs.user_id, qa.question_id
+FROM quiz_answers qa
+JOIN quiz_sessions qs ON qs.id = qa.quiz_session_id
+WHERE qa.is_correct = false
+AND qa.question_id IS NOT NULL
+ON CONFLICT (user_id, question_id) DO NOTHING;
+
+-- Flag existing questions from the answers recorded so far
+SELECT flag_questions(ARRAY(SELECT id FROM questions));
+
+-- Grant necessary permissions
+GRANT USAGE ON SCHEMA public TO anon, authenticated;
+GRANT ALL ON ALL TABLES IN SCHEMA public TO anon, authenticated;
+GRANT ALL ON ALL SEQUENCES IN SCHEMA public TO anon, authenticated;
+GRANT ALL ON ALL FUNCTIONS IN SCHEMA public TO anon, authenticated;
+
+-- Hide answers from direct table reads; quizzes use get_quiz_questions()
+REVOKE SELECT ON questions FROM anon, authenticated;
+GRANT SELECT (id, question_text, question_type, category, difficulty, options, points_value, media,
+    times_answered, times_correct, is_active, created_by, status, reviewed_by, reviewed_at, review_notes,
+    quality_flags, created_at, updated_at)
+    ON questions TO anon, authenticated;
+
+-- Quality flags only move with answers graded after each quiz, or when an editor re-checks them
+REVOKE EXECUTE ON FUNCTION flag_questions(UUID[]) FROM PUBLIC, anon, authenticated;
+
+-- Only the scheduled job abandons stale sessions; a client could otherwise end everyone's quiz early
+REVOKE EXECUTE ON FUNCTION abandon_stale_quiz_sessions(INTERVAL) FROM PUBLIC, anon, authenticated;
+
+-- Only start_daily_challenge() picks daily sets, so nobody can pick a future day's early
+REVOKE EXECUTE ON FUNCTION get_daily_question_ids(DATE, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Ratings and difficulty labels only move with answers graded by submit_quiz_answer()
+REVOKE EXECUTE ON FUNCTION rate_answer(UUID, questions, BOOLEAN) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION calibrate_question_difficulty(UUID[], INTEGER) FROM PUBLIC, anon, authenticated;
 
 -- Update category question counts
 UPDATE categories SET question_count = (
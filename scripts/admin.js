@@ -0,0 +1,1141 @@
+// Question Admin Module for QuizMaster app
+// Handles question authoring, bulk activation and the review queue for editors
+
+/**
+ * Admin Manager class
+ * Drives the admin page: a question editor with a live preview rendered by
+ * QuizManager.renderQuestion, a filterable question list with bulk
+ * activate/deactivate, and a review queue for user-submitted questions.
+ * Writes go through the questions RLS policies, which only let editors in.
+ */
+class AdminManager {
+    constructor() {
+        this.isEditor = false;
+        this.questions = [];
+        this.reviewQueue = [];
+        this.selectedIds = new Set();
+        this.filters = { status: 'all', category: 'all', search: '' };
+        this.analytics = [];
+        this.analyticsFilters = { category: 'all', flaggedOnly: false };
+        this.editingQuestion = null;
+        this.isLoading = false;
+
+        console.log('🛠️ Admin Manager initialized');
+
+        // Initialize admin page
+        this.initializeAdmin();
+    }
+
+    /**
+     * Initialize admin page components
+     */
+    initializeAdmin() {
+        // Wait for DOM to be ready
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => {
+                this.setupEventListeners();
+                this.loadRole();
+            });
+        } else {
+            this.setupEventListeners();
+            this.loadRole();
+        }
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        // Refresh the page whenever it is opened
+        document.querySelectorAll('.nav-link[data-page="admin"]').forEach(link => {
+            link.addEventListener('click', () => {
+                this.loadAdminPage();
+            });
+        });
+
+        // Tabs
+        document.querySelectorAll('.admin-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.showTab(tab.getAttribute('data-admin-tab'));
+            });
+        });
+
+        this.setupListListeners();
+        this.setupReviewQueueListeners();
+        this.setupEditorListeners();
+        this.setupAnalyticsListeners();
+
+        // Listen for authentication state changes
+        if (window.authManager) {
+            window.authManager.onAuthStateChange((event, session) => {
+                if (event === 'SIGNED_IN' && session) {
+                    this.loadRole();
+                } else if (event === 'SIGNED_OUT') {
+                    this.clearAdminData();
+                }
+            });
+        }
+    }
+
+    /**
+     * Set up question list filters, selection and bulk actions
+     */
+    setupListListeners() {
+        const searchInput = document.getElementById('admin-search');
+        if (searchInput) {
+            searchInput.addEventListener('input', Utils.debounce((e) => {
+                this.filters.search = e.target.value.trim();
+                this.loadQuestions();
+            }, 400));
+        }
+
+        const categoryFilter = document.getElementById('admin-category-filter');
+        if (categoryFilter) {
+            categoryFilter.addEventListener('change', (e) => {
+                this.filters.category = e.target.value;
+                this.loadQuestions();
+            });
+        }
+
+        const statusFilter = document.getElementById('admin-status-filter');
+        if (statusFilter) {
+            statusFilter.addEventListener('change', (e) => {
+                this.filters.status = e.target.value;
+                this.loadQuestions();
+            });
+        }
+
+        const selectAll = document.getElementById('admin-select-all');
+        if (selectAll) {
+            selectAll.addEventListener('change', (e) => {
+                this.selectedIds = e.target.checked ? new Set(this.questions.map(q => q.id)) : new Set();
+                this.updateQuestionListDisplay();
+            });
+        }
+
+        const activateBtn = document.getElementById('bulk-activate-btn');
+        if (activateBtn) {
+            activateBtn.addEventListener('click', () => {
+                this.setQuestionsActive([...this.selectedIds], true);
+            });
+        }
+
+        const deactivateBtn = document.getElementById('bulk-deactivate-btn');
+        if (deactivateBtn) {
+            deactivateBtn.addEventListener('click', () => {
+                this.setQuestionsActive([...this.selectedIds], false);
+            });
+        }
+
+        const newQuestionBtn = document.getElementById('new-question-btn');
+        if (newQuestionBtn) {
+            newQuestionBtn.addEventListener('click', () => {
+                this.openEditor(null);
+            });
+        }
+
+        const questionList = document.getElementById('admin-question-list');
+        if (questionList) {
+            questionList.addEventListener('change', (e) => {
+                const checkbox = e.target.closest('.admin-question-select');
+                if (!checkbox) return;
+
+                const id = checkbox.getAttribute('data-question-id');
+                if (checkbox.checked) {
+                    this.selectedIds.add(id);
+                } else {
+                    this.selectedIds.delete(id);
+                }
+                this.updateBulkActions();
+            });
+
+            questionList.addEventListener('click', (e) => {
+                const editButton = e.target.closest('[data-edit-id]');
+                if (!editButton) return;
+
+                const question = this.questions.find(q => q.id === editButton.getAttribute('data-edit-id'));
+                if (question) {
+                    this.openEditor(question);
+                }
+            });
+        }
+    }
+
+    /**
+     * Set up review queue actions
+     */
+    setupReviewQueueListeners() {
+        const reviewList = document.getElementById('review-queue-list');
+        if (!reviewList) return;
+
+        reviewList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-review-action]');
+            if (!button) return;
+
+            const question = this.reviewQueue.find(q => q.id === button.getAttribute('data-question-id'));
+            if (!question) return;
+
+            switch (button.getAttribute('data-review-action')) {
+                case 'approve':
+                    this.reviewQuestion(question, 'approved');
+                    break;
+                case 'reject':
+                    this.confirmRejectQuestion(question);
+                    break;
+                case 'edit':
+                    this.openEditor(question);
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Set up the question editor form and live preview
+     */
+    setupEditorListeners() {
+        const form = document.getElementById('question-editor-form');
+        if (!form) return;
+
+        form.addEventListener('input', () => this.updatePreview());
+        form.addEventListener('change', () => this.updatePreview());
+
+        const typeSelect = document.getElementById('editor-question-type');
+        if (typeSelect) {
+            typeSelect.addEventListener('change', () => this.updateEditorFields());
+        }
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveQuestion();
+        });
+
+        const resetBtn = document.getElementById('editor-reset-btn');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                this.openEditor(null);
+            });
+        }
+    }
+
+    /**
+     * Set up question analytics filters and actions
+     */
+    setupAnalyticsListeners() {
+        const categoryFilter = document.getElementById('analytics-category-filter');
+        if (categoryFilter) {
+            categoryFilter.addEventListener('change', (e) => {
+                this.analyticsFilters.category = e.target.value;
+                this.loadAnalytics();
+            });
+        }
+
+        const flaggedOnly = document.getElementById('analytics-flagged-only');
+        if (flaggedOnly) {
+            flaggedOnly.addEventListener('change', (e) => {
+                this.analyticsFilters.flaggedOnly = e.target.checked;
+                this.loadAnalytics();
+            });
+        }
+
+        const recheckBtn = document.getElementById('analytics-recheck-btn');
+        if (recheckBtn) {
+            recheckBtn.addEventListener('click', () => {
+                this.recheckFlags();
+            });
+        }
+
+        const analyticsList = document.getElementById('question-analytics-list');
+        if (analyticsList) {
+            analyticsList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-analytics-action]');
+                if (!button) return;
+
+                const id = button.getAttribute('data-question-id');
+                if (button.getAttribute('data-analytics-action') === 'recalibrate') {
+                    this.recalibrateDifficulty(id, button.getAttribute('data-difficulty'));
+                } else {
+                    this.editQuestionById(id);
+                }
+            });
+        }
+    }
+
+    /**
+     * Check whether the database should be used
+     * @returns {boolean} Use database
+     */
+    useDatabase() {
+        return !!(authManager.supabase && authManager.isInitialized && authManager.getCurrentUser());
+    }
+
+    /**
+     * Load the current user's role and show the admin link to editors
+     */
+    async loadRole() {
+        this.isEditor = false;
+
+        try {
+            if (this.useDatabase()) {
+                const user = authManager.getCurrentUser();
+                const { data, error } = await authManager.supabase
+                    .from('profiles')
+                    .select('role')
+                    .eq('id', user.id)
+                    .single();
+
+                if (error) {
+                    throw error;
+                }
+
+                this.isEditor = data && data.role === 'editor';
+            }
+        } catch (error) {
+            console.error('Failed to load user role:', error);
+        }
+
+        document.querySelectorAll('.nav-link[data-page="admin"]').forEach(link => {
+            link.classList.toggle('hidden', !this.isEditor);
+        });
+
+        if (this.isEditor) {
+            await this.populateCategorySelects();
+        }
+    }
+
+    /**
+     * Fill the category filter and editor select from the categories table
+     */
+    async populateCategorySelects() {
+        const categories = window.quizManager ?
+            await window.quizManager.getCategories() : APP_CONFIG.quiz.categories;
+        const optionsHTML = categories
+            .map(name => `<option value="${Utils.escapeHTML(name)}">${Utils.escapeHTML(name)}</option>`)
+            .join('');
+
+        const categoryFilter = document.getElementById('admin-category-filter');
+        if (categoryFilter) {
+            categoryFilter.innerHTML = `<option value="all">All Categories</option>${optionsHTML}`;
+            categoryFilter.value = this.filters.category;
+        }
+
+        const editorCategory = document.getElementById('editor-category');
+        if (editorCategory) {
+            editorCategory.innerHTML = optionsHTML;
+        }
+
+        const analyticsCategory = document.getElementById('analytics-category-filter');
+        if (analyticsCategory) {
+            analyticsCategory.innerHTML = `<option value="all">All Categories</option>${optionsHTML}`;
+            analyticsCategory.value = this.analyticsFilters.category;
+        }
+    }
+
+    /**
+     * Load everything the admin page shows
+     */
+    async loadAdminPage() {
+        if (!this.isEditor) return;
+
+        await Promise.all([
+            this.loadQuestions(),
+            this.loadReviewQueue()
+        ]);
+
+        if (!this.editingQuestion) {
+            this.updateEditorFields();
+        }
+    }
+
+    /**
+     * Show an admin tab
+     * @param {string} tab - 'questions', 'review' or 'editor'
+     */
+    showTab(tab) {
+        document.querySelectorAll('.admin-tab').forEach(button => {
+            const isActive = button.getAttribute('data-admin-tab') === tab;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-selected', isActive ? 'true' : 'false');
+        });
+
+        document.querySelectorAll('.admin-panel').forEach(panel => {
+            panel.classList.toggle('active', panel.id === `admin-${tab}-panel`);
+        });
+
+        if (tab === 'editor') {
+            this.updatePreview();
+        } else if (tab === 'analytics') {
+            this.loadAnalytics();
+        }
+    }
+
+    /**
+     * Fetch questions, answers included, for editors
+     * @param {Object} filters - { status, category, search }
+     * @returns {Promise<Array>} Question rows
+     */
+    async fetchEditorQuestions(filters) {
+        const { data, error } = await authManager.supabase
+            .rpc('get_editor_questions', {
+                p_status: filters.status,
+                p_category: filters.category,
+                p_search: filters.search || null
+            });
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    /**
+     * Load the filtered question list
+     */
+    async loadQuestions() {
+        if (!this.isEditor || !this.useDatabase()) return;
+
+        this.isLoading = true;
+
+        try {
+            this.questions = await this.fetchEditorQuestions(this.filters);
+
+            // Drop selections that are no longer visible
+            const visibleIds = new Set(this.questions.map(q => q.id));
+            this.selectedIds = new Set([...this.selectedIds].filter(id => visibleIds.has(id)));
+
+            this.updateQuestionListDisplay();
+
+        } catch (error) {
+            console.error('Failed to load questions:', error);
+            if (window.errorHandler) {
+                window.errorHandler.handleDatabaseError(error, 'load_editor_questions');
+            }
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * Load questions waiting for review
+     */
+    async loadReviewQueue() {
+        if (!this.isEditor || !this.useDatabase()) return;
+
+        try {
+            this.reviewQueue = await this.fetchEditorQuestions({ status: 'pending', category: 'all' });
+            this.updateReviewQueueDisplay();
+
+        } catch (error) {
+            console.error('Failed to load review queue:', error);
+            if (window.errorHandler) {
+                window.errorHandler.handleDatabaseError(error, 'load_review_queue');
+            }
+        }
+    }
+
+    /**
+     * Get a short status label for a question
+     * @param {Object} question - Question row
+     * @returns {Object} { label, className }
+     */
+    getStatusBadge(question) {
+        if (question.status === 'pending') return { label: 'Pending', className: 'pending' };
+        if (question.status === 'rejected') return { label: 'Rejected', className: 'rejected' };
+        return question.is_active ?
+            { label: 'Active', className: 'active' } :
+            { label: 'Inactive', className: 'inactive' };
+    }
+
+    /**
+     * Update the question list display
+     */
+    updateQuestionListDisplay() {
+        const list = document.getElementById('admin-question-list');
+        if (!list) return;
+
+        if (this.questions.length === 0) {
+            list.innerHTML = '<p class="admin-empty">No questions match these filters.</p>';
+            this.updateBulkActions();
+            return;
+        }
+
+        list.innerHTML = this.questions.map(question => {
+            const badge = this.getStatusBadge(question);
+            return `
+                <div class="admin-question-item">
+                    <input type="checkbox" class="admin-question-select" data-question-id="${question.id}"
+                        aria-label="Select question" ${this.selectedIds.has(question.id) ? 'checked' : ''}>
+                    <div class="admin-question-info">
+                        <div class="admin-question-text">${markupManager.render(question.question_text)}</div>
+                        <div class="admin-question-meta">
+                            ${Utils.escapeHTML(question.category)} · ${Utils.escapeHTML(question.difficulty)} · ${Utils.escapeHTML(question.question_type.replace('_', ' '))}
+                        </div>
+                    </div>
+                    <span class="admin-status-badge ${badge.className}">${badge.label}</span>
+                    <button class="btn btn-sm btn-outline" data-edit-id="${question.id}">Edit</button>
+                </div>
+            `;
+        }).join('');
+
+        this.updateBulkActions();
+    }
+
+    /**
+     * Enable bulk actions when questions are selected
+     */
+    updateBulkActions() {
+        const count = this.selectedIds.size;
+
+        ['bulk-activate-btn', 'bulk-deactivate-btn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = count === 0;
+        });
+
+        const selectedCount = document.getElementById('admin-selected-count');
+        if (selectedCount) {
+            selectedCount.textContent = count > 0 ? `${count} selected` : '';
+        }
+
+        const selectAll = document.getElementById('admin-select-all');
+        if (selectAll) {
+            selectAll.checked = count > 0 && count === this.questions.length;
+        }
+    }
+
+    /**
+     * Update the review queue display
+     */
+    updateReviewQueueDisplay() {
+        const countElement = document.getElementById('review-queue-count');
+        if (countElement) {
+            countElement.textContent = this.reviewQueue.length;
+        }
+
+        const list = document.getElementById('review-queue-list');
+        if (!list) return;
+
+        if (this.reviewQueue.length === 0) {
+            list.innerHTML = '<p class="admin-empty">No questions are waiting for review.</p>';
+            return;
+        }
+
+        list.innerHTML = this.reviewQueue.map(question => `
+            <div class="review-queue-item">
+                <div class="admin-question-info">
+                    <div class="admin-question-text">${markupManager.render(question.question_text)}</div>
+                    <div class="admin-question-meta">
+                        ${Utils.escapeHTML(question.category)} · ${Utils.escapeHTML(question.difficulty)} ·
+                        Answer: ${Utils.escapeHTML(question.correct_answer)} ·
+                        by ${Utils.escapeHTML(question.created_by_username || 'unknown')}
+                    </div>
+                </div>
+                <div class="review-queue-actions">
+                    <button class="btn btn-sm btn-success" data-review-action="approve" data-question-id="${question.id}">Approve</button>
+                    <button class="btn btn-sm btn-outline" data-review-action="edit" data-question-id="${question.id}">Edit</button>
+                    <button class="btn btn-sm btn-error" data-review-action="reject" data-question-id="${question.id}">Reject</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Activate or deactivate questions
+     * @param {Array<string>} ids - Question IDs
+     * @param {boolean} isActive - New active state
+     * @returns {Promise<Object>} Update result
+     */
+    async setQuestionsActive(ids, isActive) {
+        if (ids.length === 0 || !this.useDatabase()) {
+            return { success: false, message: 'No questions selected' };
+        }
+
+        try {
+            // Only approved questions can go live; pending ones go through the review queue
+            const { data, error } = await authManager.supabase
+                .from('questions')
+                .update({ is_active: isActive })
+                .in('id', ids)
+                .eq('status', 'approved')
+                .select('id');
+
+            if (error) {
+                throw error;
+            }
+
+            const updated = (data || []).length;
+            const message = `${isActive ? 'Activated' : 'Deactivated'} ${updated} ${updated === 1 ? 'question' : 'questions'}`;
+
+            if (window.uiManager) {
+                window.uiManager.showNotification('success', 'Questions Updated', message, 3000);
+            }
+
+            this.selectedIds.clear();
+            await this.loadQuestions();
+
+            return { success: true, updated, message };
+
+        } catch (error) {
+            console.error('Failed to update questions:', error);
+            if (window.errorHandler) {
+                window.errorHandler.handleDatabaseError(error, 'update_questions');
+            }
+            return { success: false, error: error.message, message: 'Failed to update questions' };
+        }
+    }
+
+    /**
+     * Approve or reject a submitted question
+     * @param {Object} question - Question row
+     * @param {string} status - 'approved' or 'rejected'
+     * @param {string} notes - Optional notes for the submitter
+     * @returns {Promise<Object>} Review result
+     */
+    async reviewQuestion(question, status, notes = null) {
+        if (!this.useDatabase()) {
+            return { success: false, message: 'Reviewing questions requires the database' };
+        }
+
+        try {
+            const { error } = await authManager.supabase
+                .from('questions')
+                .update({
+                    status,
+                    is_active: status === 'approved',
+                    review_notes: notes,
+                    reviewed_by: authManager.getCurrentUser().id,
+                    reviewed_at: new Date().toISOString()
+                })
+                .eq('id', question.id);
+
+            if (error) {
+                throw error;
+            }
+
+            if (window.uiManager) {
+                window.uiManager.showNotification(
+                    'success',
+                    status === 'approved' ? 'Question Approved' : 'Question Rejected',
+                    status === 'approved' ? 'The question is now live.' : 'The question was removed from the queue.',
+                    3000
+                );
+            }
+
+            await Promise.all([this.loadReviewQueue(), this.loadQuestions()]);
+
+            return { success: true };
+
+        } catch (error) {
+            console.error('Failed to review question:', error);
+            if (window.errorHandler) {
+                window.errorHandler.handleDatabaseError(error, 'review_question');
+            }
+            return { success: false, error: error.message, message: 'Failed to review question' };
+        }
+    }
+
+    /**
+     * Ask for rejection notes, then reject a submitted question
+     * @param {Object} question - Question row
+     */
+    confirmRejectQuestion(question) {
+        if (!window.uiManager) return;
+
+        window.uiManager.showModal(
+            'Reject Question',
+            `
+                <p>${Utils.escapeHTML(question.question_text)}</p>
+                <div class="form-group">
+                    <label for="review-notes">Notes for the submitter (optional)</label>
+                    <textarea id="review-notes" rows="3" maxlength="500"></textarea>
+                </div>
+            `,
+            [
+                {
+                    text: 'Cancel',
+                    class: 'btn-outline',
+                    action: 'cancel'
+                },
+                {
+                    text: 'Reject',
+                    class: 'btn-error',
+                    action: 'reject',
+                    handler: () => {
+                        const notesInput = document.getElementById('review-notes');
+                        const notes = notesInput ? notesInput.value.trim() : '';
+                        this.reviewQuestion(question, 'rejected', notes || null);
+                    }
+                }
+            ]
+        );
+    }
+
+    /**
+     * Open a question in the editor, or a blank form for a new one
+     * @param {Object|null} question - Question row to edit
+     */
+    openEditor(question) {
+        this.editingQuestion = question;
+
+        const form = document.getElementById('question-editor-form');
+        if (!form) return;
+
+        form.reset();
+
+        const setValue = (id, value) => {
+            const element = document.getElementById(id);
+            if (element) element.value = value === null || value === undefined ? '' : value;
+        };
+
+        const title = document.getElementById('question-editor-title');
+        if (title) {
+            title.textContent = question ? 'Edit Question' : 'New Question';
+        }
+
+        if (question) {
+            setValue('editor-question-text', question.question_text);
+            setValue('editor-question-type', question.question_type);
+            setValue('editor-category', question.category);
+            setValue('editor-difficulty', question.difficulty);
+            setValue('editor-explanation', question.explanation);
+            setValue('editor-points', question.points_value);
+
+            const media = question.media || {};
+            setValue('editor-image-src', media.image && media.image.src);
+            setValue('editor-image-alt', media.image && media.image.alt);
+            setValue('editor-audio-src', media.audio && media.audio.src);
+            setValue('editor-audio-title', media.audio && media.audio.title);
+            setValue('editor-code-language', media.code ? media.code.language : APP_CONFIG.media.defaultCodeLanguage);
+            setValue('editor-code-source', media.code && media.code.source);
+
+            if (question.question_type === 'multiple_choice') {
+                document.querySelectorAll('.editor-option-input').forEach((input, index) => {
+                    input.value = (question.options || [])[index] || '';
+                });
+                document.querySelectorAll('.editor-option-image-input').forEach((input, index) => {
+                    const image = media.optionImages && media.optionImages[(question.options || [])[index]];
+                    input.value = image ? image.src : '';
+                });
+                const correctIndex = (question.options || []).indexOf(question.correct_answer);
+                const radio = form.querySelector(`input[name="editor-correct-option"][value="${correctIndex}"]`);
+                if (radio) radio.checked = true;
+            } else if (question.question_type === 'true_false') {
+                setValue('editor-tf-answer', question.correct_answer);
+            } else {
+                setValue('editor-blank-answer', question.correct_answer);
+                setValue('editor-accepted-answers', (question.accepted_answers || []).join(' | '));
+            }
+        }
+
+        this.updateEditorFields();
+        this.showTab('editor');
+    }
+
+    /**
+     * Show the answer fields that fit the selected question type
+     */
+    updateEditorFields() {
+        const typeSelect = document.getElementById('editor-question-type');
+        const type = typeSelect ? typeSelect.value : 'multiple_choice';
+
+        const groups = {
+            multiple_choice: 'editor-options-group',
+            true_false: 'editor-tf-group',
+            fill_blank: 'editor-blank-group'
+        };
+
+        Object.entries(groups).forEach(([groupType, id]) => {
+            const group = document.getElementById(id);
+            if (group) group.classList.toggle('hidden', groupType !== type);
+        });
+
+        this.updatePreview();
+    }
+
+    /**
+     * Read the editor form into a raw questions table row
+     * @returns {Object} Raw row
+     */
+    readEditorForm() {
+        const getValue = id => {
+            const element = document.getElementById(id);
+            return element ? element.value : '';
+        };
+
+        const questionType = getValue('editor-question-type') || 'multiple_choice';
+        const row = {
+            question_text: getValue('editor-question-text'),
+            question_type: questionType,
+            category: getValue('editor-category'),
+            difficulty: getValue('editor-difficulty'),
+            explanation: getValue('editor-explanation'),
+            points_value: getValue('editor-points'),
+            media: {
+                image: { src: getValue('editor-image-src'), alt: getValue('editor-image-alt') },
+                audio: { src: getValue('editor-audio-src'), title: getValue('editor-audio-title') },
+                code: { language: getValue('editor-code-language'), source: getValue('editor-code-source') }
+            }
+        };
+
+        if (questionType === 'multiple_choice') {
+            const options = [...document.querySelectorAll('.editor-option-input')]
+                .map(input => input.value.trim());
+            const checked = document.querySelector('input[name="editor-correct-option"]:checked');
+
+            row.correct_answer = checked ? options[parseInt(checked.value, 10)] : '';
+            row.options = options.filter(option => option !== '');
+
+            // Option images use the option text as their alt text
+            row.media.optionImages = {};
+            document.querySelectorAll('.editor-option-image-input').forEach((input, index) => {
+                if (options[index]) {
+                    row.media.optionImages[options[index]] = { src: input.value, alt: options[index] };
+                }
+            });
+        } else if (questionType === 'true_false') {
+            row.correct_answer = getValue('editor-tf-answer');
+        } else {
+            row.correct_answer = getValue('editor-blank-answer');
+            row.accepted_answers = getValue('editor-accepted-answers');
+        }
+
+        return row;
+    }
+
+    /**
+     * Convert a questions table row into the shape QuizManager renders
+     * @param {Object} row - Question row
+     * @returns {Object} Quiz question
+     */
+    toQuizQuestion(row) {
+        return {
+            id: row.id || 'preview',
+            question: row.question_text || 'Your question text appears here',
+            type: row.question_type,
+            options: row.options || [],
+            correctAnswer: row.correct_answer,
+            acceptedAnswers: row.accepted_answers || [],
+            explanation: row.explanation,
+            category: row.category,
+            difficulty: row.difficulty,
+            points: row.points_value,
+            media: row.media
+        };
+    }
+
+    /**
+     * Validate the editor form and re-render the live preview
+     * @returns {Object} { question, errors } from QuestionBankManager.normalizeRow
+     */
+    updatePreview() {
+        const result = window.questionBankManager.normalizeRow(this.readEditorForm());
+
+        const preview = document.getElementById('question-preview');
+        if (preview && window.quizManager && result.question) {
+            window.quizManager.renderQuestion(this.toQuizQuestion(result.question), {
+                container: preview,
+                preview: true
+            });
+        }
+
+        this.showEditorErrors(result.errors);
+        return result;
+    }
+
+    /**
+     * Show validation errors under the preview
+     * @param {Array<string>} errors - Error messages
+     */
+    showEditorErrors(errors) {
+        const errorList = document.getElementById('question-editor-errors');
+        if (errorList) {
+            errorList.innerHTML = errors.map(error => `<li>${Utils.escapeHTML(error)}</li>`).join('');
+        }
+
+        const saveBtn = document.getElementById('editor-save-btn');
+        if (saveBtn) {
+            saveBtn.disabled = errors.length > 0;
+        }
+    }
+
+    /**
+     * Save the question in the editor
+     * @returns {Promise<Object>} Save result
+     */
+    async saveQuestion() {
+        const { question, errors } = this.updatePreview();
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        if (!this.useDatabase()) {
+            return { success: false, message: 'Saving questions requires the database' };
+        }
+
+        try {
+            // Reject duplicates, ignoring the question's own current text
+            const key = Utils.normalizeAnswer(question.question_text);
+            const originalKey = this.editingQuestion ?
+                Utils.normalizeAnswer(this.editingQuestion.question_text) : null;
+            const existingTexts = await window.questionBankManager.getExistingQuestionTexts();
+
+            if (key !== originalKey && existingTexts.has(key)) {
+                this.showEditorErrors(['Question already exists in the question bank']);
+                return { success: false, message: 'Question already exists in the question bank' };
+            }
+
+            let error;
+            if (this.editingQuestion) {
+                ({ error } = await authManager.supabase
+                    .from('questions')
+                    .update(question)
+                    .eq('id', this.editingQuestion.id));
+            } else {
+                ({ error } = await authManager.supabase
+                    .from('questions')
+                    .insert({
+                        ...question,
+                        created_by: authManager.getCurrentUser().id,
+                        status: 'approved',
+                        is_active: true
+                    }));
+            }
+
+            if (error) {
+                throw error;
+            }
+
+            if (window.uiManager) {
+                window.uiManager.showNotification(
+                    'success',
+                    'Question Saved',
+                    this.editingQuestion ? 'Your changes have been saved.' : 'The question has been added.',
+                    3000
+                );
+            }
+
+            this.openEditor(null);
+            await Promise.all([this.loadQuestions(), this.loadReviewQueue()]);
+            this.showTab('questions');
+
+            return { success: true };
+
+        } catch (error) {
+            console.error('Failed to save question:', error);
+            if (window.errorHandler) {
+                window.errorHandler.handleDatabaseError(error, 'save_question');
+            }
+            return { success: false, error: error.message, message: 'Failed to save question' };
+        }
+    }
+
+    /**
+     * Load per-question analytics
+     */
+    async loadAnalytics() {
+        if (!this.isEditor || !window.quizManager) return;
+
+        try {
+            this.analytics = await window.quizManager.getQuestionAnalytics(this.analyticsFilters);
+            this.updateAnalyticsDisplay();
+
+        } catch (error) {
+            console.error('Failed to load question analytics:', error);
+            if (window.errorHandler) {
+                window.errorHandler.handleDatabaseError(error, 'load_question_analytics');
+            }
+        }
+    }
+
+    /**
+     * Update the question analytics display
+     */
+    updateAnalyticsDisplay() {
+        const list = document.getElementById('question-analytics-list');
+        if (!list) return;
+
+        if (this.analytics.length === 0) {
+            list.innerHTML = '<p class="admin-empty">No question analytics to show.</p>';
+            return;
+        }
+
+        const flagLabels = APP_CONFIG.questionAnalytics.flagLabels;
+
+        list.innerHTML = this.analytics.map(item => {
+            const flagsHTML = item.flags.map(flag => `
+                <span class="admin-status-badge rejected">${Utils.escapeHTML(flagLabels[flag] || flag)}</span>
+            `).join('');
+
+            const ratesHTML = item.answerRates.map(rate => `
+                <div class="analytics-answer ${rate.isCorrect ? 'correct' : ''}">
+                    <span class="analytics-answer-label">${Utils.escapeHTML(rate.answer)}</span>
+                    <div class="analytics-answer-bar">
+                        <div class="analytics-answer-fill" style="width: ${Math.round(rate.rate * 100)}%"></div>
+                    </div>
+                    <span class="analytics-answer-rate">${Math.round(rate.rate * 100)}%</span>
+                </div>
+            `).join('');
+
+            const canRecalibrate = item.suggestedDifficulty && item.suggestedDifficulty !== item.difficulty;
+
+            return `
+                <div class="analytics-item ${item.flags.length > 0 ? 'flagged' : ''}">
+                    <div class="analytics-item-header">
+                        <div class="admin-question-text">${markupManager.render(item.question)}</div>
+                        ${flagsHTML}
+                    </div>
+                    <div class="analytics-stats">
+                        <span>${item.responses} ${item.responses === 1 ? 'answer' : 'answers'}</span>
+                        <span>p-value: ${item.pValue === null ? '–' : item.pValue.toFixed(2)}</span>
+                        <span>Avg time: ${item.avgTimeTaken === null ? '–' : `${item.avgTimeTaken.toFixed(1)}s`}</span>
+                        <span>Labeled ${Utils.escapeHTML(item.difficulty)}${canRecalibrate ? `, plays like ${Utils.escapeHTML(item.suggestedDifficulty)}` : ''}</span>
+                        ${item.hasEnoughData ? '' : '<span>Not enough answers to judge yet</span>'}
+                    </div>
+                    ${item.responses > 0 ? `<div class="analytics-answers">${ratesHTML}</div>` : ''}
+                    <div class="review-queue-actions">
+                        <button class="btn btn-sm btn-outline" data-analytics-action="edit" data-question-id="${item.id}">Edit</button>
+                        ${canRecalibrate ? `
+                            <button class="btn btn-sm btn-primary" data-analytics-action="recalibrate"
+                                data-question-id="${item.id}" data-difficulty="${Utils.escapeHTML(item.suggestedDifficulty)}">
+                                Set to ${Utils.escapeHTML(item.suggestedDifficulty)}
+                            </button>
+                        ` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Open a question in the editor by ID
+     * @param {string} id - Question ID
+     */
+    async editQuestionById(id) {
+        let question = this.questions.find(q => q.id === id);
+
+        const item = this.analytics.find(a => a.id === id);
+
+        if (!question && item && this.useDatabase()) {
+            try {
+                const matches = await this.fetchEditorQuestions({
+                    status: 'all',
+                    category: item.category,
+                    search: item.question
+                });
+                question = matches.find(q => q.id === id);
+            } catch (error) {
+                console.error('Failed to load question:', error);
+            }
+        }
+
+        if (question) {
+            this.openEditor(question);
+        }
+    }
+
+    /**
+     * Set a question's difficulty to the level its answers suggest, then re-check its flags
+     * @param {string} id - Question ID
+     * @param {string} difficulty - New difficulty
+     * @returns {Promise<Object>} Update result
+     */
+    async recalibrateDifficulty(id, difficulty) {
+        if (!this.useDatabase() || !APP_CONFIG.quiz.difficulties.includes(difficulty)) {
+            return { success: false };
+        }
+
+        try {
+            const { error } = await authManager.supabase
+                .from('questions')
+                .update({
+                    difficulty,
+                    points_value: APP_CONFIG.quiz.pointsSystem[difficulty]
+                })
+                .eq('id', id);
+
+            if (error) {
+                throw error;
+            }
+
+            await authManager.supabase.rpc('recheck_question_flags', {
+                p_question_ids: [id]
+            });
+
+            if (window.uiManager) {
+                window.uiManager.showNotification(
+                    'success',
+                    'Difficulty Updated',
+                    `The question is now rated ${difficulty}.`,
+                    3000
+                );
+            }
+
+            await this.loadAnalytics();
+            return { success: true };
+
+        } catch (error) {
+            console.error('Failed to recalibrate question:', error);
+            if (window.errorHandler) {
+                window.errorHandler.handleDatabaseError(error, 'recalibrate_question');
+            }
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Re-run the automatic quality checks on every question
+     */
+    async recheckFlags() {
+        if (!this.useDatabase()) return;
+
+        try {
+            const { data, error } = await authManager.supabase
+                .rpc('recheck_question_flags', {
+                    p_question_ids: null
+                });
+
+            if (error) {
+                throw error;
+            }
+
+            if (window.uiManager) {
+                window.uiManager.showNotification('success', 'Flags Updated', `Re-checked ${data || 0} questions.`, 3000);
+            }
+
+            await this.loadAnalytics();
+
+        } catch (error) {
+            console.error('Failed to re-check question flags:', error);
+            if (window.errorHandler) {
+                window.errorHandler.handleDatabaseError(error, 'recheck_question_flags');
+            }
+        }
+    }
+
+    /**
+     * Clear admin data on sign out
+     */
+    clearAdminData() {
+        this.isEditor = false;
+        this.questions = [];
+        this.reviewQueue = [];
+        this.analytics = [];
+        this.selectedIds.clear();
+        this.editingQuestion = null;
+
+        document.querySelectorAll('.nav-link[data-page="admin"]').forEach(link => {
+            link.classList.add('hidden');
+        });
+    }
+}
+
+// Create global instance
+const adminManager = new AdminManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AdminManager;
+}
+
+// Make available globally
+window.AdminManager = AdminManager;
+window.adminManager = adminManager;
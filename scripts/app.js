@@ -40,6 +40,12 @@ class QuizMasterApp {
             // Initialize authentication
             await this.initializeAuth();
             
+            // Offer to resume a quiz interrupted by a reload, otherwise one shared by link
+            const offeredResume = await this.checkForInterruptedQuiz();
+            if (!offeredResume) {
+                await this.checkForSharedQuiz();
+            }
+            
             // Mark as initialized
             this.isInitialized = true;
             
@@ -142,6 +148,122 @@ class QuizMasterApp {
         console.log('✅ Authentication initialized');
     }
 
+    /**
+     * Check for a checkpointed quiz and offer to resume or abandon it
+     * @returns {Promise<boolean>} Whether a resume was offered
+     */
+    async checkForInterruptedQuiz() {
+        const quizManager = window.quizManager;
+        const uiManager = this.components.ui;
+        if (!quizManager || !uiManager) return false;
+
+        try {
+            const checkpoint = await quizManager.getResumableQuiz();
+
+            // Clean up any other sessions left active past the cutoff
+            await quizManager.abandonStaleSessions(checkpoint ? checkpoint.quiz.sessionId : null);
+
+            if (!checkpoint) return false;
+
+            const answered = checkpoint.userAnswers.length;
+            const total = checkpoint.quiz.questionCount;
+            // Endless runs have no question count
+            const progress = total > 0 ? `${answered} of ${total} questions answered` : `${answered} questions answered`;
+
+            uiManager.showModal(
+                'Resume Quiz?',
+                `You have an unfinished ${Utils.escapeHTML(checkpoint.quiz.category)} quiz ` +
+                `(${progress}, ${checkpoint.score} points). ` +
+                'Would you like to pick up where you left off?',
+                [
+                    {
+                        text: 'Abandon',
+                        class: 'btn-outline',
+                        action: 'abandon',
+                        handler: () => {
+                            quizManager.abandonCheckpoint(checkpoint);
+                            uiManager.showNotification('info', 'Quiz Abandoned', 'Your unfinished quiz was discarded.');
+                        }
+                    },
+                    {
+                        text: 'Resume',
+                        class: 'btn-primary',
+                        action: 'resume',
+                        handler: () => uiManager.resumeQuiz(checkpoint)
+                    }
+                ]
+            );
+
+            return true;
+
+        } catch (error) {
+            console.error('Failed to check for interrupted quiz:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Check the URL for a quiz shared from the builder and offer to play it
+     */
+    async checkForSharedQuiz() {
+        const quizBuilder = window.quizBuilder;
+        const uiManager = this.components.ui;
+        if (!quizBuilder || !uiManager) return;
+
+        try {
+            const params = Utils.url.getParams();
+            const config = APP_CONFIG.quizBuilder;
+            if (!params[config.shareParam] && !params[config.shareDefinitionParam]) return;
+
+            const definition = await quizBuilder.getSharedDefinition();
+            quizBuilder.clearSharedDefinition();
+
+            if (!definition) {
+                uiManager.showNotification('error', 'Shared Quiz', 'This quiz link is invalid or the quiz was deleted.');
+                return;
+            }
+
+            const buttons = [
+                {
+                    text: 'Cancel',
+                    class: 'btn-outline',
+                    action: 'cancel'
+                },
+                {
+                    text: 'Play',
+                    class: 'btn-primary',
+                    action: 'play',
+                    handler: () => quizBuilder.startDefinition(definition)
+                }
+            ];
+
+            if (window.authManager && window.authManager.getCurrentUser()) {
+                buttons.splice(1, 0, {
+                    text: 'Save',
+                    class: 'btn-secondary',
+                    action: 'save',
+                    handler: async () => {
+                        const result = await quizBuilder.saveDefinition({ ...definition, id: null });
+                        uiManager.showNotification(result.success ? 'success' : 'error', 'Shared Quiz', result.message);
+                        if (result.success) {
+                            quizBuilder.loadSavedDefinitions();
+                        }
+                    }
+                });
+            }
+
+            uiManager.showModal(
+                'Play Shared Quiz?',
+                `<strong>${Utils.escapeHTML(definition.name)}</strong><br>` +
+                Utils.escapeHTML(quizBuilder.summarizeDefinition(definition)),
+                buttons
+            );
+
+        } catch (error) {
+            console.error('Failed to open shared quiz:', error);
+        }
+    }
+
     /**
      * Handle global errors
      * @param {Error} error - Error object
@@ -0,0 +1,210 @@
+// Confidence Calibration Module for QuizMaster app
+// Records confidence-rated answers and compares stated confidence with actual accuracy
+
+/**
+ * Calibration Tracker class
+ * On a confidence-weighted quiz every answer is rated low, medium or high.
+ * Each rating has an accuracy range where it scores best (see
+ * APP_CONFIG.quiz.confidence.ranges); a player is well calibrated when their
+ * accuracy at each rating falls in its range. Ratings are kept on quiz_answers
+ * when Supabase is available, and in local storage otherwise.
+ */
+class CalibrationTracker {
+    constructor() {
+        this.config = APP_CONFIG.quiz.confidence;
+        this.storageKey = 'confidence_answers';
+        this.verdictLabels = {
+            calibrated: 'Well calibrated',
+            overconfident: 'Overconfident',
+            underconfident: 'Underconfident'
+        };
+
+        console.log('🎚️ Calibration Tracker initialized');
+    }
+
+    /**
+     * Check whether the database should be used
+     * @returns {boolean} Use database
+     */
+    useDatabase() {
+        return !!(authManager.supabase && authManager.isInitialized && authManager.getCurrentUser());
+    }
+
+    /**
+     * Record a confidence-rated answer locally
+     * @param {Object} question - Question answered
+     * @param {string} confidence - 'low', 'medium' or 'high'
+     * @param {boolean} isCorrect - Whether the answer was correct
+     */
+    recordLocalAnswer(question, confidence, isCorrect) {
+        const answers = this.getLocalAnswers();
+
+        answers.push({
+            questionId: question.id,
+            category: question.category,
+            confidence,
+            isCorrect,
+            createdAt: new Date().toISOString()
+        });
+
+        Utils.storage.set(this.storageKey, answers.slice(-this.config.maxLocalAnswers));
+    }
+
+    /**
+     * Get the current user's calibration across their history
+     * @returns {Promise<Object>} { answers, levels, verdict, categories }; levels hold each rating's
+     *     accuracy, and categories (most answered first) hold the same per category
+     */
+    async getStats() {
+        let rows = [];
+
+        try {
+            if (this.useDatabase()) {
+                const { data, error } = await authManager.supabase.rpc('get_confidence_calibration');
+
+                if (error) {
+                    throw error;
+                }
+
+                rows = data || [];
+            } else {
+                rows = this.summarizeLocalAnswers();
+            }
+        } catch (error) {
+            console.error('Failed to load confidence calibration:', error);
+        }
+
+        const byCategory = {};
+        rows.forEach(row => {
+            (byCategory[row.category] = byCategory[row.category] || []).push(row);
+        });
+
+        const summarize = (categoryRows) => {
+            const levels = this.summarizeLevels(categoryRows);
+            return {
+                answers: levels.reduce((sum, level) => sum + level.answers, 0),
+                levels,
+                verdict: this.judge(levels)
+            };
+        };
+
+        return {
+            ...summarize(rows),
+            categories: Object.entries(byCategory)
+                .map(([category, categoryRows]) => ({ category, ...summarize(categoryRows) }))
+                .sort((a, b) => b.answers - a.answers)
+        };
+    }
+
+    /**
+     * Total up answers and accuracy at each confidence level
+     * @param {Array<Object>} rows - { confidence, answers, correct }
+     * @returns {Array<Object>} { level, label, answers, correct, accuracy, range, status } in level order;
+     *     status is null until the level has minAnswers answers
+     */
+    summarizeLevels(rows) {
+        return this.config.levels.map(level => {
+            const levelRows = rows.filter(row => row.confidence === level);
+            const answers = levelRows.reduce((sum, row) => sum + row.answers, 0);
+            const correct = levelRows.reduce((sum, row) => sum + row.correct, 0);
+            const accuracy = Utils.calculatePercentage(correct, answers);
+
+            return {
+                level,
+                label: this.config.labels[level],
+                answers,
+                correct,
+                accuracy,
+                range: this.config.ranges[level],
+                status: answers >= this.config.minAnswers ? this.getLevelStatus(level, accuracy) : null
+            };
+        });
+    }
+
+    /**
+     * Compare a level's accuracy with its range
+     * @param {string} level - Confidence level
+     * @param {number} accuracy - Percent correct at the level
+     * @returns {string} 'calibrated', 'overconfident' (accuracy below the range) or 'underconfident'
+     */
+    getLevelStatus(level, accuracy) {
+        const gap = this.getGap(level, accuracy);
+        if (Math.abs(gap) <= this.config.tolerance) return 'calibrated';
+        return gap < 0 ? 'overconfident' : 'underconfident';
+    }
+
+    /**
+     * Distance from a level's accuracy to its range
+     * @param {string} level - Confidence level
+     * @param {number} accuracy - Percent correct at the level
+     * @returns {number} Percentage points, negative below the range and 0 inside it
+     */
+    getGap(level, accuracy) {
+        const [low, high] = this.config.ranges[level];
+        if (accuracy < low) return accuracy - low;
+        if (accuracy > high) return accuracy - high;
+        return 0;
+    }
+
+    /**
+     * Judge calibration over the levels with enough answers
+     * The gaps are weighted by answers, so the levels used most count most.
+     * @param {Array<Object>} levels - From summarizeLevels
+     * @returns {Object|null} { status, label, gap } with gap in percentage points, or null
+     *     while no level has enough answers
+     */
+    judge(levels) {
+        const judged = levels.filter(level => level.status !== null);
+        const answers = judged.reduce((sum, level) => sum + level.answers, 0);
+        if (answers === 0) return null;
+
+        const gap = judged.reduce((sum, level) => sum + this.getGap(level.level, level.accuracy) * level.answers, 0) / answers;
+        const status = Math.abs(gap) <= this.config.tolerance ? 'calibrated' : (gap < 0 ? 'overconfident' : 'underconfident');
+
+        return {
+            status,
+            label: this.verdictLabels[status],
+            gap: Math.round(gap)
+        };
+    }
+
+    /**
+     * Total up local answers by category and confidence
+     * Mirrors get_confidence_calibration.
+     * @returns {Array<Object>} { category, confidence, answers, correct }
+     */
+    summarizeLocalAnswers() {
+        const rows = {};
+
+        this.getLocalAnswers().forEach(answer => {
+            const category = answer.category || 'General Knowledge';
+            const key = `${category}|${answer.confidence}`;
+            const row = rows[key] || (rows[key] = { category, confidence: answer.confidence, answers: 0, correct: 0 });
+
+            row.answers++;
+            if (answer.isCorrect) row.correct++;
+        });
+
+        return Object.values(rows);
+    }
+
+    /**
+     * Get all locally stored rated answers, oldest first
+     * @returns {Array} Answers
+     */
+    getLocalAnswers() {
+        return Utils.storage.get(this.storageKey, []);
+    }
+}
+
+// Create global instance
+const calibrationTracker = new CalibrationTracker();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CalibrationTracker;
+}
+
+// Make available globally
+window.CalibrationTracker = CalibrationTracker;
+window.calibrationTracker = calibrationTracker;
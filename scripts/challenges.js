@@ -0,0 +1,514 @@
+// Head-to-Head Challenge Module for QuizMaster app
+// Lets a player challenge someone else to beat their score on the exact quiz they just took
+
+/**
+ * Challenge Manager class
+ * A challenge stores the question IDs, order and settings of a finished quiz
+ * so the opponent can play the identical set later. Challenges move from
+ * pending (sent) to accepted (opponent started) to completed (opponent
+ * finished), or expire when the opponent doesn't play in time. Uses the
+ * challenges table when Supabase is available and local storage otherwise,
+ * where players are matched by username.
+ */
+class ChallengeManager {
+    constructor() {
+        this.config = APP_CONFIG.challenges;
+        this.storageKey = 'challenges';
+
+        console.log('⚔️ Challenge Manager initialized');
+    }
+
+    /**
+     * Check whether the database should be used
+     * @returns {boolean} Use database
+     */
+    useDatabase() {
+        return !!(authManager.supabase && authManager.isInitialized && authManager.getCurrentUser());
+    }
+
+    /**
+     * Get a user's display name
+     * @param {Object} user - Auth user
+     * @returns {string} Username
+     */
+    getUsername(user) {
+        return (user.user_metadata && user.user_metadata.username) || user.email.split('@')[0];
+    }
+
+    /**
+     * Check whether a local username belongs to the current user
+     * @param {string} username - Username to check
+     * @returns {boolean} Is the current user
+     */
+    isCurrentUsername(username) {
+        const user = authManager.getCurrentUser();
+        return !!user && !!username && username.toLowerCase() === this.getUsername(user).toLowerCase();
+    }
+
+    /**
+     * Check whether the current user is the opponent of a challenge
+     * @param {Object} challenge - Challenge
+     * @returns {boolean} Is the opponent
+     */
+    isOpponent(challenge) {
+        const user = authManager.getCurrentUser();
+        if (!user) return false;
+
+        return challenge.opponentId ?
+            challenge.opponentId === user.id :
+            this.isCurrentUsername(challenge.opponentUsername);
+    }
+
+    /**
+     * Get a completed challenge's outcome for the current user
+     * @param {Object} challenge - Challenge
+     * @returns {string|null} 'won', 'lost', 'tied' or null while undecided
+     */
+    getOutcome(challenge) {
+        if (challenge.status !== 'completed') return null;
+
+        const mine = this.isOpponent(challenge) ? challenge.opponentScore : challenge.challengerScore;
+        const theirs = this.isOpponent(challenge) ? challenge.challengerScore : challenge.opponentScore;
+
+        if (mine === theirs) return 'tied';
+        return mine > theirs ? 'won' : 'lost';
+    }
+
+    /**
+     * Challenge another player to a finished quiz
+     * @param {Object} results - Quiz results from QuizManager.calculateResults
+     * @param {Array} questions - The quiz's question objects (kept for local challenges)
+     * @param {string} opponentUsername - Username of the player to challenge
+     * @returns {Promise<Object>} Create result
+     */
+    async createChallenge(results, questions, opponentUsername) {
+        const user = authManager.getCurrentUser();
+        if (!user) {
+            return { success: false, message: 'Sign in to challenge someone' };
+        }
+
+        const username = (opponentUsername || '').trim();
+        if (!username) {
+            return { success: false, message: 'Enter the username of the player to challenge' };
+        }
+
+        if (results.mode === 'review') {
+            return { success: false, message: 'Review quizzes cannot be turned into challenges' };
+        }
+
+        if (results.dailyDate) {
+            return { success: false, message: 'Daily challenges cannot be turned into challenges' };
+        }
+
+        if (!results.answers || results.answers.length === 0) {
+            return { success: false, message: 'This quiz has no answers to challenge' };
+        }
+
+        try {
+            if (this.useDatabase()) {
+                const { data, error } = await authManager.supabase
+                    .rpc('create_challenge', {
+                        p_session_id: results.sessionId,
+                        p_opponent_username: username
+                    });
+
+                if (error) {
+                    throw error;
+                }
+
+                return {
+                    success: true,
+                    challenge: this.mapChallenge({
+                        ...data,
+                        challenger_username: this.getUsername(user),
+                        opponent_username: username,
+                        question_count: data.question_ids.length
+                    }),
+                    message: `Challenge sent to ${username}`
+                };
+            }
+
+            if (this.isCurrentUsername(username)) {
+                return { success: false, message: 'You cannot challenge yourself' };
+            }
+
+            // Keep the questions in the order they were answered; skipped questions drop out
+            const challengeQuestions = results.answers
+                .map(answer => questions.find(question => question.id === answer.questionId))
+                .filter(Boolean);
+
+            const expiresAt = new Date();
+            expiresAt.setDate(expiresAt.getDate() + this.config.expiryDays);
+
+            const challenge = {
+                id: Utils.generateUUID(),
+                challengerId: null,
+                challengerUsername: this.getUsername(user),
+                opponentId: null,
+                opponentUsername: username,
+                category: results.category,
+                difficulty: results.difficulty,
+                timingMode: results.timingMode,
+                lifelineAllowance: { ...results.lifelineAllowance, skip: 0 },
+                seed: results.seed,
+                scoringVersion: results.scoringVersion || null,
+                questions: challengeQuestions,
+                questionCount: challengeQuestions.length,
+                challengerAnswers: this.summarizeAnswers(results.answers),
+                challengerScore: results.score,
+                opponentAnswers: [],
+                opponentScore: null,
+                status: 'pending',
+                createdAt: new Date().toISOString(),
+                expiresAt: expiresAt.toISOString(),
+                completedAt: null
+            };
+
+            const challenges = this.getLocalChallenges();
+            challenges.push(challenge);
+            Utils.storage.set(this.storageKey, challenges);
+
+            return {
+                success: true,
+                challenge: this.mapLocalChallenge(challenge),
+                message: `Challenge sent to ${username}`
+            };
+
+        } catch (error) {
+            console.error('Failed to create challenge:', error);
+            return { success: false, error: error.message, message: error.message || 'Failed to send challenge' };
+        }
+    }
+
+    /**
+     * Get the current user's challenges, sent and received, newest first
+     * @param {number} limit - Maximum number of challenges
+     * @returns {Promise<Array>} Challenges
+     */
+    async getChallenges(limit = this.config.dashboardLimit) {
+        try {
+            if (this.useDatabase()) {
+                const { data, error } = await authManager.supabase
+                    .rpc('get_challenges', { p_limit: limit });
+
+                if (error) {
+                    throw error;
+                }
+
+                return (data || []).map(row => this.mapChallenge(row));
+            }
+
+            return this.getLocalChallenges()
+                .filter(challenge => this.isCurrentUsername(challenge.challengerUsername) ||
+                    this.isCurrentUsername(challenge.opponentUsername))
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+                .slice(0, limit)
+                .map(challenge => this.mapLocalChallenge(challenge));
+
+        } catch (error) {
+            console.error('Failed to load challenges:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Accept a challenge and get the quiz to play
+     * @param {string} challengeId - Challenge ID
+     * @returns {Promise<Object>} Accept result with quiz settings for QuizManager.startQuiz
+     */
+    async acceptChallenge(challengeId) {
+        try {
+            if (this.useDatabase()) {
+                const { data, error } = await authManager.supabase
+                    .rpc('accept_challenge', { p_challenge_id: challengeId });
+
+                if (error) {
+                    throw error;
+                }
+
+                const { data: questionRows, error: questionsError } = await authManager.supabase
+                    .rpc('get_challenge_questions', { p_challenge_id: challengeId });
+
+                if (questionsError) {
+                    throw questionsError;
+                }
+
+                return {
+                    success: true,
+                    quiz: {
+                        id: data.id,
+                        sessionId: data.opponent_session_id,
+                        category: data.category,
+                        difficulty: data.difficulty,
+                        timingMode: data.timing_mode,
+                        lifelines: data.lifeline_allowance,
+                        seed: data.seed,
+                        scoringVersion: data.scoring_version,
+                        questions: (questionRows || []).map(q => ({
+                            id: q.id,
+                            question: q.question_text,
+                            type: q.question_type,
+                            options: q.question_type === 'true_false' ?
+                                APP_CONFIG.quiz.trueFalseOptions : (q.options || []),
+                            correctAnswer: null, // Revealed by the server once answered
+                            acceptedAnswers: [],
+                            explanation: null,
+                            category: q.category,
+                            difficulty: q.difficulty,
+                            points: q.points_value || APP_CONFIG.quiz.pointsSystem[q.difficulty] || 10,
+                            media: q.media || null,
+                            serverGraded: true
+                        }))
+                    }
+                };
+            }
+
+            const challenges = this.getLocalChallenges();
+            const challenge = challenges.find(c => c.id === challengeId);
+
+            if (!challenge || !this.isCurrentUsername(challenge.opponentUsername)) {
+                return { success: false, message: 'Challenge not found' };
+            }
+
+            if (this.isExpired(challenge)) {
+                return { success: false, message: 'This challenge has expired' };
+            }
+
+            if (challenge.status !== 'pending') {
+                return { success: false, message: 'This challenge has already been played' };
+            }
+
+            challenge.status = 'accepted';
+            challenge.acceptedAt = new Date().toISOString();
+            Utils.storage.set(this.storageKey, challenges);
+
+            return {
+                success: true,
+                quiz: {
+                    id: challenge.id,
+                    sessionId: null,
+                    category: challenge.category,
+                    difficulty: challenge.difficulty,
+                    timingMode: challenge.timingMode,
+                    lifelines: challenge.lifelineAllowance,
+                    seed: challenge.seed,
+                    scoringVersion: challenge.scoringVersion || null,
+                    questions: challenge.questions
+                }
+            };
+
+        } catch (error) {
+            console.error('Failed to accept challenge:', error);
+            return { success: false, error: error.message, message: error.message || 'Failed to start challenge' };
+        }
+    }
+
+    /**
+     * Record the opponent's finished attempt
+     * The database completes the challenge with a trigger when the session completes.
+     * @param {string} challengeId - Challenge ID
+     * @param {Object} results - Quiz results
+     */
+    completeChallenge(challengeId, results) {
+        if (this.useDatabase()) return;
+
+        const challenges = this.getLocalChallenges();
+        const challenge = challenges.find(c => c.id === challengeId);
+        if (!challenge || challenge.status !== 'accepted') return;
+
+        challenge.opponentAnswers = this.summarizeAnswers(results.answers);
+        challenge.opponentScore = results.score;
+        challenge.status = 'completed';
+        challenge.completedAt = new Date().toISOString();
+
+        Utils.storage.set(this.storageKey, challenges);
+    }
+
+    /**
+     * Compare both players' answers to a completed challenge
+     * @param {string} challengeId - Challenge ID
+     * @returns {Promise<Object>} { success, challenge, rows }
+     */
+    async getComparison(challengeId) {
+        try {
+            if (this.useDatabase()) {
+                const { data, error } = await authManager.supabase
+                    .rpc('get_challenge_comparison', { p_challenge_id: challengeId });
+
+                if (error) {
+                    throw error;
+                }
+
+                const challenges = await this.getChallenges(100);
+
+                return {
+                    success: true,
+                    challenge: challenges.find(c => c.id === challengeId) || null,
+                    rows: (data || []).map(row => ({
+                        position: row.question_position,
+                        question: row.question_text,
+                        correctAnswer: row.correct_answer,
+                        challenger: this.mapComparisonAnswer(
+                            row.challenger_answer, row.challenger_correct, row.challenger_timed_out,
+                            row.challenger_points, row.challenger_time
+                        ),
+                        opponent: this.mapComparisonAnswer(
+                            row.opponent_answer, row.opponent_correct, row.opponent_timed_out,
+                            row.opponent_points, row.opponent_time
+                        )
+                    }))
+                };
+            }
+
+            const challenge = this.getLocalChallenges().find(c => c.id === challengeId);
+            if (!challenge || (!this.isCurrentUsername(challenge.challengerUsername) &&
+                !this.isCurrentUsername(challenge.opponentUsername))) {
+                return { success: false, message: 'Challenge not found' };
+            }
+
+            if (challenge.status !== 'completed') {
+                return { success: false, message: 'The comparison is ready once both players have finished' };
+            }
+
+            const findAnswer = (answers, questionId) => {
+                const answer = answers.find(a => a.questionId === questionId);
+                return answer ? this.mapComparisonAnswer(
+                    answer.selectedAnswer, answer.isCorrect, answer.timedOut, answer.points, answer.timeSpent
+                ) : null;
+            };
+
+            return {
+                success: true,
+                challenge: this.mapLocalChallenge(challenge),
+                rows: challenge.questions.map((question, index) => ({
+                    position: index + 1,
+                    question: question.question,
+                    correctAnswer: question.correctAnswer,
+                    challenger: findAnswer(challenge.challengerAnswers, question.id),
+                    opponent: findAnswer(challenge.opponentAnswers, question.id)
+                }))
+            };
+
+        } catch (error) {
+            console.error('Failed to load challenge comparison:', error);
+            return { success: false, error: error.message, message: error.message || 'Failed to load comparison' };
+        }
+    }
+
+    /**
+     * Map one player's answer in a comparison
+     * @param {string} answer - Submitted answer
+     * @param {boolean|null} isCorrect - Whether it was correct, null if there is no answer
+     * @param {boolean} timedOut - Whether the question ran out of time
+     * @param {number} points - Points earned
+     * @param {number} timeTaken - Seconds spent on the question
+     * @returns {Object|null} Answer, or null if the player never reached the question
+     */
+    mapComparisonAnswer(answer, isCorrect, timedOut, points, timeTaken) {
+        if (isCorrect === null || isCorrect === undefined) return null;
+
+        return {
+            answer: answer || '',
+            isCorrect,
+            timedOut: !!timedOut,
+            points: points || 0,
+            timeTaken: timeTaken || 0
+        };
+    }
+
+    /**
+     * Keep only what a comparison needs from each answer record
+     * @param {Array} answers - Answer records from QuizManager
+     * @returns {Array} Answer summaries
+     */
+    summarizeAnswers(answers) {
+        return answers.map(answer => ({
+            questionId: answer.questionId,
+            selectedAnswer: answer.selectedAnswer,
+            isCorrect: answer.isCorrect,
+            timedOut: answer.timedOut,
+            points: answer.points,
+            timeSpent: answer.timeSpentOnQuestion
+        }));
+    }
+
+    /**
+     * Map a get_challenges row to a challenge
+     * @param {Object} row - Database row
+     * @returns {Object} Challenge
+     */
+    mapChallenge(row) {
+        return {
+            id: row.id,
+            challengerId: row.challenger_id,
+            challengerUsername: row.challenger_username,
+            opponentId: row.opponent_id,
+            opponentUsername: row.opponent_username,
+            category: row.category,
+            difficulty: row.difficulty,
+            questionCount: row.question_count,
+            challengerScore: row.challenger_score,
+            opponentScore: row.opponent_score,
+            status: row.status,
+            createdAt: row.created_at,
+            expiresAt: row.expires_at,
+            completedAt: row.completed_at
+        };
+    }
+
+    /**
+     * Map a locally stored challenge, leaving out its questions and answers
+     * @param {Object} challenge - Stored challenge
+     * @returns {Object} Challenge
+     */
+    mapLocalChallenge(challenge) {
+        return {
+            id: challenge.id,
+            challengerId: challenge.challengerId,
+            challengerUsername: challenge.challengerUsername,
+            opponentId: challenge.opponentId,
+            opponentUsername: challenge.opponentUsername,
+            category: challenge.category,
+            difficulty: challenge.difficulty,
+            questionCount: challenge.questionCount,
+            challengerScore: challenge.challengerScore,
+            opponentScore: challenge.opponentScore,
+            status: this.isExpired(challenge) ? 'expired' : challenge.status,
+            createdAt: challenge.createdAt,
+            expiresAt: challenge.expiresAt,
+            completedAt: challenge.completedAt
+        };
+    }
+
+    /**
+     * Check whether an unfinished challenge is past its expiry
+     * @param {Object} challenge - Challenge
+     * @returns {boolean} Is expired
+     */
+    isExpired(challenge) {
+        return challenge.status === 'expired' || (
+            ['pending', 'accepted'].includes(challenge.status) &&
+            new Date(challenge.expiresAt) < new Date()
+        );
+    }
+
+    /**
+     * Get the locally stored challenges
+     * @returns {Array} Stored challenges
+     */
+    getLocalChallenges() {
+        return Utils.storage.get(this.storageKey, []);
+    }
+}
+
+// Create global instance
+const challengeManager = new ChallengeManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChallengeManager;
+}
+
+// Make available globally
+window.ChallengeManager = ChallengeManager;
+window.challengeManager = challengeManager;
@@ -17,6 +17,14 @@ const APP_CONFIG = {
     quiz: {
         questionsPerQuiz: 10,
         timePerQuestion: 30, // seconds
+        timingModes: ['total', 'per_question'], // One pooled timer or a countdown per question
+        defaultTimingMode: 'total',
+        modes: ['standard', 'review', 'practice', 'survival', 'sudden_death'],
+        defaultMode: 'standard',
+        questionTypes: ['multiple_choice', 'true_false', 'fill_blank'],
+        trueFalseOptions: ['True', 'False'],
+        abandonAfterMinutes: 60, // Unfinished sessions older than this are marked abandoned
+        seedMaxLength: 32, // Seeds longer than this are cut (mirrors quiz_sessions.seed)
         categories: [
             'General Knowledge',
             'Science',
@@ -33,12 +41,341 @@ const APP_CONFIG = {
         pointsSystem: {
             easy: 10,
             medium: 20,
-            hard: 30,
-            bonusMultiplier: 1.5, // Bonus for consecutive correct answers
-            penaltyPercentage: 0.1 // 10% penalty for wrong answers
+            hard: 30
+        },
+        scoring: {
+            // Named rule sets a quiz can be scored with, mirrored row for row by the
+            // scoring_profiles table. The rules under a version never change: publish
+            // a new version and mark the old one retired, so every session keeps the
+            // version it was scored with and its score can be explained and recomputed.
+            // Rates are shares of the question's base points; completion bonuses are
+            // points per question answered.
+            defaultProfile: 'classic',
+            profiles: [
+                {
+                    version: 'classic-v1',
+                    name: 'classic',
+                    label: 'Classic',
+                    description: 'Streak, speed and hard question bonuses; a wrong answer costs 10%',
+                    rules: {
+                        streak: { minStreak: 2, multiplier: 1.5 }, // from the third correct answer in a row
+                        speed: { thresholds: { easy: 10, medium: 15, hard: 20 }, maxBonus: 0.3 },
+                        hardBonus: 0.2,
+                        incorrectPenalty: 0.1,
+                        slowPenalty: { afterSeconds: 60, rate: 0.5 }, // share of the incorrect penalty
+                        completionBonuses: { perfect_score: 10, high_accuracy: 5, completion: 2, speed_completion: 3, category_mastery: 8 }
+                    }
+                },
+                {
+                    version: 'no-penalty-v1',
+                    name: 'no-penalty',
+                    label: 'No Penalty',
+                    description: 'Classic bonuses, but a wrong answer never costs points',
+                    rules: {
+                        streak: { minStreak: 2, multiplier: 1.5 },
+                        speed: { thresholds: { easy: 10, medium: 15, hard: 20 }, maxBonus: 0.3 },
+                        hardBonus: 0.2,
+                        incorrectPenalty: 0,
+                        slowPenalty: null,
+                        completionBonuses: { perfect_score: 10, high_accuracy: 5, completion: 2, speed_completion: 3, category_mastery: 8 }
+                    }
+                },
+                {
+                    version: 'speed-focused-v1',
+                    name: 'speed-focused',
+                    label: 'Speed Focused',
+                    description: 'Big bonuses for fast answers; slow wrong answers cost double',
+                    rules: {
+                        streak: { minStreak: 2, multiplier: 1.25 },
+                        speed: { thresholds: { easy: 8, medium: 12, hard: 16 }, maxBonus: 0.75 },
+                        hardBonus: 0.1,
+                        incorrectPenalty: 0.1,
+                        slowPenalty: { afterSeconds: 30, rate: 1 },
+                        completionBonuses: { perfect_score: 10, high_accuracy: 5, completion: 2, speed_completion: 8, category_mastery: 8 }
+                    }
+                },
+                {
+                    version: 'accuracy-only-v1',
+                    name: 'accuracy-only',
+                    label: 'Accuracy Only',
+                    description: 'Points for correct answers and accuracy bonuses only; no speed or streak bonuses, no penalties',
+                    rules: {
+                        streak: null,
+                        speed: null,
+                        hardBonus: 0,
+                        incorrectPenalty: 0,
+                        slowPenalty: null,
+                        completionBonuses: { perfect_score: 10, high_accuracy: 5, category_mastery: 8 }
+                    }
+                }
+            ]
+        },
+        grading: {
+            // Grading schemes a quiz definition can pick from. A scheme's bands are read
+            // against its basis: 'accuracy' (percent correct) or 'percentile' (percent of
+            // the other attempts at the same saved quiz that did worse). The highest band
+            // reached is the grade. A scheme with a cutScore uses it as the min of its top
+            // band, and definitions can set their own; {value} and {cutScore} in the text
+            // are filled in; optionLabel names the scheme in the quiz builder. Custom bands
+            // come from the definition and take their colors and icons from the letter
+            // scheme at the same accuracy.
+            defaultScheme: 'letter',
+            schemes: {
+                letter: {
+                    label: 'Letter grades',
+                    optionLabel: 'Letter grades (A+ to F)',
+                    basis: 'accuracy',
+                    bands: [
+                        { min: 95, letter: 'A+', description: 'Outstanding!', color: '#10b981', icon: '🏆' },
+                        { min: 90, letter: 'A', description: 'Excellent!', color: '#10b981', icon: '🥇' },
+                        { min: 85, letter: 'A-', description: 'Very Good!', color: '#34d399', icon: '⭐' },
+                        { min: 80, letter: 'B+', description: 'Good!', color: '#60a5fa', icon: '🎉' },
+                        { min: 75, letter: 'B', description: 'Above Average', color: '#60a5fa', icon: '👏' },
+                        { min: 70, letter: 'B-', description: 'Satisfactory', color: '#93c5fd', icon: '👍' },
+                        { min: 65, letter: 'C+', description: 'Fair', color: '#fbbf24', icon: '📈' },
+                        { min: 60, letter: 'C', description: 'Needs Improvement', color: '#fbbf24', icon: '📊' },
+                        { min: 50, letter: 'D', description: 'Below Average', color: '#f87171', icon: '📚' },
+                        { min: 0, letter: 'F', description: 'Keep Practicing!', color: '#ef4444', icon: '💪' }
+                    ]
+                },
+                pass_fail: {
+                    label: 'Pass / fail at {cutScore}%',
+                    optionLabel: 'Pass / fail',
+                    basis: 'accuracy',
+                    cutScore: 70,
+                    bands: [
+                        { min: 70, letter: 'Pass', description: 'You reached the {cutScore}% pass mark', color: '#10b981', icon: '✅' },
+                        { min: 0, letter: 'Fail', description: 'Below the {cutScore}% pass mark', color: '#ef4444', icon: '📚' }
+                    ]
+                },
+                percentile: {
+                    label: 'Percentile against everyone who took this quiz',
+                    optionLabel: 'Percentile (saved quizzes)',
+                    basis: 'percentile',
+                    fallback: 'letter', // until minResults other attempts are in, or for quizzes that aren't saved
+                    minResults: 5,
+                    bands: [
+                        { min: 90, letter: 'Top 10%', description: 'Better than {value}% of attempts', color: '#10b981', icon: '🏆' },
+                        { min: 75, letter: 'Top 25%', description: 'Better than {value}% of attempts', color: '#34d399', icon: '🥇' },
+                        { min: 50, letter: 'Top half', description: 'Better than {value}% of attempts', color: '#60a5fa', icon: '👍' },
+                        { min: 25, letter: 'Bottom half', description: 'Better than {value}% of attempts', color: '#fbbf24', icon: '📈' },
+                        { min: 0, letter: 'Bottom 25%', description: 'Better than {value}% of attempts', color: '#f87171', icon: '💪' }
+                    ]
+                }
+            },
+            customLabel: 'Custom grades',
+            maxCustomBands: 8,
+            maxBandLabelLength: 20
+        },
+        confidence: {
+            // Confidence-weighted answering on ranked quizzes: each answer is rated low,
+            // medium or high confidence before it's submitted. The stakes are shares of
+            // the question's base points and replace the profile's wrong-answer penalties
+            // (mirrored by calculate_answer_points). They form a proper scoring rule: the
+            // rating that scores best is the honest one, low below 50% sure, medium
+            // from 50% to 78% and high above, which are the ranges below.
+            levels: ['low', 'medium', 'high'],
+            labels: { low: 'Low', medium: 'Medium', high: 'High' },
+            shortcuts: { low: 'L', medium: 'M', high: 'H' },
+            stakes: {
+                low: { correct: 0.5, incorrect: 0 },
+                medium: { correct: 0.8, incorrect: 0.3 },
+                high: { correct: 1, incorrect: 1 }
+            },
+            ranges: { low: [0, 50], medium: [50, 78], high: [78, 100] }, // percent accuracy
+            tolerance: 5, // percentage points outside a range still counted as calibrated
+            minAnswers: 5, // answers at a level before its accuracy is judged
+            maxLocalAnswers: 1000 // rated answers kept in local storage without Supabase
+        },
+        review: {
+            questionsPerSession: 10,
+            initialEaseFactor: 2.5,
+            minimumEaseFactor: 1.3,
+            speedThresholds: { easy: 10, medium: 15, hard: 20 } // seconds for a "perfect recall" rating
+        },
+        practice: {
+            maxAttempts: 3, // tries at a question before its answer is shown
+            maxLocalAttempts: 1000 // attempts kept in local storage without Supabase
+        },
+        endless: {
+            // Endless runs stream questions until the lives run out and are ranked on their
+            // own leaderboards (mirrored by calculate_endless_points and calculate_endless_bonus)
+            modes: ['survival', 'sudden_death'],
+            labels: { survival: 'Survival', sudden_death: 'Sudden Death' },
+            batchSize: 5, // questions fetched at a time
+            leaderboardSorts: ['run', 'score'], // longest run, highest score
+            leaderboardLimit: 10,
+            survival: {
+                timingMode: 'total',
+                lives: 3,
+                startSeconds: 60,
+                bonusSeconds: 5, // added to the clock for each correct answer
+                maxSeconds: 90, // the clock never holds more than this
+                livesLeftBonus: 20 // points for each life left when the run ends
+            },
+            sudden_death: {
+                timingMode: 'per_question',
+                lives: 1,
+                secondsPerQuestion: 20,
+                milestoneEvery: 10, // correct answers between milestone bonuses
+                milestoneBonus: 50
+            }
+        },
+        adaptive: {
+            startDifficulty: 'medium',
+            stepUpStreak: 2, // consecutive correct answers needed to step up a level
+            batchSize: 3 // questions fetched per difficulty level at a time
+        },
+        lifelines: {
+            types: ['fifty_fifty', 'skip', 'extra_time'],
+            labels: { fifty_fifty: '50/50', skip: 'Skip', extra_time: 'Extra Time' },
+            allowanceOptions: [0, 1, 2, 3], // uses of each lifeline per quiz
+            defaultAllowance: 1,
+            extraTimeSeconds: 15,
+            // Share of the base points taken off a correct answer that used the lifeline
+            // (mirrored by the calculate_answer_points database function)
+            deductions: { fifty_fifty: 0.5, skip: 0.25, extra_time: 0.25 }
+        },
+        accessibility: {
+            autoSubmitDelay: 800, // ms between picking an option and submitting it, unless confirming
+            // Extended time accommodation: every quiz clock is multiplied by the
+            // player's profiles.time_multiplier (live rooms keep the host's pace)
+            timeMultipliers: [1, 1.25, 1.5, 2],
+            timeMultiplierLabels: { 1: 'Standard time', 1.25: '+25% time', 1.5: '+50% time', 2: 'Double time' },
+            timerAnnouncements: [60, 30, 10, 5] // seconds left that are read out to screen readers
         }
     },
     
+    // Custom Quiz Builder Settings
+    quizBuilder: {
+        maxWeight: 5, // category weights run from 1 to this
+        defaultMix: { easy: 30, medium: 50, hard: 20 }, // percent of questions at each difficulty
+        questionCounts: [5, 10, 15, 20, 30],
+        secondsPerQuestionOptions: [15, 20, 30, 45, 60],
+        maxNameLength: 100, // mirrors quiz_definitions.name
+        shareParam: 'quiz', // ?quiz=<id> for definitions saved to the database
+        shareDefinitionParam: 'quiz_def', // ?quiz_def=<encoded definition> otherwise
+        typeLabels: {
+            multiple_choice: 'Multiple choice',
+            true_false: 'True / False',
+            fill_blank: 'Fill in the blank'
+        }
+    },
+    
+    // Question Bank Import/Export Settings
+    questionBank: {
+        formats: ['json', 'csv', 'opentdb'],
+        maxImportRows: 500,
+        csvColumns: [
+            'question_text',
+            'question_type',
+            'category',
+            'difficulty',
+            'correct_answer',
+            'options',
+            'accepted_answers',
+            'explanation',
+            'points_value',
+            'media'
+        ],
+        // Open Trivia DB categories that map onto ours; unlisted names are kept as-is
+        openTriviaCategories: {
+            'Science & Nature': 'Science',
+            'Science: Mathematics': 'Science',
+            'Science: Computers': 'Technology',
+            'Science: Gadgets': 'Technology',
+            'Entertainment: Books': 'Literature',
+            'Entertainment: Music': 'Music',
+            'Entertainment: Film': 'Entertainment',
+            'Entertainment: Television': 'Entertainment',
+            'Entertainment: Video Games': 'Entertainment',
+            'Entertainment: Board Games': 'Entertainment',
+            'Entertainment: Musicals & Theatres': 'Entertainment',
+            'Entertainment: Comics': 'Entertainment',
+            'Entertainment: Japanese Anime & Manga': 'Entertainment',
+            'Entertainment: Cartoon & Animations': 'Entertainment',
+            'Celebrities': 'Entertainment',
+            'Mythology': 'General Knowledge',
+            'Politics': 'History',
+            'Animals': 'Science',
+            'Vehicles': 'Technology'
+        }
+    },
+    
+    // Question Media Settings
+    media: {
+        bucket: 'question-media', // Supabase Storage bucket holding question images and audio
+        localPath: 'assets/media', // fallback directory when Supabase isn't configured
+        maxAltLength: 200,
+        maxCodeLength: 2000,
+        codeLanguages: ['javascript', 'python', 'sql', 'html', 'css', 'plaintext'],
+        defaultCodeLanguage: 'plaintext'
+    },
+    
+    // Live Multiplayer Settings
+    multiplayer: {
+        codeLength: 6,
+        codeAlphabet: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789', // no look-alikes such as 0/O and 1/I
+        maxPlayers: 20,
+        questionCounts: [5, 10, 15],
+        timePerQuestion: 20, // seconds
+        joinTimeout: 3000, // ms to wait for a local host to answer a join
+        heartbeatInterval: 3000, // ms between presence heartbeats on the local channel
+        presenceTimeout: 10000, // ms without a heartbeat before a local player counts as dropped
+        podiumSize: 3
+    },
+    
+    // Head-to-Head Challenge Settings
+    challenges: {
+        expiryDays: 7, // days the opponent has to play (mirrors create_challenge)
+        dashboardLimit: 5, // challenges listed on the dashboard
+        statusLabels: {
+            pending: 'Waiting',
+            accepted: 'In progress',
+            completed: 'Completed',
+            expired: 'Expired'
+        }
+    },
+    
+    // Daily Challenge Settings
+    daily: {
+        questionCount: 10, // questions in each day's set (mirrors start_daily_challenge)
+        timingMode: 'per_question',
+        lifelines: 0, // everyone plays the same quiz, so no lifelines
+        leaderboardLimit: 5, // players listed on the dashboard
+        shareTitle: 'QuizMaster Daily',
+        shareEmoji: {
+            correct: '🟩',
+            incorrect: '🟥',
+            timedOut: '⏰'
+        }
+    },
+    
+    // Question Analytics Settings
+    questionAnalytics: {
+        minResponses: 20, // answers needed before a question is judged (mirrors flag_questions)
+        topWrongAnswers: 5, // most common wrong answers shown for fill-in-the-blank questions
+        flagLabels: {
+            distractor_beats_answer: 'Wrong option beats the answer',
+            easier_than_labeled: 'Easier than labeled',
+            harder_than_labeled: 'Harder than labeled'
+        }
+    },
+    ratings: {
+        // Glicko-1 ratings; each ranked answer is a match between player and question
+        initialRating: 1500,
+        initialDeviation: 350,
+        minDeviation: 50, // floor so ratings keep moving (mirrors glicko_update)
+        initialQuestionRatings: { easy: 1300, medium: 1500, hard: 1700 }, // until a question has been rated
+        difficultyBands: { easy: 1400, hard: 1600 }, // below easy is easy, from hard up is hard (mirrors difficulty_for_rating)
+        calibrationMinAnswers: 30, // rated answers before a question is relabeled (mirrors calibrate_question_difficulty)
+        unratedLifelines: ['fifty_fifty'], // answers helped by these don't count
+        targetWinProbability: 0.7, // chance of a correct answer that matched questions aim for
+        matchPoolFactor: 3, // matched quizzes pick at random among this many times the closest questions
+        minMatches: 20, // rated answers before a player appears on the rating leaderboard (mirrors rating_leaderboard)
+        provisionalDeviation: 110 // ratings less certain than this are shown as provisional
+    },
+    
     // UI Settings
     ui: {
         animationDuration: 300,
@@ -60,7 +397,12 @@ const APP_CONFIG = {
         passwordMinLength: 8,
         sessionTimeout: 3600000, // 1 hour in milliseconds
         maxLoginAttempts: 5,
-        lockoutDuration: 900000 // 15 minutes
+        lockoutDuration: 900000, // 15 minutes
+        // Markup SecurityManager.sanitizeHTML lets through, as produced by MarkupManager
+        allowedMarkup: {
+            tags: ['em', 'strong', 'code', 'sub', 'sup', 'span'],
+            classes: ['math', 'math-frac', 'math-num', 'math-den', 'math-sqrt', 'math-radicand']
+        }
     }
 };
 
@@ -130,7 +472,8 @@ const STORAGE_KEYS = {
     theme: 'quizmaster_theme',
     user: 'quizmaster_user',
     settings: 'quizmaster_settings',
-    cache: 'quizmaster_cache'
+    cache: 'quizmaster_cache',
+    activeQuiz: 'quizmaster_active_quiz'
 };
 
 // Export configuration for use in other modules
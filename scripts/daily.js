@@ -0,0 +1,475 @@
+// Daily Challenge Module for QuizMaster app
+// One shared question set per calendar day, with its own leaderboard, streaks and a shareable result
+
+/**
+ * Daily Challenge Manager class
+ * Every player gets the same questions on the same (UTC) day, picked from a
+ * hash of the date and spread across categories. Each player gets one attempt
+ * per day; playing on consecutive days builds a streak. Uses the
+ * daily_challenges table and start_daily_challenge() when Supabase is
+ * available, and picks the set from the placeholder questions otherwise,
+ * keeping attempts in local storage.
+ */
+class DailyChallengeManager {
+    constructor() {
+        this.config = APP_CONFIG.daily;
+        this.storageKey = 'daily_challenges';
+
+        console.log('📅 Daily Challenge Manager initialized');
+    }
+
+    /**
+     * Check whether the database should be used
+     * @returns {boolean} Use database
+     */
+    useDatabase() {
+        return !!(authManager.supabase && authManager.isInitialized && authManager.getCurrentUser());
+    }
+
+    /**
+     * Get a user's display name
+     * @param {Object} user - Auth user
+     * @returns {string} Username
+     */
+    getUsername(user) {
+        return (user.user_metadata && user.user_metadata.username) || user.email.split('@')[0];
+    }
+
+    /**
+     * Check whether a local username belongs to the current user
+     * @param {string} username - Username to check
+     * @returns {boolean} Is the current user
+     */
+    isCurrentUsername(username) {
+        const user = authManager.getCurrentUser();
+        return !!user && !!username && username.toLowerCase() === this.getUsername(user).toLowerCase();
+    }
+
+    /**
+     * Get today's challenge date
+     * Days are UTC calendar days, so everyone changes over at the same moment.
+     * @returns {string} Date as YYYY-MM-DD
+     */
+    getToday() {
+        return new Date().toISOString().slice(0, 10);
+    }
+
+    /**
+     * Get the day before a challenge date
+     * @param {string} date - Date as YYYY-MM-DD
+     * @returns {string} Previous date as YYYY-MM-DD
+     */
+    getPreviousDate(date) {
+        const previous = new Date(`${date}T00:00:00Z`);
+        previous.setUTCDate(previous.getUTCDate() - 1);
+        return previous.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Get the streak that is still alive
+     * A streak survives until a whole day passes without playing.
+     * @param {number} streakCount - Consecutive days played, up to the last day played
+     * @param {string|null} lastDate - Last day played as YYYY-MM-DD
+     * @returns {number} Current streak
+     */
+    getCurrentStreak(streakCount, lastDate) {
+        const today = this.getToday();
+        if (!lastDate || (lastDate !== today && lastDate !== this.getPreviousDate(today))) {
+            return 0;
+        }
+        return streakCount || 0;
+    }
+
+    /**
+     * Get the current user's daily challenge status
+     * @returns {Promise<Object>} { date, played, attempt, streak }
+     */
+    async getStatus() {
+        const date = this.getToday();
+        const status = { date, played: false, attempt: null, streak: 0 };
+
+        const user = authManager.getCurrentUser();
+        if (!user) return status;
+
+        try {
+            if (this.useDatabase()) {
+                const [profileResult, sessionResult] = await Promise.all([
+                    authManager.supabase
+                        .from('profiles')
+                        .select('streak_count, last_daily_date')
+                        .eq('id', user.id)
+                        .single(),
+                    authManager.supabase
+                        .from('quiz_sessions')
+                        .select('id, status, total_points, correct_answers, total_questions, time_spent')
+                        .eq('user_id', user.id)
+                        .eq('daily_date', date)
+                ]);
+
+                if (profileResult.error) {
+                    throw profileResult.error;
+                }
+                if (sessionResult.error) {
+                    throw sessionResult.error;
+                }
+
+                const profile = profileResult.data || {};
+                status.streak = this.getCurrentStreak(profile.streak_count, profile.last_daily_date);
+
+                const session = (sessionResult.data || [])[0];
+                if (!session) return status;
+
+                status.played = true;
+                status.attempt = {
+                    date,
+                    status: session.status,
+                    score: session.total_points || 0,
+                    correctAnswers: session.correct_answers || 0,
+                    totalQuestions: session.total_questions,
+                    timeSpent: session.time_spent || 0,
+                    outcomes: []
+                };
+
+                if (session.status === 'completed') {
+                    const { data: answers, error } = await authManager.supabase
+                        .from('quiz_answers')
+                        .select('is_correct, timed_out')
+                        .eq('quiz_session_id', session.id)
+                        .order('answered_at', { ascending: true });
+
+                    if (error) {
+                        throw error;
+                    }
+
+                    status.attempt.outcomes = this.getOutcomes((answers || []).map(answer => ({
+                        isCorrect: answer.is_correct,
+                        timedOut: answer.timed_out
+                    })));
+                }
+
+                return status;
+            }
+
+            const attempts = this.getLocalAttempts().filter(attempt => this.isCurrentUsername(attempt.username));
+            const attempt = attempts.find(a => a.date === date);
+
+            status.played = !!attempt;
+            status.attempt = attempt || null;
+            status.streak = this.getLocalStreak(attempts);
+
+            return status;
+
+        } catch (error) {
+            console.error('Failed to load daily challenge status:', error);
+            return status;
+        }
+    }
+
+    /**
+     * Start the current user's attempt at today's challenge
+     * @returns {Promise<Object>} Start result with quiz settings for QuizManager.startQuiz
+     */
+    async startDailyChallenge() {
+        const user = authManager.getCurrentUser();
+        if (!user) {
+            return { success: false, message: 'Sign in to play the daily challenge' };
+        }
+
+        try {
+            if (this.useDatabase()) {
+                const { data, error } = await authManager.supabase
+                    .rpc('start_daily_challenge');
+
+                if (error) {
+                    throw error;
+                }
+
+                const { data: questionRows, error: questionsError } = await authManager.supabase
+                    .rpc('get_daily_questions', { p_date: data.daily_date });
+
+                if (questionsError) {
+                    throw questionsError;
+                }
+
+                return {
+                    success: true,
+                    quiz: {
+                        date: data.daily_date,
+                        sessionId: data.id,
+                        timingMode: data.timing_mode,
+                        lifelines: data.lifeline_allowance,
+                        questions: (questionRows || []).map(q => ({
+                            id: q.id,
+                            question: q.question_text,
+                            type: q.question_type,
+                            options: q.question_type === 'true_false' ?
+                                APP_CONFIG.quiz.trueFalseOptions : (q.options || []),
+                            correctAnswer: null, // Revealed by the server once answered
+                            acceptedAnswers: [],
+                            explanation: null,
+                            category: q.category,
+                            difficulty: q.difficulty,
+                            points: q.points_value || APP_CONFIG.quiz.pointsSystem[q.difficulty] || 10,
+                            media: q.media || null,
+                            serverGraded: true
+                        }))
+                    }
+                };
+            }
+
+            const date = this.getToday();
+            const attempts = this.getLocalAttempts();
+            if (attempts.some(a => a.date === date && this.isCurrentUsername(a.username))) {
+                return { success: false, message: 'You have already played today\'s daily challenge' };
+            }
+
+            const questions = this.pickQuestions(date);
+            if (questions.length === 0) {
+                return { success: false, message: 'No questions found for the daily challenge' };
+            }
+
+            // The attempt counts from the start, so quitting doesn't earn a second go
+            attempts.push({
+                date,
+                username: this.getUsername(user),
+                status: 'active',
+                score: 0,
+                correctAnswers: 0,
+                totalQuestions: questions.length,
+                timeSpent: 0,
+                outcomes: []
+            });
+            Utils.storage.set(this.storageKey, attempts);
+
+            return {
+                success: true,
+                quiz: {
+                    date,
+                    sessionId: null,
+                    timingMode: this.config.timingMode,
+                    lifelines: this.config.lifelines,
+                    questions
+                }
+            };
+
+        } catch (error) {
+            console.error('Failed to start daily challenge:', error);
+            return { success: false, error: error.message, message: error.message || 'Failed to start the daily challenge' };
+        }
+    }
+
+    /**
+     * Record the current user's finished attempt
+     * The database records it, and updates the streak, when the session completes.
+     * @param {string} date - Challenge date
+     * @param {Object} results - Quiz results
+     */
+    completeDailyChallenge(date, results) {
+        if (this.useDatabase()) return;
+
+        const attempts = this.getLocalAttempts();
+        const attempt = attempts.find(a => a.date === date && this.isCurrentUsername(a.username));
+        if (!attempt || attempt.status !== 'active') return;
+
+        attempt.status = 'completed';
+        attempt.score = results.score;
+        attempt.correctAnswers = results.correctAnswers;
+        attempt.totalQuestions = results.totalQuestions;
+        attempt.timeSpent = results.timeSpent;
+        attempt.outcomes = this.getOutcomes(results.answers);
+
+        Utils.storage.set(this.storageKey, attempts);
+    }
+
+    /**
+     * Rank the finished attempts at a day's challenge
+     * Ties on points go to the faster player.
+     * @param {string} date - Challenge date, today by default
+     * @param {number} limit - Maximum number of players
+     * @returns {Promise<Array>} Ranked players
+     */
+    async getLeaderboard(date = this.getToday(), limit = this.config.leaderboardLimit) {
+        const user = authManager.getCurrentUser();
+
+        try {
+            if (this.useDatabase()) {
+                const { data, error } = await authManager.supabase
+                    .rpc('get_daily_leaderboard', { p_date: date, p_limit: limit });
+
+                if (error) {
+                    throw error;
+                }
+
+                return (data || []).map(row => ({
+                    rank: Number(row.rank),
+                    username: row.username,
+                    score: row.total_points || 0,
+                    correctAnswers: row.correct_answers || 0,
+                    totalQuestions: row.total_questions,
+                    timeSpent: row.time_spent || 0,
+                    isCurrentUser: !!user && row.user_id === user.id
+                }));
+            }
+
+            return this.getLocalAttempts()
+                .filter(attempt => attempt.date === date && attempt.status === 'completed')
+                .sort((a, b) => b.score - a.score || a.timeSpent - b.timeSpent)
+                .slice(0, limit)
+                .map((attempt, index) => ({
+                    rank: index + 1,
+                    username: attempt.username,
+                    score: attempt.score,
+                    correctAnswers: attempt.correctAnswers,
+                    totalQuestions: attempt.totalQuestions,
+                    timeSpent: attempt.timeSpent,
+                    isCurrentUser: this.isCurrentUsername(attempt.username)
+                }));
+
+        } catch (error) {
+            console.error('Failed to load daily leaderboard:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Pick a day's questions from the placeholder set (mirrors get_daily_question_ids)
+     * Everything is shuffled with a generator seeded by the date, and the
+     * categories take turns, so the set is spread across categories and the
+     * same for everyone.
+     * @param {string} date - Challenge date
+     * @returns {Array} Question objects in play order
+     */
+    pickQuestions(date) {
+        const random = Utils.createRandom(date);
+        const pool = window.quizManager ?
+            window.quizManager.generatePlaceholderQuestions(Number.MAX_SAFE_INTEGER, 'all', 'all', [], random) : [];
+
+        const byCategory = {};
+        pool.forEach(question => {
+            (byCategory[question.category] = byCategory[question.category] || []).push(question);
+        });
+
+        const categories = Utils.shuffleArray(Object.keys(byCategory).sort(), random);
+        const count = Math.min(this.config.questionCount, pool.length);
+
+        const picked = [];
+        for (let round = 0; picked.length < count; round++) {
+            categories.forEach(category => {
+                if (byCategory[category][round] && picked.length < count) {
+                    picked.push(byCategory[category][round]);
+                }
+            });
+        }
+
+        return Utils.shuffleArray(picked, random);
+    }
+
+    /**
+     * Reduce answers to the outcome of each question
+     * @param {Array} answers - Answer records with isCorrect and timedOut
+     * @returns {Array<string>} 'correct', 'incorrect' or 'timedOut' per question
+     */
+    getOutcomes(answers) {
+        return answers.map(answer => {
+            if (answer.timedOut) return 'timedOut';
+            return answer.isCorrect ? 'correct' : 'incorrect';
+        });
+    }
+
+    /**
+     * Build the shareable result: a header, the score and an emoji grid with no answers in it
+     * @param {Object} attempt - Attempt with date, score, correctAnswers, totalQuestions and outcomes
+     * @param {number} streak - Current streak
+     * @returns {string} Share text
+     */
+    buildShareText(attempt, streak = 0) {
+        const emoji = this.config.shareEmoji;
+        const rows = [];
+        for (let i = 0; i < attempt.outcomes.length; i += 5) {
+            rows.push(attempt.outcomes.slice(i, i + 5).map(outcome => emoji[outcome]).join(''));
+        }
+
+        const lines = [
+            `${this.config.shareTitle} ${attempt.date}`,
+            `${attempt.correctAnswers}/${attempt.totalQuestions} correct · ${Utils.formatNumber(attempt.score)} points`,
+            ...rows
+        ];
+        if (streak > 0) {
+            lines.push(`🔥 ${streak}-day streak`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Copy a finished attempt's share text to the clipboard
+     * @param {Object} attempt - Attempt to share, e.g. from summarizeResults or getStatus
+     * @returns {Promise<Object>} { success, text, message }
+     */
+    async shareResult(attempt) {
+        const status = await this.getStatus();
+        const text = this.buildShareText(attempt, status.streak);
+        const copied = await Utils.copyToClipboard(text);
+
+        return {
+            success: copied,
+            text,
+            message: copied ? 'Result copied to the clipboard' : 'Could not copy the result'
+        };
+    }
+
+    /**
+     * Turn quiz results into a shareable attempt
+     * @param {Object} results - Quiz results with dailyDate set
+     * @returns {Object} Attempt
+     */
+    summarizeResults(results) {
+        return {
+            date: results.dailyDate,
+            status: 'completed',
+            score: results.score,
+            correctAnswers: results.correctAnswers,
+            totalQuestions: results.totalQuestions,
+            timeSpent: results.timeSpent,
+            outcomes: this.getOutcomes(results.answers)
+        };
+    }
+
+    /**
+     * Count consecutive days played from local attempts
+     * @param {Array} attempts - The current user's attempts
+     * @returns {number} Current streak
+     */
+    getLocalStreak(attempts) {
+        const played = new Set(attempts.filter(a => a.status === 'completed').map(a => a.date));
+        const today = this.getToday();
+
+        let date = played.has(today) ? today : this.getPreviousDate(today);
+        let streak = 0;
+        while (played.has(date)) {
+            streak++;
+            date = this.getPreviousDate(date);
+        }
+        return streak;
+    }
+
+    /**
+     * Get all locally stored attempts
+     * @returns {Array} Attempts
+     */
+    getLocalAttempts() {
+        return Utils.storage.get(this.storageKey, []);
+    }
+}
+
+// Create global instance
+const dailyChallengeManager = new DailyChallengeManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DailyChallengeManager;
+}
+
+// Make available globally
+window.DailyChallengeManager = DailyChallengeManager;
+window.dailyChallengeManager = dailyChallengeManager;
@@ -10,6 +10,11 @@ class DashboardManager {
         this.userStats = null;
         this.recentActivity = [];
         this.achievements = [];
+        this.reviewsDue = 0;
+        this.practiceStats = null;
+        this.challenges = [];
+        this.daily = null;
+        this.dailyLeaderboard = [];
         this.isLoading = false;
         
         console.log('📊 Dashboard Manager initialized');
@@ -50,6 +55,45 @@ class DashboardManager {
             });
         });
 
+        // Review button
+        const startReviewBtn = document.getElementById('start-review-btn');
+        if (startReviewBtn) {
+            startReviewBtn.addEventListener('click', () => this.startReviewQuiz());
+        }
+
+        // Practice button
+        const startPracticeBtn = document.getElementById('start-practice-btn');
+        if (startPracticeBtn) {
+            startPracticeBtn.addEventListener('click', () => this.startPracticeQuiz());
+        }
+
+        // Daily challenge buttons
+        const playDailyBtn = document.getElementById('play-daily-btn');
+        if (playDailyBtn) {
+            playDailyBtn.addEventListener('click', () => this.playDailyChallenge());
+        }
+
+        const shareDailyBtn = document.getElementById('share-daily-dashboard-btn');
+        if (shareDailyBtn) {
+            shareDailyBtn.addEventListener('click', () => this.shareDailyResult());
+        }
+
+        // Challenge actions are re-rendered with the list
+        const challengesList = document.getElementById('challenges-list');
+        if (challengesList) {
+            challengesList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-challenge-action]');
+                if (!button) return;
+
+                const challengeId = button.getAttribute('data-challenge-id');
+                if (button.getAttribute('data-challenge-action') === 'play') {
+                    this.playChallenge(challengeId);
+                } else if (window.uiManager) {
+                    window.uiManager.showChallengeComparison(challengeId);
+                }
+            });
+        }
+
         // Listen for authentication state changes
         if (window.authManager) {
             window.authManager.onAuthStateChange((event, session) => {
@@ -78,7 +122,11 @@ class DashboardManager {
                 this.loadUserStatistics(),
                 this.loadRecentActivity(),
                 this.loadUserAchievements(),
-                this.loadLeaderboardPreview()
+                this.loadLeaderboardPreview(),
+                this.loadReviewsDue(),
+                this.loadPracticeStats(),
+                this.loadChallenges(),
+                this.loadDailyChallenge()
             ]);
 
             // Update dashboard UI
@@ -282,6 +330,304 @@ class DashboardManager {
         }
     }
 
+    /**
+     * Load the number of spaced-repetition reviews due today
+     */
+    async loadReviewsDue() {
+        try {
+            if (window.reviewScheduler) {
+                this.reviewsDue = await window.reviewScheduler.getDueCount();
+            }
+        } catch (error) {
+            console.error('Failed to load reviews due:', error);
+            this.reviewsDue = 0;
+        }
+
+        this.updateReviewsDisplay();
+    }
+
+    /**
+     * Update the reviews due card
+     */
+    updateReviewsDisplay() {
+        const countElement = document.getElementById('reviews-due-count');
+        const startReviewBtn = document.getElementById('start-review-btn');
+
+        if (countElement) {
+            countElement.textContent = this.reviewsDue === 0 ?
+                'No reviews due today. Missed questions will show up here.' :
+                `${this.reviewsDue} question${this.reviewsDue === 1 ? '' : 's'} due for review today`;
+        }
+
+        if (startReviewBtn) {
+            startReviewBtn.disabled = this.reviewsDue === 0;
+        }
+    }
+
+    /**
+     * Start a review session of the questions due today
+     */
+    async startReviewQuiz() {
+        if (window.uiManager) {
+            const count = Math.min(this.reviewsDue, APP_CONFIG.quiz.review.questionsPerSession) ||
+                APP_CONFIG.quiz.review.questionsPerSession;
+            await window.uiManager.startQuickQuiz('all', 'all', count, { mode: 'review' });
+        }
+    }
+
+    /**
+     * Load the current user's practice stats
+     */
+    async loadPracticeStats() {
+        try {
+            if (window.practiceTracker) {
+                this.practiceStats = await window.practiceTracker.getStats();
+            }
+        } catch (error) {
+            console.error('Failed to load practice stats:', error);
+            this.practiceStats = null;
+        }
+
+        this.updatePracticeDisplay();
+    }
+
+    /**
+     * Update the practice card
+     */
+    updatePracticeDisplay() {
+        const summary = document.getElementById('practice-summary');
+        const categoriesList = document.getElementById('practice-categories');
+        const startPracticeBtn = document.getElementById('start-practice-btn');
+        const stats = this.practiceStats;
+        const weakest = this.getWeakestPracticeCategory();
+
+        if (summary) {
+            summary.textContent = !stats || stats.questions === 0 ?
+                'Warm up without a timer. Practice never counts towards your stats or the leaderboard.' :
+                `${stats.questions} question${stats.questions === 1 ? '' : 's'} practised, ` +
+                `${stats.firstTryAccuracy}% right first time, ${stats.mastered} mastered`;
+        }
+
+        if (categoriesList) {
+            const categories = stats ? stats.categories.slice(0, 3) : [];
+            categoriesList.innerHTML = categories.map(category => `
+                <li class="practice-category">
+                    <span class="practice-category-name">${Utils.escapeHTML(category.category)}</span>
+                    <span class="practice-category-accuracy">${category.firstTryAccuracy}% first try</span>
+                </li>
+            `).join('');
+        }
+
+        if (startPracticeBtn) {
+            startPracticeBtn.textContent = weakest ? `Practice ${weakest}` : 'Start Practice';
+        }
+    }
+
+    /**
+     * Get the category with the lowest first-try accuracy in practice
+     * @returns {string|null} Category, or null before any practice
+     */
+    getWeakestPracticeCategory() {
+        const categories = this.practiceStats ? this.practiceStats.categories : [];
+        return categories.length > 0 ? categories[0].category : null;
+    }
+
+    /**
+     * Start a practice quiz, on the weakest category once there is one
+     */
+    async startPracticeQuiz() {
+        if (window.uiManager) {
+            await window.uiManager.startQuickQuiz(
+                this.getWeakestPracticeCategory() || 'all', 'all', APP_CONFIG.quiz.questionsPerQuiz, { mode: 'practice' }
+            );
+        }
+    }
+
+    /**
+     * Load today's daily challenge status and leaderboard
+     */
+    async loadDailyChallenge() {
+        try {
+            if (window.dailyChallengeManager) {
+                const [status, leaderboard] = await Promise.all([
+                    window.dailyChallengeManager.getStatus(),
+                    window.dailyChallengeManager.getLeaderboard()
+                ]);
+                this.daily = status;
+                this.dailyLeaderboard = leaderboard;
+            }
+        } catch (error) {
+            console.error('Failed to load daily challenge:', error);
+            this.daily = null;
+            this.dailyLeaderboard = [];
+        }
+
+        this.updateDailyDisplay();
+    }
+
+    /**
+     * Update the daily challenge card
+     */
+    updateDailyDisplay() {
+        const statusElement = document.getElementById('daily-status');
+        const streakElement = document.getElementById('daily-streak');
+        const playButton = document.getElementById('play-daily-btn');
+        const shareButton = document.getElementById('share-daily-dashboard-btn');
+        const leaderboardList = document.getElementById('daily-leaderboard');
+
+        const daily = this.daily;
+        const attempt = daily && daily.attempt;
+        const finished = !!attempt && attempt.status === 'completed';
+
+        if (statusElement) {
+            if (!daily || !daily.played) {
+                statusElement.textContent = 'Everyone gets the same questions today. You get one attempt.';
+            } else if (finished) {
+                statusElement.textContent = `Today: ${attempt.correctAnswers}/${attempt.totalQuestions} correct, ${Utils.formatNumber(attempt.score)} points. Come back tomorrow for a new set!`;
+            } else {
+                statusElement.textContent = 'You\'ve used today\'s attempt. Come back tomorrow for a new set!';
+            }
+        }
+
+        if (streakElement) {
+            const streak = daily ? daily.streak : 0;
+            streakElement.textContent = `🔥 ${streak}-day streak`;
+            streakElement.classList.toggle('hidden', streak === 0);
+        }
+
+        if (playButton) {
+            playButton.disabled = !!(daily && daily.played);
+        }
+
+        if (shareButton) {
+            shareButton.classList.toggle('hidden', !finished);
+        }
+
+        if (leaderboardList) {
+            leaderboardList.innerHTML = this.dailyLeaderboard.map(player => `
+                <li class="daily-leaderboard-item ${player.isCurrentUser ? 'current-user' : ''}">
+                    <span class="daily-rank">#${player.rank}</span>
+                    <span class="daily-player">${Utils.escapeHTML(player.username)}</span>
+                    <span class="daily-score">${Utils.formatNumber(player.score)} pts</span>
+                </li>
+            `).join('');
+        }
+    }
+
+    /**
+     * Start the current user's attempt at today's daily challenge
+     */
+    async playDailyChallenge() {
+        if (!window.dailyChallengeManager || !window.uiManager) return;
+
+        const result = await window.dailyChallengeManager.startDailyChallenge();
+        if (!result.success) {
+            window.uiManager.showNotification('error', 'Daily Challenge', result.message);
+            this.loadDailyChallenge();
+            return;
+        }
+
+        await window.uiManager.startQuickQuiz('all', 'all', result.quiz.questions.length, { daily: result.quiz });
+        this.loadDailyChallenge();
+    }
+
+    /**
+     * Copy today's finished attempt to the clipboard as an emoji grid
+     */
+    async shareDailyResult() {
+        if (!window.dailyChallengeManager || !window.uiManager || !this.daily || !this.daily.attempt) return;
+
+        const result = await window.dailyChallengeManager.shareResult(this.daily.attempt);
+        window.uiManager.showNotification(result.success ? 'success' : 'error', 'Daily Challenge', result.message);
+    }
+
+    /**
+     * Load the current user's recent challenges
+     */
+    async loadChallenges() {
+        try {
+            if (window.challengeManager) {
+                this.challenges = await window.challengeManager.getChallenges(APP_CONFIG.challenges.dashboardLimit);
+            }
+        } catch (error) {
+            console.error('Failed to load challenges:', error);
+            this.challenges = [];
+        }
+
+        this.updateChallengesDisplay();
+    }
+
+    /**
+     * Update the challenges card
+     * Challenges waiting on the current user come first, with a button to play them.
+     */
+    updateChallengesDisplay() {
+        const list = document.getElementById('challenges-list');
+        if (!list) return;
+
+        if (this.challenges.length === 0) {
+            list.innerHTML = '<li class="challenges-empty">No challenges yet. Finish a quiz and challenge a friend to beat your score!</li>';
+            return;
+        }
+
+        const manager = window.challengeManager;
+        const isWaitingOnMe = (challenge) => challenge.status === 'pending' && manager.isOpponent(challenge);
+        const sorted = [...this.challenges].sort((a, b) => isWaitingOnMe(b) - isWaitingOnMe(a));
+
+        list.innerHTML = sorted.map(challenge => {
+            const incoming = manager.isOpponent(challenge);
+            const otherPlayer = incoming ? challenge.challengerUsername : challenge.opponentUsername;
+            const outcome = manager.getOutcome(challenge);
+
+            let detail;
+            let action = '';
+            if (isWaitingOnMe(challenge)) {
+                detail = `Beat ${Utils.formatNumber(challenge.challengerScore)} points on ${challenge.questionCount} questions`;
+                action = `<button class="btn btn-primary btn-sm" data-challenge-action="play" data-challenge-id="${challenge.id}">Play</button>`;
+            } else if (outcome) {
+                const mine = incoming ? challenge.opponentScore : challenge.challengerScore;
+                const theirs = incoming ? challenge.challengerScore : challenge.opponentScore;
+                detail = `${{ won: 'Won', lost: 'Lost', tied: 'Tied' }[outcome]} ${Utils.formatNumber(mine)} – ${Utils.formatNumber(theirs)}`;
+                action = `<button class="btn btn-outline btn-sm" data-challenge-action="compare" data-challenge-id="${challenge.id}">Compare</button>`;
+            } else {
+                detail = APP_CONFIG.challenges.statusLabels[challenge.status] || challenge.status;
+            }
+
+            return `
+                <li class="challenge-item ${challenge.status} ${outcome || ''}">
+                    <div class="challenge-info">
+                        <span class="challenge-player">${incoming ? 'From' : 'To'} ${Utils.escapeHTML(otherPlayer)}</span>
+                        <span class="challenge-detail">${Utils.escapeHTML(challenge.category || '')} · ${detail}</span>
+                    </div>
+                    ${action}
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Accept a challenge and start playing its quiz
+     * @param {string} challengeId - Challenge ID
+     */
+    async playChallenge(challengeId) {
+        if (!window.challengeManager || !window.uiManager) return;
+
+        const result = await window.challengeManager.acceptChallenge(challengeId);
+        if (!result.success) {
+            window.uiManager.showNotification('error', 'Challenge', result.message);
+            this.loadChallenges();
+            return;
+        }
+
+        await window.uiManager.startQuickQuiz(
+            result.quiz.category,
+            result.quiz.difficulty,
+            result.quiz.questions.length,
+            { challenge: result.quiz }
+        );
+        this.loadChallenges();
+    }
+
     /**
      * Update dashboard UI with loaded data
      */
@@ -356,8 +702,8 @@ class DashboardManager {
             message = 'Welcome to QuizMaster! Take your first quiz to get started.';
         } else if (this.userStats.quizzesCompleted < 5) {
             message = 'Great start! Keep taking quizzes to improve your ranking.';
-        } else if (this.userStats.streakCount > 0) {
-            message = `You're on fire! ${this.userStats.streakCount} correct answers in a row!`;
+        } else if (this.daily && this.daily.streak > 0) {
+            message = `You're on fire! ${this.daily.streak}-day daily challenge streak!`;
         } else if (this.userStats.rank && this.userStats.rank <= 10) {
             message = `Amazing! You're ranked #${this.userStats.rank} on the leaderboard!`;
         }
@@ -432,6 +778,11 @@ class DashboardManager {
         this.userStats = null;
         this.recentActivity = [];
         this.achievements = [];
+        this.reviewsDue = 0;
+        this.practiceStats = null;
+        this.challenges = [];
+        this.daily = null;
+        this.dailyLeaderboard = [];
         
         // Reset UI to default state
         const defaultStats = {
@@ -448,6 +799,10 @@ class DashboardManager {
         }
         
         this.updateAchievementsDisplay();
+        this.updateReviewsDisplay();
+        this.updatePracticeDisplay();
+        this.updateChallengesDisplay();
+        this.updateDailyDisplay();
     }
 
     /**
@@ -459,6 +814,9 @@ class DashboardManager {
             userStats: this.userStats,
             recentActivityCount: this.recentActivity.length,
             achievementsCount: this.achievements.length,
+            reviewsDue: this.reviewsDue,
+            challengesCount: this.challenges.length,
+            dailyStreak: this.daily ? this.daily.streak : 0,
             isLoading: this.isLoading
         };
     }
@@ -8,11 +8,14 @@
 class LeaderboardUI {
     constructor() {
         this.currentCategory = 'all';
+        this.currentSort = 'points';
         this.currentLimit = 25;
         this.searchQuery = '';
         this.isLoading = false;
         this.leaderboardData = [];
         this.userRankData = null;
+        this.endlessMode = 'survival';
+        this.endlessSort = 'run';
         
         console.log('🏆 Leaderboard UI initialized');
         
@@ -30,11 +33,13 @@ class LeaderboardUI {
                 this.setupEventListeners();
                 this.loadLeaderboard();
                 this.loadUserRank();
+                this.loadEndlessLeaderboard();
             });
         } else {
             this.setupEventListeners();
             this.loadLeaderboard();
             this.loadUserRank();
+            this.loadEndlessLeaderboard();
         }
     }
 
@@ -43,7 +48,7 @@ class LeaderboardUI {
      */
     setupEventListeners() {
         // Category filter buttons
-        const filterButtons = document.querySelectorAll('.filter-button');
+        const filterButtons = document.querySelectorAll('.filter-button[data-category]');
         filterButtons.forEach(button => {
             button.addEventListener('click', (e) => {
                 const category = e.target.getAttribute('data-category');
@@ -51,6 +56,25 @@ class LeaderboardUI {
             });
         });
 
+        // Points or skill rating ranking buttons
+        document.querySelectorAll('.filter-button[data-leaderboard-sort]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setSort(button.getAttribute('data-leaderboard-sort'));
+            });
+        });
+
+        // Endless run mode and ranking buttons
+        document.querySelectorAll('.filter-button[data-endless-mode]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setEndlessFilter(button.getAttribute('data-endless-mode'), this.endlessSort);
+            });
+        });
+        document.querySelectorAll('.filter-button[data-endless-sort]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setEndlessFilter(this.endlessMode, button.getAttribute('data-endless-sort'));
+            });
+        });
+
         // Search input
         const searchInput = document.getElementById('leaderboard-search');
         if (searchInput) {
@@ -108,7 +132,7 @@ class LeaderboardUI {
         this.currentCategory = category;
         
         // Update active filter button
-        const filterButtons = document.querySelectorAll('.filter-button');
+        const filterButtons = document.querySelectorAll('.filter-button[data-category]');
         filterButtons.forEach(button => {
             if (button.getAttribute('data-category') === category) {
                 button.classList.add('active');
@@ -121,6 +145,22 @@ class LeaderboardUI {
         this.loadLeaderboard();
     }
 
+    /**
+     * Set what the leaderboard ranks by
+     * @param {string} sortBy - 'points' or 'rating'
+     */
+    setSort(sortBy) {
+        if (this.currentSort === sortBy) return;
+
+        this.currentSort = sortBy;
+
+        document.querySelectorAll('.filter-button[data-leaderboard-sort]').forEach(button => {
+            button.classList.toggle('active', button.getAttribute('data-leaderboard-sort') === sortBy);
+        });
+
+        this.loadLeaderboard();
+    }
+
     /**
      * Set search query
      * @param {string} query - Search query
@@ -154,7 +194,8 @@ class LeaderboardUI {
 
             const result = await window.leaderboardManager.getTopUsers(
                 this.currentLimit, 
-                this.currentCategory
+                this.currentCategory,
+                this.currentSort
             );
 
             if (result.success) {
@@ -206,7 +247,7 @@ class LeaderboardUI {
             refreshBtn.disabled = true;
         }
 
-        await this.loadLeaderboard();
+        await Promise.all([this.loadLeaderboard(), this.loadEndlessLeaderboard()]);
 
         if (refreshBtn) {
             refreshBtn.classList.remove('loading');
@@ -269,6 +310,8 @@ class LeaderboardUI {
             return;
         }
 
+        const byRating = this.currentSort === 'rating';
+
         let html = '';
         users.forEach((user, index) => {
             const isCurrentUser = authManager.getCurrentUser()?.id === user.id;
@@ -285,12 +328,14 @@ class LeaderboardUI {
                             ${isCurrentUser ? '<span class="current-user-badge">You</span>' : ''}
                         </div>
                         <div class="leaderboard-stats">
-                            ${user.quizzesCompleted} quizzes • ${Math.round(user.averageScore || 0)} avg score
+                            ${byRating ?
+                                `${Utils.formatNumber(user.ratedAnswers)} rated answers • ±${Math.round(user.ratingDeviation * 2)}` :
+                                `${user.quizzesCompleted} quizzes • ${Math.round(user.averageScore || 0)} avg score`}
                         </div>
                     </div>
                     <div class="leaderboard-points">
-                        ${Utils.formatNumber(user.totalPoints)}
-                        <span class="points-label">pts</span>
+                        ${byRating ? Math.round(user.rating) : Utils.formatNumber(user.totalPoints)}
+                        <span class="points-label">${byRating ? 'rating' : 'pts'}</span>
                     </div>
                 </div>
             `;
@@ -299,6 +344,81 @@ class LeaderboardUI {
         container.innerHTML = html;
     }
 
+    /**
+     * Choose which endless leaderboard to show
+     * @param {string} mode - 'survival' or 'sudden_death'
+     * @param {string} sortBy - 'run' for longest run, 'score' for highest score
+     */
+    setEndlessFilter(mode, sortBy) {
+        if (this.endlessMode === mode && this.endlessSort === sortBy) return;
+
+        this.endlessMode = mode;
+        this.endlessSort = sortBy;
+
+        document.querySelectorAll('.filter-button[data-endless-mode]').forEach(button => {
+            button.classList.toggle('active', button.getAttribute('data-endless-mode') === mode);
+        });
+        document.querySelectorAll('.filter-button[data-endless-sort]').forEach(button => {
+            button.classList.toggle('active', button.getAttribute('data-endless-sort') === sortBy);
+        });
+
+        this.loadEndlessLeaderboard();
+    }
+
+    /**
+     * Load and render the selected endless leaderboard
+     */
+    async loadEndlessLeaderboard() {
+        const container = document.getElementById('endless-leaderboard-list');
+        if (!container || !window.leaderboardManager) return;
+
+        const result = await window.leaderboardManager.getEndlessLeaderboard(this.endlessMode, this.endlessSort);
+        this.renderEndlessLeaderboard(result.success ? result.runs : null);
+    }
+
+    /**
+     * Render endless leaderboard rows
+     * @param {Array|null} runs - Ranked runs, or null when loading failed
+     */
+    renderEndlessLeaderboard(runs) {
+        const container = document.getElementById('endless-leaderboard-list');
+        if (!container) return;
+
+        if (!runs || runs.length === 0) {
+            const label = APP_CONFIG.quiz.endless.labels[this.endlessMode];
+            container.innerHTML = `
+                <div class="endless-leaderboard-empty">
+                    ${runs ? `No ${label} runs yet. Pick ${label} as the mode on the quiz page to set the first one!` : 'Failed to load runs.'}
+                </div>
+            `;
+            return;
+        }
+
+        const byScore = this.endlessSort === 'score';
+
+        container.innerHTML = runs.map(run => `
+            <div class="leaderboard-item ${run.isCurrentUser ? 'current-user' : ''}">
+                <div class="leaderboard-rank ${run.rank <= 3 ? 'top-3' : ''}">${run.rank}</div>
+                <div class="leaderboard-avatar" style="background-color: ${this.getAvatarColor(run.username)}">
+                    ${Utils.escapeHTML(run.username.charAt(0).toUpperCase())}
+                </div>
+                <div class="leaderboard-info">
+                    <div class="leaderboard-name">
+                        ${Utils.escapeHTML(run.username)}
+                        ${run.isCurrentUser ? '<span class="current-user-badge">You</span>' : ''}
+                    </div>
+                    <div class="leaderboard-stats">
+                        ${byScore ? `${run.runLength} correct` : `${Utils.formatNumber(run.score)} pts`} • ${Utils.formatDuration(run.timeSpent)}
+                    </div>
+                </div>
+                <div class="leaderboard-points">
+                    ${byScore ? Utils.formatNumber(run.score) : run.runLength}
+                    <span class="points-label">${byScore ? 'pts' : 'correct'}</span>
+                </div>
+            </div>
+        `).join('');
+    }
+
     /**
      * Render user rank card
      * @param {Object} rankData - User rank data
@@ -328,6 +448,13 @@ class LeaderboardUI {
     handleLeaderboardUpdate(data) {
         console.log('📡 Received leaderboard update');
         
+        // Updates carry the points ranking; the rating board is fetched again
+        if (this.currentSort !== 'points') {
+            this.loadLeaderboard();
+            this.loadUserRank();
+            return;
+        }
+        
         // Update local data
         this.leaderboardData = data;
         
@@ -454,6 +581,7 @@ class LeaderboardUI {
     getCurrentState() {
         return {
             category: this.currentCategory,
+            sortBy: this.currentSort,
             limit: this.currentLimit,
             searchQuery: this.searchQuery,
             isLoading: this.isLoading,
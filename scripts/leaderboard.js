@@ -14,6 +14,7 @@ class LeaderboardManager {
         this.subscribers = [];
         this.realtimeSubscription = null;
         this.supabase = null;
+        this.endlessStorageKey = 'endless_runs';
         
         console.log('🏆 Leaderboard Manager initialized');
         
@@ -53,6 +54,9 @@ class LeaderboardManager {
                 averageScore: 177.2,
                 rank: 1,
                 avatar: 'Q',
+                rating: 1712,
+                ratingDeviation: 62,
+                ratedAnswers: 412,
                 joinedDate: '2024-01-15'
             },
             {
@@ -63,6 +67,9 @@ class LeaderboardManager {
                 averageScore: 161.4,
                 rank: 2,
                 avatar: 'B',
+                rating: 1688,
+                ratingDeviation: 58,
+                ratedAnswers: 455,
                 joinedDate: '2024-01-20'
             },
             {
@@ -73,6 +80,9 @@ class LeaderboardManager {
                 averageScore: 179.4,
                 rank: 3,
                 avatar: 'S',
+                rating: 1745,
+                ratingDeviation: 64,
+                ratedAnswers: 380,
                 joinedDate: '2024-02-01'
             },
             {
@@ -83,6 +93,9 @@ class LeaderboardManager {
                 averageScore: 196.2,
                 rank: 4,
                 avatar: 'T',
+                rating: 1801,
+                ratingDeviation: 70,
+                ratedAnswers: 301,
                 joinedDate: '2024-02-10'
             },
             {
@@ -93,6 +106,9 @@ class LeaderboardManager {
                 averageScore: 168.7,
                 rank: 5,
                 avatar: 'K',
+                rating: 1654,
+                ratingDeviation: 61,
+                ratedAnswers: 350,
                 joinedDate: '2024-02-15'
             },
             {
@@ -103,6 +119,9 @@ class LeaderboardManager {
                 averageScore: 187.1,
                 rank: 6,
                 avatar: 'Q',
+                rating: 1733,
+                ratingDeviation: 75,
+                ratedAnswers: 262,
                 joinedDate: '2024-03-01'
             },
             {
@@ -113,6 +132,9 @@ class LeaderboardManager {
                 averageScore: 180.0,
                 rank: 7,
                 avatar: 'F',
+                rating: 1620,
+                ratingDeviation: 80,
+                ratedAnswers: 240,
                 joinedDate: '2024-03-05'
             },
             {
@@ -123,6 +145,9 @@ class LeaderboardManager {
                 averageScore: 182.7,
                 rank: 8,
                 avatar: 'D',
+                rating: 1698,
+                ratingDeviation: 84,
+                ratedAnswers: 221,
                 joinedDate: '2024-03-10'
             },
             {
@@ -133,6 +158,9 @@ class LeaderboardManager {
                 averageScore: 178.3,
                 rank: 9,
                 avatar: 'I',
+                rating: 1590,
+                ratingDeviation: 88,
+                ratedAnswers: 205,
                 joinedDate: '2024-03-15'
             },
             {
@@ -143,6 +171,9 @@ class LeaderboardManager {
                 averageScore: 182.1,
                 rank: 10,
                 avatar: 'W',
+                rating: 1667,
+                ratingDeviation: 90,
+                ratedAnswers: 198,
                 joinedDate: '2024-03-20'
             }
         ];
@@ -152,25 +183,29 @@ class LeaderboardManager {
      * Get top users from leaderboard
      * @param {number} limit - Number of users to return
      * @param {string} category - Optional category filter
+     * @param {string} sortBy - 'points' for total points, 'rating' for skill rating; players
+     *     with fewer than APP_CONFIG.ratings.minMatches rated answers are left off the rating board
      * @returns {Promise<Object>} Leaderboard data
      */
-    async getTopUsers(limit = 10, category = null) {
+    async getTopUsers(limit = 10, category = null, sortBy = 'points') {
         try {
             this.isLoading = true;
-            console.log(`🔍 Fetching top ${limit} users${category ? ` for ${category}` : ''}`);
+            console.log(`🔍 Fetching top ${limit} users${category ? ` for ${category}` : ''} by ${sortBy}`);
             
             // Try to get from database first
             if (authManager.supabase && authManager.isInitialized) {
-                return await this.getTopUsersFromDatabase(limit, category);
+                return sortBy === 'rating' ?
+                    await this.getTopRatedUsersFromDatabase(limit, category) :
+                    await this.getTopUsersFromDatabase(limit, category);
             } else {
                 // Fallback to placeholder data
-                return await this.getTopUsersFromPlaceholder(limit, category);
+                return await this.getTopUsersFromPlaceholder(limit, category, sortBy);
             }
             
         } catch (error) {
             console.error('❌ Failed to get top users:', error);
             // Fallback to placeholder data on error
-            return await this.getTopUsersFromPlaceholder(limit, category);
+            return await this.getTopUsersFromPlaceholder(limit, category, sortBy);
         } finally {
             this.isLoading = false;
         }
@@ -259,13 +294,72 @@ class LeaderboardManager {
         }
     }
 
+    /**
+     * Get top users by skill rating from database
+     * @param {number} limit - Number of users to return
+     * @param {string} category - Optional category filter
+     * @returns {Promise<Object>} Leaderboard data
+     */
+    async getTopRatedUsersFromDatabase(limit, category) {
+        const ratingCategory = category && category !== 'all' ? category : 'all';
+        const cacheKey = `leaderboard_rating_${ratingCategory}_${limit}`;
+        if (window.performanceManager) {
+            const cached = window.performanceManager.getCache(cacheKey);
+            if (cached) {
+                console.log('📦 Using cached leaderboard data');
+                return cached;
+            }
+        }
+
+        const { data, error } = await authManager.supabase
+            .from('rating_leaderboard')
+            .select('*')
+            .eq('category', ratingCategory)
+            .order('rating_rank')
+            .limit(limit);
+
+        if (error) {
+            throw error;
+        }
+
+        const users = (data || []).map(user => ({
+            id: user.id,
+            username: user.username,
+            fullName: user.full_name,
+            avatarUrl: user.avatar_url,
+            rating: user.rating,
+            ratingDeviation: user.rating_deviation,
+            ratedAnswers: user.rated_answers,
+            rank: user.rating_rank,
+            avatar: user.username ? user.username.charAt(0).toUpperCase() : 'U',
+            joinedDate: user.created_at
+        }));
+
+        const result = {
+            success: true,
+            users,
+            total: users.length,
+            category: category || 'all',
+            sortBy: 'rating'
+        };
+
+        if (window.performanceManager) {
+            window.performanceManager.setCache(cacheKey, result, 120000); // 2 minutes
+        }
+
+        console.log(`✅ Retrieved ${users.length} top rated users from database`);
+
+        return result;
+    }
+
     /**
      * Get top users from placeholder data
      * @param {number} limit - Number of users to return
      * @param {string} category - Optional category filter
+     * @param {string} sortBy - 'points' or 'rating'
      * @returns {Promise<Object>} Leaderboard data
      */
-    async getTopUsersFromPlaceholder(limit, category) {
+    async getTopUsersFromPlaceholder(limit, category, sortBy = 'points') {
         // Simulate API delay
         await new Promise(resolve => setTimeout(resolve, 300));
         
@@ -276,8 +370,9 @@ class LeaderboardManager {
             console.log(`Filtering by category: ${category} (placeholder mode)`);
         }
         
-        // Sort by total points (already sorted in placeholder data)
-        filteredData.sort((a, b) => b.totalPoints - a.totalPoints);
+        // Sort by total points (already sorted in placeholder data) or by rating
+        filteredData.sort((a, b) => sortBy === 'rating' ?
+            b.rating - a.rating : b.totalPoints - a.totalPoints);
         
         // Update ranks
         filteredData.forEach((user, index) => {
@@ -293,7 +388,8 @@ class LeaderboardManager {
             success: true,
             users: topUsers,
             total: filteredData.length,
-            category: category || 'all'
+            category: category || 'all',
+            sortBy
         };
     }
 
@@ -431,6 +527,127 @@ class LeaderboardManager {
         };
     }
 
+    /**
+     * Get the leaderboard for an endless mode
+     * Each player is ranked by their best run: the longest (most correct answers)
+     * or the highest scoring, with ties going to the other measure and then to
+     * whoever got there first.
+     * @param {string} mode - 'survival' or 'sudden_death'
+     * @param {string} sortBy - 'run' for longest run, 'score' for highest score
+     * @param {number} limit - Maximum number of players
+     * @returns {Promise<Object>} { success, runs, mode, sortBy }
+     */
+    async getEndlessLeaderboard(mode, sortBy = 'run', limit = APP_CONFIG.quiz.endless.leaderboardLimit) {
+        const config = APP_CONFIG.quiz.endless;
+        if (!config.modes.includes(mode) || !config.leaderboardSorts.includes(sortBy)) {
+            return { success: false, error: 'Unknown endless leaderboard', runs: [] };
+        }
+
+        const user = authManager.getCurrentUser();
+
+        try {
+            let runs;
+
+            if (authManager.supabase && authManager.isInitialized) {
+                const { data, error } = await authManager.supabase.rpc('get_endless_leaderboard', {
+                    p_game_mode: mode,
+                    p_sort_by: sortBy,
+                    p_limit: limit
+                });
+
+                if (error) {
+                    throw error;
+                }
+
+                runs = (data || []).map(row => ({
+                    rank: Number(row.rank),
+                    userId: row.user_id,
+                    username: row.username,
+                    runLength: row.run_length || 0,
+                    score: row.total_points || 0,
+                    timeSpent: row.time_spent || 0,
+                    completedAt: row.completed_at,
+                    isCurrentUser: !!user && row.user_id === user.id
+                }));
+            } else {
+                runs = this.getEndlessLeaderboardFromLocal(mode, sortBy, limit);
+            }
+
+            return { success: true, runs, mode, sortBy };
+
+        } catch (error) {
+            console.error('❌ Failed to get endless leaderboard:', error);
+            return { success: false, error: error.message, runs: [], mode, sortBy };
+        }
+    }
+
+    /**
+     * Rank the runs saved on this device (mirrors get_endless_leaderboard)
+     * @param {string} mode - 'survival' or 'sudden_death'
+     * @param {string} sortBy - 'run' or 'score'
+     * @param {number} limit - Maximum number of players
+     * @returns {Array} Ranked runs
+     */
+    getEndlessLeaderboardFromLocal(mode, sortBy, limit) {
+        const primary = sortBy === 'score' ? 'score' : 'runLength';
+        const secondary = sortBy === 'score' ? 'runLength' : 'score';
+        const compare = (a, b) => b[primary] - a[primary] || b[secondary] - a[secondary] ||
+            new Date(a.completedAt) - new Date(b.completedAt);
+
+        // Best run per player
+        const best = {};
+        Utils.storage.get(this.endlessStorageKey, [])
+            .filter(run => run.mode === mode)
+            .forEach(run => {
+                if (!best[run.username] || compare(run, best[run.username]) < 0) {
+                    best[run.username] = run;
+                }
+            });
+
+        const username = this.getCurrentUsername();
+
+        return Object.values(best)
+            .sort(compare)
+            .slice(0, limit)
+            .map((run, index) => ({
+                ...run,
+                rank: index + 1,
+                isCurrentUser: run.username === username
+            }));
+    }
+
+    /**
+     * Record a finished endless run on this device
+     * The database ranks a run as soon as its session completes; the local copy
+     * keeps the leaderboard working without Supabase.
+     * @param {Object} results - Quiz results from QuizManager.calculateResults
+     */
+    recordEndlessRun(results) {
+        const runs = Utils.storage.get(this.endlessStorageKey, []);
+
+        runs.push({
+            mode: results.mode,
+            username: this.getCurrentUsername(),
+            runLength: results.runLength,
+            score: results.score,
+            timeSpent: results.timeSpent,
+            completedAt: results.completedAt.toISOString()
+        });
+
+        Utils.storage.set(this.endlessStorageKey, runs);
+        console.log(`🏃 Recorded ${results.mode} run: ${results.runLength} correct, ${results.score} points`);
+    }
+
+    /**
+     * Get the name local runs are saved under
+     * @returns {string} Username, or 'Guest' when signed out
+     */
+    getCurrentUsername() {
+        const user = authManager.getCurrentUser();
+        if (!user) return 'Guest';
+        return (user.user_metadata && user.user_metadata.username) || user.email.split('@')[0];
+    }
+
     /**
      * Update user score
      * @param {string} userId - User ID
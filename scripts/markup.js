@@ -0,0 +1,243 @@
+// Inline Markup Module for QuizMaster app
+// Renders the safe markup subset allowed in question text, options and explanations
+
+/**
+ * Markup Manager class
+ * Question text, options and explanations may use:
+ *   *emphasis*, **strong**, `inline code`,
+ *   x^2^ for superscript, H~2~O for subscript,
+ *   $...$ for math, with ^ and _ (single characters or {groups}),
+ *   \frac{a}{b}, \sqrt{x} and symbols such as \pi, \times and \leq.
+ * A backslash before a delimiter keeps it literal. Everything else is
+ * escaped, and the result is passed through SecurityManager.sanitizeHTML,
+ * so only the tags MarkupManager produces can reach the page.
+ */
+class MarkupManager {
+    constructor() {
+        // TeX commands rendered as symbols inside $...$
+        this.mathSymbols = {
+            alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', zeta: 'ζ', eta: 'η', theta: 'θ',
+            iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π', rho: 'ρ', sigma: 'σ',
+            tau: 'τ', upsilon: 'υ', phi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+            Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Phi: 'Φ',
+            Psi: 'Ψ', Omega: 'Ω',
+            times: '×', cdot: '·', div: '÷', pm: '±', mp: '∓', leq: '≤', geq: '≥', neq: '≠',
+            approx: '≈', equiv: '≡', propto: '∝', infty: '∞', partial: '∂', nabla: '∇', sum: '∑',
+            prod: '∏', int: '∫', to: '→', rightarrow: '→', leftarrow: '←', leftrightarrow: '↔',
+            rightleftharpoons: '⇌', degree: '°', circ: '°', cdots: '⋯', ldots: '…', angle: '∠',
+            perp: '⊥', parallel: '∥', in: '∈', cup: '∪', cap: '∩', hbar: 'ħ'
+        };
+
+        console.log('🧮 Markup Manager initialized');
+    }
+
+    /**
+     * Render markup as sanitized HTML
+     * @param {string} text - Text with inline markup
+     * @returns {string} HTML
+     */
+    render(text) {
+        if (text === null || text === undefined || text === '') return '';
+
+        const html = this.renderInline(String(text));
+        return window.securityManager ? window.securityManager.sanitizeHTML(html) : html;
+    }
+
+    /**
+     * Render markup into an element
+     * @param {HTMLElement} element - Target element
+     * @param {string} text - Text with inline markup
+     */
+    renderInto(element, text) {
+        element.innerHTML = this.render(text);
+    }
+
+    /**
+     * Strip markup down to the text a screen reader should read
+     * @param {string} text - Text with inline markup
+     * @returns {string} Plain text
+     */
+    toPlainText(text) {
+        const container = document.createElement('div');
+        container.innerHTML = this.render(text);
+        return container.textContent;
+    }
+
+    /**
+     * Render emphasis, code, sub/superscripts and math spans
+     * @param {string} text - Raw text
+     * @returns {string} HTML, not yet sanitized
+     */
+    renderInline(text) {
+        const escape = value => Utils.escapeHTML(value);
+        let html = '';
+        let plain = '';
+        let i = 0;
+
+        const flush = () => {
+            html += escape(plain);
+            plain = '';
+        };
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (char === '\\' && '\\`*^~$'.includes(text[i + 1] || '')) {
+                plain += text[i + 1];
+                i += 2;
+                continue;
+            }
+
+            const span = this.findSpan(text, i);
+            if (!span) {
+                plain += char;
+                i++;
+                continue;
+            }
+
+            flush();
+            const inner = text.slice(span.start, span.end);
+
+            switch (span.type) {
+                case 'code':
+                    html += `<code>${escape(inner)}</code>`;
+                    break;
+                case 'math':
+                    html += `<span class="math">${this.renderMath(inner)}</span>`;
+                    break;
+                default:
+                    html += `<${span.type}>${this.renderInline(inner)}</${span.type}>`;
+            }
+
+            i = span.end + span.closeLength;
+        }
+
+        flush();
+        return html;
+    }
+
+    /**
+     * Find a markup span opening at a position
+     * Openers must be followed, and closers preceded, by a non-space character,
+     * so "2 * 3" and "costs $5 or $10" stay as written.
+     * @param {string} text - Raw text
+     * @param {number} index - Position of a possible opener
+     * @returns {Object|null} { type, start, end, closeLength } with start/end bounding the content
+     */
+    findSpan(text, index) {
+        const delimiters = [
+            { open: '`', type: 'code' },
+            { open: '$', type: 'math' },
+            { open: '**', type: 'strong' },
+            { open: '*', type: 'em' },
+            { open: '^', type: 'sup', noSpaces: true },
+            { open: '~', type: 'sub', noSpaces: true }
+        ];
+
+        const delimiter = delimiters.find(d => text.startsWith(d.open, index));
+        if (!delimiter) return null;
+
+        const start = index + delimiter.open.length;
+        if (start >= text.length || /\s/.test(text[start])) return null;
+
+        let end = start;
+        while ((end = text.indexOf(delimiter.open, end)) !== -1) {
+            const content = text.slice(start, end);
+            const escaped = delimiter.type !== 'code' && text[end - 1] === '\\';
+            const valid = content !== '' && !/\s$/.test(content) && !escaped &&
+                !(delimiter.noSpaces && /\s/.test(content)) &&
+                !(delimiter.type === 'math' && /\d/.test(text[end + 1] || '')) &&
+                !(delimiter.type === 'em' && text[end + 1] === '*');
+
+            if (valid) {
+                return { type: delimiter.type, start, end, closeLength: delimiter.open.length };
+            }
+
+            end += delimiter.open.length;
+        }
+
+        return null;
+    }
+
+    /**
+     * Render the TeX subset allowed inside $...$
+     * @param {string} source - Math source
+     * @returns {string} HTML
+     */
+    renderMath(source) {
+        const escape = value => Utils.escapeHTML(value);
+        let i = 0;
+
+        // A single character, a \command or a {group}
+        const parseAtom = () => {
+            const char = source[i];
+
+            if (char === '{') {
+                i++;
+                const html = parseUntil('}');
+                i++;
+                return html;
+            }
+
+            if (char === '\\') {
+                i++;
+                const name = (source.slice(i).match(/^[a-zA-Z]+/) || [''])[0];
+
+                if (!name) {
+                    // Escaped character such as \{ or \$
+                    return escape(source[i++] || '\\');
+                }
+
+                i += name.length;
+
+                if (name === 'frac') {
+                    const numerator = parseAtom();
+                    const denominator = parseAtom();
+                    return `<span class="math-frac"><span class="math-num">${numerator}</span><span class="math-den">${denominator}</span></span>`;
+                }
+
+                if (name === 'sqrt') {
+                    return `<span class="math-sqrt">√<span class="math-radicand">${parseAtom()}</span></span>`;
+                }
+
+                return Object.prototype.hasOwnProperty.call(this.mathSymbols, name) ?
+                    this.mathSymbols[name] : escape(`\\${name}`);
+            }
+
+            if (char === undefined) return '';
+
+            i++;
+            return char === '-' ? '−' : escape(char);
+        };
+
+        const parseUntil = (end) => {
+            let html = '';
+
+            while (i < source.length && source[i] !== end) {
+                if (source[i] === '^' || source[i] === '_') {
+                    const tag = source[i] === '^' ? 'sup' : 'sub';
+                    i++;
+                    html += `<${tag}>${parseAtom()}</${tag}>`;
+                } else {
+                    html += parseAtom();
+                }
+            }
+
+            return html;
+        };
+
+        return parseUntil(null);
+    }
+}
+
+// Create global instance
+const markupManager = new MarkupManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkupManager;
+}
+
+// Make available globally
+window.MarkupManager = MarkupManager;
+window.markupManager = markupManager;
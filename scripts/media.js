@@ -0,0 +1,305 @@
+// Question Media Module for QuizMaster app
+// Resolves, validates and renders question images, audio clips and code snippets
+
+/**
+ * Media Manager class
+ * A question's media column holds one JSON object with any of:
+ *   image: { src, alt }            shown under the question text
+ *   audio: { src, title }          a short clip with play controls
+ *   code: { language, source }     a syntax highlighted code block
+ *   optionImages: { "<option>": { src, alt } }  pictures on answer options
+ * Options stay plain text so grading never depends on media. Paths are read
+ * from the Supabase Storage bucket, or from the local media directory when
+ * Supabase isn't configured; absolute http(s) URLs are used as they are.
+ */
+class MediaManager {
+    constructor() {
+        this.config = APP_CONFIG.media;
+
+        // Keywords highlighted per language; html highlights tag names instead
+        this.keywords = {
+            javascript: ['async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default',
+                'delete', 'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if',
+                'import', 'in', 'instanceof', 'let', 'new', 'null', 'of', 'return', 'static', 'super',
+                'switch', 'this', 'throw', 'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'yield'],
+            python: ['and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del',
+                'elif', 'else', 'except', 'False', 'finally', 'for', 'from', 'global', 'if', 'import', 'in',
+                'is', 'lambda', 'None', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'True', 'try',
+                'while', 'with', 'yield'],
+            sql: ['and', 'as', 'asc', 'by', 'case', 'count', 'create', 'delete', 'desc', 'distinct', 'else',
+                'end', 'from', 'group', 'having', 'in', 'inner', 'insert', 'into', 'is', 'join', 'left',
+                'limit', 'not', 'null', 'on', 'or', 'order', 'select', 'set', 'table', 'then', 'union',
+                'update', 'values', 'when', 'where'],
+            css: ['important', 'inherit', 'initial', 'none', 'auto']
+        };
+
+        console.log('🖼️ Media Manager initialized');
+    }
+
+    /**
+     * Parse and clean a media value, dropping unknown and empty fields
+     * @param {Object|string|null} raw - Media object or its JSON text
+     * @returns {Object|null} Media object, or null when the question has none
+     */
+    normalizeMedia(raw) {
+        let value = raw;
+
+        if (typeof value === 'string') {
+            if (value.trim() === '') return null;
+            try {
+                value = JSON.parse(value);
+            } catch (error) {
+                return { invalid: true };
+            }
+        }
+
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return null;
+        }
+
+        const text = field => (typeof field === 'string' ? field.trim() : '');
+        const media = {};
+
+        if (value.image && text(value.image.src)) {
+            media.image = { src: text(value.image.src), alt: text(value.image.alt) };
+        }
+
+        if (value.audio && text(value.audio.src)) {
+            media.audio = { src: text(value.audio.src), title: text(value.audio.title) };
+        }
+
+        if (value.code && text(value.code.source)) {
+            const language = text(value.code.language).toLowerCase() || this.config.defaultCodeLanguage;
+            // Keep indentation; only trailing blank lines are dropped
+            media.code = { language, source: value.code.source.replace(/\s+$/, '') };
+        }
+
+        if (value.optionImages && typeof value.optionImages === 'object') {
+            const optionImages = {};
+            Object.entries(value.optionImages).forEach(([option, image]) => {
+                if (image && text(image.src)) {
+                    optionImages[option] = { src: text(image.src), alt: text(image.alt) };
+                }
+            });
+            if (Object.keys(optionImages).length > 0) {
+                media.optionImages = optionImages;
+            }
+        }
+
+        return Object.keys(media).length > 0 ? media : null;
+    }
+
+    /**
+     * Validate a normalized media object against a question's options
+     * @param {Object|null} media - Media from normalizeMedia
+     * @param {Array<string>|null} options - Question options
+     * @returns {Array<string>} Error messages
+     */
+    validateMedia(media, options) {
+        if (!media) return [];
+        if (media.invalid) return ['Media must be a JSON object'];
+
+        const errors = [];
+        const checkImage = (image, label) => {
+            if (!this.isAllowedSource(image.src)) {
+                errors.push(`${label} must be a storage path or an http(s) URL`);
+            }
+            if (!image.alt) {
+                errors.push(`${label} needs alt text`);
+            } else if (image.alt.length > this.config.maxAltLength) {
+                errors.push(`${label} alt text must be ${this.config.maxAltLength} characters or fewer`);
+            }
+        };
+
+        if (media.image) {
+            checkImage(media.image, 'Image');
+        }
+
+        if (media.audio && !this.isAllowedSource(media.audio.src)) {
+            errors.push('Audio must be a storage path or an http(s) URL');
+        }
+
+        if (media.code) {
+            if (!this.config.codeLanguages.includes(media.code.language)) {
+                errors.push(`Unknown code language "${media.code.language}"`);
+            }
+            if (media.code.source.length > this.config.maxCodeLength) {
+                errors.push(`Code must be ${this.config.maxCodeLength} characters or fewer`);
+            }
+        }
+
+        if (media.optionImages) {
+            Object.entries(media.optionImages).forEach(([option, image]) => {
+                if (!(options || []).includes(option)) {
+                    errors.push(`Option image "${option}" doesn't match an option`);
+                } else {
+                    checkImage(image, `Image for "${option}"`);
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check that a media source is a relative storage path or an http(s) URL
+     * @param {string} src - Media source
+     * @returns {boolean} Allowed
+     */
+    isAllowedSource(src) {
+        if (/^https?:\/\//i.test(src)) return true;
+        // No other schemes (javascript:, data:) and no climbing out of the media directory
+        return !/^[a-z][a-z0-9+.-]*:/i.test(src) && !src.startsWith('//') && !src.split('/').includes('..');
+    }
+
+    /**
+     * Resolve a media source to a URL
+     * @param {string} src - Storage path or absolute URL
+     * @returns {string} URL, or an empty string for a disallowed source
+     */
+    resolveUrl(src) {
+        if (!src || !this.isAllowedSource(src)) return '';
+        if (/^https?:\/\//i.test(src)) return src;
+
+        const path = src.replace(/^\/+/, '');
+
+        if (authManager.supabase) {
+            const { data } = authManager.supabase.storage.from(this.config.bucket).getPublicUrl(path);
+            return data.publicUrl;
+        }
+
+        return `${this.config.localPath}/${path}`;
+    }
+
+    /**
+     * Build the HTML for a question's image, audio and code
+     * Images and audio carry data-src so PerformanceManager.setupLazyLoading
+     * only fetches them once they scroll into view.
+     * @param {Object|null} media - Question media
+     * @returns {string} HTML, empty when there is nothing to show
+     */
+    renderQuestionMedia(media) {
+        if (!media) return '';
+
+        const attr = value => Utils.encodeHTMLEntities(value);
+        const parts = [];
+
+        if (media.image) {
+            const url = this.resolveUrl(media.image.src);
+            if (url) {
+                parts.push(`
+                    <figure class="question-media-image">
+                        <img data-src="${attr(url)}" alt="${attr(media.image.alt)}">
+                    </figure>
+                `);
+            }
+        }
+
+        if (media.audio) {
+            const url = this.resolveUrl(media.audio.src);
+            if (url) {
+                const title = media.audio.title || 'Audio clip';
+                parts.push(`
+                    <div class="question-media-audio">
+                        <span class="question-media-audio-title">${Utils.escapeHTML(title)}</span>
+                        <audio controls preload="none" data-src="${attr(url)}" aria-label="${attr(title)}"></audio>
+                    </div>
+                `);
+            }
+        }
+
+        if (media.code) {
+            parts.push(`
+                <pre class="question-media-code" data-language="${attr(media.code.language)}"><code>${this.highlightCode(media.code.source, media.code.language)}</code></pre>
+            `);
+        }
+
+        return parts.join('');
+    }
+
+    /**
+     * Build the HTML for an answer option's image
+     * @param {Object|null} media - Question media
+     * @param {string} option - Option text
+     * @returns {string} HTML, empty when the option has no image
+     */
+    renderOptionImage(media, option) {
+        const image = media && media.optionImages && media.optionImages[option];
+        const url = image ? this.resolveUrl(image.src) : '';
+        if (!url) return '';
+
+        return `<img class="option-image" data-src="${Utils.encodeHTMLEntities(url)}" alt="${Utils.encodeHTMLEntities(image.alt)}">`;
+    }
+
+    /**
+     * Escape source code and wrap comments, strings, numbers and keywords in spans
+     * @param {string} source - Code
+     * @param {string} language - One of APP_CONFIG.media.codeLanguages
+     * @returns {string} Highlighted HTML
+     */
+    highlightCode(source, language) {
+        const escape = value => Utils.escapeHTML(value);
+        const pattern = this.getTokenPattern(language);
+        if (!pattern) return escape(source);
+
+        let html = '';
+        let lastIndex = 0;
+        let match;
+
+        while ((match = pattern.exec(source)) !== null) {
+            if (match[0] === '') {
+                pattern.lastIndex++;
+                continue;
+            }
+
+            const type = ['comment', 'string', 'number', 'keyword'].find((name, index) => match[index + 1] !== undefined);
+            html += escape(source.slice(lastIndex, match.index));
+            html += `<span class="code-token-${type}">${escape(match[0])}</span>`;
+            lastIndex = pattern.lastIndex;
+        }
+
+        return html + escape(source.slice(lastIndex));
+    }
+
+    /**
+     * Build the token pattern for a language
+     * Groups are, in order: comment, string, number, keyword.
+     * @param {string} language - Code language
+     * @returns {RegExp|null} Global pattern, or null for plain text
+     */
+    getTokenPattern(language) {
+        const comments = {
+            javascript: '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/',
+            python: '#[^\\n]*',
+            sql: '--[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/',
+            html: '<!--[\\s\\S]*?-->',
+            css: '\\/\\*[\\s\\S]*?\\*\\/'
+        };
+
+        if (!comments[language]) return null;
+
+        const strings = language === 'javascript' ?
+            '"(?:\\\\.|[^"\\\\\\n])*"|\'(?:\\\\.|[^\'\\\\\\n])*\'|`(?:\\\\.|[^`\\\\])*`' :
+            '"(?:\\\\.|[^"\\\\\\n])*"|\'(?:\\\\.|[^\'\\\\\\n])*\'';
+        const keywords = language === 'html' ?
+            '<\\/?[a-zA-Z][\\w-]*|\\/?>' :
+            `\\b(?:${(this.keywords[language] || []).join('|')})\\b`;
+
+        return new RegExp(
+            `(${comments[language]})|(${strings})|(\\b\\d+(?:\\.\\d+)?\\b)|(${keywords})`,
+            language === 'sql' ? 'gi' : 'g'
+        );
+    }
+}
+
+// Create global instance
+const mediaManager = new MediaManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MediaManager;
+}
+
+// Make available globally
+window.MediaManager = MediaManager;
+window.mediaManager = mediaManager;
@@ -0,0 +1,1299 @@
+// Live Multiplayer Module for QuizMaster app
+// Runs host/join quiz rooms where every player answers the same question at the same time
+
+/**
+ * Multiplayer Manager class
+ * The host opens a room with a short join code and paces the questions; the
+ * host's client is the authority for room state and broadcasts it to the
+ * other players. With Supabase, rooms live in the quiz_rooms table, answers
+ * are graded by submit_room_answer and players talk over a Realtime channel
+ * with presence. Without it (the mock client), rooms run between browser tabs
+ * over a BroadcastChannel with heartbeats standing in for presence, and
+ * questions come from the placeholder set.
+ */
+class MultiplayerManager {
+    constructor() {
+        this.config = APP_CONFIG.multiplayer;
+        this.room = null;
+        this.isHost = false;
+        this.player = null;
+        this.players = new Map();
+        this.questions = [];
+        this.currentIndex = -1;
+        this.currentQuestion = null;
+        this.hasAnswered = false;
+        this.answers = [];
+        this.channel = null;
+        this.localChannel = null;
+        this.presence = new Map();
+        this.connectedIds = new Set();
+        this.heartbeatTimer = null;
+        this.questionTimer = null;
+        this.questionDeadline = 0;
+        this.questionShownAt = 0;
+        this.pendingJoin = null;
+        this.guestId = Utils.generateUUID();
+
+        console.log('📡 Multiplayer Manager initialized');
+
+        // Initialize multiplayer page
+        this.initializeMultiplayer();
+    }
+
+    /**
+     * Initialize multiplayer page components
+     */
+    initializeMultiplayer() {
+        // Wait for DOM to be ready
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => {
+                this.setupEventListeners();
+            });
+        } else {
+            this.setupEventListeners();
+        }
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        const hostBtn = document.getElementById('host-room-btn');
+        if (hostBtn) {
+            hostBtn.addEventListener('click', () => {
+                this.handleHostRoom();
+            });
+        }
+
+        const joinForm = document.getElementById('join-room-form');
+        if (joinForm) {
+            joinForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleJoinRoom();
+            });
+        }
+
+        const startBtn = document.getElementById('room-start-btn');
+        if (startBtn) {
+            startBtn.addEventListener('click', () => {
+                this.runRoomAction(() => this.startRoom());
+            });
+        }
+
+        const nextBtn = document.getElementById('room-next-btn');
+        if (nextBtn) {
+            nextBtn.addEventListener('click', () => {
+                this.runRoomAction(() => this.advanceRoom());
+            });
+        }
+
+        const endBtn = document.getElementById('room-end-btn');
+        if (endBtn) {
+            endBtn.addEventListener('click', () => {
+                this.runRoomAction(() => this.advanceRoom(true));
+            });
+        }
+
+        const copyBtn = document.getElementById('room-copy-code-btn');
+        if (copyBtn) {
+            copyBtn.addEventListener('click', async () => {
+                if (this.room && await Utils.copyToClipboard(this.room.code) && window.uiManager) {
+                    window.uiManager.showNotification('success', 'Copied', 'Room code copied to clipboard.', 2000);
+                }
+            });
+        }
+
+        document.querySelectorAll('.room-leave-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.leaveRoom();
+            });
+        });
+
+        // Tell the room when the tab goes away so the player shows as dropped right away
+        window.addEventListener('beforeunload', () => {
+            this.closeChannel();
+        });
+
+        // Listen for authentication state changes
+        if (window.authManager) {
+            window.authManager.onAuthStateChange((event) => {
+                if (event === 'SIGNED_OUT') {
+                    this.leaveRoom();
+                }
+            });
+        }
+    }
+
+    /**
+     * Check whether rooms should run over Supabase Realtime
+     * @returns {boolean} Use Realtime
+     */
+    useRealtime() {
+        return !!(authManager.supabase && authManager.isInitialized &&
+            typeof authManager.supabase.channel === 'function');
+    }
+
+    /**
+     * Get the current player's ID and display name
+     * Guests can play local rooms; Supabase rooms need a signed-in user.
+     * @returns {Object|null} { userId, username }
+     */
+    getPlayerIdentity() {
+        const user = authManager.getCurrentUser();
+
+        if (!user) {
+            return this.useRealtime() ? null : {
+                userId: this.guestId,
+                username: `Guest ${this.guestId.slice(0, 4).toUpperCase()}`
+            };
+        }
+
+        return {
+            userId: user.id,
+            username: (user.user_metadata && user.user_metadata.username) || user.email.split('@')[0]
+        };
+    }
+
+    /**
+     * Generate a join code for a local room
+     * Supabase rooms get their code from create_room.
+     * @returns {string} Join code
+     */
+    generateRoomCode() {
+        const alphabet = this.config.codeAlphabet;
+        let code = '';
+        for (let i = 0; i < this.config.codeLength; i++) {
+            code += alphabet.charAt(Math.floor(Math.random() * alphabet.length));
+        }
+        return code;
+    }
+
+    /**
+     * Map a quiz_rooms row to a room object
+     * @param {Object} row - Database row
+     * @returns {Object} Room
+     */
+    mapRoom(row) {
+        return {
+            id: row.id,
+            code: row.code,
+            hostId: row.host_id,
+            category: row.category,
+            difficulty: row.difficulty,
+            questionCount: row.question_count,
+            timePerQuestion: row.time_per_question,
+            seed: row.seed,
+            status: row.status,
+            questionIndex: row.current_question_index,
+            questionStartedAt: row.question_started_at
+        };
+    }
+
+    /**
+     * Read the host form and open a room
+     */
+    async handleHostRoom() {
+        const category = document.getElementById('room-category');
+        const difficulty = document.getElementById('room-difficulty');
+        const questionCount = document.getElementById('room-question-count');
+
+        await this.runRoomAction(() => this.hostRoom({
+            category: category ? category.value : 'all',
+            difficulty: difficulty ? difficulty.value : 'all',
+            questionCount: questionCount ? parseInt(questionCount.value) : this.config.questionCounts[0]
+        }));
+    }
+
+    /**
+     * Read the join form and join a room
+     */
+    async handleJoinRoom() {
+        const codeInput = document.getElementById('room-code-input');
+        await this.runRoomAction(() => this.joinRoom(codeInput ? codeInput.value : ''));
+    }
+
+    /**
+     * Run a room action and report a failure
+     * @param {Function} action - Action returning a { success, message } result
+     * @returns {Promise<Object>} Action result
+     */
+    async runRoomAction(action) {
+        const result = await action();
+
+        if (!result.success && window.uiManager) {
+            window.uiManager.showNotification('error', 'Live Quiz', result.message, 4000);
+        }
+
+        return result;
+    }
+
+    /**
+     * Host a new room
+     * @param {Object} settings - { category, difficulty, questionCount }
+     * @returns {Promise<Object>} Host result
+     */
+    async hostRoom(settings) {
+        const player = this.getPlayerIdentity();
+        if (!player) {
+            return { success: false, message: 'Sign in to host a live quiz' };
+        }
+
+        try {
+            await this.leaveRoom();
+
+            if (this.useRealtime()) {
+                const { data, error } = await authManager.supabase
+                    .rpc('create_room', {
+                        p_category: settings.category,
+                        p_difficulty: settings.difficulty,
+                        p_question_count: settings.questionCount,
+                        p_time_per_question: this.config.timePerQuestion
+                    });
+
+                if (error) {
+                    throw error;
+                }
+
+                this.room = this.mapRoom(data);
+            } else {
+                this.room = {
+                    id: Utils.generateUUID(),
+                    code: this.generateRoomCode(),
+                    hostId: player.userId,
+                    category: settings.category,
+                    difficulty: settings.difficulty,
+                    questionCount: settings.questionCount,
+                    timePerQuestion: this.config.timePerQuestion,
+                    seed: Utils.generateUUID().replace(/-/g, ''),
+                    status: 'lobby',
+                    questionIndex: -1,
+                    questionStartedAt: null
+                };
+            }
+
+            this.player = player;
+            this.isHost = true;
+            this.addPlayer(player);
+
+            await this.openChannel();
+
+            console.log(`📡 Hosting room ${this.room.code}`);
+
+            this.showRoomView('lobby');
+            this.updateLobbyDisplay();
+
+            return { success: true, room: this.room };
+
+        } catch (error) {
+            console.error('Failed to host room:', error);
+            await this.leaveRoom();
+            return { success: false, error: error.message, message: error.message || 'Failed to host room' };
+        }
+    }
+
+    /**
+     * Join a room by its code
+     * @param {string} code - Join code
+     * @returns {Promise<Object>} Join result
+     */
+    async joinRoom(code) {
+        const player = this.getPlayerIdentity();
+        if (!player) {
+            return { success: false, message: 'Sign in to join a live quiz' };
+        }
+
+        const normalized = (code || '').trim().toUpperCase();
+        const pattern = new RegExp(`^[${this.config.codeAlphabet}]{${this.config.codeLength}}$`);
+        if (!pattern.test(normalized)) {
+            return { success: false, message: `Enter the ${this.config.codeLength}-character room code` };
+        }
+
+        try {
+            await this.leaveRoom();
+            this.player = player;
+            this.isHost = false;
+
+            if (this.useRealtime()) {
+                const { data, error } = await authManager.supabase
+                    .rpc('join_room', { p_code: normalized });
+
+                if (error) {
+                    throw error;
+                }
+
+                this.room = this.mapRoom(data);
+                this.isHost = this.room.hostId === player.userId;
+                await this.openChannel();
+                await this.loadStandings();
+            } else {
+                this.room = { code: normalized, status: 'joining' };
+                await this.openChannel();
+                await this.waitForHost();
+            }
+
+            // Ask the host for the current state; it adds us to the player list
+            this.sendRoomEvent('hello', player);
+
+            console.log(`📡 Joined room ${this.room.code}`);
+
+            this.showCurrentRoomState();
+
+            return { success: true, room: this.room };
+
+        } catch (error) {
+            console.error('Failed to join room:', error);
+            await this.leaveRoom();
+            return { success: false, error: error.message, message: error.message || 'Failed to join room' };
+        }
+    }
+
+    /**
+     * Wait for the host of a local room to accept the join
+     * @returns {Promise<void>} Resolves with the first room state
+     */
+    waitForHost() {
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                this.pendingJoin = null;
+                reject(new Error('Room not found'));
+            }, this.config.joinTimeout);
+
+            this.pendingJoin = {
+                resolve: () => {
+                    clearTimeout(timeout);
+                    this.pendingJoin = null;
+                    resolve();
+                },
+                reject: (message) => {
+                    clearTimeout(timeout);
+                    this.pendingJoin = null;
+                    reject(new Error(message));
+                }
+            };
+
+            this.sendRoomEvent('hello', this.player);
+        });
+    }
+
+    /**
+     * Open the room channel and start tracking presence
+     */
+    async openChannel() {
+        const events = ['hello', 'state', 'rejected', 'answered', 'closed'];
+
+        if (this.useRealtime()) {
+            this.channel = authManager.supabase.channel(`room-${this.room.code}`, {
+                config: {
+                    broadcast: { self: false },
+                    presence: { key: this.player.userId }
+                }
+            });
+
+            events.forEach(event => {
+                this.channel.on('broadcast', { event }, ({ payload }) => {
+                    this.handleRoomEvent(event, payload);
+                });
+            });
+
+            this.channel.on('presence', { event: 'sync' }, () => {
+                const state = this.channel.presenceState();
+                const connected = Object.values(state).flat().map(meta => meta.userId);
+                this.handlePresenceSync(connected);
+            });
+
+            await new Promise((resolve, reject) => {
+                this.channel.subscribe(async (status) => {
+                    if (status === 'SUBSCRIBED') {
+                        await this.channel.track(this.player);
+                        resolve();
+                    } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+                        reject(new Error('Could not connect to the room'));
+                    }
+                });
+            });
+
+            return;
+        }
+
+        if (typeof BroadcastChannel === 'undefined') {
+            throw new Error('Live quizzes need Supabase or a browser with BroadcastChannel support');
+        }
+
+        this.localChannel = new BroadcastChannel(`quizmaster-room-${this.room.code}`);
+        this.localChannel.onmessage = (e) => {
+            const { event, payload } = e.data || {};
+
+            if (event === 'presence') {
+                this.presence.set(payload.userId, Date.now());
+                this.refreshLocalPresence();
+            } else if (event === 'leave') {
+                this.presence.delete(payload.userId);
+                this.refreshLocalPresence();
+            } else if (events.includes(event)) {
+                this.handleRoomEvent(event, payload);
+            }
+        };
+
+        this.presence = new Map([[this.player.userId, Date.now()]]);
+        this.sendRoomEvent('presence', this.player);
+        this.heartbeatTimer = setInterval(() => {
+            this.presence.set(this.player.userId, Date.now());
+            this.sendRoomEvent('presence', this.player);
+            this.refreshLocalPresence();
+        }, this.config.heartbeatInterval);
+    }
+
+    /**
+     * Close the room channel
+     */
+    closeChannel() {
+        if (this.channel) {
+            authManager.supabase.removeChannel(this.channel);
+            this.channel = null;
+        }
+
+        if (this.localChannel) {
+            this.sendRoomEvent('leave', { userId: this.player.userId });
+            this.localChannel.close();
+            this.localChannel = null;
+        }
+
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+
+    /**
+     * Send an event to everyone else in the room
+     * @param {string} event - Event name
+     * @param {Object} payload - Event payload
+     */
+    sendRoomEvent(event, payload) {
+        if (this.channel) {
+            this.channel.send({ type: 'broadcast', event, payload });
+        } else if (this.localChannel) {
+            this.localChannel.postMessage({ event, payload });
+        }
+    }
+
+    /**
+     * Handle an event from another player
+     * @param {string} event - Event name
+     * @param {Object} payload - Event payload
+     */
+    handleRoomEvent(event, payload) {
+        switch (event) {
+            case 'hello':
+                if (this.isHost) {
+                    this.handleJoinRequest(payload);
+                }
+                break;
+            case 'state':
+                if (!this.isHost) {
+                    this.applyRoomState(payload);
+                }
+                break;
+            case 'rejected':
+                if (this.pendingJoin && payload.userId === this.player.userId) {
+                    this.pendingJoin.reject(payload.reason);
+                }
+                break;
+            case 'answered':
+                this.updatePlayer(payload.userId, payload);
+                this.updateScoreboard();
+                this.updateHostControls();
+                break;
+            case 'closed':
+                if (!this.isHost) {
+                    if (window.uiManager) {
+                        window.uiManager.showNotification('info', 'Live Quiz', 'The host closed the room.', 4000);
+                    }
+                    this.leaveRoom();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Let a player into the room (host only)
+     * @param {Object} player - { userId, username }
+     */
+    handleJoinRequest(player) {
+        if (!this.players.has(player.userId)) {
+            // Supabase rooms already checked this in join_room
+            if (this.room.status !== 'lobby' && !this.useRealtime()) {
+                this.sendRoomEvent('rejected', { userId: player.userId, reason: 'This quiz has already started' });
+                return;
+            }
+
+            if (this.players.size >= this.config.maxPlayers) {
+                this.sendRoomEvent('rejected', { userId: player.userId, reason: 'This room is full' });
+                return;
+            }
+
+            this.addPlayer(player);
+            this.connectedIds.add(player.userId);
+        }
+
+        this.broadcastState();
+        this.updateLobbyDisplay();
+        this.updateScoreboard();
+    }
+
+    /**
+     * Send the room state to every player (host only)
+     */
+    broadcastState() {
+        this.sendRoomEvent('state', {
+            room: this.room,
+            players: Array.from(this.players.values())
+        });
+    }
+
+    /**
+     * Apply a room state sent by the host
+     * @param {Object} state - { room, players }
+     */
+    applyRoomState(state) {
+        this.room = { ...state.room };
+
+        const players = new Map();
+        state.players.forEach(player => {
+            players.set(player.userId, { ...player, connected: this.isConnected(player.userId) });
+        });
+        this.players = players;
+
+        if (this.pendingJoin) {
+            this.pendingJoin.resolve();
+            return;
+        }
+
+        this.showCurrentRoomState();
+    }
+
+    /**
+     * Show the view that matches the room status
+     */
+    showCurrentRoomState() {
+        if (!this.room) return;
+
+        if (this.room.status === 'lobby') {
+            this.showRoomView('lobby');
+            this.updateLobbyDisplay();
+        } else if (this.room.status === 'in_progress') {
+            if (this.room.questionIndex !== this.currentIndex) {
+                this.showRoomQuestion(this.room.questionIndex);
+            }
+            this.updateScoreboard();
+        } else if (this.room.status === 'finished') {
+            this.showPodium();
+        }
+    }
+
+    /**
+     * Add a player to the room with an empty score
+     * @param {Object} player - { userId, username }
+     */
+    addPlayer(player) {
+        this.players.set(player.userId, {
+            userId: player.userId,
+            username: player.username,
+            score: 0,
+            correctAnswers: 0,
+            questionsAnswered: 0,
+            lastAnsweredIndex: -1,
+            connected: true
+        });
+    }
+
+    /**
+     * Update a player's score
+     * @param {string} userId - Player ID
+     * @param {Object} update - { username, score, correctAnswers, questionsAnswered, questionIndex }
+     */
+    updatePlayer(userId, update) {
+        const player = this.players.get(userId) || {
+            userId,
+            username: update.username,
+            connected: this.isConnected(userId)
+        };
+
+        this.players.set(userId, {
+            ...player,
+            score: update.score,
+            correctAnswers: update.correctAnswers,
+            questionsAnswered: update.questionsAnswered,
+            lastAnsweredIndex: update.questionIndex
+        });
+    }
+
+    /**
+     * Load the authoritative scores of a Supabase room
+     */
+    async loadStandings() {
+        if (!this.useRealtime() || !this.room) return;
+
+        try {
+            const { data, error } = await authManager.supabase
+                .rpc('get_room_standings', { p_room_id: this.room.id });
+
+            if (error) {
+                throw error;
+            }
+
+            (data || []).forEach(row => {
+                const existing = this.players.get(row.user_id);
+                this.players.set(row.user_id, {
+                    userId: row.user_id,
+                    username: row.username,
+                    score: row.score,
+                    correctAnswers: row.correct_answers,
+                    questionsAnswered: row.questions_answered,
+                    lastAnsweredIndex: existing ? existing.lastAnsweredIndex : -1,
+                    connected: this.isConnected(row.user_id)
+                });
+            });
+
+        } catch (error) {
+            console.error('Failed to load room standings:', error);
+        }
+    }
+
+    /**
+     * Check whether a player is currently connected
+     * @param {string} userId - Player ID
+     * @returns {boolean} Is connected
+     */
+    isConnected(userId) {
+        return (this.player && userId === this.player.userId) || this.connectedIds.has(userId);
+    }
+
+    /**
+     * Work out which local players are still sending heartbeats
+     */
+    refreshLocalPresence() {
+        const cutoff = Date.now() - this.config.presenceTimeout;
+        const connected = [];
+
+        this.presence.forEach((lastSeen, userId) => {
+            if (lastSeen >= cutoff) {
+                connected.push(userId);
+            }
+        });
+
+        this.handlePresenceSync(connected);
+    }
+
+    /**
+     * Mark players as connected or dropped
+     * @param {Array<string>} connectedIds - IDs of players currently present
+     */
+    handlePresenceSync(connectedIds) {
+        if (!this.room) return;
+
+        const hostWasConnected = this.isConnected(this.room.hostId);
+        this.connectedIds = new Set(connectedIds);
+
+        this.players.forEach(player => {
+            player.connected = this.isConnected(player.userId);
+        });
+
+        if (!this.isHost && this.room.hostId && hostWasConnected && !this.isConnected(this.room.hostId) && window.uiManager) {
+            window.uiManager.showNotification(
+                'warning',
+                'Host Disconnected',
+                'Waiting for the host to reconnect...',
+                4000
+            );
+        }
+
+        this.updateLobbyDisplay();
+        this.updateScoreboard();
+        this.updateHostControls();
+    }
+
+    /**
+     * Start the quiz (host only)
+     * @returns {Promise<Object>} Start result
+     */
+    async startRoom() {
+        if (!this.isHost || !this.room || this.room.status !== 'lobby') {
+            return { success: false, message: 'Only the host can start the quiz' };
+        }
+
+        try {
+            if (this.useRealtime()) {
+                const { data, error } = await authManager.supabase
+                    .rpc('start_room', { p_room_id: this.room.id });
+
+                if (error) {
+                    throw error;
+                }
+
+                this.room = this.mapRoom(data);
+            } else {
+                this.questions = this.pickQuestionsFromSeed(this.room);
+                if (this.questions.length === 0) {
+                    return { success: false, message: 'No questions found for this room' };
+                }
+
+                this.room = {
+                    ...this.room,
+                    questionCount: this.questions.length,
+                    status: 'in_progress',
+                    questionIndex: 0,
+                    questionStartedAt: new Date().toISOString()
+                };
+            }
+
+            this.broadcastState();
+            this.showRoomQuestion(this.room.questionIndex);
+
+            return { success: true, room: this.room };
+
+        } catch (error) {
+            console.error('Failed to start room:', error);
+            return { success: false, error: error.message, message: error.message || 'Failed to start the quiz' };
+        }
+    }
+
+    /**
+     * Open the next question, or finish the quiz (host only)
+     * @param {boolean} finish - End the quiz now
+     * @returns {Promise<Object>} Advance result
+     */
+    async advanceRoom(finish = false) {
+        if (!this.isHost || !this.room || this.room.status !== 'in_progress') {
+            return { success: false, message: 'Only the host can move the quiz on' };
+        }
+
+        try {
+            if (this.useRealtime()) {
+                const { data, error } = await authManager.supabase
+                    .rpc('advance_room', { p_room_id: this.room.id, p_finish: finish });
+
+                if (error) {
+                    throw error;
+                }
+
+                this.room = this.mapRoom(data);
+            } else if (finish || this.room.questionIndex + 1 >= this.room.questionCount) {
+                this.room = { ...this.room, status: 'finished' };
+            } else {
+                this.room = {
+                    ...this.room,
+                    questionIndex: this.room.questionIndex + 1,
+                    questionStartedAt: new Date().toISOString()
+                };
+            }
+
+            this.broadcastState();
+            this.showCurrentRoomState();
+
+            return { success: true, room: this.room };
+
+        } catch (error) {
+            console.error('Failed to advance room:', error);
+            return { success: false, error: error.message, message: error.message || 'Failed to move to the next question' };
+        }
+    }
+
+    /**
+     * Pick a local room's questions from its seed
+     * Every tab shuffles the placeholder questions with the same seeded
+     * generator, so they all get the same questions in the same order.
+     * @param {Object} room - Room
+     * @returns {Array} Question objects
+     */
+    pickQuestionsFromSeed(room) {
+        return window.quizManager.generatePlaceholderQuestions(
+            room.questionCount, room.category, room.difficulty, [], Utils.createRandom(room.seed)
+        );
+    }
+
+    /**
+     * Load a room question
+     * @param {number} index - Question index
+     * @returns {Promise<Object|null>} Question object
+     */
+    async loadRoomQuestion(index) {
+        if (!this.useRealtime()) {
+            if (this.questions.length === 0) {
+                this.questions = this.pickQuestionsFromSeed(this.room);
+            }
+            return this.questions[index] || null;
+        }
+
+        const { data, error } = await authManager.supabase
+            .rpc('get_room_question', { p_room_id: this.room.id, p_question_index: index });
+
+        if (error) {
+            throw error;
+        }
+
+        const q = (data || [])[0];
+        if (!q) return null;
+
+        return {
+            id: q.id,
+            question: q.question_text,
+            type: q.question_type,
+            options: q.question_type === 'true_false' ?
+                APP_CONFIG.quiz.trueFalseOptions : (q.options || []),
+            correctAnswer: null, // Revealed by the server once answered
+            category: q.category,
+            difficulty: q.difficulty,
+            points: q.points_value || APP_CONFIG.quiz.pointsSystem[q.difficulty] || 10,
+            media: q.media || null,
+            serverGraded: true
+        };
+    }
+
+    /**
+     * Show a room question and start its countdown
+     * @param {number} index - Question index
+     */
+    async showRoomQuestion(index) {
+        this.currentIndex = index;
+        this.currentQuestion = null;
+        this.hasAnswered = false;
+        this.stopQuestionTimer();
+
+        this.showRoomView('play');
+        this.setRoomStatus('Loading question...');
+
+        const progress = document.querySelector('#room-play .room-progress-text');
+        if (progress) {
+            progress.textContent = `Room ${this.room.code}`;
+        }
+        this.updateHostControls();
+
+        try {
+            const question = await this.loadRoomQuestion(index);
+
+            // The host may have moved on while the question loaded
+            if (this.currentIndex !== index) return;
+
+            if (!question) {
+                this.setRoomStatus('This question could not be loaded.');
+                return;
+            }
+
+            this.currentQuestion = question;
+
+            const card = document.getElementById('room-question-card');
+            if (card && window.quizManager) {
+                window.quizManager.renderQuestion(question, {
+                    container: card,
+                    label: `Question ${index + 1} of ${this.room.questionCount}`,
+                    onAnswer: (answer, button) => this.submitRoomAnswer(answer, button)
+                });
+            }
+
+            this.setRoomStatus('');
+            this.startQuestionTimer();
+
+        } catch (error) {
+            console.error('Failed to load room question:', error);
+            this.setRoomStatus('This question could not be loaded.');
+        }
+    }
+
+    /**
+     * Start the countdown for the current question
+     * Players who join mid-question only get the time that is left.
+     */
+    startQuestionTimer() {
+        const limit = this.room.timePerQuestion * 1000;
+        const startedAt = new Date(this.room.questionStartedAt).getTime();
+        const elapsed = Number.isNaN(startedAt) ? 0 : Math.min(Math.max(Date.now() - startedAt, 0), limit);
+
+        this.questionShownAt = Date.now();
+        this.questionDeadline = Date.now() + limit - elapsed;
+        this.updateRoomTimer();
+
+        this.questionTimer = setInterval(() => {
+            this.updateRoomTimer();
+
+            if (Date.now() >= this.questionDeadline) {
+                this.stopQuestionTimer();
+                if (!this.hasAnswered) {
+                    this.submitRoomAnswer(null, null, { timedOut: true });
+                }
+            }
+        }, 1000);
+    }
+
+    /**
+     * Stop the question countdown
+     */
+    stopQuestionTimer() {
+        if (this.questionTimer) {
+            clearInterval(this.questionTimer);
+            this.questionTimer = null;
+        }
+    }
+
+    /**
+     * Update the room countdown display
+     */
+    updateRoomTimer() {
+        const timer = document.getElementById('room-timer');
+        if (!timer) return;
+
+        const remaining = Math.max(0, Math.ceil((this.questionDeadline - Date.now()) / 1000));
+        timer.textContent = `0:${remaining.toString().padStart(2, '0')}`;
+        timer.classList.toggle('danger', remaining <= 5);
+    }
+
+    /**
+     * Submit an answer to the current room question
+     * @param {string|null} answer - Chosen answer, null when time ran out
+     * @param {HTMLElement|null} button - Chosen option button
+     * @param {Object} options - { timedOut }
+     * @returns {Promise<Object>} Answer result
+     */
+    async submitRoomAnswer(answer, button, options = {}) {
+        const question = this.currentQuestion;
+        if (this.hasAnswered || !question || !this.room || this.room.status !== 'in_progress') {
+            return { success: false, message: 'No open question' };
+        }
+
+        this.hasAnswered = true;
+        const timedOut = !!options.timedOut;
+        const index = this.currentIndex;
+
+        const card = document.getElementById('room-question-card');
+        if (card) {
+            card.querySelectorAll('.option-button, .fill-blank-input, .fill-blank-submit').forEach(el => {
+                el.disabled = true;
+            });
+        }
+        if (button) {
+            button.classList.add('selected');
+        }
+
+        try {
+            let result;
+
+            if (question.serverGraded) {
+                const { data, error } = await authManager.supabase
+                    .rpc('submit_room_answer', {
+                        p_room_id: this.room.id,
+                        p_question_index: index,
+                        p_answer: answer || '',
+                        p_timed_out: timedOut
+                    });
+
+                if (error) {
+                    throw error;
+                }
+
+                result = {
+                    isCorrect: data.is_correct,
+                    timedOut: data.timed_out,
+                    correctAnswer: data.correct_answer,
+                    points: data.points_earned,
+                    score: data.score,
+                    correctAnswers: data.correct_answers,
+                    questionsAnswered: data.questions_answered
+                };
+            } else {
+                const isCorrect = !timedOut && window.quizManager.isAnswerCorrect(question, answer);
+                const timeSpent = Math.round((Date.now() - this.questionShownAt) / 1000);
+                const scoring = window.scoreCalculator.calculateAnswerPoints(
+                    question, isCorrect, timeSpent, this.getConsecutiveCorrectCount()
+                );
+                const me = this.players.get(this.player.userId);
+
+                result = {
+                    isCorrect,
+                    timedOut,
+                    correctAnswer: question.correctAnswer,
+                    points: scoring.finalPoints,
+                    score: me.score + scoring.finalPoints,
+                    correctAnswers: me.correctAnswers + (isCorrect ? 1 : 0),
+                    questionsAnswered: me.questionsAnswered + 1
+                };
+            }
+
+            this.answers.push({ questionIndex: index, isCorrect: result.isCorrect });
+
+            const update = {
+                userId: this.player.userId,
+                username: this.player.username,
+                score: result.score,
+                correctAnswers: result.correctAnswers,
+                questionsAnswered: result.questionsAnswered,
+                questionIndex: index
+            };
+            this.updatePlayer(this.player.userId, update);
+            this.sendRoomEvent('answered', update);
+
+            this.showRoomAnswerFeedback(result, answer);
+            this.updateScoreboard();
+            this.updateHostControls();
+
+            return { success: true, ...result };
+
+        } catch (error) {
+            console.error('Failed to submit room answer:', error);
+            this.setRoomStatus(error.message || 'Failed to submit answer');
+            return { success: false, error: error.message, message: 'Failed to submit answer' };
+        }
+    }
+
+    /**
+     * Get the current player's run of correct answers in this room
+     * @returns {number} Consecutive correct answers
+     */
+    getConsecutiveCorrectCount() {
+        let count = 0;
+        for (let i = this.answers.length - 1; i >= 0 && this.answers[i].isCorrect; i--) {
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * Mark the answer on the question card
+     * @param {Object} result - Answer result
+     * @param {string|null} answer - Submitted answer
+     */
+    showRoomAnswerFeedback(result, answer) {
+        const card = document.getElementById('room-question-card');
+        if (card) {
+            card.querySelectorAll('.option-button').forEach(button => {
+                const option = button.getAttribute('data-answer');
+                if (option === result.correctAnswer) {
+                    button.classList.add('correct');
+                } else if (option === answer && !result.isCorrect) {
+                    button.classList.add('incorrect');
+                }
+            });
+
+            const input = card.querySelector('.fill-blank-input');
+            if (input) {
+                input.classList.add(result.isCorrect ? 'correct' : 'incorrect');
+            }
+        }
+
+        const points = `${result.points > 0 ? '+' : ''}${result.points} points`;
+        if (result.isCorrect) {
+            this.setRoomStatus(`Correct! ${points}`);
+        } else {
+            const heading = result.timedOut ? 'Time\'s up!' : 'Incorrect.';
+            this.setRoomStatus(`${heading} The answer was ${result.correctAnswer}. ${points}`);
+        }
+    }
+
+    /**
+     * Show the final podium
+     */
+    async showPodium() {
+        this.stopQuestionTimer();
+        await this.loadStandings();
+
+        const standings = this.getStandings();
+        const podium = standings.slice(0, this.config.podiumSize);
+        const rest = standings.slice(this.config.podiumSize);
+
+        const places = document.getElementById('room-podium-places');
+        if (places) {
+            places.innerHTML = podium.map((player, index) => `
+                <div class="podium-place place-${index + 1}">
+                    <div class="podium-medal">${['🥇', '🥈', '🥉'][index] || index + 1}</div>
+                    <div class="podium-name">${Utils.escapeHTML(player.username)}</div>
+                    <div class="podium-score">${Utils.formatNumber(player.score)} pts</div>
+                    <div class="podium-block">${index + 1}</div>
+                </div>
+            `).join('');
+        }
+
+        const finalStandings = document.getElementById('room-final-standings');
+        if (finalStandings) {
+            finalStandings.innerHTML = rest.map((player, index) => `
+                <li class="room-player">
+                    <span class="room-player-rank">${index + this.config.podiumSize + 1}</span>
+                    <span class="room-player-name">${Utils.escapeHTML(player.username)}</span>
+                    <span class="room-player-score">${Utils.formatNumber(player.score)}</span>
+                </li>
+            `).join('');
+        }
+
+        this.showRoomView('podium');
+    }
+
+    /**
+     * Get players ranked by score
+     * @returns {Array} Players
+     */
+    getStandings() {
+        return Array.from(this.players.values())
+            .sort((a, b) => b.score - a.score || b.correctAnswers - a.correctAnswers);
+    }
+
+    /**
+     * Leave the current room
+     * A host leaving before the end closes the room for everyone.
+     */
+    async leaveRoom() {
+        this.stopQuestionTimer();
+
+        if (this.room && this.isHost && this.room.status !== 'finished') {
+            this.sendRoomEvent('closed', {});
+
+            if (this.useRealtime() && this.room.id) {
+                try {
+                    await authManager.supabase
+                        .rpc('advance_room', { p_room_id: this.room.id, p_finish: true });
+                } catch (error) {
+                    console.error('Failed to close room:', error);
+                }
+            }
+        }
+
+        this.closeChannel();
+
+        this.room = null;
+        this.isHost = false;
+        this.players = new Map();
+        this.questions = [];
+        this.currentIndex = -1;
+        this.currentQuestion = null;
+        this.hasAnswered = false;
+        this.answers = [];
+        this.presence = new Map();
+        this.connectedIds = new Set();
+
+        this.showRoomView('entry');
+    }
+
+    /**
+     * Show one of the room views
+     * @param {string} view - 'entry', 'lobby', 'play' or 'podium'
+     */
+    showRoomView(view) {
+        document.querySelectorAll('.room-view').forEach(section => {
+            section.classList.toggle('hidden', section.id !== `room-${view}`);
+        });
+    }
+
+    /**
+     * Update the lobby code and player list
+     */
+    updateLobbyDisplay() {
+        if (!this.room) return;
+
+        const code = document.getElementById('room-code');
+        if (code) {
+            code.textContent = this.room.code;
+        }
+
+        const settings = document.getElementById('room-settings-summary');
+        if (settings) {
+            const category = this.room.category === 'all' ? 'All categories' : this.room.category;
+            const difficulty = this.room.difficulty === 'all' ? 'any difficulty' : this.room.difficulty;
+            settings.textContent = `${category} · ${difficulty} · ${this.room.questionCount} questions`;
+        }
+
+        const list = document.getElementById('room-players');
+        if (list) {
+            list.innerHTML = Array.from(this.players.values()).map(player => this.renderPlayer(player)).join('');
+        }
+
+        const startBtn = document.getElementById('room-start-btn');
+        if (startBtn) {
+            startBtn.classList.toggle('hidden', !this.isHost);
+        }
+
+        const waiting = document.getElementById('room-waiting');
+        if (waiting) {
+            waiting.classList.toggle('hidden', this.isHost);
+        }
+    }
+
+    /**
+     * Update the live scoreboard
+     */
+    updateScoreboard() {
+        const scoreboard = document.getElementById('room-scoreboard');
+        if (!scoreboard || !this.room) return;
+
+        scoreboard.innerHTML = this.getStandings()
+            .map((player, index) => this.renderPlayer(player, index + 1))
+            .join('');
+    }
+
+    /**
+     * Render a player row
+     * @param {Object} player - Player
+     * @param {number|null} rank - Rank to show, if any
+     * @returns {string} HTML
+     */
+    renderPlayer(player, rank = null) {
+        const tags = [];
+        if (player.userId === this.room.hostId) tags.push('host');
+        if (this.player && player.userId === this.player.userId) tags.push('you');
+        if (!player.connected) tags.push('dropped');
+
+        const answered = this.room.status === 'in_progress' && player.lastAnsweredIndex === this.currentIndex;
+
+        return `
+            <li class="room-player ${player.connected ? '' : 'disconnected'} ${answered ? 'answered' : ''}">
+                ${rank ? `<span class="room-player-rank">${rank}</span>` : ''}
+                <span class="room-player-name">${Utils.escapeHTML(player.username)}</span>
+                ${tags.length > 0 ? `<span class="room-player-tags">${tags.join(' · ')}</span>` : ''}
+                ${rank ? `<span class="room-player-score">${Utils.formatNumber(player.score)}</span>` : ''}
+            </li>
+        `;
+    }
+
+    /**
+     * Update the host's pacing controls
+     */
+    updateHostControls() {
+        const controls = document.getElementById('room-host-controls');
+        if (!controls || !this.room) return;
+
+        controls.classList.toggle('hidden', !this.isHost);
+        if (!this.isHost) return;
+
+        const nextBtn = document.getElementById('room-next-btn');
+        if (nextBtn) {
+            nextBtn.textContent = this.room.questionIndex + 1 >= this.room.questionCount ?
+                'Show Podium' : 'Next Question';
+        }
+
+        const progress = document.getElementById('room-answer-progress');
+        if (progress) {
+            const connected = Array.from(this.players.values()).filter(player => player.connected);
+            const answered = connected.filter(player => player.lastAnsweredIndex === this.currentIndex);
+            progress.textContent = `${answered.length} of ${connected.length} players answered`;
+        }
+    }
+
+    /**
+     * Set the status line under the question
+     * @param {string} message - Status message
+     */
+    setRoomStatus(message) {
+        const status = document.getElementById('room-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+}
+
+// Create global instance
+const multiplayerManager = new MultiplayerManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MultiplayerManager;
+}
+
+// Make available globally
+window.MultiplayerManager = MultiplayerManager;
+window.multiplayerManager = multiplayerManager;
@@ -147,25 +147,50 @@ class PerformanceManager {
     }
 
     /**
-     * Set up lazy loading for images
+     * Set up lazy loading for images and audio
+     * Safe to call again after rendering new content; elements already
+     * observed or loaded are skipped.
+     * @param {ParentNode} root - Element to look for lazy media in
      */
-    setupLazyLoading() {
-        if ('IntersectionObserver' in window) {
-            const imageObserver = new IntersectionObserver((entries, observer) => {
+    setupLazyLoading(root = document) {
+        const elements = root.querySelectorAll('img[data-src]:not(.loaded), audio[data-src]');
+
+        if (!('IntersectionObserver' in window)) {
+            elements.forEach(element => this.loadLazyElement(element));
+            return;
+        }
+
+        if (!this.lazyObserver) {
+            this.lazyObserver = new IntersectionObserver((entries, observer) => {
                 entries.forEach(entry => {
                     if (entry.isIntersecting) {
-                        const img = entry.target;
-                        this.loadImage(img);
-                        observer.unobserve(img);
+                        observer.unobserve(entry.target);
+                        this.loadLazyElement(entry.target);
                     }
                 });
             });
+        }
 
-            // Observe all images with data-src attribute
-            document.querySelectorAll('img[data-src]').forEach(img => {
-                imageObserver.observe(img);
-            });
+        // Observe all media with a data-src attribute
+        elements.forEach(element => {
+            this.lazyObserver.observe(element);
+        });
+    }
+
+    /**
+     * Load a lazily loaded image or audio element
+     * Audio only gets its src; preload="none" leaves the download until play.
+     * @param {HTMLElement} element - Image or audio element
+     */
+    loadLazyElement(element) {
+        if (element.tagName === 'AUDIO') {
+            const src = element.getAttribute('data-src');
+            element.removeAttribute('data-src');
+            if (src) element.src = src;
+            return;
         }
+
+        this.loadImage(element);
     }
 
     /**
@@ -185,7 +210,11 @@ class PerformanceManager {
             }
 
             // Load image
-            const imageBlob = await fetch(src).then(r => r.blob());
+            const response = await fetch(src);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const imageBlob = await response.blob();
             const imageUrl = URL.createObjectURL(imageBlob);
             
             // Cache the image
@@ -196,8 +225,11 @@ class PerformanceManager {
             img.classList.add('loaded');
             
         } catch (error) {
-            console.error('Failed to load image:', src, error);
-            img.classList.add('error');
+            // Hosts that don't allow fetch (CORS) can still serve a plain <img>
+            console.warn('Failed to fetch image, loading it directly:', src, error);
+            img.addEventListener('load', () => img.classList.add('loaded'), { once: true });
+            img.addEventListener('error', () => img.classList.add('error'), { once: true });
+            img.src = src;
         }
     }
 
@@ -0,0 +1,154 @@
+// Practice Mode Module for QuizMaster app
+// Records practice attempts apart from ranked quizzes and summarizes them as learning stats
+
+/**
+ * Practice Tracker class
+ * Practice quizzes are untimed, allow retries and never touch profile totals,
+ * the leaderboard or achievements. Every attempt at a question is recorded in
+ * the practice_attempts table by submit_practice_answer when Supabase is
+ * available, and in local storage otherwise.
+ */
+class PracticeTracker {
+    constructor() {
+        this.config = APP_CONFIG.quiz.practice;
+        this.storageKey = 'practice_attempts';
+
+        console.log('🎯 Practice Tracker initialized');
+    }
+
+    /**
+     * Check whether the database should be used
+     * @returns {boolean} Use database
+     */
+    useDatabase() {
+        return !!(authManager.supabase && authManager.isInitialized && authManager.getCurrentUser());
+    }
+
+    /**
+     * Record a locally graded practice attempt
+     * Database questions are recorded by submit_practice_answer as they are graded.
+     * @param {Object} question - Question attempted
+     * @param {boolean} isCorrect - Whether the attempt was correct
+     * @param {number} attemptNumber - Attempt at the question, from 1
+     * @param {number} timeSpent - Seconds spent on the question
+     */
+    recordLocalAttempt(question, isCorrect, attemptNumber, timeSpent) {
+        const attempts = this.getLocalAttempts();
+
+        attempts.push({
+            questionId: question.id,
+            category: question.category,
+            difficulty: question.difficulty,
+            attemptNumber,
+            isCorrect,
+            timeTaken: Math.max(0, Math.round(timeSpent)),
+            createdAt: new Date().toISOString()
+        });
+
+        Utils.storage.set(this.storageKey, attempts.slice(-this.config.maxLocalAttempts));
+    }
+
+    /**
+     * Get the current user's practice stats
+     * Each question played counts once however many retries it took. First-try
+     * accuracy is the share answered correctly on the first attempt; a question
+     * counts as mastered once any attempt at it was correct.
+     * @returns {Promise<Object>} { attempts, questions, firstTryAccuracy, mastered, categories },
+     *     with categories ordered weakest first
+     */
+    async getStats() {
+        let rows = [];
+
+        try {
+            if (this.useDatabase()) {
+                const { data, error } = await authManager.supabase.rpc('get_practice_stats');
+
+                if (error) {
+                    throw error;
+                }
+
+                rows = (data || []).map(row => ({
+                    category: row.category,
+                    attempts: row.attempts,
+                    questions: row.questions,
+                    firstTryCorrect: row.first_try_correct,
+                    mastered: row.mastered
+                }));
+            } else {
+                rows = this.summarizeLocalAttempts();
+            }
+        } catch (error) {
+            console.error('Failed to load practice stats:', error);
+        }
+
+        const total = (key) => rows.reduce((sum, row) => sum + row[key], 0);
+        const questions = total('questions');
+
+        return {
+            attempts: total('attempts'),
+            questions,
+            mastered: total('mastered'),
+            firstTryAccuracy: Utils.calculatePercentage(total('firstTryCorrect'), questions),
+            categories: rows
+                .map(row => ({ ...row, firstTryAccuracy: Utils.calculatePercentage(row.firstTryCorrect, row.questions) }))
+                .sort((a, b) => a.firstTryAccuracy - b.firstTryAccuracy || b.questions - a.questions)
+        };
+    }
+
+    /**
+     * Total up local attempts by category
+     * Mirrors get_practice_stats.
+     * @returns {Array<Object>} { category, attempts, questions, firstTryCorrect, mastered }
+     */
+    summarizeLocalAttempts() {
+        const byCategory = {};
+
+        this.getLocalAttempts().forEach(attempt => {
+            const category = attempt.category || 'General Knowledge';
+            const entry = byCategory[category] || (byCategory[category] = {
+                category,
+                attempts: 0,
+                questions: 0,
+                firstTryCorrect: 0,
+                mastered: new Set()
+            });
+
+            entry.attempts++;
+            if (attempt.attemptNumber === 1) {
+                entry.questions++;
+                if (attempt.isCorrect) entry.firstTryCorrect++;
+            }
+            if (attempt.isCorrect) {
+                entry.mastered.add(attempt.questionId);
+            }
+        });
+
+        return Object.values(byCategory).map(entry => ({
+            category: entry.category,
+            attempts: entry.attempts,
+            questions: entry.questions,
+            firstTryCorrect: entry.firstTryCorrect,
+            mastered: entry.mastered.size
+        }));
+    }
+
+    /**
+     * Get all locally stored attempts, oldest first
+     * @returns {Array} Attempts
+     */
+    getLocalAttempts() {
+        return Utils.storage.get(this.storageKey, []);
+    }
+}
+
+// Create global instance
+const practiceTracker = new PracticeTracker();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PracticeTracker;
+}
+
+// Make available globally
+window.PracticeTracker = PracticeTracker;
+window.practiceTracker = practiceTracker;
@@ -10,10 +10,14 @@ class ProfileManager {
         this.userProfile = null;
         this.quizHistory = [];
         this.categoryPerformance = {};
+        this.calibration = null;
+        this.ratings = [];
         this.userSettings = {
             theme: 'light',
             notifications: true,
-            soundEffects: true
+            soundEffects: true,
+            confirmBeforeSubmit: false,
+            timeMultiplier: 1 // mirrors profiles.time_multiplier when signed in
         };
         
         console.log('👤 Profile Manager initialized');
@@ -71,6 +75,9 @@ class ProfileManager {
         // Settings listeners
         this.setupSettingsListeners();
 
+        // Question bank import/export
+        this.setupQuestionBankListeners();
+
         // Listen for authentication state changes
         if (window.authManager) {
             window.authManager.onAuthStateChange((event, session) => {
@@ -110,6 +117,152 @@ class ProfileManager {
                 this.updateSetting('soundEffects', e.target.checked);
             });
         }
+
+        // Confirm before submit
+        const confirmCheckbox = document.getElementById('confirm-before-submit');
+        if (confirmCheckbox) {
+            confirmCheckbox.addEventListener('change', (e) => {
+                this.updateSetting('confirmBeforeSubmit', e.target.checked);
+            });
+        }
+
+        // Extended time accommodation
+        const timeSelect = document.getElementById('time-multiplier');
+        if (timeSelect) {
+            const { timeMultipliers, timeMultiplierLabels } = APP_CONFIG.quiz.accessibility;
+            timeSelect.innerHTML = timeMultipliers.map(multiplier => `
+                <option value="${multiplier}">${Utils.escapeHTML(timeMultiplierLabels[multiplier] || `×${multiplier}`)}</option>
+            `).join('');
+
+            timeSelect.addEventListener('change', (e) => {
+                this.saveTimeMultiplier(parseFloat(e.target.value));
+            });
+        }
+    }
+
+    /**
+     * Set up question bank import/export listeners
+     */
+    setupQuestionBankListeners() {
+        const importBtn = document.getElementById('import-questions-btn');
+        const fileInput = document.getElementById('question-bank-file');
+        if (importBtn && fileInput) {
+            importBtn.addEventListener('click', () => {
+                fileInput.click();
+            });
+
+            fileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.importQuestionFile(file);
+                }
+                // Allow the same file to be picked again after fixing it
+                fileInput.value = '';
+            });
+        }
+
+        const exportBtn = document.getElementById('export-questions-btn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                this.exportQuestions();
+            });
+        }
+    }
+
+    /**
+     * Get the selected question bank file format
+     * @returns {string} Format
+     */
+    getQuestionBankFormat() {
+        const formatSelect = document.getElementById('question-bank-format');
+        return formatSelect ? formatSelect.value : 'json';
+    }
+
+    /**
+     * Import a question file and show the per-row report
+     * @param {File} file - Selected file
+     */
+    async importQuestionFile(file) {
+        if (!window.questionBankManager) return;
+
+        try {
+            const content = await file.text();
+            const result = await window.questionBankManager.importQuestions(content, this.getQuestionBankFormat());
+
+            if (result.report) {
+                this.showImportReport(result);
+            } else if (window.uiManager) {
+                window.uiManager.showNotification('error', 'Import Failed', result.message, 5000);
+            }
+
+        } catch (error) {
+            console.error('Failed to import questions:', error);
+            if (window.uiManager) {
+                window.uiManager.showNotification(
+                    'error',
+                    'Import Failed',
+                    'Failed to read the question file. Please try again.',
+                    5000
+                );
+            }
+        }
+    }
+
+    /**
+     * Show the per-row import report
+     * @param {Object} result - Import result from QuestionBankManager
+     */
+    showImportReport(result) {
+        if (!window.uiManager) return;
+
+        const { report } = result;
+        const problemRows = report.rows.filter(row => row.status === 'error');
+
+        const rowsHTML = problemRows.map(row => `
+            <li class="import-report-row">
+                <div class="import-report-question">
+                    <span class="import-report-number">Row ${row.row}</span>
+                    ${Utils.escapeHTML(row.questionText || '(no question text)')}
+                </div>
+                <ul class="import-report-errors">
+                    ${row.errors.map(error => `<li>${Utils.escapeHTML(error)}</li>`).join('')}
+                </ul>
+            </li>
+        `).join('');
+
+        const content = `
+            <div class="import-report">
+                <p class="import-report-summary">${Utils.escapeHTML(result.message)}</p>
+                ${problemRows.length > 0 ? `
+                    <p>${problemRows.length} ${problemRows.length === 1 ? 'row has' : 'rows have'} problems:</p>
+                    <ul class="import-report-rows">${rowsHTML}</ul>
+                ` : ''}
+            </div>
+        `;
+
+        window.uiManager.showModal('Import Report', content, [
+            {
+                text: 'Close',
+                class: 'btn-primary',
+                action: 'close'
+            }
+        ]);
+    }
+
+    /**
+     * Export questions in the selected format
+     */
+    async exportQuestions() {
+        if (!window.questionBankManager || !window.uiManager) return;
+
+        const result = await window.questionBankManager.exportQuestions(this.getQuestionBankFormat());
+
+        window.uiManager.showNotification(
+            result.success ? 'success' : 'error',
+            result.success ? 'Questions Exported' : 'Export Failed',
+            result.message,
+            4000
+        );
     }
 
     /**
@@ -129,6 +282,12 @@ class ProfileManager {
             // Load category performance
             await this.loadCategoryPerformance();
             
+            // Load confidence calibration
+            await this.loadCalibration();
+            
+            // Load skill ratings
+            await this.loadRatings();
+            
             // Update UI
             this.updateProfileUI();
 
@@ -171,9 +330,18 @@ class ProfileManager {
                         favoriteCategory: profile.favorite_category,
                         streakCount: profile.streak_count || 0,
                         lastQuizDate: profile.last_quiz_date,
-                        joinedDate: profile.created_at
+                        joinedDate: profile.created_at,
+                        timeMultiplier: Number(profile.time_multiplier) || 1
                     };
 
+                    // The profile's accommodation follows the player across devices
+                    this.userSettings.timeMultiplier = this.userProfile.timeMultiplier;
+                    Utils.storage.set('user_settings', this.userSettings);
+                    const timeSelect = document.getElementById('time-multiplier');
+                    if (timeSelect) {
+                        timeSelect.value = String(this.userProfile.timeMultiplier);
+                    }
+
                     // Get user rank
                     if (window.leaderboardManager) {
                         const rankResult = await window.leaderboardManager.getUserRank(user.id);
@@ -293,6 +461,20 @@ class ProfileManager {
         this.categoryPerformance = categoryStats;
     }
 
+    /**
+     * Load how well the user's confidence ratings match their accuracy
+     */
+    async loadCalibration() {
+        this.calibration = window.calibrationTracker ? await window.calibrationTracker.getStats() : null;
+    }
+
+    /**
+     * Load the user's skill ratings, overall and per category
+     */
+    async loadRatings() {
+        this.ratings = window.ratingManager ? await window.ratingManager.getRatings() : [];
+    }
+
     /**
      * Update profile UI
      */
@@ -308,6 +490,12 @@ class ProfileManager {
         // Update category performance display
         this.updateCategoryPerformanceDisplay();
         
+        // Update calibration display
+        this.updateCalibrationDisplay();
+        
+        // Update skill rating display
+        this.updateRatingsDisplay();
+        
         // Update achievements count
         this.updateAchievementsCount();
     }
@@ -438,6 +626,80 @@ class ProfileManager {
         container.innerHTML = html;
     }
 
+    /**
+     * Update confidence calibration display, overall and per category
+     */
+    updateCalibrationDisplay() {
+        const container = document.getElementById('confidence-calibration');
+        if (!container) return;
+
+        if (!this.calibration || this.calibration.answers === 0) {
+            container.innerHTML = '<p>Turn on Confidence when starting a ranked quiz to see how well your confidence matches your accuracy.</p>';
+            return;
+        }
+
+        const rows = [{ category: 'All categories', ...this.calibration }, ...this.calibration.categories];
+
+        let html = '<div class="calibration-list">';
+        rows.forEach(row => {
+            const levels = row.levels
+                .filter(level => level.answers > 0)
+                .map(level => `
+                    <span class="calibration-level-stat ${level.status || ''}"
+                        title="Best between ${level.range[0]}% and ${level.range[1]}%">
+                        ${Utils.escapeHTML(level.label)} ${level.accuracy}% <small>(${level.answers})</small>
+                    </span>
+                `).join('');
+
+            html += `
+                <div class="calibration-item">
+                    <div class="calibration-category">${Utils.escapeHTML(row.category)}</div>
+                    <div class="calibration-verdict ${row.verdict ? row.verdict.status : ''}">
+                        ${row.verdict ? Utils.escapeHTML(row.verdict.label) : 'Not enough answers yet'}
+                    </div>
+                    <div class="calibration-levels">${levels}</div>
+                </div>
+            `;
+        });
+        html += '</div>';
+
+        container.innerHTML = html;
+    }
+
+    /**
+     * Update skill rating display, overall and per category
+     */
+    updateRatingsDisplay() {
+        const container = document.getElementById('skill-ratings');
+        if (!container) return;
+
+        if (this.ratings.length === 0) {
+            container.innerHTML = '<p>Answer ranked quiz questions to earn a skill rating.</p>';
+            return;
+        }
+
+        let html = '<div class="skill-rating-list">';
+        this.ratings.forEach(row => {
+            html += `
+                <div class="skill-rating-item">
+                    <div class="skill-rating-category">
+                        ${row.category === 'all' ? 'Overall' : Utils.escapeHTML(row.category)}
+                    </div>
+                    <div class="skill-rating-value ${row.provisional ? 'provisional' : ''}"
+                        title="Likely between ${row.rating - row.deviation * 2} and ${row.rating + row.deviation * 2}">
+                        ${row.rating}
+                    </div>
+                    <div class="skill-rating-details">
+                        ${row.matches} rated answers${row.provisional ? ' • Provisional' : ''}
+                    </div>
+                </div>
+            `;
+        });
+        html += '</div>';
+
+        container.innerHTML = html;
+    }
+
     /**
      * Update achievements count
      */
@@ -668,6 +930,82 @@ class ProfileManager {
         if (soundEffectsCheckbox) {
             soundEffectsCheckbox.checked = this.userSettings.soundEffects;
         }
+
+        const confirmCheckbox = document.getElementById('confirm-before-submit');
+        if (confirmCheckbox) {
+            confirmCheckbox.checked = this.userSettings.confirmBeforeSubmit;
+        }
+
+        const timeSelect = document.getElementById('time-multiplier');
+        if (timeSelect) {
+            timeSelect.value = String(this.getTimeMultiplier());
+        }
+    }
+
+    /**
+     * Get the extended time multiplier applied to quiz clocks
+     * @returns {number} Multiplier, 1 for standard time
+     */
+    getTimeMultiplier() {
+        const multiplier = Number(this.userSettings.timeMultiplier);
+        return APP_CONFIG.quiz.accessibility.timeMultipliers.includes(multiplier) ? multiplier : 1;
+    }
+
+    /**
+     * Save the extended time accommodation to the profile
+     * Without a database session it is kept in local settings only.
+     * @param {number} multiplier - One of APP_CONFIG.quiz.accessibility.timeMultipliers
+     * @returns {Promise<Object>} Save result
+     */
+    async saveTimeMultiplier(multiplier) {
+        if (!APP_CONFIG.quiz.accessibility.timeMultipliers.includes(multiplier)) {
+            return { success: false, message: 'Unknown time setting' };
+        }
+
+        const previous = this.getTimeMultiplier();
+        this.updateSetting('timeMultiplier', multiplier);
+
+        const user = authManager.getCurrentUser();
+        if (!user || !authManager.supabase || !authManager.isInitialized) {
+            return { success: true };
+        }
+
+        try {
+            const { error } = await authManager.supabase
+                .from('profiles')
+                .update({ time_multiplier: multiplier, updated_at: new Date().toISOString() })
+                .eq('id', user.id);
+
+            if (error) {
+                throw error;
+            }
+
+            if (this.userProfile) {
+                this.userProfile.timeMultiplier = multiplier;
+            }
+
+            return { success: true };
+
+        } catch (error) {
+            console.error('Failed to save time setting:', error);
+
+            // Put the select back so it shows what quizzes will actually use
+            this.updateSetting('timeMultiplier', previous);
+            const timeSelect = document.getElementById('time-multiplier');
+            if (timeSelect) {
+                timeSelect.value = String(previous);
+            }
+
+            if (window.uiManager) {
+                window.uiManager.showNotification(
+                    'error',
+                    'Update Failed',
+                    'Failed to save your time setting. Please try again.',
+                    5000
+                );
+            }
+            return { success: false, error: error.message, message: 'Failed to save your time setting' };
+        }
     }
 
     /**
@@ -704,6 +1042,8 @@ class ProfileManager {
         this.userProfile = null;
         this.quizHistory = [];
         this.categoryPerformance = {};
+        this.calibration = null;
+        this.ratings = [];
         
         // Reset UI to default state
         const defaultProfile = {
@@ -0,0 +1,714 @@
+// Question Bank Module for QuizMaster app
+// Imports and exports questions as JSON, CSV and Open Trivia DB files
+
+/**
+ * Question Bank Manager class
+ * Parses question files into rows shaped like the questions table, validates
+ * them against the categories table and the existing bank, and reports
+ * problems per row. Exports use the same formats so files round-trip.
+ */
+class QuestionBankManager {
+    constructor() {
+        this.config = APP_CONFIG.questionBank;
+
+        console.log('🗃️ Question Bank Manager initialized');
+    }
+
+    /**
+     * Check whether the database should be used
+     * @returns {boolean} Use database
+     */
+    useDatabase() {
+        return !!(authManager.supabase && authManager.isInitialized && authManager.getCurrentUser());
+    }
+
+    /**
+     * Get file details for an export format
+     * @param {string} format - 'json', 'csv' or 'opentdb'
+     * @returns {Object} File extension and MIME type
+     */
+    getFormatDetails(format) {
+        switch (format) {
+            case 'csv':
+                return { extension: 'csv', mimeType: 'text/csv' };
+            case 'opentdb':
+                return { extension: 'opentdb.json', mimeType: 'application/json' };
+            default:
+                return { extension: 'json', mimeType: 'application/json' };
+        }
+    }
+
+    /**
+     * Parse file content into raw question rows
+     * @param {string} content - File content
+     * @param {string} format - 'json', 'csv' or 'opentdb'
+     * @returns {Array<Object>} Raw rows using questions table field names
+     */
+    parse(content, format) {
+        switch (format) {
+            case 'json':
+                return this.parseJSON(content);
+            case 'csv':
+                return this.parseCSV(content);
+            case 'opentdb':
+                return this.parseOpenTriviaDB(content);
+            default:
+                throw new Error(`Unsupported format "${format}"`);
+        }
+    }
+
+    /**
+     * Parse a JSON question file (an array, or an object with a questions array)
+     * @param {string} content - File content
+     * @returns {Array<Object>} Raw rows
+     */
+    parseJSON(content) {
+        const data = JSON.parse(content);
+        const rows = Array.isArray(data) ? data : data && data.questions;
+
+        if (!Array.isArray(rows)) {
+            throw new Error('JSON file must contain an array of questions');
+        }
+
+        return rows;
+    }
+
+    /**
+     * Parse a CSV question file with a header row of questions table columns
+     * @param {string} content - File content
+     * @returns {Array<Object>} Raw rows
+     */
+    parseCSV(content) {
+        const records = this.parseCSVRecords(content)
+            .filter(record => record.some(field => field.trim() !== ''));
+
+        if (records.length === 0) {
+            throw new Error('CSV file is empty');
+        }
+
+        const header = records.shift().map(column => column.trim().toLowerCase());
+        const missing = ['question_text', 'category', 'correct_answer']
+            .filter(column => !header.includes(column));
+
+        if (missing.length > 0) {
+            throw new Error(`CSV header is missing: ${missing.join(', ')}`);
+        }
+
+        return records.map(record => {
+            const row = {};
+            header.forEach((column, index) => {
+                row[column] = record[index] !== undefined ? record[index] : '';
+            });
+            return row;
+        });
+    }
+
+    /**
+     * Split CSV text into records of fields (RFC 4180 quoting)
+     * @param {string} content - CSV text
+     * @returns {Array<Array<string>>} Records
+     */
+    parseCSVRecords(content) {
+        const input = content.replace(/^\uFEFF/, '');
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        return records;
+    }
+
+    /**
+     * Parse an Open Trivia DB API response
+     * Text is HTML-entity-encoded and answers come as correct_answer plus incorrect_answers.
+     * @param {string} content - File content
+     * @returns {Array<Object>} Raw rows
+     */
+    parseOpenTriviaDB(content) {
+        const data = JSON.parse(content);
+
+        if (data && data.response_code !== undefined && data.response_code !== 0) {
+            throw new Error(`Open Trivia DB response code ${data.response_code}`);
+        }
+
+        const results = Array.isArray(data) ? data : data && data.results;
+        if (!Array.isArray(results)) {
+            throw new Error('Open Trivia DB file must contain a results array');
+        }
+
+        const types = { multiple: 'multiple_choice', boolean: 'true_false' };
+        const decode = value => Utils.decodeHTMLEntities(value === null || value === undefined ? '' : String(value));
+
+        return results.map(item => {
+            if (!item || typeof item !== 'object') return item;
+
+            const category = decode(item.category);
+            const correctAnswer = decode(item.correct_answer);
+            const incorrectAnswers = Array.isArray(item.incorrect_answers) ?
+                item.incorrect_answers.map(decode) : [];
+
+            return {
+                question_text: decode(item.question),
+                question_type: types[item.type] || item.type,
+                category: this.config.openTriviaCategories[category] || category,
+                difficulty: item.difficulty,
+                correct_answer: correctAnswer,
+                // Open Trivia DB lists the correct answer separately, so mix it in
+                options: item.type === 'boolean' ? [] : Utils.shuffleArray([correctAnswer, ...incorrectAnswers])
+            };
+        });
+    }
+
+    /**
+     * Read a list field: an array, a JSON array string or a "|"-separated string
+     * @param {*} value - Field value
+     * @returns {Array<string>} List items
+     */
+    parseList(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => String(item).trim()).filter(item => item !== '');
+        }
+
+        if (value === null || value === undefined) return [];
+
+        const text = String(value).trim();
+        if (text === '') return [];
+
+        if (text.startsWith('[')) {
+            try {
+                const parsed = JSON.parse(text);
+                if (Array.isArray(parsed)) {
+                    return this.parseList(parsed);
+                }
+            } catch (error) {
+                // Not JSON after all; fall through to the separator format
+            }
+        }
+
+        return text.split('|').map(item => item.trim()).filter(item => item !== '');
+    }
+
+    /**
+     * Normalize a raw row into a questions table row and collect its errors
+     * Category membership and duplicates are checked by validateRows.
+     * @param {Object} raw - Raw row
+     * @returns {Object} { question, errors }
+     */
+    normalizeRow(raw) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            return { question: null, errors: ['Row is not a question object'] };
+        }
+
+        const text = value => (value === null || value === undefined ? '' : String(value).trim());
+        const quizConfig = APP_CONFIG.quiz;
+        const errors = [];
+
+        const questionType = text(raw.question_type) || 'multiple_choice';
+        const difficulty = text(raw.difficulty).toLowerCase() || 'medium';
+        const pointsValue = text(raw.points_value);
+
+        const question = {
+            question_text: text(raw.question_text),
+            question_type: questionType,
+            category: text(raw.category),
+            difficulty,
+            correct_answer: text(raw.correct_answer),
+            options: this.parseList(raw.options),
+            accepted_answers: this.parseList(raw.accepted_answers),
+            explanation: text(raw.explanation) || null,
+            points_value: pointsValue === '' ? (quizConfig.pointsSystem[difficulty] || 10) : Number(pointsValue),
+            media: mediaManager.normalizeMedia(raw.media)
+        };
+
+        if (!question.question_text) {
+            errors.push('Question text is required');
+        }
+
+        if (!question.category) {
+            errors.push('Category is required');
+        }
+
+        if (!quizConfig.difficulties.includes(difficulty)) {
+            errors.push(`Unknown difficulty "${difficulty}"`);
+        }
+
+        if (!question.correct_answer) {
+            errors.push('Correct answer is required');
+        }
+
+        if (!Number.isInteger(question.points_value) || question.points_value <= 0) {
+            errors.push('Points value must be a positive whole number');
+        }
+
+        switch (questionType) {
+            case 'multiple_choice': {
+                const normalizedOptions = question.options.map(option => Utils.normalizeAnswer(option));
+                if (question.options.length < 2) {
+                    errors.push('Multiple choice questions need at least two options');
+                } else if (new Set(normalizedOptions).size !== normalizedOptions.length) {
+                    errors.push('Options must be unique');
+                }
+                if (question.correct_answer && !question.options.includes(question.correct_answer)) {
+                    errors.push('Correct answer must be one of the options');
+                }
+                question.accepted_answers = [];
+                break;
+            }
+
+            case 'true_false': {
+                const answer = quizConfig.trueFalseOptions.find(option =>
+                    option.toLowerCase() === question.correct_answer.toLowerCase()
+                );
+                if (answer) {
+                    question.correct_answer = answer;
+                } else if (question.correct_answer) {
+                    errors.push('True/false answers must be "True" or "False"');
+                }
+                question.options = [...quizConfig.trueFalseOptions];
+                question.accepted_answers = [];
+                break;
+            }
+
+            case 'fill_blank':
+                question.options = null;
+                break;
+
+            default:
+                errors.push(`Unknown question type "${questionType}"`);
+        }
+
+        errors.push(...mediaManager.validateMedia(question.media, question.options));
+
+        return { question, errors };
+    }
+
+    /**
+     * Validate raw rows against the categories table and the existing bank
+     * @param {Array<Object>} rawRows - Raw rows from parse()
+     * @returns {Promise<Array<Object>>} Per-row results: { row, status, questionText, question, errors }
+     */
+    async validateRows(rawRows) {
+        const [categories, existingTexts] = await Promise.all([
+            window.quizManager ? window.quizManager.getCategories() : APP_CONFIG.quiz.categories,
+            this.getExistingQuestionTexts()
+        ]);
+
+        const seen = new Map();
+
+        return rawRows.map((raw, index) => {
+            const rowNumber = index + 1;
+            const { question, errors } = this.normalizeRow(raw);
+
+            if (question) {
+                if (question.category) {
+                    const category = categories.find(name =>
+                        name.toLowerCase() === question.category.toLowerCase()
+                    );
+                    if (category) {
+                        question.category = category;
+                    } else {
+                        errors.push(`Unknown category "${question.category}"`);
+                    }
+                }
+
+                const key = Utils.normalizeAnswer(question.question_text);
+                if (key && seen.has(key)) {
+                    errors.push(`Duplicate of row ${seen.get(key)}`);
+                } else if (key) {
+                    seen.set(key, rowNumber);
+                    if (existingTexts.has(key)) {
+                        errors.push('Question already exists in the question bank');
+                    }
+                }
+            }
+
+            return {
+                row: rowNumber,
+                status: errors.length > 0 ? 'error' : 'valid',
+                questionText: question ? question.question_text : '',
+                question,
+                errors
+            };
+        });
+    }
+
+    /**
+     * Get normalized text of every question already in the bank
+     * @returns {Promise<Set<string>>} Normalized question texts
+     */
+    async getExistingQuestionTexts() {
+        if (!this.useDatabase()) {
+            return new Set();
+        }
+
+        try {
+            const { data, error } = await authManager.supabase
+                .from('questions')
+                .select('question_text');
+
+            if (error) {
+                throw error;
+            }
+
+            return new Set((data || []).map(q => Utils.normalizeAnswer(q.question_text)));
+
+        } catch (error) {
+            // import_questions() checks duplicates again on the server
+            console.warn('Failed to load existing questions for duplicate check:', error);
+            return new Set();
+        }
+    }
+
+    /**
+     * Import a question file
+     * @param {string} content - File content
+     * @param {string} format - 'json', 'csv' or 'opentdb'
+     * @param {Object} options - Import options
+     * @param {boolean} options.dryRun - Only validate, don't save
+     * @returns {Promise<Object>} Import result with a per-row report
+     */
+    async importQuestions(content, format, options = {}) {
+        let rawRows;
+
+        try {
+            rawRows = this.parse(content, format);
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                message: `Could not read the file: ${error.message}`
+            };
+        }
+
+        if (rawRows.length === 0) {
+            return { success: false, message: 'The file contains no questions' };
+        }
+
+        if (rawRows.length > this.config.maxImportRows) {
+            return {
+                success: false,
+                message: `Files can contain at most ${this.config.maxImportRows} questions`
+            };
+        }
+
+        const rows = await this.validateRows(rawRows);
+        const validRows = rows.filter(row => row.status === 'valid');
+
+        if (options.dryRun || validRows.length === 0) {
+            return {
+                success: validRows.length > 0,
+                report: this.createReport(rows),
+                message: `${validRows.length} of ${rows.length} questions are valid`
+            };
+        }
+
+        if (!this.useDatabase()) {
+            return {
+                success: false,
+                report: this.createReport(rows),
+                message: 'Sign in to import questions'
+            };
+        }
+
+        try {
+            console.log(`🗃️ Importing ${validRows.length} questions`);
+
+            const { data, error } = await authManager.supabase
+                .rpc('import_questions', {
+                    p_questions: validRows.map(row => ({ row_index: row.row, ...row.question }))
+                });
+
+            if (error) {
+                throw error;
+            }
+
+            (data || []).forEach(result => {
+                const row = rows[result.row_index - 1];
+                if (!row) return;
+
+                if (result.error_message) {
+                    row.status = 'error';
+                    row.errors.push(result.error_message);
+                } else {
+                    // Questions from non-editors wait in the review queue
+                    row.status = result.question_status === 'pending' ? 'submitted' : 'imported';
+                    row.questionId = result.question_id;
+                }
+            });
+
+            const report = this.createReport(rows);
+
+            return {
+                success: report.imported + report.submitted > 0,
+                report,
+                message: report.submitted > 0 ?
+                    `Submitted ${report.submitted} of ${report.total} questions for review` :
+                    `Imported ${report.imported} of ${report.total} questions`
+            };
+
+        } catch (error) {
+            console.error('Failed to import questions:', error);
+            if (window.errorHandler) {
+                window.errorHandler.handleDatabaseError(error, 'import_questions');
+            }
+            return {
+                success: false,
+                error: error.message,
+                report: this.createReport(rows),
+                message: 'Failed to import questions'
+            };
+        }
+    }
+
+    /**
+     * Summarize per-row results
+     * @param {Array<Object>} rows - Per-row results from validateRows
+     * @returns {Object} Report
+     */
+    createReport(rows) {
+        return {
+            total: rows.length,
+            imported: rows.filter(row => row.status === 'imported').length,
+            submitted: rows.filter(row => row.status === 'submitted').length,
+            valid: rows.filter(row => row.status === 'valid').length,
+            failed: rows.filter(row => row.status === 'error').length,
+            rows: rows.map(({ row, status, questionText, errors, questionId }) => ({
+                row,
+                status,
+                questionText,
+                errors,
+                questionId: questionId || null
+            }))
+        };
+    }
+
+    /**
+     * Load questions, answers included, for export
+     * @param {string} category - Category name or 'all'
+     * @returns {Promise<Array<Object>>} Question rows
+     */
+    async getQuestionsForExport(category = 'all') {
+        if (!this.useDatabase()) {
+            // Export the built-in sample questions when offline
+            const samples = window.quizManager ?
+                window.quizManager.generatePlaceholderQuestions(Number.MAX_SAFE_INTEGER, category, 'all') : [];
+
+            return samples.map(q => ({
+                question_text: q.question,
+                question_type: q.type || 'multiple_choice',
+                category: q.category,
+                difficulty: q.difficulty,
+                correct_answer: q.correctAnswer,
+                options: q.type === 'fill_blank' ? null : q.options,
+                accepted_answers: q.acceptedAnswers || [],
+                explanation: q.explanation || null,
+                points_value: q.points,
+                media: q.media || null
+            }));
+        }
+
+        const { data, error } = await authManager.supabase
+            .rpc('export_questions', { p_category: category || 'all' });
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    /**
+     * Serialize question rows into a file format
+     * @param {Array<Object>} questions - Question rows
+     * @param {string} format - 'json', 'csv' or 'opentdb'
+     * @returns {Object} { content, skipped } where skipped lists questions the format can't hold
+     */
+    serialize(questions, format) {
+        const rows = questions.map(q => {
+            const row = {};
+            this.config.csvColumns.forEach(column => {
+                row[column] = q[column] === undefined ? null : q[column];
+            });
+            return row;
+        });
+
+        switch (format) {
+            case 'json':
+                return { content: JSON.stringify(rows, null, 2), skipped: [] };
+            case 'csv':
+                return { content: this.serializeCSV(rows), skipped: [] };
+            case 'opentdb':
+                return this.serializeOpenTriviaDB(rows);
+            default:
+                throw new Error(`Unsupported format "${format}"`);
+        }
+    }
+
+    /**
+     * Serialize rows as CSV, with list fields as JSON arrays and media as a JSON object
+     * @param {Array<Object>} rows - Question rows
+     * @returns {string} CSV text
+     */
+    serializeCSV(rows) {
+        const columns = this.config.csvColumns;
+
+        const formatCell = value => {
+            if (value === null || value === undefined) return '';
+            if (Array.isArray(value)) {
+                return this.escapeCSVField(value.length > 0 ? JSON.stringify(value) : '');
+            }
+            if (typeof value === 'object') {
+                return this.escapeCSVField(JSON.stringify(value));
+            }
+            return this.escapeCSVField(String(value));
+        };
+
+        const lines = [
+            columns.join(','),
+            ...rows.map(row => columns.map(column => formatCell(row[column])).join(','))
+        ];
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV field when needed
+     * @param {string} value - Field value
+     * @returns {string} Escaped field
+     */
+    escapeCSVField(value) {
+        if (/[",\r\n]/.test(value) || value.trim() !== value) {
+            return `"${value.replace(/"/g, '""')}"`;
+        }
+        return value;
+    }
+
+    /**
+     * Serialize rows as an Open Trivia DB response
+     * The format only holds multiple choice and true/false questions, and has
+     * no explanation, points or media fields.
+     * @param {Array<Object>} rows - Question rows
+     * @returns {Object} { content, skipped }
+     */
+    serializeOpenTriviaDB(rows) {
+        const skipped = [];
+        const results = [];
+        const encode = value => Utils.encodeHTMLEntities(value);
+
+        rows.forEach(row => {
+            if (row.question_type !== 'multiple_choice' && row.question_type !== 'true_false') {
+                skipped.push(row);
+                return;
+            }
+
+            const options = row.question_type === 'true_false' ?
+                APP_CONFIG.quiz.trueFalseOptions : (row.options || []);
+
+            results.push({
+                type: row.question_type === 'true_false' ? 'boolean' : 'multiple',
+                difficulty: row.difficulty,
+                category: encode(row.category),
+                question: encode(row.question_text),
+                correct_answer: encode(row.correct_answer),
+                incorrect_answers: options
+                    .filter(option => option !== row.correct_answer)
+                    .map(encode)
+            });
+        });
+
+        return {
+            content: JSON.stringify({ response_code: 0, results }, null, 2),
+            skipped
+        };
+    }
+
+    /**
+     * Export questions and download them as a file
+     * @param {string} format - 'json', 'csv' or 'opentdb'
+     * @param {string} category - Category name or 'all'
+     * @returns {Promise<Object>} Export result
+     */
+    async exportQuestions(format, category = 'all') {
+        try {
+            const questions = await this.getQuestionsForExport(category);
+
+            if (questions.length === 0) {
+                return { success: false, message: 'There are no questions to export' };
+            }
+
+            const { content, skipped } = this.serialize(questions, format);
+            const { extension, mimeType } = this.getFormatDetails(format);
+            const slug = (category || 'all').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+            Utils.downloadFile(content, `quizmaster-questions-${slug}.${extension}`, mimeType);
+
+            const exported = questions.length - skipped.length;
+            console.log(`🗃️ Exported ${exported} questions as ${format}`);
+
+            return {
+                success: true,
+                exported,
+                skipped: skipped.length,
+                message: skipped.length > 0 ?
+                    `Exported ${exported} questions (${skipped.length} fill-in-the-blank questions don't fit this format)` :
+                    `Exported ${exported} questions`
+            };
+
+        } catch (error) {
+            console.error('Failed to export questions:', error);
+            if (window.errorHandler) {
+                window.errorHandler.handleDatabaseError(error, 'export_questions');
+            }
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to export questions'
+            };
+        }
+    }
+}
+
+// Create global instance
+const questionBankManager = new QuestionBankManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuestionBankManager;
+}
+
+// Make available globally
+window.QuestionBankManager = QuestionBankManager;
+window.questionBankManager = questionBankManager;
@@ -0,0 +1,961 @@
+// Custom Quiz Builder Module for QuizMaster app
+// Builds quiz definitions from weighted categories, a difficulty mix, question types and a time policy
+
+/**
+ * Quiz Builder class
+ * A quiz definition is a plain object that QuizManager.startQuiz accepts in
+ * place of its positional settings:
+ *   { id, name, categories: [{ category, weight }], difficultyMix: { easy, medium, hard },
+ *     questionTypes, questionCount, timePolicy: { timingMode, secondsPerQuestion }, lifelines,
+ *     scoringProfile, grading: { scheme, cutScore, bands: [{ min, letter }] } }
+ * Questions are shared out between the categories by weight, then between
+ * difficulties by the mix. Definitions are saved to the quiz_definitions table
+ * when Supabase is available and to local storage otherwise, and shared by
+ * link: ?quiz=<id> for saved definitions, ?quiz_def=<encoded definition> for
+ * the rest.
+ */
+class QuizBuilder {
+    constructor() {
+        this.config = APP_CONFIG.quizBuilder;
+        this.storageKey = 'quiz_definitions';
+        this.savedDefinitions = [];
+        this.editingId = null;
+
+        console.log('🧱 Quiz Builder initialized');
+
+        // Initialize builder form
+        this.initializeBuilder();
+    }
+
+    /**
+     * Initialize builder components
+     */
+    initializeBuilder() {
+        // Wait for DOM to be ready
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => {
+                this.renderForm();
+                this.setupEventListeners();
+                this.loadSavedDefinitions();
+            });
+        } else {
+            this.renderForm();
+            this.setupEventListeners();
+            this.loadSavedDefinitions();
+        }
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        const startBtn = document.getElementById('builder-start-btn');
+        if (startBtn) {
+            startBtn.addEventListener('click', () => this.handleStart());
+        }
+
+        const saveBtn = document.getElementById('builder-save-btn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.handleSave());
+        }
+
+        const shareBtn = document.getElementById('builder-share-btn');
+        if (shareBtn) {
+            shareBtn.addEventListener('click', () => this.handleShare());
+        }
+
+        const gradingSelect = document.getElementById('builder-grading');
+        if (gradingSelect) {
+            gradingSelect.addEventListener('change', () => this.updateGradingFields());
+        }
+
+        // Saved quiz actions are re-rendered with the list
+        const savedList = document.getElementById('saved-quizzes-list');
+        if (savedList) {
+            savedList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-builder-action]');
+                if (!button) return;
+
+                const definition = this.savedDefinitions.find(d => d.id === button.getAttribute('data-definition-id'));
+                if (!definition) return;
+
+                switch (button.getAttribute('data-builder-action')) {
+                    case 'play':
+                        this.startDefinition(definition);
+                        break;
+                    case 'edit':
+                        this.fillForm(definition);
+                        break;
+                    case 'share':
+                        this.copyShareLink(definition);
+                        break;
+                    case 'delete':
+                        this.handleDelete(definition);
+                        break;
+                }
+            });
+        }
+
+        // Listen for authentication state changes
+        if (window.authManager) {
+            window.authManager.onAuthStateChange((event, session) => {
+                if (event === 'SIGNED_IN' && session) {
+                    this.loadSavedDefinitions();
+                } else if (event === 'SIGNED_OUT') {
+                    this.savedDefinitions = [];
+                    this.editingId = null;
+                    this.updateSavedList();
+                }
+            });
+        }
+    }
+
+    /**
+     * Check whether the database should be used
+     * @returns {boolean} Use database
+     */
+    useDatabase() {
+        return !!(authManager.supabase && authManager.isInitialized && authManager.getCurrentUser());
+    }
+
+    /**
+     * Get a user's display name
+     * @param {Object} user - Auth user
+     * @returns {string} Username
+     */
+    getUsername(user) {
+        return (user.user_metadata && user.user_metadata.username) || user.email.split('@')[0];
+    }
+
+    /**
+     * Check whether a local username belongs to the current user
+     * @param {string} username - Username to check
+     * @returns {boolean} Is the current user
+     */
+    isCurrentUsername(username) {
+        const user = authManager.getCurrentUser();
+        return !!user && !!username && username.toLowerCase() === this.getUsername(user).toLowerCase();
+    }
+
+    /**
+     * Fill in the generated parts of the builder form
+     */
+    renderForm() {
+        const categoriesContainer = document.getElementById('builder-categories');
+        if (categoriesContainer) {
+            categoriesContainer.innerHTML = APP_CONFIG.quiz.categories.map((category, index) => `
+                <div class="builder-category">
+                    <label>
+                        <input type="checkbox" data-builder-category="${Utils.escapeHTML(category)}">
+                        ${Utils.escapeHTML(category)}
+                    </label>
+                    <input type="number" id="builder-weight-${index}" class="builder-weight"
+                        data-builder-weight="${Utils.escapeHTML(category)}"
+                        min="1" max="${this.config.maxWeight}" value="1" aria-label="${Utils.escapeHTML(category)} weight">
+                </div>
+            `).join('');
+        }
+
+        const typesContainer = document.getElementById('builder-types');
+        if (typesContainer) {
+            typesContainer.innerHTML = APP_CONFIG.quiz.questionTypes.map(type => `
+                <label>
+                    <input type="checkbox" data-builder-type="${type}" checked>
+                    ${Utils.escapeHTML(this.config.typeLabels[type] || type)}
+                </label>
+            `).join('');
+        }
+
+        const countSelect = document.getElementById('builder-count');
+        if (countSelect) {
+            countSelect.innerHTML = this.config.questionCounts.map(count => `
+                <option value="${count}" ${count === APP_CONFIG.quiz.questionsPerQuiz ? 'selected' : ''}>${count}</option>
+            `).join('');
+        }
+
+        const secondsSelect = document.getElementById('builder-seconds');
+        if (secondsSelect) {
+            secondsSelect.innerHTML = this.config.secondsPerQuestionOptions.map(seconds => `
+                <option value="${seconds}" ${seconds === APP_CONFIG.quiz.timePerQuestion ? 'selected' : ''}>${seconds}</option>
+            `).join('');
+        }
+
+        const scoringSelect = document.getElementById('builder-scoring-profile');
+        if (scoringSelect) {
+            const scoringConfig = APP_CONFIG.quiz.scoring;
+            scoringSelect.innerHTML = scoringConfig.profiles.filter(profile => !profile.retired).map(profile => `
+                <option value="${Utils.encodeHTMLEntities(profile.name)}" title="${Utils.encodeHTMLEntities(profile.description)}"
+                    ${profile.name === scoringConfig.defaultProfile ? 'selected' : ''}>${Utils.escapeHTML(profile.label)}</option>
+            `).join('');
+        }
+
+        const gradingSelect = document.getElementById('builder-grading');
+        if (gradingSelect) {
+            const gradingConfig = APP_CONFIG.quiz.grading;
+            gradingSelect.innerHTML = Object.entries(gradingConfig.schemes).map(([name, scheme]) => `
+                <option value="${Utils.encodeHTMLEntities(name)}"
+                    ${name === gradingConfig.defaultScheme ? 'selected' : ''}>${Utils.escapeHTML(scheme.optionLabel)}</option>
+            `).join('') + `<option value="custom">${Utils.escapeHTML(gradingConfig.customLabel)}</option>`;
+        }
+    }
+
+    /**
+     * Show the pass mark or grade bands input for the chosen grading scheme
+     */
+    updateGradingFields() {
+        const gradingSelect = document.getElementById('builder-grading');
+        const scheme = gradingSelect ? gradingSelect.value : APP_CONFIG.quiz.grading.defaultScheme;
+        const schemeConfig = APP_CONFIG.quiz.grading.schemes[scheme];
+
+        const cutScoreGroup = document.getElementById('builder-cut-score-group');
+        if (cutScoreGroup) {
+            cutScoreGroup.classList.toggle('hidden', !schemeConfig || schemeConfig.cutScore === undefined);
+        }
+
+        const bandsGroup = document.getElementById('builder-grade-bands-group');
+        if (bandsGroup) {
+            bandsGroup.classList.toggle('hidden', scheme !== 'custom');
+        }
+    }
+
+    /**
+     * Read grade bands typed as "90: Distinction, 70: Merit, 0: Fail"
+     * @param {string} text - Bands
+     * @returns {Array<Object>} { min, letter } in the order typed; min is NaN for entries that don't parse
+     */
+    parseGradeBands(text) {
+        return String(text || '').split(',')
+            .map(entry => entry.trim())
+            .filter(entry => entry.length > 0)
+            .map(entry => {
+                const match = entry.match(/^(\d+)\s*%?\s*:\s*(.+)$/);
+                return match ?
+                    { min: parseInt(match[1]), letter: match[2].trim() } :
+                    { min: NaN, letter: entry };
+            });
+    }
+
+    /**
+     * Write grade bands the way parseGradeBands reads them
+     * @param {Array<Object>} bands - { min, letter }
+     * @returns {string} Bands
+     */
+    formatGradeBands(bands = []) {
+        return bands.map(band => `${band.min}: ${band.letter}`).join(', ');
+    }
+
+    /**
+     * Read the builder form into a definition
+     * @returns {Object} Definition, not yet normalized
+     */
+    readForm() {
+        const getValue = (id, fallback) => {
+            const element = document.getElementById(id);
+            return element ? element.value : fallback;
+        };
+
+        const categories = Array.from(document.querySelectorAll('[data-builder-category]'))
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => {
+                const category = checkbox.getAttribute('data-builder-category');
+                const weightInput = Array.from(document.querySelectorAll('[data-builder-weight]'))
+                    .find(input => input.getAttribute('data-builder-weight') === category);
+                return { category, weight: weightInput ? parseInt(weightInput.value) : 1 };
+            });
+
+        return {
+            id: this.editingId,
+            name: getValue('builder-name', ''),
+            categories,
+            difficultyMix: {
+                easy: parseInt(getValue('builder-mix-easy', 0)) || 0,
+                medium: parseInt(getValue('builder-mix-medium', 0)) || 0,
+                hard: parseInt(getValue('builder-mix-hard', 0)) || 0
+            },
+            questionTypes: Array.from(document.querySelectorAll('[data-builder-type]'))
+                .filter(checkbox => checkbox.checked)
+                .map(checkbox => checkbox.getAttribute('data-builder-type')),
+            questionCount: parseInt(getValue('builder-count', APP_CONFIG.quiz.questionsPerQuiz)),
+            timePolicy: {
+                timingMode: getValue('builder-timing-mode', APP_CONFIG.quiz.defaultTimingMode),
+                secondsPerQuestion: parseInt(getValue('builder-seconds', APP_CONFIG.quiz.timePerQuestion))
+            },
+            lifelines: parseInt(getValue('builder-lifelines', APP_CONFIG.quiz.lifelines.defaultAllowance)),
+            scoringProfile: getValue('builder-scoring-profile', APP_CONFIG.quiz.scoring.defaultProfile),
+            grading: {
+                scheme: getValue('builder-grading', APP_CONFIG.quiz.grading.defaultScheme),
+                cutScore: parseInt(getValue('builder-cut-score', '')),
+                bands: this.parseGradeBands(getValue('builder-grade-bands', ''))
+            }
+        };
+    }
+
+    /**
+     * Load a definition into the builder form for editing
+     * @param {Object} definition - Definition
+     */
+    fillForm(definition) {
+        const setValue = (id, value) => {
+            const element = document.getElementById(id);
+            if (element) element.value = value;
+        };
+
+        this.editingId = definition.id || null;
+        setValue('builder-name', definition.name);
+
+        document.querySelectorAll('[data-builder-category]').forEach(checkbox => {
+            const entry = definition.categories.find(c => c.category === checkbox.getAttribute('data-builder-category'));
+            checkbox.checked = !!entry;
+        });
+        document.querySelectorAll('[data-builder-weight]').forEach(input => {
+            const entry = definition.categories.find(c => c.category === input.getAttribute('data-builder-weight'));
+            input.value = entry ? entry.weight : 1;
+        });
+
+        setValue('builder-mix-easy', definition.difficultyMix.easy);
+        setValue('builder-mix-medium', definition.difficultyMix.medium);
+        setValue('builder-mix-hard', definition.difficultyMix.hard);
+
+        document.querySelectorAll('[data-builder-type]').forEach(checkbox => {
+            checkbox.checked = definition.questionTypes.includes(checkbox.getAttribute('data-builder-type'));
+        });
+
+        setValue('builder-count', definition.questionCount);
+        setValue('builder-timing-mode', definition.timePolicy.timingMode);
+        setValue('builder-seconds', definition.timePolicy.secondsPerQuestion);
+        setValue('builder-lifelines', definition.lifelines);
+        setValue('builder-scoring-profile', definition.scoringProfile);
+
+        const grading = definition.grading || {};
+        const gradingConfig = APP_CONFIG.quiz.grading;
+        setValue('builder-grading', grading.scheme || gradingConfig.defaultScheme);
+        setValue('builder-cut-score', grading.cutScore || gradingConfig.schemes.pass_fail.cutScore);
+        setValue('builder-grade-bands', this.formatGradeBands(grading.bands));
+        this.updateGradingFields();
+
+        const builder = document.getElementById('quiz-builder');
+        if (builder) {
+            builder.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+
+    /**
+     * Clean up a definition from the form, storage or a shared link
+     * Unknown categories and types are dropped and numbers are clamped, so a
+     * tampered link can't ask for more than the builder offers. No categories
+     * means all of them; a mix that adds up to nothing falls back to the default,
+     * and so does an unknown or retired scoring profile, an unknown grading scheme
+     * or custom grading without a usable band starting at 0%.
+     * @param {Object} raw - Definition to clean up
+     * @returns {Object} Definition
+     */
+    normalizeDefinition(raw = {}) {
+        const quizConfig = APP_CONFIG.quiz;
+        const clamp = (value, min, max, fallback) => {
+            const number = parseInt(value);
+            return Number.isNaN(number) ? fallback : Math.min(Math.max(number, min), max);
+        };
+
+        const seen = new Set();
+        const categories = (Array.isArray(raw.categories) ? raw.categories : [])
+            .filter(entry => entry && quizConfig.categories.includes(entry.category) && !seen.has(entry.category))
+            .map(entry => {
+                seen.add(entry.category);
+                return { category: entry.category, weight: clamp(entry.weight, 1, this.config.maxWeight, 1) };
+            });
+
+        const mix = raw.difficultyMix || {};
+        let difficultyMix = quizConfig.difficulties.reduce((result, level) => {
+            result[level] = clamp(mix[level], 0, 100, 0);
+            return result;
+        }, {});
+        if (Object.values(difficultyMix).every(share => share === 0)) {
+            difficultyMix = { ...this.config.defaultMix };
+        }
+
+        const questionTypes = (Array.isArray(raw.questionTypes) ? raw.questionTypes : [])
+            .filter(type => quizConfig.questionTypes.includes(type));
+
+        const timePolicy = raw.timePolicy || {};
+        const allowances = quizConfig.lifelines.allowanceOptions;
+        const scoringProfile = quizConfig.scoring.profiles.some(profile => profile.name === raw.scoringProfile && !profile.retired) ?
+            raw.scoringProfile : quizConfig.scoring.defaultProfile;
+
+        const rawGrading = raw.grading || {};
+        const gradingConfig = quizConfig.grading;
+        const bandMins = new Set();
+        const bands = (rawGrading.scheme === 'custom' && Array.isArray(rawGrading.bands) ? rawGrading.bands : [])
+            .filter(band => band)
+            .map(band => ({
+                min: clamp(band.min, 0, 100, NaN),
+                letter: String(band.letter || '').trim().slice(0, gradingConfig.maxBandLabelLength)
+            }))
+            .filter(band => {
+                if (Number.isNaN(band.min) || !band.letter || bandMins.has(band.min)) return false;
+                bandMins.add(band.min);
+                return true;
+            })
+            .sort((a, b) => b.min - a.min)
+            .slice(0, gradingConfig.maxCustomBands);
+        // Custom bands have to cover every score down to 0%
+        const gradingScheme = Object.keys(gradingConfig.schemes).includes(rawGrading.scheme) ||
+            (rawGrading.scheme === 'custom' && bands.length > 0 && bands[bands.length - 1].min === 0) ?
+            rawGrading.scheme : gradingConfig.defaultScheme;
+        const schemeConfig = gradingConfig.schemes[gradingScheme];
+        const grading = { scheme: gradingScheme };
+        if (schemeConfig && schemeConfig.cutScore !== undefined) {
+            grading.cutScore = clamp(rawGrading.cutScore, 1, 100, schemeConfig.cutScore);
+        } else if (gradingScheme === 'custom') {
+            grading.bands = bands;
+        }
+
+        return {
+            id: raw.id || null,
+            name: String(raw.name || '').trim().slice(0, this.config.maxNameLength) || 'Custom quiz',
+            categories,
+            difficultyMix,
+            questionTypes: questionTypes.length > 0 ? questionTypes : [...quizConfig.questionTypes],
+            questionCount: clamp(raw.questionCount, 1, Math.max(...this.config.questionCounts), quizConfig.questionsPerQuiz),
+            timePolicy: {
+                timingMode: quizConfig.timingModes.includes(timePolicy.timingMode) ?
+                    timePolicy.timingMode : quizConfig.defaultTimingMode,
+                secondsPerQuestion: this.config.secondsPerQuestionOptions.includes(parseInt(timePolicy.secondsPerQuestion)) ?
+                    parseInt(timePolicy.secondsPerQuestion) : quizConfig.timePerQuestion
+            },
+            lifelines: clamp(raw.lifelines, Math.min(...allowances), Math.max(...allowances), quizConfig.lifelines.defaultAllowance),
+            scoringProfile,
+            grading
+        };
+    }
+
+    /**
+     * Check a definition read from the form
+     * @param {Object} definition - Definition, not yet normalized
+     * @returns {Array<string>} Problems, empty when the definition is usable
+     */
+    validateDefinition(definition) {
+        const errors = [];
+
+        if (definition.categories.length === 0) {
+            errors.push('Pick at least one category');
+        }
+
+        const mixTotal = Object.values(definition.difficultyMix).reduce((sum, share) => sum + share, 0);
+        if (mixTotal !== 100) {
+            errors.push(`The difficulty mix adds up to ${mixTotal}%, not 100%`);
+        }
+
+        if (definition.questionTypes.length === 0) {
+            errors.push('Pick at least one question type');
+        }
+
+        const grading = definition.grading || {};
+        const schemeConfig = APP_CONFIG.quiz.grading.schemes[grading.scheme];
+        if (schemeConfig && schemeConfig.cutScore !== undefined &&
+            !(grading.cutScore >= 1 && grading.cutScore <= 100)) {
+            errors.push('The pass mark must be between 1% and 100%');
+        }
+        if (grading.scheme === 'custom') {
+            const bands = grading.bands || [];
+            if (bands.length === 0) {
+                errors.push('Add at least one grade band, e.g. "70: Pass, 0: Fail"');
+            } else if (bands.length > APP_CONFIG.quiz.grading.maxCustomBands) {
+                errors.push(`Use at most ${APP_CONFIG.quiz.grading.maxCustomBands} grade bands`);
+            } else if (bands.some(band => Number.isNaN(band.min) || band.min > 100)) {
+                errors.push('Write each grade band as a percent and a name, e.g. "70: Pass"');
+            } else if (Math.min(...bands.map(band => band.min)) !== 0) {
+                errors.push('The lowest grade band must start at 0%');
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Share a total out in proportion to weights (largest remainder method)
+     * @param {number} total - Total to share out
+     * @param {Array<number>} weights - Weights
+     * @returns {Array<number>} Whole-number shares adding up to the total
+     */
+    apportion(total, weights) {
+        const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+        if (weightSum <= 0) return weights.map(() => 0);
+
+        const exact = weights.map(weight => total * weight / weightSum);
+        const shares = exact.map(Math.floor);
+        const remaining = total - shares.reduce((sum, share) => sum + share, 0);
+
+        exact
+            .map((value, index) => ({ index, remainder: value - shares[index] }))
+            .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+            .slice(0, remaining)
+            .forEach(entry => shares[entry.index]++);
+
+        return shares;
+    }
+
+    /**
+     * Work out how many questions to draw from each category and difficulty
+     * @param {Object} definition - Normalized definition
+     * @returns {Array<Object>} { category, difficulty, count } for each non-empty bucket
+     */
+    planQuestions(definition) {
+        const categories = definition.categories.length > 0 ?
+            definition.categories : [{ category: 'all', weight: 1 }];
+        const levels = APP_CONFIG.quiz.difficulties;
+
+        const categoryCounts = this.apportion(definition.questionCount, categories.map(entry => entry.weight));
+
+        return categories.flatMap((entry, index) => {
+            const levelCounts = this.apportion(categoryCounts[index], levels.map(level => definition.difficultyMix[level]));
+            return levels.map((difficulty, levelIndex) => ({
+                category: entry.category,
+                difficulty,
+                count: levelCounts[levelIndex]
+            }));
+        }).filter(bucket => bucket.count > 0);
+    }
+
+    /**
+     * Get the category a definition's quiz is recorded under
+     * @param {Object} definition - Normalized definition
+     * @returns {string} The only category, or 'all' for a mix
+     */
+    getDefinitionCategory(definition) {
+        return definition.categories.length === 1 ? definition.categories[0].category : 'all';
+    }
+
+    /**
+     * Describe a definition in one line
+     * @param {Object} definition - Normalized definition
+     * @returns {string} Summary
+     */
+    summarizeDefinition(definition) {
+        const categories = definition.categories.length > 0 ?
+            definition.categories.map(entry => entry.weight > 1 ? `${entry.category} ×${entry.weight}` : entry.category).join(', ') :
+            'All categories';
+        const timer = definition.timePolicy.timingMode === 'per_question' ?
+            `${definition.timePolicy.secondsPerQuestion}s per question` :
+            `${Utils.formatDuration(definition.questionCount * definition.timePolicy.secondsPerQuestion)} total`;
+
+        const profile = APP_CONFIG.quiz.scoring.profiles.find(entry => entry.name === definition.scoringProfile && !entry.retired);
+        const scoring = profile && profile.name !== APP_CONFIG.quiz.scoring.defaultProfile ? ` · ${profile.label} scoring` : '';
+
+        const gradingScheme = definition.grading ? definition.grading.scheme : APP_CONFIG.quiz.grading.defaultScheme;
+        const grading = gradingScheme !== APP_CONFIG.quiz.grading.defaultScheme && window.scoreCalculator ?
+            ` · ${window.scoreCalculator.getGradingScheme(definition.grading).label}` : '';
+
+        return `${definition.questionCount} questions · ${categories} · ${timer}${scoring}${grading}`;
+    }
+
+    /**
+     * Start a quiz from a definition
+     * @param {Object} definition - Definition
+     */
+    async startDefinition(definition) {
+        if (!window.uiManager) return;
+        await window.uiManager.startQuickQuiz(this.normalizeDefinition(definition));
+    }
+
+    /**
+     * Start a quiz from the builder form
+     */
+    async handleStart() {
+        const raw = this.readForm();
+        const errors = this.validateDefinition(raw);
+        if (errors.length > 0) {
+            window.uiManager.showNotification('error', 'Quiz Builder', errors.join('. '));
+            return;
+        }
+
+        // Only an unchanged saved quiz is played as itself and graded against its other attempts
+        await this.startDefinition({ ...raw, id: this.getUnchangedId(raw) });
+    }
+
+    /**
+     * Get the saved quiz the builder form still matches
+     * @param {Object} raw - Definition read from the form
+     * @returns {string|null} Saved definition ID, or null once the form has been changed
+     */
+    getUnchangedId(raw) {
+        const saved = this.savedDefinitions.find(definition => definition.id === raw.id);
+        if (!saved) return null;
+
+        const { id, name, ...settings } = this.normalizeDefinition(raw);
+        const { id: savedId, name: savedName, ...savedSettings } = this.normalizeDefinition(saved);
+        return JSON.stringify(settings) === JSON.stringify(savedSettings) ? saved.id : null;
+    }
+
+    /**
+     * Save the builder form as a named quiz
+     */
+    async handleSave() {
+        const raw = this.readForm();
+        const errors = this.validateDefinition(raw);
+        if (errors.length > 0) {
+            window.uiManager.showNotification('error', 'Quiz Builder', errors.join('. '));
+            return;
+        }
+
+        const result = await this.saveDefinition(raw);
+        if (result.success) {
+            this.editingId = result.definition.id;
+            window.uiManager.showNotification('success', 'Quiz Saved', result.message);
+            this.loadSavedDefinitions();
+        } else {
+            window.uiManager.showNotification('error', 'Save Failed', result.message);
+        }
+    }
+
+    /**
+     * Copy a link to the builder form's quiz
+     * A saved, unchanged quiz is shared by ID; anything else by its settings.
+     */
+    async handleShare() {
+        const raw = this.readForm();
+        const errors = this.validateDefinition(raw);
+        if (errors.length > 0) {
+            window.uiManager.showNotification('error', 'Quiz Builder', errors.join('. '));
+            return;
+        }
+
+        await this.copyShareLink({ ...raw, id: null });
+    }
+
+    /**
+     * Ask before deleting a saved quiz
+     * @param {Object} definition - Saved definition
+     */
+    handleDelete(definition) {
+        window.uiManager.showModal(
+            'Delete Quiz',
+            `Delete "${Utils.escapeHTML(definition.name)}"? Links already shared to it will stop working.`,
+            [
+                {
+                    text: 'Cancel',
+                    class: 'btn-outline',
+                    action: 'cancel'
+                },
+                {
+                    text: 'Delete',
+                    class: 'btn-primary',
+                    action: 'delete',
+                    handler: async () => {
+                        const result = await this.deleteDefinition(definition.id);
+                        if (result.success) {
+                            if (this.editingId === definition.id) {
+                                this.editingId = null;
+                            }
+                            this.loadSavedDefinitions();
+                        } else {
+                            window.uiManager.showNotification('error', 'Delete Failed', result.message);
+                        }
+                    }
+                }
+            ]
+        );
+    }
+
+    /**
+     * Load the current user's saved quizzes into the list
+     */
+    async loadSavedDefinitions() {
+        this.savedDefinitions = await this.getSavedDefinitions();
+        this.updateSavedList();
+    }
+
+    /**
+     * Update the saved quizzes list
+     */
+    updateSavedList() {
+        const list = document.getElementById('saved-quizzes-list');
+        if (!list) return;
+
+        if (this.savedDefinitions.length === 0) {
+            list.innerHTML = '<li class="saved-quizzes-empty">No saved quizzes yet.</li>';
+            return;
+        }
+
+        list.innerHTML = this.savedDefinitions.map(definition => `
+            <li class="saved-quiz-item">
+                <div class="saved-quiz-info">
+                    <span class="saved-quiz-name">${Utils.escapeHTML(definition.name)}</span>
+                    <span class="saved-quiz-detail">${Utils.escapeHTML(this.summarizeDefinition(definition))}</span>
+                </div>
+                <div class="saved-quiz-actions">
+                    <button class="btn btn-primary btn-sm" data-builder-action="play" data-definition-id="${definition.id}">Play</button>
+                    <button class="btn btn-outline btn-sm" data-builder-action="edit" data-definition-id="${definition.id}">Edit</button>
+                    <button class="btn btn-outline btn-sm" data-builder-action="share" data-definition-id="${definition.id}">Share</button>
+                    <button class="btn btn-outline btn-sm" data-builder-action="delete" data-definition-id="${definition.id}">Delete</button>
+                </div>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Get the current user's saved quizzes, most recently changed first
+     * @returns {Promise<Array>} Normalized definitions
+     */
+    async getSavedDefinitions() {
+        const user = authManager.getCurrentUser();
+        if (!user) return [];
+
+        try {
+            if (this.useDatabase()) {
+                const { data, error } = await authManager.supabase
+                    .from('quiz_definitions')
+                    .select('*')
+                    .eq('owner_id', user.id)
+                    .order('updated_at', { ascending: false });
+
+                if (error) {
+                    throw error;
+                }
+
+                return (data || []).map(row => this.mapDefinitionRow(row));
+            }
+
+            return this.getLocalDefinitions()
+                .filter(entry => this.isCurrentUsername(entry.ownerUsername))
+                .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+                .map(entry => this.normalizeDefinition(entry));
+
+        } catch (error) {
+            console.error('Failed to load saved quizzes:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save a definition, updating it if it is already one of the user's
+     * @param {Object} raw - Definition
+     * @returns {Promise<Object>} Save result
+     */
+    async saveDefinition(raw) {
+        const user = authManager.getCurrentUser();
+        if (!user) {
+            return { success: false, message: 'Sign in to save quizzes' };
+        }
+
+        const definition = this.normalizeDefinition(raw);
+        const { id, name, ...settings } = definition;
+
+        try {
+            if (this.useDatabase()) {
+                const query = id ?
+                    authManager.supabase
+                        .from('quiz_definitions')
+                        .update({ name, definition: settings })
+                        .eq('id', id)
+                        .eq('owner_id', user.id) :
+                    authManager.supabase
+                        .from('quiz_definitions')
+                        .insert({ owner_id: user.id, name, definition: settings });
+
+                const { data, error } = await query.select().single();
+
+                if (error) {
+                    throw error;
+                }
+
+                return { success: true, definition: this.mapDefinitionRow(data), message: `Saved "${name}"` };
+            }
+
+            const definitions = this.getLocalDefinitions();
+            const existing = id ? definitions.find(entry => entry.id === id && this.isCurrentUsername(entry.ownerUsername)) : null;
+            const now = new Date().toISOString();
+
+            if (existing) {
+                Object.assign(existing, definition, { updatedAt: now });
+            } else {
+                definitions.push({
+                    ...definition,
+                    id: Utils.generateUUID(),
+                    ownerUsername: this.getUsername(user),
+                    createdAt: now,
+                    updatedAt: now
+                });
+            }
+            Utils.storage.set(this.storageKey, definitions);
+
+            const saved = existing || definitions[definitions.length - 1];
+            return { success: true, definition: this.normalizeDefinition(saved), message: `Saved "${name}"` };
+
+        } catch (error) {
+            console.error('Failed to save quiz:', error);
+            return { success: false, error: error.message, message: error.message || 'Failed to save quiz' };
+        }
+    }
+
+    /**
+     * Delete one of the current user's saved quizzes
+     * @param {string} id - Definition ID
+     * @returns {Promise<Object>} Delete result
+     */
+    async deleteDefinition(id) {
+        const user = authManager.getCurrentUser();
+        if (!user) {
+            return { success: false, message: 'Sign in to manage saved quizzes' };
+        }
+
+        try {
+            if (this.useDatabase()) {
+                const { error } = await authManager.supabase
+                    .from('quiz_definitions')
+                    .delete()
+                    .eq('id', id)
+                    .eq('owner_id', user.id);
+
+                if (error) {
+                    throw error;
+                }
+
+                return { success: true };
+            }
+
+            const definitions = this.getLocalDefinitions()
+                .filter(entry => !(entry.id === id && this.isCurrentUsername(entry.ownerUsername)));
+            Utils.storage.set(this.storageKey, definitions);
+
+            return { success: true };
+
+        } catch (error) {
+            console.error('Failed to delete quiz:', error);
+            return { success: false, error: error.message, message: error.message || 'Failed to delete quiz' };
+        }
+    }
+
+    /**
+     * Get a saved definition by ID, whoever owns it
+     * @param {string} id - Definition ID
+     * @returns {Promise<Object|null>} Normalized definition
+     */
+    async getDefinition(id) {
+        try {
+            if (authManager.supabase && authManager.isInitialized) {
+                const { data, error } = await authManager.supabase
+                    .from('quiz_definitions')
+                    .select('*')
+                    .eq('id', id)
+                    .single();
+
+                if (error) {
+                    throw error;
+                }
+
+                return data ? this.mapDefinitionRow(data) : null;
+            }
+
+            const entry = this.getLocalDefinitions().find(d => d.id === id);
+            return entry ? this.normalizeDefinition(entry) : null;
+
+        } catch (error) {
+            console.error('Failed to load quiz definition:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Map a quiz_definitions row to a definition
+     * @param {Object} row - Database row
+     * @returns {Object} Normalized definition
+     */
+    mapDefinitionRow(row) {
+        return this.normalizeDefinition({ ...(row.definition || {}), id: row.id, name: row.name });
+    }
+
+    /**
+     * Encode a definition for a share link
+     * @param {Object} definition - Definition
+     * @returns {string} Base64 of the definition's JSON
+     */
+    encodeDefinition(definition) {
+        const { id, ...settings } = this.normalizeDefinition(definition);
+        return btoa(unescape(encodeURIComponent(JSON.stringify(settings))));
+    }
+
+    /**
+     * Decode a definition from a share link
+     * @param {string} encoded - Value from encodeDefinition
+     * @returns {Object|null} Normalized definition, or null if it can't be read
+     */
+    decodeDefinition(encoded) {
+        try {
+            return this.normalizeDefinition(JSON.parse(decodeURIComponent(escape(atob(encoded)))));
+        } catch (error) {
+            console.warn('Invalid shared quiz definition:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Build a share link for a definition
+     * Definitions saved to the database are linked by ID, so later edits reach
+     * everyone with the link; anything else carries its settings in the link.
+     * @param {Object} definition - Definition
+     * @returns {string} Link
+     */
+    getShareLink(definition) {
+        if (definition.id && this.useDatabase()) {
+            return Utils.url.buildUrl({ [this.config.shareParam]: definition.id });
+        }
+        return Utils.url.buildUrl({ [this.config.shareDefinitionParam]: this.encodeDefinition(definition) });
+    }
+
+    /**
+     * Copy a definition's share link to the clipboard
+     * @param {Object} definition - Definition
+     */
+    async copyShareLink(definition) {
+        const copied = await Utils.copyToClipboard(this.getShareLink(definition));
+        if (copied) {
+            window.uiManager.showNotification('success', 'Link Copied', 'Anyone with the link can play this quiz');
+        } else {
+            window.uiManager.showNotification('error', 'Copy Failed', 'Could not copy the share link');
+        }
+    }
+
+    /**
+     * Read a shared definition from the page's URL parameters
+     * @returns {Promise<Object|null>} Normalized definition, or null if the URL has none
+     */
+    async getSharedDefinition() {
+        const params = Utils.url.getParams();
+
+        if (params[this.config.shareParam]) {
+            return this.getDefinition(params[this.config.shareParam]);
+        }
+        if (params[this.config.shareDefinitionParam]) {
+            return this.decodeDefinition(params[this.config.shareDefinitionParam]);
+        }
+        return null;
+    }
+
+    /**
+     * Remove the share parameters from the page's URL once handled
+     */
+    clearSharedDefinition() {
+        Utils.url.removeParam(this.config.shareParam);
+        Utils.url.removeParam(this.config.shareDefinitionParam);
+    }
+
+    /**
+     * Get all locally stored definitions
+     * @returns {Array} Definitions with their owner
+     */
+    getLocalDefinitions() {
+        return Utils.storage.get(this.storageKey, []);
+    }
+}
+
+// Create global instance
+const quizBuilder = new QuizBuilder();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuizBuilder;
+}
+
+// Make available globally
+window.QuizBuilder = QuizBuilder;
+window.quizBuilder = quizBuilder;
@@ -13,8 +13,14 @@ class QuizManager {
         this.userAnswers = [];
         this.score = 0;
         this.timeRemaining = 0;
+        this.questionTimeRemaining = 0;
         this.timer = null;
         this.isQuizActive = false;
+        this.isAwaitingAnswer = false;
+        this.isUsingLifeline = false;
+        this.adaptivePool = { easy: [], medium: [], hard: [] };
+        this.seed = null;
+        this.pendingAnswer = null;
         
         console.log('🧩 Quiz Manager initialized');
     }
@@ -22,36 +28,205 @@ class QuizManager {
     /**
      * Start a new quiz
      * @param {string} category - Quiz category
-     * @param {string} difficulty - Quiz difficulty
+     * @param {string} difficulty - Quiz difficulty, 'adaptive' to follow the player's streak, or 'matched'
+     *     for questions the player should get right about APP_CONFIG.ratings.targetWinProbability of the time
      * @param {number} questionCount - Number of questions
+     * @param {Object} options - Additional quiz options
+     * @param {string} options.timingMode - 'total' for one pooled timer, 'per_question' for a countdown per question
+     * @param {string} options.mode - 'standard', 'review' (missed questions that are due, off the leaderboard)
+     *     or 'practice' (untimed, with retries and explanations, recorded apart from ranked stats),
+     *     or an endless run: 'survival' (three lives on a shrinking clock that each correct answer tops up)
+     *     or 'sudden_death' (over at the first miss). Endless runs ignore the question count and timer.
+     * @param {number|Object} options.lifelines - Uses of each lifeline, or uses keyed by lifeline type
+     * @param {string} options.scoringProfile - Scoring profile name from APP_CONFIG.quiz.scoring; ranked
+     *     quizzes only, other modes use the default profile
+     * @param {boolean} options.confidence - Rate each answer low, medium or high confidence and score it
+     *     with APP_CONFIG.quiz.confidence.stakes; ranked quizzes only, not challenges or the daily challenge
+     * @param {Object} options.challenge - Accepted challenge to play, from ChallengeManager.acceptChallenge;
+     *     its questions, timer and lifelines replace the other settings
+     * @param {Object} options.daily - Daily challenge to play, from DailyChallengeManager.startDailyChallenge;
+     *     replaces the other settings the same way
+     * @param {string} options.seed - Seed for picking and shuffling questions; the same seed and
+     *     question pool always give the same quiz. A new one is generated when left out.
      * @returns {Promise<Object>} Quiz start result
+     *
+     * A quiz definition from QuizBuilder can be passed in place of the positional
+     * settings, as startQuiz(definition, options): its categories, difficulty mix,
+     * question types, question count, time policy and lifelines are used instead.
      */
-    async startQuiz(category = 'General Knowledge', difficulty = 'medium', questionCount = 10) {
+    async startQuiz(category = 'General Knowledge', difficulty = 'medium', questionCount = 10, options = {}) {
         try {
-            console.log(`🎯 Starting quiz: ${category} (${difficulty}) - ${questionCount} questions`);
+            let definition = null;
+            if (category && typeof category === 'object') {
+                definition = window.quizBuilder.normalizeDefinition(category);
+                options = difficulty && typeof difficulty === 'object' ? difficulty : (options || {});
+                category = window.quizBuilder.getDefinitionCategory(definition);
+                difficulty = 'all';
+                questionCount = definition.questionCount;
+                options = {
+                    ...options,
+                    timingMode: definition.timePolicy.timingMode,
+                    lifelines: definition.lifelines,
+                    scoringProfile: definition.scoringProfile,
+                    mode: 'standard'
+                };
+            }
+
+            const challenge = options.challenge || null;
+            const daily = options.daily || null;
+            const fixedSet = challenge || daily;
+            if (fixedSet) {
+                // A challenge is scored with the challenger's rules; the daily set with the default
+                options = {
+                    ...options,
+                    timingMode: fixedSet.timingMode,
+                    lifelines: fixedSet.lifelines,
+                    scoringProfile: fixedSet.scoringVersion,
+                    mode: 'standard'
+                };
+            }
+
+            const mode = APP_CONFIG.quiz.modes.includes(options.mode) ?
+                options.mode : APP_CONFIG.quiz.defaultMode;
+            const endless = APP_CONFIG.quiz.endless[mode] || null;
+            // Practice has no countdown, so it always uses the pooled clock to count up;
+            // endless modes bring their own clock
+            let timingMode = mode !== 'practice' && APP_CONFIG.quiz.timingModes.includes(options.timingMode) ?
+                options.timingMode : (mode === 'practice' ? 'total' : APP_CONFIG.quiz.defaultTimingMode);
+            let timePerQuestion = definition ?
+                definition.timePolicy.secondsPerQuestion : APP_CONFIG.quiz.timePerQuestion;
+            if (endless) {
+                timingMode = endless.timingMode;
+                timePerQuestion = endless.secondsPerQuestion || timePerQuestion;
+            }
+
+            // The session records the exact version, so its score can be explained later
+            const scoringProfile = window.scoreCalculator ?
+                window.scoreCalculator.getProfile(mode === 'standard' ? options.scoringProfile : null) : null;
+
+            // Confidence ratings change the stakes, so a set compared with other players never uses them
+            const confidence = !!options.confidence && mode === 'standard' && !fixedSet;
+
+            // Extended time accommodation from the player's profile
+            const timeMultiplier = window.profileManager ? window.profileManager.getTimeMultiplier() : 1;
+            timePerQuestion = Math.round(timePerQuestion * timeMultiplier);
+
+            console.log(`🎯 Starting ${mode} quiz: ${category} (${difficulty}) - ${questionCount} questions, ${timingMode} timer`);
             
             // Reset quiz state
             this.resetQuizState();
+
+            // The daily challenge is seeded by its date and a challenge by the challenger's quiz
+            const seed = daily ? daily.date : (fixedSet ? fixedSet.seed : options.seed);
+            this.seed = String(seed || '').trim().slice(0, APP_CONFIG.quiz.seedMaxLength) || Utils.generateSeed();
             
-            // Load questions
-            this.questions = await this.loadQuestions(questionCount, category, difficulty);
-            
+            // Endless runs have no planned count; their sessions record 0
+            if (endless) {
+                questionCount = 0;
+            }
+
             // Initialize quiz
             this.currentQuiz = {
                 id: Utils.generateUUID(),
-                category,
+                category: mode === 'review' ? 'Review' : category,
                 difficulty,
+                adaptive: difficulty === 'adaptive' && !fixedSet && !endless,
+                currentDifficulty: difficulty === 'adaptive' ? APP_CONFIG.quiz.adaptive.startDifficulty : difficulty,
                 questionCount,
+                mode,
+                timingMode,
+                questionTimeLimit: timePerQuestion,
                 startTime: new Date(),
-                timeLimit: questionCount * 30 // 30 seconds per question
+                // Sudden death has no overall limit, so its clock counts up from zero
+                timeLimit: endless ? Math.round((endless.startSeconds || 0) * timeMultiplier) : questionCount * timePerQuestion,
+                timeMultiplier,
+                scoringVersion: scoringProfile ? scoringProfile.version : null,
+                confidence,
+                lives: endless ? endless.lives : null,
+                lifelineAllowance: this.getLifelineAllowance(mode, options.lifelines),
+                questionLifelines: { used: [], eliminated: [] },
+                skippedQuestionIds: [],
+                challengeId: challenge ? challenge.id : null,
+                dailyDate: daily ? daily.date : null,
+                definition,
+                practiceAttempts: {},
+                practiceMisses: {},
+                seed: this.seed
             };
+            this.currentQuiz.lifelines = { ...this.currentQuiz.lifelineAllowance };
+
+            // Create quiz session in database before loading, so the server records the
+            // questions it serves (review answers only update the schedule and practice
+            // answers go to practice_attempts; accept_challenge and start_daily_challenge
+            // already opened the session)
+            if (mode === 'review' || mode === 'practice') {
+                this.currentQuiz.sessionId = null;
+            } else if (fixedSet && fixedSet.sessionId) {
+                this.currentQuiz.sessionId = fixedSet.sessionId;
+            } else {
+                this.currentQuiz.sessionId = await this.createQuizSession();
+            }
+            
+            // Load questions
+            if (fixedSet) {
+                // The challenger's or the day's exact questions, in their order
+                this.questions = [...fixedSet.questions];
+                questionCount = this.questions.length;
+            } else if (mode === 'review') {
+                this.questions = await window.reviewScheduler.getDueQuestions(questionCount);
+                if (this.questions.length === 0) {
+                    this.resetQuizState();
+                    return {
+                        success: false,
+                        message: 'No reviews due today. Come back tomorrow!'
+                    };
+                }
+                questionCount = this.questions.length;
+            } else if (definition) {
+                this.questions = await this.loadDefinitionQuestions(definition);
+                questionCount = this.questions.length;
+            } else if (endless) {
+                // Questions stream in batches for as long as the run lasts
+                this.questions = [];
+                await this.loadEndlessBatch(category, difficulty);
+            } else if (difficulty === 'adaptive') {
+                // Questions are fetched as the quiz goes, starting from the middle
+                this.questions = [];
+                this.adaptivePool = { easy: [], medium: [], hard: [] };
+                const firstQuestion = await this.takeAdaptiveQuestion(
+                    APP_CONFIG.quiz.adaptive.startDifficulty, category
+                );
+                if (firstQuestion) {
+                    this.questions.push(firstQuestion);
+                }
+            } else {
+                this.questions = await this.loadQuestions(questionCount, category, difficulty);
+                questionCount = Math.min(questionCount, this.questions.length);
+            }
+
+            if (this.questions.length === 0) {
+                if (!fixedSet) {
+                    await this.abandonQuizSession(this.currentQuiz.sessionId);
+                }
+                this.resetQuizState();
+                return {
+                    success: false,
+                    message: 'No questions found for this quiz'
+                };
+            }
 
-            // Create quiz session in database
-            this.currentQuiz.sessionId = await this.createQuizSession();
+            // A short pool ends the quiz early; the session keeps the planned count as its cap
+            this.currentQuiz.questionCount = questionCount;
+            if (!endless) {
+                this.currentQuiz.timeLimit = questionCount * timePerQuestion;
+            }
             
             this.isQuizActive = true;
             this.timeRemaining = this.currentQuiz.timeLimit;
             
+            // Checkpoint so a reload before the first answer can still resume
+            this.saveCheckpoint();
+            
             // Start timer
             this.startTimer();
             
@@ -74,40 +249,91 @@ class QuizManager {
         }
     }
 
+    /**
+     * Load the questions for a quiz definition
+     * Each category and difficulty gets its planned share; any shortfall is
+     * topped up from the definition's other categories and difficulties.
+     * @param {Object} definition - Normalized quiz definition
+     * @returns {Promise<Array>} Array of question objects, shuffled by the quiz seed
+     */
+    async loadDefinitionQuestions(definition) {
+        const questions = [];
+        const usedIds = () => questions.map(q => q.id);
+
+        for (const bucket of window.quizBuilder.planQuestions(definition)) {
+            const batch = await this.loadQuestions(
+                bucket.count, bucket.category, bucket.difficulty, usedIds(),
+                `${this.seed}:${bucket.category}:${bucket.difficulty}`, definition.questionTypes
+            );
+            questions.push(...batch.filter(q => !usedIds().includes(q.id)));
+        }
+
+        const shortfall = definition.questionCount - questions.length;
+        if (shortfall > 0) {
+            const categories = definition.categories.length === 1 ? definition.categories[0].category : 'all';
+            const batch = await this.loadQuestions(
+                shortfall, categories, 'all', usedIds(), `${this.seed}:top-up`, definition.questionTypes
+            );
+            const allowed = definition.categories.map(entry => entry.category);
+            questions.push(...batch
+                .filter(q => !usedIds().includes(q.id))
+                .filter(q => allowed.length === 0 || allowed.includes(q.category))
+                .slice(0, shortfall));
+        }
+
+        return Utils.shuffleArray(questions, Utils.createRandom(this.seed));
+    }
+
     /**
      * Load questions from database or generate placeholder questions
      * @param {number} count - Number of questions
      * @param {string} category - Question category
      * @param {string} difficulty - Question difficulty
+     * @param {Array<string>} excludeIds - IDs of questions already used in this quiz
+     * @param {string} seed - Seed for the pick, the current quiz's by default
+     * @param {Array<string>|null} questionTypes - Question types to allow, or null for any
      * @returns {Promise<Array>} Array of question objects
      */
-    async loadQuestions(count, category, difficulty) {
+    async loadQuestions(count, category, difficulty, excludeIds = [], seed = this.seed, questionTypes = null) {
+        const random = seed ? Utils.createRandom(seed) : Math.random;
+
         try {
             // Try to load from Supabase first
             if (authManager.supabase && authManager.isInitialized) {
-                return await this.loadQuestionsFromDatabase(count, category, difficulty);
+                return await this.loadQuestionsFromDatabase(count, category, difficulty, excludeIds, seed, questionTypes);
             } else {
                 // Fallback to placeholder questions
-                return this.generatePlaceholderQuestions(count, category, difficulty);
+                return this.generatePlaceholderQuestions(count, category, difficulty, excludeIds, random, questionTypes);
             }
         } catch (error) {
             console.warn('Failed to load questions from database, using placeholder questions:', error);
-            return this.generatePlaceholderQuestions(count, category, difficulty);
+            return this.generatePlaceholderQuestions(count, category, difficulty, excludeIds, random, questionTypes);
         }
     }
 
     /**
      * Load questions from Supabase database
+     * Questions come from the get_quiz_questions RPC, which leaves out the
+     * correct answer and explanation; answers are graded by submit_quiz_answer,
+     * which only takes answers to questions served to the current session.
      * @param {number} count - Number of questions
      * @param {string} category - Question category
      * @param {string} difficulty - Question difficulty
+     * @param {Array<string>} excludeIds - IDs of questions already used in this quiz
+     * @param {string} seed - Seed for the server-side pick; random when left out
+     * @param {Array<string>|null} questionTypes - Question types to allow, or null for any
      * @returns {Promise<Array>} Array of question objects
      */
-    async loadQuestionsFromDatabase(count, category, difficulty) {
+    async loadQuestionsFromDatabase(count, category, difficulty, excludeIds = [], seed = null, questionTypes = null) {
         try {
-            // Check cache first
-            const cacheKey = `questions_${category}_${difficulty}_${count}`;
-            if (window.performanceManager) {
+            // Check cache first (follow-up batches must skip it to get fresh questions)
+            const cacheKey = `questions_${category}_${difficulty}_${count}_${seed}_${(questionTypes || []).join(',')}`;
+            // Matched picks follow the player's rating, which moves with every answer,
+            // and a session's questions must be served to it
+            const matched = difficulty === 'matched';
+            const sessionId = this.currentQuiz ? this.currentQuiz.sessionId : null;
+            const useCache = excludeIds.length === 0 && !matched && !sessionId;
+            if (useCache && window.performanceManager) {
                 const cached = window.performanceManager.getCache(cacheKey);
                 if (cached) {
                     console.log('📦 Using cached questions');
@@ -115,24 +341,21 @@ class QuizManager {
                 }
             }
 
-            let query = authManager.supabase
-                .from('questions')
-                .select('*')
-                .eq('is_active', true);
-
-            // Apply filters
-            if (category && category !== 'all') {
-                query = query.eq('category', category);
-            }
-            
-            if (difficulty && difficulty !== 'all') {
-                query = query.eq('difficulty', difficulty);
-            }
-
-            // Get random questions by ordering randomly and limiting
-            const { data, error } = await query
-                .order('created_at', { ascending: false })
-                .limit(count * 3); // Get more than needed for better randomization
+            // The RPC picks the selection server-side, ordered by the seed
+            const { data, error } = await authManager.supabase
+                .rpc('get_quiz_questions', {
+                    p_category: category || 'all',
+                    p_difficulty: matched ? 'all' : (difficulty || 'all'),
+                    p_count: count,
+                    p_exclude_ids: excludeIds.length > 0 ? excludeIds : null,
+                    p_seed: seed,
+                    p_question_types: questionTypes && questionTypes.length > 0 ? questionTypes : null,
+                    p_target_probability: matched ? APP_CONFIG.ratings.targetWinProbability : null,
+                    // Signed-in players are matched on their stored rating; guests report theirs
+                    p_player_rating: matched && window.ratingManager && !window.ratingManager.useDatabase() ?
+                        window.ratingManager.getLocalRating(category).rating : null,
+                    p_session_id: sessionId
+                });
 
             if (error) {
                 throw error;
@@ -142,25 +365,27 @@ class QuizManager {
                 throw new Error('No questions found matching criteria');
             }
 
-            // Randomize and limit to requested count
-            const shuffled = Utils.shuffleArray(data);
-            const selectedQuestions = shuffled.slice(0, Math.min(count, shuffled.length));
-
             // Transform database format to internal format
-            const transformedQuestions = selectedQuestions.map(q => ({
+            const transformedQuestions = data.map(q => ({
                 id: q.id,
                 question: q.question_text,
                 type: q.question_type,
-                options: q.options || [],
-                correctAnswer: q.correct_answer,
-                explanation: q.explanation,
+                options: q.question_type === 'true_false' ?
+                    APP_CONFIG.quiz.trueFalseOptions : (q.options || []),
+                correctAnswer: null, // Revealed by the server once answered
+                acceptedAnswers: [],
+                explanation: null,
                 category: q.category,
                 difficulty: q.difficulty,
-                points: q.points_value || this.getPointsForDifficulty(q.difficulty)
+                points: q.points_value || this.getPointsForDifficulty(q.difficulty),
+                media: q.media || null,
+                rating: q.rating,
+                ratingDeviation: q.rating_deviation,
+                serverGraded: true
             }));
 
             // Cache the results
-            if (window.performanceManager) {
+            if (useCache && window.performanceManager) {
                 window.performanceManager.setCache(cacheKey, transformedQuestions, 600000); // 10 minutes
             }
 
@@ -196,9 +421,12 @@ class QuizManager {
      * @param {number} count - Number of questions
      * @param {string} category - Question category
      * @param {string} difficulty - Question difficulty
+     * @param {Array<string>} excludeIds - IDs of questions already used in this quiz
+     * @param {Function} random - Random number generator for the shuffle, e.g. from Utils.createRandom
+     * @param {Array<string>|null} questionTypes - Question types to allow, or null for any
      * @returns {Array} Array of question objects
      */
-    generatePlaceholderQuestions(count, category, difficulty) {
+    generatePlaceholderQuestions(count, category, difficulty, excludeIds = [], random = Math.random, questionTypes = null) {
         const placeholderQuestions = [
             {
                 id: '1',
@@ -309,19 +537,53 @@ class QuizManager {
                 category: 'Technology',
                 difficulty: 'easy',
                 points: 10
+            },
+            {
+                id: '11',
+                question: 'The chemical symbol Fe stands for which element?',
+                type: 'fill_blank',
+                options: [],
+                correctAnswer: 'Iron',
+                acceptedAnswers: ['Ferrum'],
+                explanation: 'Fe comes from *ferrum*, the Latin word for iron.',
+                category: 'Science',
+                difficulty: 'medium',
+                points: 20
+            },
+            {
+                id: '12',
+                question: 'What does this code print?',
+                type: 'multiple_choice',
+                options: ['2', '3', '4', 'undefined'],
+                correctAnswer: '3',
+                explanation: 'The array holds three items, so its length is 3.',
+                category: 'Technology',
+                difficulty: 'medium',
+                points: 20,
+                media: {
+                    code: {
+                        language: 'javascript',
+                        source: "const colors = ['red', 'green', 'blue'];\nconsole.log(colors.length);"
+                    }
+                }
             }
         ];
 
+        // Leave out questions already used in this quiz, and types the quiz doesn't allow
+        const availableQuestions = placeholderQuestions.filter(q =>
+            !excludeIds.includes(q.id) && (!questionTypes || questionTypes.includes(q.type))
+        );
+
         // Filter by category if specified
-        let filteredQuestions = placeholderQuestions;
+        let filteredQuestions = availableQuestions;
         if (category && category !== 'all') {
-            filteredQuestions = placeholderQuestions.filter(q => 
+            filteredQuestions = availableQuestions.filter(q => 
                 q.category.toLowerCase() === category.toLowerCase()
             );
         }
 
         // Filter by difficulty if specified
-        if (difficulty && difficulty !== 'all') {
+        if (difficulty && difficulty !== 'all' && difficulty !== 'matched') {
             filteredQuestions = filteredQuestions.filter(q => 
                 q.difficulty.toLowerCase() === difficulty.toLowerCase()
             );
@@ -329,11 +591,18 @@ class QuizManager {
 
         // If no questions match filters, return all questions
         if (filteredQuestions.length === 0) {
-            filteredQuestions = placeholderQuestions;
+            filteredQuestions = availableQuestions;
+        }
+
+        // Matched quizzes pick around the player's local rating
+        if (difficulty === 'matched' && window.ratingManager) {
+            return window.ratingManager.pickMatchedQuestions(
+                filteredQuestions, window.ratingManager.getLocalRating(category).rating, count, random
+            );
         }
 
         // Shuffle and return requested number of questions
-        const shuffled = Utils.shuffleArray(filteredQuestions);
+        const shuffled = Utils.shuffleArray(filteredQuestions, random);
         return shuffled.slice(0, Math.min(count, shuffled.length));
     }
 
@@ -347,7 +616,13 @@ class QuizManager {
         this.userAnswers = [];
         this.score = 0;
         this.timeRemaining = 0;
+        this.questionTimeRemaining = 0;
         this.isQuizActive = false;
+        this.isAwaitingAnswer = false;
+        this.isUsingLifeline = false;
+        this.adaptivePool = { easy: [], medium: [], hard: [] };
+        this.seed = null;
+        this.pendingAnswer = null;
         
         if (this.timer) {
             clearInterval(this.timer);
@@ -360,6 +635,21 @@ class QuizManager {
      */
     startTimer() {
         this.timer = setInterval(() => {
+            // Practice counts up and never runs out
+            if (this.isPracticeMode()) {
+                this.timeRemaining--;
+                this.updateTimerDisplay();
+                return;
+            }
+
+            if (this.isPerQuestionTiming()) {
+                this.tickQuestionTimer();
+                return;
+            }
+
+            // The survival clock only runs while a question is waiting for an answer
+            if (this.isEndlessMode() && !this.isAwaitingAnswer) return;
+
             this.timeRemaining--;
             
             // Update timer display
@@ -372,23 +662,120 @@ class QuizManager {
         }, 1000);
     }
 
+    /**
+     * Advance the per-question countdown by one second
+     * The clock only runs while a question is waiting for an answer, so the
+     * feedback delay between questions is not charged to the player.
+     */
+    tickQuestionTimer() {
+        if (!this.isAwaitingAnswer) return;
+
+        this.timeRemaining--;
+        this.questionTimeRemaining--;
+
+        this.updateTimerDisplay();
+
+        if (this.questionTimeRemaining <= 0) {
+            this.handleQuestionTimeout();
+        }
+    }
+
+    /**
+     * Check whether the current quiz is a spaced-repetition review
+     * @returns {boolean} Is review mode
+     */
+    isReviewMode() {
+        return !!this.currentQuiz && this.currentQuiz.mode === 'review';
+    }
+
+    /**
+     * Check whether the current quiz is an untimed practice run
+     * @returns {boolean} Is practice mode
+     */
+    isPracticeMode() {
+        return !!this.currentQuiz && this.currentQuiz.mode === 'practice';
+    }
+
+    /**
+     * Check whether the current quiz is an endless survival or sudden death run
+     * @returns {boolean} Is an endless run
+     */
+    isEndlessMode() {
+        return !!this.currentQuiz && APP_CONFIG.quiz.endless.modes.includes(this.currentQuiz.mode);
+    }
+
+    /**
+     * Get the lives left in an endless run
+     * Every miss, including a timeout, costs a life.
+     * @returns {number} Lives left
+     */
+    getLivesLeft() {
+        if (!this.isEndlessMode()) return 0;
+        const misses = this.userAnswers.filter(answer => !answer.isCorrect).length;
+        return Math.max(0, this.currentQuiz.lives - misses);
+    }
+
+    /**
+     * Check whether the current quiz uses a countdown per question
+     * @returns {boolean} Is per-question timing
+     */
+    isPerQuestionTiming() {
+        return !!this.currentQuiz && this.currentQuiz.timingMode === 'per_question';
+    }
+
+    /**
+     * Record the current question as timed out and move on
+     */
+    async handleQuestionTimeout() {
+        console.log(`⏰ Question ${this.currentQuestionIndex + 1} timed out`);
+        await this.submitAnswer(null, { timedOut: true });
+    }
+
     /**
      * Update timer display
      */
     updateTimerDisplay() {
         const timerElement = document.querySelector('.quiz-timer');
-        if (timerElement) {
-            const minutes = Math.floor(this.timeRemaining / 60);
-            const seconds = this.timeRemaining % 60;
+        if (timerElement && this.isPracticeMode()) {
+            // Time spent so far, without warnings
+            const elapsed = Math.max(0, this.currentQuiz.timeLimit - this.timeRemaining);
+            timerElement.textContent = `${Math.floor(elapsed / 60)}:${(elapsed % 60).toString().padStart(2, '0')}`;
+            timerElement.classList.remove('warning', 'danger');
+        } else if (timerElement) {
+            const perQuestion = this.isPerQuestionTiming();
+            const remaining = perQuestion ? this.questionTimeRemaining : this.timeRemaining;
+            const minutes = Math.floor(remaining / 60);
+            const seconds = remaining % 60;
             timerElement.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
             
-            // Add warning classes
-            if (this.timeRemaining <= 60) {
+            // Add warning classes (the survival clock is short, so it warns late too)
+            const shortClock = perQuestion || this.isEndlessMode();
+            const dangerThreshold = shortClock ? 5 : 60;
+            const warningThreshold = shortClock ? 10 : 120;
+            timerElement.classList.remove('warning', 'danger');
+            if (remaining <= dangerThreshold) {
                 timerElement.classList.add('danger');
-            } else if (this.timeRemaining <= 120) {
+            } else if (remaining <= warningThreshold) {
                 timerElement.classList.add('warning');
             }
+
+            this.announceTimeLeft(remaining, perQuestion);
+        }
+    }
+
+    /**
+     * Read out the time left to screen readers at a few fixed points
+     * @param {number} remaining - Seconds left on the visible clock
+     * @param {boolean} perQuestion - Whether the clock is the per-question countdown
+     */
+    announceTimeLeft(remaining, perQuestion) {
+        if (!this.isAwaitingAnswer || !window.uiManager ||
+            !APP_CONFIG.quiz.accessibility.timerAnnouncements.includes(remaining)) {
+            return;
         }
+
+        const time = remaining >= 60 ? `${remaining / 60} minute${remaining === 60 ? '' : 's'}` : `${remaining} seconds`;
+        window.uiManager.announce(`${time} left${perQuestion ? ' for this question' : ''}`);
     }
 
     /**
@@ -402,19 +789,51 @@ class QuizManager {
         const question = this.questions[this.currentQuestionIndex];
         console.log(`📝 Showing question ${this.currentQuestionIndex + 1}:`, question.question);
         
-        // This would update the UI with the current question
-        // For now, we'll just log it
+        // Restart the countdown for this question
+        if (this.isPerQuestionTiming()) {
+            this.questionTimeRemaining = this.currentQuiz.questionTimeLimit;
+        }
+        this.isAwaitingAnswer = true;
+        this.updateTimerDisplay();
+        this.clearPracticeFeedback();
+        
         this.renderQuestion(question);
+        this.applyEliminatedOptions();
+        this.updateLifelineDisplay();
+        this.updateLivesDisplay();
+        this.focusCurrentQuestion();
+    }
+
+    /**
+     * Move focus to the question text so screen readers read the new question
+     */
+    focusCurrentQuestion() {
+        const questionText = this.getQuestionCard().querySelector('.question-text');
+        if (questionText) {
+            questionText.setAttribute('tabindex', '-1');
+            questionText.focus({ preventScroll: true });
+        }
     }
 
     /**
      * Render question in UI
      * @param {Object} question - Question object
+     * @param {Object} options - Render options
+     * @param {HTMLElement} options.container - Question card to render into (defaults to the quiz page)
+     * @param {boolean} options.preview - Render a non-interactive preview, e.g. in the question editor
+     * @param {Function} options.onAnswer - Called with the chosen answer instead of submitting it to
+     *     the running quiz, e.g. in a live room
+     * @param {string} options.label - Text for the question number
      */
-    renderQuestion(question) {
+    renderQuestion(question, options = {}) {
+        if (options.preview || options.onAnswer) {
+            this.updateQuestionDisplay(question, options);
+            return;
+        }
+
         console.log('🎨 Rendering question:', {
             number: this.currentQuestionIndex + 1,
-            total: this.questions.length,
+            total: this.getTotalQuestions(),
             question: question.question,
             options: question.options
         });
@@ -431,19 +850,39 @@ class QuizManager {
         }
     }
 
+    /**
+     * Get the question card to render into
+     * @param {Object} options - Render options
+     * @returns {HTMLElement|Document} Question card
+     */
+    getQuestionCard(options = {}) {
+        return options.container || document.querySelector('#quiz-interface .question-card') || document;
+    }
+
     /**
      * Update quiz progress indicators
      */
     updateQuizProgress() {
         const progressText = document.querySelector('.quiz-progress-text');
         const progressBar = document.querySelector('.progress-fill');
+
+        // Endless runs have no last question, so the bar shows the lives left instead
+        if (this.isEndlessMode()) {
+            if (progressText) {
+                progressText.textContent = `${APP_CONFIG.quiz.endless.labels[this.currentQuiz.mode]} · Question ${this.currentQuestionIndex + 1}`;
+            }
+            if (progressBar) {
+                progressBar.style.width = `${(this.getLivesLeft() / this.currentQuiz.lives) * 100}%`;
+            }
+            return;
+        }
         
         if (progressText) {
-            progressText.textContent = `Question ${this.currentQuestionIndex + 1} of ${this.questions.length}`;
+            progressText.textContent = `Question ${this.currentQuestionIndex + 1} of ${this.getTotalQuestions()}`;
         }
         
         if (progressBar) {
-            const progress = ((this.currentQuestionIndex + 1) / this.questions.length) * 100;
+            const progress = ((this.currentQuestionIndex + 1) / this.getTotalQuestions()) * 100;
             progressBar.style.width = `${progress}%`;
         }
     }
@@ -451,51 +890,232 @@ class QuizManager {
     /**
      * Update question display in the UI
      * @param {Object} question - Question object
+     * @param {Object} options - Render options (see renderQuestion)
      */
-    updateQuestionDisplay(question) {
+    updateQuestionDisplay(question, options = {}) {
+        const card = this.getQuestionCard(options);
+
         // Update question number
-        const questionNumber = document.querySelector('.question-number');
-        if (questionNumber) {
+        const questionNumber = card.querySelector('.question-number');
+        if (questionNumber && (options.preview || options.label)) {
+            questionNumber.textContent = options.label || 'Preview';
+        } else if (questionNumber) {
             questionNumber.textContent = `Question ${this.currentQuestionIndex + 1}`;
+            if (this.currentQuiz && this.currentQuiz.adaptive) {
+                const difficulty = question.difficulty || '';
+                questionNumber.textContent += ` · ${difficulty.charAt(0).toUpperCase()}${difficulty.slice(1)}`;
+            }
         }
 
         // Update question text
-        const questionText = document.querySelector('.question-text');
+        const questionText = card.querySelector('.question-text');
         if (questionText) {
-            questionText.textContent = question.question;
+            markupManager.renderInto(questionText, question.question);
         }
 
         // Update options
-        this.renderQuestionOptions(question);
+        this.renderQuestionOptions(question, options);
+
+        this.updateQuestionMedia(question, card);
+    }
+
+    /**
+     * Show a question's image, audio and code between its text and options
+     * @param {Object} question - Question object
+     * @param {HTMLElement} card - Question card
+     */
+    updateQuestionMedia(question, card) {
+        const optionsContainer = card.querySelector('.question-options');
+        let mediaContainer = card.querySelector('.question-media');
+
+        if (!mediaContainer && optionsContainer) {
+            mediaContainer = document.createElement('div');
+            mediaContainer.className = 'question-media';
+            optionsContainer.parentNode.insertBefore(mediaContainer, optionsContainer);
+        }
+
+        if (!mediaContainer) return;
+
+        const html = window.mediaManager ? window.mediaManager.renderQuestionMedia(question.media) : '';
+        mediaContainer.innerHTML = html;
+        mediaContainer.classList.toggle('hidden', html === '');
+
+        if (html && window.performanceManager) {
+            window.performanceManager.setupLazyLoading(mediaContainer);
+        }
     }
 
     /**
      * Render question options
      * @param {Object} question - Question object
+     * @param {Object} options - Render options (see renderQuestion)
      */
-    renderQuestionOptions(question) {
-        const optionsContainer = document.querySelector('.question-options');
+    renderQuestionOptions(question, options = {}) {
+        const optionsContainer = this.getQuestionCard(options).querySelector('.question-options');
         if (!optionsContainer) return;
 
         // Clear existing options
         optionsContainer.innerHTML = '';
+        optionsContainer.classList.remove('true-false', 'fill-blank');
+
+        if (question.type === 'fill_blank') {
+            this.renderFillBlankInput(question, optionsContainer, options);
+            return;
+        }
+
+        let answerOptions = question.options || [];
+        if (question.type === 'true_false') {
+            optionsContainer.classList.add('true-false');
+            answerOptions = APP_CONFIG.quiz.trueFalseOptions;
+        }
 
         // Create option buttons
-        question.options.forEach((option, index) => {
+        answerOptions.forEach((option, index) => {
             const optionButton = document.createElement('button');
             optionButton.className = 'option-button';
             optionButton.setAttribute('data-answer', option);
+            const shortcut = question.type === 'true_false' ? option.charAt(0) : String(index + 1);
             optionButton.innerHTML = `
-                <span class="option-text">${Utils.escapeHTML(option)}</span>
+                ${window.mediaManager ? window.mediaManager.renderOptionImage(question.media, option) : ''}
+                <span class="option-text">${markupManager.render(option)}</span>
+                ${options.preview ? '' : `<kbd class="option-shortcut" aria-hidden="true">${shortcut}</kbd>`}
             `;
+            if (!options.preview) {
+                optionButton.setAttribute('aria-keyshortcuts', shortcut);
+            }
+            if (optionButton.querySelector('.option-image')) {
+                optionButton.classList.add('has-image');
+            }
+
+            // Previews show the correct answer instead of taking one
+            if (options.preview) {
+                optionButton.type = 'button';
+                optionButton.disabled = true;
+                if (option === question.correctAnswer) {
+                    optionButton.classList.add('correct');
+                }
+                optionsContainer.appendChild(optionButton);
+                return;
+            }
 
             // Add click handler
             optionButton.addEventListener('click', () => {
-                this.selectAnswer(option, optionButton);
+                if (options.onAnswer) {
+                    options.onAnswer(option, optionButton);
+                } else {
+                    this.selectAnswer(option, optionButton);
+                }
             });
 
             optionsContainer.appendChild(optionButton);
         });
+
+        // Confidence-weighted quizzes submit the chosen option with its rating;
+        // confirm before submit adds an explicit confirm button to quiz questions
+        if (!options.preview && !options.onAnswer && this.isConfidenceMode()) {
+            this.pendingAnswer = null;
+            optionsContainer.appendChild(this.createConfidencePicker(confidence => this.confirmAnswer(confidence), true));
+        } else if (!options.preview && !options.onAnswer && this.isConfirmBeforeSubmit()) {
+            this.pendingAnswer = null;
+            const confirmButton = document.createElement('button');
+            confirmButton.type = 'button';
+            confirmButton.className = 'btn btn-primary confirm-answer-btn';
+            confirmButton.textContent = 'Confirm Answer';
+            confirmButton.disabled = true;
+            confirmButton.setAttribute('aria-keyshortcuts', 'Enter');
+            confirmButton.addEventListener('click', () => this.confirmAnswer());
+            optionsContainer.appendChild(confirmButton);
+        }
+
+        if (question.media && question.media.optionImages && window.performanceManager) {
+            window.performanceManager.setupLazyLoading(optionsContainer);
+        }
+    }
+
+    /**
+     * Render a text input for a fill-in-the-blank question
+     * @param {Object} question - Question object
+     * @param {HTMLElement} optionsContainer - Container for the answer controls
+     * @param {Object} options - Render options (see renderQuestion)
+     */
+    renderFillBlankInput(question, optionsContainer, options = {}) {
+        optionsContainer.classList.add('fill-blank');
+        optionsContainer.innerHTML = `
+            <input type="text" class="fill-blank-input" placeholder="Type your answer..."
+                autocomplete="off" autocapitalize="off" spellcheck="false" aria-label="Your answer">
+            <button class="btn btn-primary fill-blank-submit">Submit Answer</button>
+        `;
+
+        const input = optionsContainer.querySelector('.fill-blank-input');
+        const submitButton = optionsContainer.querySelector('.fill-blank-submit');
+
+        if (options.preview) {
+            input.disabled = true;
+            input.value = question.correctAnswer || '';
+            input.classList.add('correct');
+            submitButton.type = 'button';
+            submitButton.disabled = true;
+            return;
+        }
+
+        const submit = (confidence = null) => {
+            const answer = input.value.trim();
+            if (!answer || (!options.onAnswer && !this.isAwaitingAnswer)) return;
+
+            input.disabled = true;
+            submitButton.disabled = true;
+            if (options.onAnswer) {
+                options.onAnswer(answer);
+            } else {
+                this.disableConfidencePicker();
+                this.submitAnswer(answer, { confidence });
+            }
+        };
+
+        // On a confidence-weighted quiz the rating buttons submit the answer
+        const picker = !options.onAnswer && this.isConfidenceMode() ? this.createConfidencePicker(submit) : null;
+        if (picker) {
+            submitButton.replaceWith(picker);
+        }
+
+        submitButton.addEventListener('click', () => submit());
+        input.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+
+            e.preventDefault();
+            if (!picker) {
+                submit();
+            } else if (input.value.trim()) {
+                picker.querySelector('.confidence-option').focus();
+                if (window.uiManager) {
+                    window.uiManager.announce('How sure are you? Choose low, medium or high confidence.');
+                }
+            }
+        });
+
+        input.focus();
+    }
+
+    /**
+     * Check an answer against a question
+     * Choice questions must match exactly; fill-in answers are compared after
+     * normalizing case, whitespace and accents, and may match an accepted alternate.
+     * @param {Object} question - Question object
+     * @param {string} answer - Submitted answer
+     * @returns {boolean} Whether the answer is correct
+     */
+    isAnswerCorrect(question, answer) {
+        if (answer === null || answer === undefined) return false;
+
+        if (question.type !== 'fill_blank') {
+            return answer === question.correctAnswer;
+        }
+
+        const normalized = Utils.normalizeAnswer(answer);
+        if (!normalized) return false;
+
+        return [question.correctAnswer, ...(question.acceptedAnswers || [])]
+            .some(accepted => Utils.normalizeAnswer(accepted) === normalized);
     }
 
     /**
@@ -507,10 +1127,11 @@ class QuizManager {
         if (!this.isQuizActive) return;
 
         // Remove previous selections
-        const allOptions = document.querySelectorAll('.option-button');
+        const allOptions = this.getQuestionCard().querySelectorAll('.option-button');
         allOptions.forEach(btn => {
             btn.classList.remove('selected');
-            btn.disabled = false;
+            btn.removeAttribute('aria-pressed');
+            btn.disabled = btn.classList.contains('eliminated');
         });
 
         // Mark selected option with animation
@@ -525,59 +1146,232 @@ class QuizManager {
         // Add visual feedback
         this.addSelectionFeedback(buttonElement);
 
-        // Enable submit button or auto-submit after delay
+        // On a confidence-weighted quiz, picking an option only selects it until it's rated
+        if (this.isConfidenceMode()) {
+            this.pendingAnswer = { answer, buttonElement };
+            buttonElement.setAttribute('aria-pressed', 'true');
+            this.getQuestionCard().querySelectorAll('.confidence-option').forEach(button => {
+                button.disabled = false;
+            });
+            if (window.uiManager) {
+                const keys = Object.values(APP_CONFIG.quiz.confidence.shortcuts).join(', ');
+                window.uiManager.announce(`${buttonElement.textContent.trim()} selected. How sure are you? Press ${keys}.`);
+            }
+            return;
+        }
+
+        // With confirm before submit on, picking an option only selects it;
+        // picking it again or pressing Enter submits it
+        if (this.isConfirmBeforeSubmit()) {
+            if (this.pendingAnswer && this.pendingAnswer.answer === answer) {
+                this.confirmAnswer();
+                return;
+            }
+
+            this.pendingAnswer = { answer, buttonElement };
+            buttonElement.setAttribute('aria-pressed', 'true');
+            const confirmButton = this.getQuestionCard().querySelector('.confirm-answer-btn');
+            if (confirmButton) confirmButton.disabled = false;
+            if (window.uiManager) {
+                window.uiManager.announce(`${buttonElement.textContent.trim()} selected. Press Enter to confirm.`);
+            }
+            return;
+        }
+
+        // Auto-submit after a short delay
         setTimeout(() => {
             this.submitAnswer(answer);
-        }, 800);
+        }, APP_CONFIG.quiz.accessibility.autoSubmitDelay);
     }
 
     /**
-     * Add visual feedback for answer selection
-     * @param {HTMLElement} buttonElement - Selected button element
+     * Check whether the player wants to confirm answers before they're submitted
+     * @returns {boolean} Confirm before submit
      */
-    addSelectionFeedback(buttonElement) {
-        // Add ripple effect
-        const ripple = document.createElement('span');
-        ripple.className = 'selection-ripple';
-        buttonElement.appendChild(ripple);
+    isConfirmBeforeSubmit() {
+        return !!(window.profileManager && window.profileManager.userSettings.confirmBeforeSubmit);
+    }
 
-        // Remove ripple after animation
-        setTimeout(() => {
-            if (ripple.parentNode) {
-                ripple.parentNode.removeChild(ripple);
-            }
-        }, 600);
+    /**
+     * Check whether the running quiz rates each answer's confidence
+     * @returns {boolean} Confidence-weighted
+     */
+    isConfidenceMode() {
+        return !!(this.currentQuiz && this.currentQuiz.confidence);
+    }
 
-        // Add glow effect
-        buttonElement.classList.add('animate-glow');
-        setTimeout(() => {
-            buttonElement.classList.remove('animate-glow');
-        }, 1000);
+    /**
+     * Submit the selected option when confirming before submit or rating confidence
+     * @param {string} [confidence] - Rating from the confidence picker; required on a confidence-weighted quiz
+     * @returns {boolean} Whether an answer was submitted
+     */
+    confirmAnswer(confidence = null) {
+        if (!this.pendingAnswer || !this.isAwaitingAnswer) return false;
+        if (this.isConfidenceMode() && !confidence) return false;
+
+        const { answer } = this.pendingAnswer;
+        this.pendingAnswer = null;
+
+        const confirmButton = this.getQuestionCard().querySelector('.confirm-answer-btn');
+        if (confirmButton) confirmButton.disabled = true;
+        this.disableConfidencePicker();
+
+        this.submitAnswer(answer, { confidence });
+        return true;
     }
 
     /**
-     * Create quiz session in database
-     * @returns {Promise<string>} Session ID
+     * Create the low / medium / high confidence buttons that submit an answer
+     * @param {Function} onPick - Called with the chosen level
+     * @param {boolean} disabled - Start disabled until an option is chosen
+     * @returns {HTMLElement} Picker
      */
-    async createQuizSession() {
-        try {
-            if (!authManager.supabase || !authManager.isInitialized) {
-                return Utils.generateUUID(); // Return mock ID for development
-            }
+    createConfidencePicker(onPick, disabled = false) {
+        const config = APP_CONFIG.quiz.confidence;
+        const picker = document.createElement('div');
+        picker.className = 'confidence-picker';
+        picker.setAttribute('role', 'group');
+        picker.setAttribute('aria-label', 'How sure are you?');
+        picker.innerHTML = `
+            <span class="confidence-picker-label" aria-hidden="true">How sure are you?</span>
+            ${config.levels.map(level => `
+                <button type="button" class="btn btn-outline confidence-option" data-confidence="${level}"
+                    aria-keyshortcuts="${config.shortcuts[level]}" ${disabled ? 'disabled' : ''}>
+                    ${Utils.escapeHTML(config.labels[level])}
+                    <kbd class="confidence-shortcut" aria-hidden="true">${config.shortcuts[level]}</kbd>
+                </button>
+            `).join('')}
+        `;
 
-            const user = authManager.getCurrentUser();
-            if (!user) {
-                throw new Error('User not authenticated');
+        picker.addEventListener('click', (e) => {
+            const button = e.target.closest('.confidence-option');
+            if (button && !button.disabled) {
+                onPick(button.getAttribute('data-confidence'));
             }
+        });
 
-            const { data, error } = await authManager.supabase
-                .from('quiz_sessions')
-                .insert({
-                    user_id: user.id,
-                    category: this.currentQuiz.category,
-                    difficulty: this.currentQuiz.difficulty,
-                    total_questions: this.currentQuiz.questionCount,
-                    time_limit: this.currentQuiz.timeLimit,
+        return picker;
+    }
+
+    /**
+     * Disable the confidence buttons once an answer is submitted
+     */
+    disableConfidencePicker() {
+        this.getQuestionCard().querySelectorAll('.confidence-option').forEach(button => {
+            button.disabled = true;
+        });
+    }
+
+    /**
+     * Handle a quiz keyboard shortcut
+     * 1-9 pick an option, T/F answer true/false questions and Enter confirms
+     * a selected option; on a confidence-weighted quiz L/M/H rate and submit it.
+     * Typing in the fill-in-the-blank box is left alone.
+     * @param {KeyboardEvent} event - Key event
+     * @returns {boolean} Whether the key was handled
+     */
+    handleShortcut(event) {
+        if (!this.isQuizActive || !this.isAwaitingAnswer || this.isUsingLifeline) return false;
+        if (event.ctrlKey || event.metaKey || event.altKey) return false;
+        if (event.target && event.target.closest && event.target.closest('input, textarea, select')) return false;
+
+        const question = this.questions[this.currentQuestionIndex];
+        if (!question) return false;
+
+        const key = event.key.toLowerCase();
+
+        if (this.isConfidenceMode()) {
+            const shortcuts = APP_CONFIG.quiz.confidence.shortcuts;
+            const level = Object.keys(shortcuts).find(name => shortcuts[name].toLowerCase() === key);
+            if (level) {
+                const button = this.getQuestionCard().querySelector(`.confidence-option[data-confidence="${level}"]`);
+                if (!button || button.disabled) return false;
+
+                button.click();
+                return true;
+            }
+        }
+
+        if (question.type === 'fill_blank') return false;
+
+        if (key === 'enter') {
+            // Enter on a focused option clicks it natively
+            if (event.target && event.target.closest && event.target.closest('button')) return false;
+            return this.confirmAnswer();
+        }
+
+        const buttons = [...this.getQuestionCard().querySelectorAll('.option-button')];
+        let button = null;
+
+        if (/^[1-9]$/.test(key)) {
+            button = buttons[parseInt(key, 10) - 1];
+        } else if (question.type === 'true_false' && (key === 't' || key === 'f')) {
+            const answer = key === 't' ? 'True' : 'False';
+            button = buttons.find(option => option.getAttribute('data-answer') === answer);
+        }
+
+        if (!button || button.disabled) return false;
+
+        button.focus();
+        button.click();
+        return true;
+    }
+
+    /**
+     * Add visual feedback for answer selection
+     * @param {HTMLElement} buttonElement - Selected button element
+     */
+    addSelectionFeedback(buttonElement) {
+        // Add ripple effect
+        const ripple = document.createElement('span');
+        ripple.className = 'selection-ripple';
+        buttonElement.appendChild(ripple);
+
+        // Remove ripple after animation
+        setTimeout(() => {
+            if (ripple.parentNode) {
+                ripple.parentNode.removeChild(ripple);
+            }
+        }, 600);
+
+        // Add glow effect
+        buttonElement.classList.add('animate-glow');
+        setTimeout(() => {
+            buttonElement.classList.remove('animate-glow');
+        }, 1000);
+    }
+
+    /**
+     * Create quiz session in database
+     * @returns {Promise<string|null>} Session ID, or null when playing as a guest
+     */
+    async createQuizSession() {
+        try {
+            if (!authManager.supabase || !authManager.isInitialized) {
+                return Utils.generateUUID(); // Return mock ID for development
+            }
+
+            // Guests play without a session; submit_quiz_answer grades their answers unrecorded
+            const user = authManager.getCurrentUser();
+            if (!user) {
+                return null;
+            }
+
+            const { data, error } = await authManager.supabase
+                .from('quiz_sessions')
+                .insert({
+                    user_id: user.id,
+                    category: this.currentQuiz.category,
+                    difficulty: this.currentQuiz.difficulty,
+                    total_questions: this.currentQuiz.questionCount,
+                    time_limit: this.currentQuiz.timeLimit,
+                    timing_mode: this.currentQuiz.timingMode,
+                    game_mode: this.isEndlessMode() ? this.currentQuiz.mode : 'standard',
+                    lifeline_allowance: this.currentQuiz.lifelineAllowance,
+                    seed: this.currentQuiz.seed,
+                    scoring_version: this.currentQuiz.scoringVersion,
+                    confidence_mode: !!this.currentQuiz.confidence,
+                    definition_id: this.currentQuiz.definition ? this.currentQuiz.definition.id : null,
                     status: 'active'
                 })
                 .select()
@@ -590,8 +1384,9 @@ class QuizManager {
             return data.id;
 
         } catch (error) {
+            // The server only knows real sessions, so carry on as a guest
             console.error('Failed to create quiz session:', error);
-            return Utils.generateUUID(); // Fallback to mock ID
+            return null;
         }
     }
 
@@ -610,10 +1405,13 @@ class QuizManager {
                 .insert({
                     quiz_session_id: this.currentQuiz.sessionId,
                     question_id: answerRecord.questionId,
-                    user_answer: answerRecord.selectedAnswer,
+                    user_answer: answerRecord.selectedAnswer || '',
                     is_correct: answerRecord.isCorrect,
+                    timed_out: answerRecord.timedOut,
                     points_earned: answerRecord.points,
-                    time_taken: answerRecord.timeSpent
+                    time_taken: answerRecord.timeSpent,
+                    lifelines_used: answerRecord.lifelines,
+                    confidence: answerRecord.confidence
                 });
 
             if (error) {
@@ -625,6 +1423,88 @@ class QuizManager {
         }
     }
 
+    /**
+     * Grade an answer with the submit_quiz_answer RPC
+     * The server checks the answer, scores it with the same rules as
+     * ScoreCalculator.calculateAnswerPoints and records it against the session.
+     * @param {Object} question - Question object
+     * @param {string|null} answer - Submitted answer
+     * @param {boolean} timedOut - Whether the question countdown ran out
+     * @param {number} timeSpent - Seconds spent on the question
+     * @param {Array<string>} lifelines - Lifelines used on the question
+     * @param {string|null} confidence - Confidence the answer was rated with on a confidence-weighted quiz
+     * @returns {Promise<Object>} Grading result; practice answers carry the attempt the server counted
+     */
+    async gradeAnswerOnServer(question, answer, timedOut, timeSpent, lifelines = [], confidence = null) {
+        try {
+            const params = {
+                p_question_id: question.id,
+                p_answer: answer || '',
+                p_time_taken: Math.max(0, Math.round(timeSpent)),
+                p_timed_out: timedOut,
+                p_consecutive_correct: this.getConsecutiveCorrectCount()
+            };
+
+            // Review answers reschedule the question and practice answers are kept
+            // apart from ranked stats; neither joins a session
+            let rpc;
+            if (this.isReviewMode()) {
+                rpc = authManager.supabase.rpc('submit_review_answer', params);
+            } else if (this.isPracticeMode()) {
+                // The server counts the attempts and decides when to show the answer
+                rpc = authManager.supabase.rpc('submit_practice_answer', params);
+            } else {
+                // Sessions carry their game mode and scoring version; guests report theirs
+                rpc = authManager.supabase.rpc('submit_quiz_answer', {
+                    p_session_id: this.currentQuiz.sessionId || null,
+                    p_lifelines: lifelines,
+                    p_game_mode: this.isEndlessMode() ? this.currentQuiz.mode : 'standard',
+                    p_scoring_version: this.currentQuiz.scoringVersion,
+                    p_confidence: confidence,
+                    ...params
+                });
+            }
+            const { data, error } = await rpc;
+
+            if (error) {
+                throw error;
+            }
+
+            const bonuses = data.bonuses || [];
+            const penalties = data.penalties || [];
+
+            return {
+                success: true,
+                isCorrect: data.is_correct,
+                correctAnswer: data.correct_answer,
+                acceptedAnswers: data.accepted_answers || [],
+                explanation: data.explanation,
+                lifelines: data.lifelines_used || lifelines,
+                attemptNumber: data.attempt_number || 1,
+                scoringResult: {
+                    basePoints: data.base_points,
+                    finalPoints: data.points_earned,
+                    bonuses,
+                    penalties,
+                    breakdown: window.scoreCalculator ?
+                        window.scoreCalculator.createPointsBreakdown(data.base_points, bonuses, penalties) : {}
+                }
+            };
+
+        } catch (error) {
+            console.error('Failed to grade answer on server:', error);
+
+            if (window.errorHandler) {
+                window.errorHandler.handleDatabaseError(error, 'submit_answer');
+            }
+
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
     /**
      * Update quiz session in database
      * @param {Object} updates - Updates to apply
@@ -649,6 +1529,205 @@ class QuizManager {
         }
     }
 
+    /**
+     * Checkpoint the active quiz to local storage so it survives a reload
+     * @param {number} nextQuestionIndex - Index of the question to resume at
+     */
+    saveCheckpoint(nextQuestionIndex = this.currentQuestionIndex) {
+        if (!this.currentQuiz) return;
+
+        const user = authManager.getCurrentUser();
+
+        Utils.storage.set(STORAGE_KEYS.activeQuiz, {
+            userId: user ? user.id : null,
+            quiz: this.currentQuiz,
+            questions: this.questions,
+            currentQuestionIndex: nextQuestionIndex,
+            userAnswers: this.userAnswers,
+            score: this.score,
+            timeRemaining: this.timeRemaining,
+            savedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Remove the active quiz checkpoint
+     */
+    clearCheckpoint() {
+        Utils.storage.remove(STORAGE_KEYS.activeQuiz);
+    }
+
+    /**
+     * Check whether a session start time is past the abandon cutoff
+     * @param {string|Date} startTime - Session start time
+     * @returns {boolean} Is stale
+     */
+    isSessionStale(startTime) {
+        const cutoff = APP_CONFIG.quiz.abandonAfterMinutes * 60 * 1000;
+        return Date.now() - new Date(startTime).getTime() > cutoff;
+    }
+
+    /**
+     * Get a resumable quiz checkpoint for the current user
+     * Checkpoints from another user or past the abandon cutoff are abandoned.
+     * @returns {Promise<Object|null>} Checkpoint or null
+     */
+    async getResumableQuiz() {
+        const checkpoint = Utils.storage.get(STORAGE_KEYS.activeQuiz);
+        if (!checkpoint || !checkpoint.quiz) return null;
+
+        const user = authManager.getCurrentUser();
+        const userId = user ? user.id : null;
+
+        if (checkpoint.userId !== userId || this.isSessionStale(checkpoint.quiz.startTime)) {
+            await this.abandonCheckpoint(checkpoint);
+            return null;
+        }
+
+        return checkpoint;
+    }
+
+    /**
+     * Restore a checkpointed quiz and continue where it left off
+     * @param {Object} checkpoint - Checkpoint from getResumableQuiz
+     * @returns {Promise<Object>} Resume result
+     */
+    async resumeQuiz(checkpoint) {
+        try {
+            console.log(`🔄 Resuming quiz at question ${checkpoint.currentQuestionIndex + 1}`);
+
+            this.resetQuizState();
+
+            this.currentQuiz = {
+                ...checkpoint.quiz,
+                startTime: new Date(checkpoint.quiz.startTime)
+            };
+            this.seed = this.currentQuiz.seed || null;
+            this.questions = checkpoint.questions;
+            this.currentQuestionIndex = checkpoint.currentQuestionIndex;
+            this.userAnswers = checkpoint.userAnswers;
+            this.score = checkpoint.score;
+            this.timeRemaining = checkpoint.timeRemaining;
+            this.isQuizActive = true;
+
+            // Adaptive quizzes fetch the next question only once it is needed
+            if (this.currentQuiz.adaptive &&
+                this.currentQuestionIndex >= this.questions.length &&
+                this.currentQuestionIndex < this.getTotalQuestions()) {
+                await this.loadNextAdaptiveQuestion();
+            }
+
+            // Endless runs fetch the next batch only once it is needed
+            if (this.isEndlessMode() && this.getLivesLeft() > 0 &&
+                this.currentQuestionIndex >= this.questions.length) {
+                await this.loadEndlessBatch(this.currentQuiz.category, this.currentQuiz.difficulty);
+            }
+
+            // Reloaded during the feedback delay after the last answer (sudden death's
+            // clock counts up, so only running out of lives ends it)
+            if (this.currentQuestionIndex >= this.questions.length ||
+                (this.isEndlessMode() && this.getLivesLeft() === 0) ||
+                (this.timeRemaining <= 0 && !this.isPracticeMode() && this.currentQuiz.mode !== 'sudden_death')) {
+                this.endQuiz();
+                return { success: true, quiz: this.currentQuiz, message: 'Quiz finished' };
+            }
+
+            this.startTimer();
+            this.showCurrentQuestion();
+            this.updateScoreDisplay();
+
+            return {
+                success: true,
+                quiz: this.currentQuiz,
+                message: 'Quiz resumed!'
+            };
+
+        } catch (error) {
+            console.error('❌ Failed to resume quiz:', error);
+            this.resetQuizState();
+            this.clearCheckpoint();
+            return {
+                success: false,
+                error: error.message,
+                message: 'Failed to resume quiz'
+            };
+        }
+    }
+
+    /**
+     * Formally abandon a checkpointed quiz
+     * @param {Object} checkpoint - Checkpoint to abandon
+     */
+    async abandonCheckpoint(checkpoint) {
+        this.clearCheckpoint();
+        await this.abandonQuizSession(checkpoint.quiz && checkpoint.quiz.sessionId);
+    }
+
+    /**
+     * Mark a quiz session as abandoned, if it is still active
+     * @param {string|null} sessionId - Session to abandon
+     */
+    async abandonQuizSession(sessionId) {
+        if (!sessionId || !authManager.supabase || !authManager.isInitialized) {
+            return;
+        }
+
+        try {
+            const { error } = await authManager.supabase
+                .from('quiz_sessions')
+                .update({
+                    status: 'abandoned',
+                    completed_at: new Date().toISOString()
+                })
+                .eq('id', sessionId)
+                .eq('status', 'active');
+
+            if (error) {
+                console.error('Failed to abandon quiz session:', error);
+            } else {
+                console.log('🗑️ Quiz session abandoned:', sessionId);
+            }
+
+        } catch (error) {
+            console.error('Error abandoning quiz session:', error);
+        }
+    }
+
+    /**
+     * Mark the current user's unfinished sessions past the cutoff as abandoned
+     * @param {string} exceptSessionId - Session to leave alone (e.g. one being resumed)
+     */
+    async abandonStaleSessions(exceptSessionId = null) {
+        try {
+            const user = authManager.getCurrentUser();
+            if (!user || !authManager.supabase || !authManager.isInitialized) {
+                return;
+            }
+
+            const cutoff = new Date(Date.now() - APP_CONFIG.quiz.abandonAfterMinutes * 60 * 1000);
+
+            let query = authManager.supabase
+                .from('quiz_sessions')
+                .update({ status: 'abandoned' })
+                .eq('user_id', user.id)
+                .eq('status', 'active')
+                .lt('started_at', cutoff.toISOString());
+
+            if (exceptSessionId) {
+                query = query.neq('id', exceptSessionId);
+            }
+
+            const { error } = await query;
+
+            if (error) {
+                console.error('Failed to abandon stale quiz sessions:', error);
+            }
+
+        } catch (error) {
+            console.error('Error abandoning stale quiz sessions:', error);
+        }
+    }
+
     /**
      * Get available categories
      * @returns {Promise<Array>} Array of categories
@@ -683,156 +1762,733 @@ class QuizManager {
      */
     async getQuestionStatistics() {
         try {
-            if (!authManager.supabase || !authManager.isInitialized) {
-                return {
-                    totalQuestions: 500,
-                    categoryCounts: {},
-                    difficultyCounts: {}
-                };
+            if (!authManager.supabase || !authManager.isInitialized) {
+                return {
+                    totalQuestions: 500,
+                    categoryCounts: {},
+                    difficultyCounts: {}
+                };
+            }
+
+            const { data, error } = await authManager.supabase
+                .from('questions')
+                .select('category, difficulty')
+                .eq('is_active', true);
+
+            if (error) {
+                throw error;
+            }
+
+            const categoryCounts = {};
+            const difficultyCounts = {};
+
+            data.forEach(question => {
+                categoryCounts[question.category] = (categoryCounts[question.category] || 0) + 1;
+                difficultyCounts[question.difficulty] = (difficultyCounts[question.difficulty] || 0) + 1;
+            });
+
+            return {
+                totalQuestions: data.length,
+                categoryCounts,
+                difficultyCounts
+            };
+
+        } catch (error) {
+            console.error('Failed to get question statistics:', error);
+            return {
+                totalQuestions: 0,
+                categoryCounts: {},
+                difficultyCounts: {}
+            };
+        }
+    }
+
+    /**
+     * Get per-question analytics for editors
+     * Includes the p-value (share answered correctly), average time to answer
+     * and how often each answer was picked, plus any automatic quality flags.
+     * @param {Object} options - Analytics options
+     * @param {string} options.category - Category name or 'all'
+     * @param {boolean} options.flaggedOnly - Only return flagged questions
+     * @returns {Promise<Array>} Question analytics
+     */
+    async getQuestionAnalytics(options = {}) {
+        if (!authManager.supabase || !authManager.isInitialized) {
+            return [];
+        }
+
+        const config = APP_CONFIG.questionAnalytics;
+        const { data, error } = await authManager.supabase
+            .rpc('get_question_analytics', {
+                p_category: options.category || 'all',
+                p_flagged_only: !!options.flaggedOnly,
+                p_min_responses: config.minResponses
+            });
+
+        if (error) {
+            throw error;
+        }
+
+        return (data || []).map(row => {
+            const counts = row.answer_counts || {};
+            const answeredCount = row.responses - row.timed_out_responses;
+
+            // Choice questions list every option; fill-in questions list the most common answers
+            let answers;
+            if (row.question_type === 'fill_blank') {
+                answers = Object.keys(counts)
+                    .filter(answer => answer !== row.correct_answer)
+                    .sort((a, b) => counts[b] - counts[a])
+                    .slice(0, config.topWrongAnswers);
+                answers.unshift(row.correct_answer);
+            } else {
+                answers = row.question_type === 'true_false' ?
+                    APP_CONFIG.quiz.trueFalseOptions : (row.options || []);
+            }
+
+            const answerRates = answers.map(answer => {
+                const count = answer === row.correct_answer && row.question_type === 'fill_blank' ?
+                    row.correct_responses : (counts[answer] || 0);
+                return {
+                    answer,
+                    count,
+                    rate: answeredCount > 0 ? count / answeredCount : 0,
+                    isCorrect: answer === row.correct_answer
+                };
+            });
+
+            return {
+                id: row.id,
+                question: row.question_text,
+                type: row.question_type,
+                category: row.category,
+                difficulty: row.difficulty,
+                correctAnswer: row.correct_answer,
+                isActive: row.is_active,
+                flags: row.quality_flags || [],
+                responses: row.responses,
+                correctResponses: row.correct_responses,
+                timedOutResponses: row.timed_out_responses,
+                pValue: row.p_value === null ? null : Number(row.p_value),
+                avgTimeTaken: row.avg_time_taken === null ? null : Number(row.avg_time_taken),
+                suggestedDifficulty: row.suggested_difficulty,
+                hasEnoughData: row.responses >= config.minResponses,
+                answerRates
+            };
+        });
+    }
+
+    /**
+     * Submit answer for current question
+     * @param {string|null} answer - Selected answer, null when the question timed out
+     * @param {Object} options - Submission options
+     * @param {boolean} options.timedOut - Whether the question countdown ran out
+     * @returns {Object} Answer result
+     */
+    async submitAnswer(answer, options = {}) {
+        if (!this.isQuizActive || !this.isAwaitingAnswer || this.currentQuestionIndex >= this.questions.length) {
+            return { success: false, message: 'No active question' };
+        }
+
+        // Close the question so a late click or the countdown cannot submit twice
+        this.isAwaitingAnswer = false;
+
+        const timedOut = !!options.timedOut;
+        const question = this.questions[this.currentQuestionIndex];
+        const timeSpentOnQuestion = (this.currentQuiz.timeLimit - this.timeRemaining) - 
+            (this.userAnswers.length > 0 ? this.userAnswers[this.userAnswers.length - 1].timeSpent : 0);
+
+        let isCorrect;
+        let scoringResult;
+        let correctAnswer = question.correctAnswer;
+        let acceptedAnswers = question.acceptedAnswers || [];
+        let explanation = question.explanation;
+        let lifelines = this.getQuestionLifelines().used;
+        const practice = this.isPracticeMode();
+        let attemptNumber = practice ? (this.currentQuiz.practiceAttempts[question.id] || 0) + 1 : 1;
+        // A question that times out was never rated
+        const confidence = this.isConfidenceMode() && !timedOut ? options.confidence || null : null;
+
+        if (question.serverGraded) {
+            // Database questions never carry their answer; the server grades and records them
+            const graded = await this.gradeAnswerOnServer(
+                question, answer, timedOut, timeSpentOnQuestion, lifelines, confidence
+            );
+
+            if (!graded.success) {
+                // Reopen the question so the player can try submitting again
+                this.isAwaitingAnswer = true;
+                this.renderQuestionOptions(question);
+                this.applyEliminatedOptions();
+                this.updateLifelineDisplay();
+                return { success: false, message: 'Failed to submit answer' };
+            }
+
+            isCorrect = graded.isCorrect;
+            scoringResult = graded.scoringResult;
+            correctAnswer = graded.correctAnswer;
+            acceptedAnswers = graded.acceptedAnswers;
+            explanation = graded.explanation;
+            lifelines = graded.lifelines;
+            // Earlier misses at a practice question count towards its attempts
+            attemptNumber = graded.attemptNumber;
+        } else {
+            isCorrect = !timedOut && this.isAnswerCorrect(question, answer);
+
+            if (practice && window.practiceTracker) {
+                window.practiceTracker.recordLocalAttempt(question, isCorrect, attemptNumber, timeSpentOnQuestion);
+            }
+
+            // Keep the local review schedule up to date
+            if (window.reviewScheduler && !practice) {
+                if (this.isReviewMode()) {
+                    window.reviewScheduler.recordLocalReview(question, isCorrect, timedOut, timeSpentOnQuestion);
+                } else if (!isCorrect) {
+                    window.reviewScheduler.addMissedQuestion(question);
+                }
+            }
+
+            // Calculate points using scoring system (practice retries earn nothing)
+            const consecutiveCorrect = this.getConsecutiveCorrectCount();
+
+            scoringResult = attemptNumber > 1 ? {
+                finalPoints: 0,
+                bonuses: [],
+                penalties: [],
+                breakdown: {}
+            } : window.scoreCalculator ? 
+                window.scoreCalculator.calculateAnswerPoints(
+                    question, 
+                    isCorrect, 
+                    timeSpentOnQuestion, 
+                    consecutiveCorrect,
+                    { lifelines, mode: this.currentQuiz.mode, scoringProfile: this.currentQuiz.scoringVersion, confidence }
+                ) : {
+                    finalPoints: isCorrect ? (question.points || 10) : -Math.floor((question.points || 10) * 0.1),
+                    bonuses: [],
+                    penalties: [],
+                    breakdown: {}
+                };
+        }
+
+        // A missed practice question can be tried again until the attempts run out
+        if (practice) {
+            this.currentQuiz.practiceAttempts[question.id] = attemptNumber;
+
+            if (!isCorrect && attemptNumber < APP_CONFIG.quiz.practice.maxAttempts) {
+                this.showPracticeRetry(question, answer, APP_CONFIG.quiz.practice.maxAttempts - attemptNumber);
+                this.saveCheckpoint();
+                return { success: true, isCorrect, retry: true, attemptsLeft: APP_CONFIG.quiz.practice.maxAttempts - attemptNumber };
+            }
+        }
+
+        const points = scoringResult.finalPoints;
+
+        // Signed-in ratings are kept with the answer; guests keep theirs locally
+        if (confidence && window.calibrationTracker && !window.calibrationTracker.useDatabase()) {
+            window.calibrationTracker.recordLocalAnswer(question, confidence, isCorrect);
+        }
+
+        // Skill ratings likewise, by submit_quiz_answer for signed-in players
+        if (window.ratingManager && !window.ratingManager.useDatabase() &&
+            window.ratingManager.isRatedAnswer(this.currentQuiz.mode, lifelines)) {
+            window.ratingManager.recordLocalAnswer(question, isCorrect);
+        }
+
+        // Store answer
+        const answerRecord = {
+            questionId: question.id,
+            question: question.question,
+            selectedAnswer: answer,
+            correctAnswer,
+            acceptedAnswers,
+            questionType: question.type,
+            isCorrect,
+            timedOut,
+            lifelines,
+            confidence,
+            points,
+            basePoints: scoringResult.basePoints || question.points || 10,
+            bonuses: scoringResult.bonuses || [],
+            penalties: scoringResult.penalties || [],
+            breakdown: scoringResult.breakdown || {},
+            timeSpent: this.currentQuiz.timeLimit - this.timeRemaining,
+            timeSpentOnQuestion: timeSpentOnQuestion,
+            difficulty: question.difficulty,
+            category: question.category,
+            explanation,
+            attempts: attemptNumber,
+            timestamp: new Date()
+        };
+
+        this.userAnswers.push(answerRecord);
+        this.score += points;
+        this.currentQuiz.questionLifelines = { used: [], eliminated: [] };
+
+        // Each correct survival answer buys a few more seconds, up to the cap
+        if (isCorrect && this.currentQuiz.mode === 'survival') {
+            const survival = APP_CONFIG.quiz.endless.survival;
+            const multiplier = this.currentQuiz.timeMultiplier || 1;
+            const bonusSeconds = Math.min(
+                Math.round(survival.bonusSeconds * multiplier),
+                Math.max(0, Math.round(survival.maxSeconds * multiplier) - this.timeRemaining)
+            );
+            if (bonusSeconds > 0) {
+                this.addExtraTime(bonusSeconds);
+            }
+        }
+        this.updateLivesDisplay();
+
+        // Server-graded answers are already recorded against the session
+        if (!question.serverGraded && !this.isReviewMode() && !practice) {
+            // Save answer to database
+            await this.saveAnswerToDatabase(answerRecord);
+
+            // Update quiz session
+            await this.updateQuizSession({
+                questions_answered: this.userAnswers.length,
+                correct_answers: this.userAnswers.filter(a => a.isCorrect).length,
+                total_points: this.score
+            });
+        }
+
+        // Checkpoint progress, pointing at the next question
+        this.saveCheckpoint(this.currentQuestionIndex + 1);
+        this.updateLifelineDisplay();
+
+        console.log(`✅ Answer submitted:`, {
+            correct: isCorrect,
+            timedOut,
+            points,
+            totalScore: this.score
+        });
+
+        // Show answer feedback
+        this.showAnswerFeedback(answerRecord);
+
+        // Practice waits for the player to read the explanation; otherwise move on after a delay
+        if (practice) {
+            this.showPracticeNext();
+        } else {
+            setTimeout(() => {
+                this.advanceToNextQuestion();
+            }, 2000);
+        }
+
+        return {
+            success: true,
+            isCorrect,
+            timedOut,
+            points,
+            totalScore: this.score,
+            explanation
+        };
+    }
+
+    /**
+     * Move to the next question, fetching it first in adaptive mode
+     */
+    async advanceToNextQuestion() {
+        if (!this.isQuizActive) return;
+
+        this.currentQuestionIndex++;
+
+        if (this.currentQuiz.adaptive && this.currentQuestionIndex < this.getTotalQuestions()) {
+            await this.loadNextAdaptiveQuestion();
+        }
+
+        // An endless run goes on until its lives are gone or the pool runs dry
+        const endless = this.isEndlessMode();
+        if (endless && this.getLivesLeft() > 0 && this.currentQuestionIndex >= this.questions.length) {
+            await this.loadEndlessBatch(this.currentQuiz.category, this.currentQuiz.difficulty);
+        }
+
+        if (this.currentQuestionIndex >= this.questions.length || (endless && this.getLivesLeft() === 0)) {
+            this.endQuiz();
+        } else {
+            this.showCurrentQuestion();
+        }
+    }
+
+    /**
+     * Fetch the next batch of questions for an endless run
+     * Every question already asked or skipped is left out, so nothing repeats
+     * within a run. Each batch gets its own seed derived from the run's seed.
+     * @param {string} category - Quiz category
+     * @param {string} difficulty - Quiz difficulty
+     * @returns {Promise<number>} Number of questions added
+     */
+    async loadEndlessBatch(category, difficulty) {
+        const usedIds = [
+            ...this.questions.map(q => q.id),
+            ...(this.currentQuiz ? this.currentQuiz.skippedQuestionIds || [] : [])
+        ];
+        const batch = await this.loadQuestions(
+            APP_CONFIG.quiz.endless.batchSize, category, difficulty, usedIds, `${this.seed}:${usedIds.length}`
+        );
+
+        // Placeholder data falls back to the whole set when a filter runs dry, so drop repeats here
+        const fresh = batch.filter(q => !usedIds.includes(q.id));
+        this.questions.push(...fresh);
+
+        if (fresh.length === 0) {
+            console.warn('⚠️ Endless run ran out of questions');
+        }
+
+        return fresh.length;
+    }
+
+    /**
+     * Get the planned number of questions in the current quiz
+     * Endless runs have no plan, so the questions asked so far are counted.
+     * @returns {number} Total questions
+     */
+    getTotalQuestions() {
+        if (this.isEndlessMode()) {
+            return Math.min(this.currentQuestionIndex + 1, this.questions.length);
+        }
+        return this.currentQuiz ? this.currentQuiz.questionCount : this.questions.length;
+    }
+
+    /**
+     * Work out the next adaptive difficulty from the last answer
+     * A miss steps down one level; every `stepUpStreak` correct answers in a row steps up one.
+     * @returns {string} Next difficulty
+     */
+    getNextAdaptiveDifficulty() {
+        const levels = APP_CONFIG.quiz.difficulties;
+        const currentLevel = levels.indexOf(this.currentQuiz.currentDifficulty);
+        const lastAnswer = this.userAnswers[this.userAnswers.length - 1];
+        if (!lastAnswer) return this.currentQuiz.currentDifficulty;
+
+        const streak = this.getConsecutiveCorrectCount();
+        let nextLevel = currentLevel;
+
+        if (!lastAnswer.isCorrect) {
+            nextLevel = currentLevel - 1;
+        } else if (streak % APP_CONFIG.quiz.adaptive.stepUpStreak === 0) {
+            nextLevel = currentLevel + 1;
+        }
+
+        return levels[Math.max(0, Math.min(levels.length - 1, nextLevel))];
+    }
+
+    /**
+     * Fetch the next question for an adaptive quiz
+     * Falls back to the nearest other difficulty when a level runs dry.
+     */
+    async loadNextAdaptiveQuestion() {
+        const nextDifficulty = this.getNextAdaptiveDifficulty();
+        this.currentQuiz.currentDifficulty = nextDifficulty;
+
+        const question = await this.takeAdaptiveQuestion(nextDifficulty, this.currentQuiz.category);
+        if (question) {
+            this.questions.push(question);
+        } else {
+            // Nothing left to ask; finish with the questions answered so far
+            console.warn('⚠️ Adaptive quiz ran out of questions');
+            this.currentQuiz.questionCount = this.questions.length;
+        }
+    }
+
+    /**
+     * Take one question of a difficulty from the adaptive pool, fetching a batch when empty
+     * @param {string} difficulty - Wanted difficulty
+     * @param {string} category - Quiz category
+     * @returns {Promise<Object|null>} Question or null when none are left
+     */
+    async takeAdaptiveQuestion(difficulty, category) {
+        const levels = APP_CONFIG.quiz.difficulties;
+        const wanted = levels.indexOf(difficulty);
+
+        // Try the wanted level first, then the nearest ones
+        const order = [...levels].sort((a, b) =>
+            Math.abs(levels.indexOf(a) - wanted) - Math.abs(levels.indexOf(b) - wanted)
+        );
+
+        for (const level of order) {
+            if (this.adaptivePool[level].length === 0) {
+                const usedIds = [
+                    ...this.questions.map(q => q.id),
+                    ...(this.currentQuiz ? this.currentQuiz.skippedQuestionIds || [] : []),
+                    ...levels.flatMap(l => this.adaptivePool[l].map(q => q.id))
+                ];
+                const batch = await this.loadQuestions(
+                    APP_CONFIG.quiz.adaptive.batchSize, category, level, usedIds
+                );
+                // Placeholder data ignores the level when it runs dry, so sort the batch by difficulty
+                batch.forEach(q => {
+                    const pool = this.adaptivePool[q.difficulty] || this.adaptivePool[level];
+                    if (!usedIds.includes(q.id)) pool.push(q);
+                });
+            }
+
+            if (this.adaptivePool[level].length > 0) {
+                return this.adaptivePool[level].shift();
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get consecutive correct answer count
+     * @returns {number} Number of consecutive correct answers
+     */
+    getConsecutiveCorrectCount() {
+        let count = 0;
+        for (let i = this.userAnswers.length - 1; i >= 0; i--) {
+            if (this.userAnswers[i].isCorrect) {
+                count++;
+            } else {
+                break;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Work out how many uses of each lifeline a quiz gets
+     * @param {string} mode - Quiz mode
+     * @param {number|Object} allowance - Uses of each lifeline, or uses keyed by lifeline type
+     * @returns {Object} Uses keyed by lifeline type
+     */
+    getLifelineAllowance(mode, allowance = APP_CONFIG.quiz.lifelines.defaultAllowance) {
+        const config = APP_CONFIG.quiz.lifelines;
+
+        return config.types.reduce((result, type) => {
+            // Reviews are about recall, practice allows retries and endless runs are about
+            // how far you get unaided, so only standard quizzes get lifelines
+            const uses = mode !== 'standard' ? 0 :
+                (typeof allowance === 'object' && allowance !== null ? allowance[type] : allowance);
+            result[type] = Math.min(Math.max(0, parseInt(uses) || 0), Math.max(...config.allowanceOptions));
+            return result;
+        }, {});
+    }
+
+    /**
+     * Get the lifelines used on the current question
+     * @returns {Object} { used, eliminated }
+     */
+    getQuestionLifelines() {
+        if (!this.currentQuiz || !this.currentQuiz.questionLifelines) {
+            return { used: [], eliminated: [] };
+        }
+        return this.currentQuiz.questionLifelines;
+    }
+
+    /**
+     * Check whether a lifeline can be used on the current question
+     * Each lifeline can be used once per question while uses are left.
+     * @param {string} type - Lifeline type
+     * @returns {boolean} Can use lifeline
+     */
+    canUseLifeline(type) {
+        if (!this.isQuizActive || !this.isAwaitingAnswer || this.isUsingLifeline) return false;
+
+        const remaining = (this.currentQuiz.lifelines || {})[type] || 0;
+        if (remaining <= 0 || this.getQuestionLifelines().used.includes(type)) return false;
+
+        if (type === 'fifty_fifty') {
+            const question = this.questions[this.currentQuestionIndex];
+            return question.type === 'multiple_choice' && (question.options || []).length >= 3;
+        }
+
+        return true;
+    }
+
+    /**
+     * Use a lifeline on the current question
+     * Database questions are checked against the session allowance and recorded
+     * by the use_lifeline RPC; the lifeline is charged when the answer is graded.
+     * @param {string} type - 'fifty_fifty', 'skip' or 'extra_time'
+     * @returns {Promise<Object>} Lifeline result
+     */
+    async useLifeline(type) {
+        if (!APP_CONFIG.quiz.lifelines.types.includes(type) || !this.canUseLifeline(type)) {
+            return { success: false, message: 'This lifeline is not available right now' };
+        }
+
+        this.isUsingLifeline = true;
+        this.updateLifelineDisplay();
+
+        try {
+            const question = this.questions[this.currentQuestionIndex];
+            let replacement = null;
+
+            // Find the replacement before spending the skip
+            if (type === 'skip') {
+                replacement = await this.findReplacementQuestion(question);
+                if (!replacement) {
+                    return { success: false, message: 'There are no other questions to swap in' };
+                }
             }
 
-            const { data, error } = await authManager.supabase
-                .from('questions')
-                .select('category, difficulty')
-                .eq('is_active', true);
+            let removedOptions = [];
+            if (question.serverGraded) {
+                const { data, error } = await authManager.supabase
+                    .rpc('use_lifeline', {
+                        p_session_id: this.currentQuiz.sessionId || null,
+                        p_question_id: question.id,
+                        p_lifeline: type
+                    });
+
+                if (error) {
+                    throw error;
+                }
 
-            if (error) {
-                throw error;
+                removedOptions = data.removed_options || [];
+            } else if (type === 'fifty_fifty') {
+                // Keep the answer and one wrong option, picked from the quiz seed
+                const wrongOptions = question.options.filter(option => option !== question.correctAnswer);
+                removedOptions = Utils.getRandomItems(
+                    wrongOptions, wrongOptions.length - 1, Utils.createRandom(`${this.seed}:${question.id}`)
+                ).slice(0, 2);
             }
 
-            const categoryCounts = {};
-            const difficultyCounts = {};
+            // The question may have closed while the request was out
+            if (!this.isQuizActive || !this.isAwaitingAnswer || this.questions[this.currentQuestionIndex] !== question) {
+                return { success: false, message: 'The question has already closed' };
+            }
 
-            data.forEach(question => {
-                categoryCounts[question.category] = (categoryCounts[question.category] || 0) + 1;
-                difficultyCounts[question.difficulty] = (difficultyCounts[question.difficulty] || 0) + 1;
-            });
+            this.currentQuiz.lifelines[type]--;
+
+            switch (type) {
+                case 'fifty_fifty':
+                    this.currentQuiz.questionLifelines.used.push(type);
+                    this.currentQuiz.questionLifelines.eliminated = removedOptions;
+                    this.applyEliminatedOptions();
+                    break;
+                case 'skip':
+                    this.skipQuestion(question, replacement);
+                    break;
+                case 'extra_time':
+                    this.currentQuiz.questionLifelines.used.push(type);
+                    this.addExtraTime(APP_CONFIG.quiz.lifelines.extraTimeSeconds);
+                    break;
+            }
+
+            this.saveCheckpoint();
+
+            console.log(`🛟 Lifeline used: ${type}`);
 
             return {
-                totalQuestions: data.length,
-                categoryCounts,
-                difficultyCounts
+                success: true,
+                lifeline: type,
+                remaining: this.currentQuiz.lifelines[type]
             };
 
         } catch (error) {
-            console.error('Failed to get question statistics:', error);
+            console.error('Failed to use lifeline:', error);
+
+            if (window.errorHandler) {
+                window.errorHandler.handleDatabaseError(error, 'use_lifeline');
+            }
+
             return {
-                totalQuestions: 0,
-                categoryCounts: {},
-                difficultyCounts: {}
+                success: false,
+                error: error.message,
+                message: 'Failed to use lifeline'
             };
+
+        } finally {
+            this.isUsingLifeline = false;
+            this.updateLifelineDisplay();
         }
     }
 
     /**
-     * Submit answer for current question
-     * @param {string} answer - Selected answer
-     * @returns {Object} Answer result
+     * Find a fresh question from the same pool to replace a skipped one
+     * @param {Object} question - Question being skipped
+     * @returns {Promise<Object|null>} Replacement question or null
      */
-    async submitAnswer(answer) {
-        if (!this.isQuizActive || this.currentQuestionIndex >= this.questions.length) {
-            return { success: false, message: 'No active question' };
+    async findReplacementQuestion(question) {
+        if (this.currentQuiz.adaptive) {
+            return this.takeAdaptiveQuestion(question.difficulty, this.currentQuiz.category);
         }
 
-        const question = this.questions[this.currentQuestionIndex];
-        const isCorrect = answer === question.correctAnswer;
-        
-        // Calculate points using scoring system
-        const consecutiveCorrect = this.getConsecutiveCorrectCount();
-        const timeSpentOnQuestion = (this.currentQuiz.timeLimit - this.timeRemaining) - 
-            (this.userAnswers.length > 0 ? this.userAnswers[this.userAnswers.length - 1].timeSpent : 0);
-        
-        const scoringResult = window.scoreCalculator ? 
-            window.scoreCalculator.calculateAnswerPoints(
-                question, 
-                isCorrect, 
-                timeSpentOnQuestion, 
-                consecutiveCorrect
-            ) : {
-                finalPoints: isCorrect ? (question.points || 10) : -Math.floor((question.points || 10) * 0.1),
-                bonuses: [],
-                penalties: [],
-                breakdown: {}
-            };
-
-        const points = scoringResult.finalPoints;
+        const usedIds = [
+            ...this.questions.map(q => q.id),
+            ...this.currentQuiz.skippedQuestionIds
+        ];
+        // A custom quiz replaces from the skipped question's category, within its allowed types
+        const definition = this.currentQuiz.definition;
+        const candidates = definition ?
+            await this.loadQuestions(1, question.category, question.difficulty, usedIds, undefined, definition.questionTypes) :
+            await this.loadQuestions(1, this.currentQuiz.category, question.difficulty, usedIds);
 
-        // Store answer
-        const answerRecord = {
-            questionId: question.id,
-            question: question.question,
-            selectedAnswer: answer,
-            correctAnswer: question.correctAnswer,
-            isCorrect,
-            points,
-            basePoints: scoringResult.basePoints || question.points || 10,
-            bonuses: scoringResult.bonuses || [],
-            penalties: scoringResult.penalties || [],
-            breakdown: scoringResult.breakdown || {},
-            timeSpent: this.currentQuiz.timeLimit - this.timeRemaining,
-            timeSpentOnQuestion: timeSpentOnQuestion,
-            difficulty: question.difficulty,
-            category: question.category,
-            explanation: question.explanation,
-            timestamp: new Date()
-        };
+        return candidates.find(q => !usedIds.includes(q.id)) || null;
+    }
 
-        this.userAnswers.push(answerRecord);
-        this.score += points;
+    /**
+     * Swap the current question for its replacement
+     * The skip is charged to the answer given to the replacement.
+     * @param {Object} question - Skipped question
+     * @param {Object} replacement - Replacement question
+     */
+    skipQuestion(question, replacement) {
+        this.currentQuiz.skippedQuestionIds.push(question.id);
+        this.questions[this.currentQuestionIndex] = replacement;
+        this.currentQuiz.questionLifelines = { used: ['skip'], eliminated: [] };
 
-        // Save answer to database
-        await this.saveAnswerToDatabase(answerRecord);
+        this.showCurrentQuestion();
+    }
 
-        // Update quiz session
-        await this.updateQuizSession({
-            questions_answered: this.userAnswers.length,
-            correct_answers: this.userAnswers.filter(a => a.isCorrect).length,
-            total_points: this.score
-        });
+    /**
+     * Add seconds to the clock
+     * @param {number} seconds - Seconds to add
+     */
+    addExtraTime(seconds) {
+        this.currentQuiz.timeLimit += seconds;
+        this.timeRemaining += seconds;
 
-        console.log(`✅ Answer submitted:`, {
-            correct: isCorrect,
-            points,
-            totalScore: this.score
-        });
+        if (this.isPerQuestionTiming()) {
+            this.questionTimeRemaining += seconds;
+        }
 
-        // Show answer feedback
-        this.showAnswerFeedback(answerRecord);
+        this.updateTimerDisplay();
+    }
 
-        // Move to next question or end quiz after delay
-        setTimeout(() => {
-            this.currentQuestionIndex++;
-            
-            if (this.currentQuestionIndex >= this.questions.length) {
-                this.endQuiz();
-            } else {
-                this.showCurrentQuestion();
+    /**
+     * Disable the options removed by a 50/50 on the current question
+     */
+    applyEliminatedOptions() {
+        const eliminated = this.getQuestionLifelines().eliminated;
+        if (eliminated.length === 0) return;
+
+        this.getQuestionCard().querySelectorAll('.option-button').forEach(button => {
+            if (eliminated.includes(button.getAttribute('data-answer'))) {
+                button.classList.add('eliminated');
+                button.disabled = true;
             }
-        }, 2000);
-
-        return {
-            success: true,
-            isCorrect,
-            points,
-            totalScore: this.score,
-            explanation: question.explanation
-        };
+        });
     }
 
     /**
-     * Get consecutive correct answer count
-     * @returns {number} Number of consecutive correct answers
+     * Update the lifeline buttons with the uses left
      */
-    getConsecutiveCorrectCount() {
-        let count = 0;
-        for (let i = this.userAnswers.length - 1; i >= 0; i--) {
-            if (this.userAnswers[i].isCorrect) {
-                count++;
-            } else {
-                break;
-            }
-        }
-        return count;
+    updateLifelineDisplay() {
+        const container = document.getElementById('quiz-lifelines');
+        if (!container) return;
+
+        const config = APP_CONFIG.quiz.lifelines;
+        const remaining = (this.currentQuiz && this.currentQuiz.lifelines) || {};
+        const allowance = (this.currentQuiz && this.currentQuiz.lifelineAllowance) || {};
+
+        const hasLifelines = config.types.some(type => allowance[type] > 0);
+        container.classList.toggle('hidden', !hasLifelines);
+        if (!hasLifelines) return;
+
+        container.innerHTML = config.types
+            .filter(type => allowance[type] > 0)
+            .map(type => `
+                <button class="btn btn-sm btn-outline lifeline-button" data-lifeline="${type}"
+                    ${this.canUseLifeline(type) ? '' : 'disabled'}
+                    aria-label="${config.labels[type]}, ${remaining[type] || 0} left">
+                    ${config.labels[type]}
+                    <span class="lifeline-count">${remaining[type] || 0}</span>
+                </button>
+            `).join('');
     }
 
     /**
@@ -853,12 +2509,30 @@ class QuizManager {
         }
 
         this.isQuizActive = false;
+        this.isAwaitingAnswer = false;
+
+        // The quiz is finished, nothing left to resume
+        this.clearCheckpoint();
 
         // Calculate final results
         const results = this.calculateResults();
         
-        // Save results (placeholder)
-        this.saveQuizResults(results);
+        // Save results; reviews only update the schedule and practice attempts are
+        // recorded as they are answered, so neither reaches the leaderboard
+        if (this.isReviewMode()) {
+            if (window.dashboardManager) {
+                window.dashboardManager.loadReviewsDue();
+            }
+        } else if (this.isPracticeMode()) {
+            if (window.dashboardManager) {
+                window.dashboardManager.loadPracticeStats();
+            }
+        } else if (this.isEndlessMode()) {
+            this.saveEndlessRun(results);
+        } else {
+            this.saveQuizResults(results);
+            this.applyPercentileGrade(results);
+        }
         
         // Show results
         this.showResults(results);
@@ -866,12 +2540,73 @@ class QuizManager {
         return results;
     }
 
+    /**
+     * Grade a finished quiz against the other attempts at its saved definition
+     * The results screen first shows the percentile scheme's fallback grade and
+     * is updated once the percentile has been fetched.
+     * @param {Object} results - Quiz results
+     */
+    async applyPercentileGrade(results) {
+        if (!window.scoreCalculator || !results.definitionId ||
+            window.scoreCalculator.getGradingScheme(results.grading).basis !== 'percentile') {
+            return;
+        }
+
+        const context = await this.getQuizPercentile(results);
+        results.grade = window.scoreCalculator.calculateGrade(
+            results.accuracy, results.score, results.maxPossiblePoints, results.grading, context
+        );
+
+        if (window.uiManager && window.uiManager.lastResults === results) {
+            window.uiManager.updateResultsHeader(results);
+        }
+    }
+
+    /**
+     * Rank a finished quiz against every other completed attempt at its saved definition
+     * Without Supabase only the attempts saved on this device are counted.
+     * @param {Object} results - Quiz results
+     * @returns {Promise<Object>} { percentile, attempts }; percentile is null without other attempts
+     */
+    async getQuizPercentile(results) {
+        try {
+            if (authManager.supabase && authManager.isInitialized && authManager.getCurrentUser()) {
+                const { data, error } = await authManager.supabase.rpc('get_quiz_percentile', {
+                    p_definition_id: results.definitionId,
+                    p_accuracy: results.accuracy,
+                    p_session_id: results.sessionId
+                });
+
+                if (error) {
+                    throw error;
+                }
+
+                return { percentile: data.percentile, attempts: data.attempts };
+            }
+
+            // The attempt itself may already be saved; session IDs can be missing offline
+            const completedAt = results.completedAt.toISOString();
+            const accuracies = Utils.storage.get('quiz_results', [])
+                .filter(saved => saved.definitionId === results.definitionId && saved.completedAt !== completedAt)
+                .map(saved => saved.accuracy);
+
+            return {
+                percentile: window.scoreCalculator.calculatePercentile(accuracies, results.accuracy),
+                attempts: accuracies.length
+            };
+
+        } catch (error) {
+            console.error('Failed to rank quiz attempt:', error);
+            return { percentile: null, attempts: 0 };
+        }
+    }
+
     /**
      * Show answer feedback
      * @param {Object} answerRecord - Answer record
      */
     showAnswerFeedback(answerRecord) {
-        const allOptions = document.querySelectorAll('.option-button');
+        const allOptions = this.getQuestionCard().querySelectorAll('.option-button');
         
         allOptions.forEach(button => {
             const buttonAnswer = button.getAttribute('data-answer');
@@ -899,23 +2634,133 @@ class QuizManager {
             }
         });
 
+        if (answerRecord.questionType === 'fill_blank') {
+            this.showFillBlankFeedback(answerRecord);
+        }
+
         // Show explanation if available
         if (answerRecord.explanation) {
-            this.showExplanation(answerRecord.explanation, answerRecord.isCorrect);
+            this.showExplanation(answerRecord.explanation, answerRecord.isCorrect, answerRecord.timedOut);
         }
 
         // Show points earned
         this.showPointsFeedback(answerRecord);
     }
 
+    /**
+     * Mark the fill-in input and reveal the expected answer when it was missed
+     * @param {Object} answerRecord - Answer record
+     */
+    showFillBlankFeedback(answerRecord) {
+        const card = this.getQuestionCard();
+        const input = card.querySelector('.fill-blank-input');
+        const submitButton = card.querySelector('.fill-blank-submit');
+        if (submitButton) submitButton.disabled = true;
+        if (!input) return;
+
+        input.disabled = true;
+        input.classList.add(answerRecord.isCorrect ? 'correct' : 'incorrect');
+
+        // Guests playing database questions aren't told the answer
+        if (!answerRecord.isCorrect && answerRecord.correctAnswer) {
+            const expected = document.createElement('div');
+            expected.className = 'fill-blank-expected';
+            expected.innerHTML = `<strong>Answer:</strong> ${Utils.escapeHTML(answerRecord.correctAnswer)}`;
+            input.insertAdjacentElement('afterend', expected);
+        }
+    }
+
+    /**
+     * Let the player try a missed practice question again
+     * The answer is not shown; wrong choices stay marked so they aren't picked twice.
+     * @param {Object} question - Question being practised
+     * @param {string} answer - Answer that was wrong
+     * @param {number} attemptsLeft - Attempts left before the answer is shown
+     */
+    showPracticeRetry(question, answer, attemptsLeft) {
+        const misses = this.currentQuiz.practiceMisses[question.id] || [];
+        misses.push(answer);
+        this.currentQuiz.practiceMisses[question.id] = misses;
+
+        this.renderQuestionOptions(question);
+
+        this.getQuestionCard().querySelectorAll('.option-button').forEach(button => {
+            if (misses.includes(button.getAttribute('data-answer'))) {
+                button.classList.add('incorrect');
+                button.disabled = true;
+            }
+        });
+
+        this.showPracticeFeedback(`
+            <p class="practice-feedback-text">
+                Not quite${question.type === 'fill_blank' ? ` — "${Utils.escapeHTML(answer)}" isn't it` : ''}.
+                Try again (${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left before the answer is shown).
+            </p>
+        `);
+
+        if (window.uiManager) {
+            window.uiManager.announce(`Not quite. Try again, ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left.`, 'assertive');
+        }
+
+        this.isAwaitingAnswer = true;
+    }
+
+    /**
+     * Show the button that moves on from an answered practice question
+     */
+    showPracticeNext() {
+        const isLast = this.currentQuestionIndex + 1 >= this.getTotalQuestions();
+
+        const feedback = this.showPracticeFeedback(`
+            <button class="btn btn-primary practice-next-btn">${isLast ? 'See Results' : 'Next Question'}</button>
+        `);
+
+        const nextButton = feedback && feedback.querySelector('.practice-next-btn');
+        if (nextButton) {
+            nextButton.addEventListener('click', () => {
+                nextButton.disabled = true;
+                this.advanceToNextQuestion();
+            }, { once: true });
+            nextButton.focus();
+        }
+    }
+
+    /**
+     * Show practice feedback below the question, replacing any already shown
+     * @param {string} html - Feedback content
+     * @returns {HTMLElement|null} Feedback element
+     */
+    showPracticeFeedback(html) {
+        this.clearPracticeFeedback();
+
+        const card = this.getQuestionCard();
+        const anchor = card.querySelector('.answer-explanation') || card.querySelector('.question-options');
+        if (!anchor) return null;
+
+        const feedback = document.createElement('div');
+        feedback.className = 'practice-feedback';
+        feedback.innerHTML = html;
+        anchor.parentNode.insertBefore(feedback, anchor.nextSibling);
+
+        return feedback;
+    }
+
+    /**
+     * Remove practice feedback from the question card
+     */
+    clearPracticeFeedback() {
+        this.getQuestionCard().querySelectorAll('.practice-feedback').forEach(element => element.remove());
+    }
+
     /**
      * Show explanation for the answer
      * @param {string} explanation - Answer explanation
      * @param {boolean} isCorrect - Whether answer was correct
+     * @param {boolean} timedOut - Whether the question ran out of time
      */
-    showExplanation(explanation, isCorrect) {
+    showExplanation(explanation, isCorrect, timedOut = false) {
         // Remove existing explanation
-        const existingExplanation = document.querySelector('.answer-explanation');
+        const existingExplanation = this.getQuestionCard().querySelector('.answer-explanation');
         if (existingExplanation) {
             existingExplanation.remove();
         }
@@ -926,13 +2771,13 @@ class QuizManager {
         explanationDiv.innerHTML = `
             <div class="explanation-header">
                 <span class="explanation-icon">${isCorrect ? '✓' : '✗'}</span>
-                <span class="explanation-status">${isCorrect ? 'Correct!' : 'Incorrect'}</span>
+                <span class="explanation-status">${isCorrect ? 'Correct!' : (timedOut ? 'Time\'s up!' : 'Incorrect')}</span>
             </div>
-            <div class="explanation-text">${Utils.escapeHTML(explanation)}</div>
+            <div class="explanation-text">${markupManager.render(explanation)}</div>
         `;
 
         // Insert after question options
-        const optionsContainer = document.querySelector('.question-options');
+        const optionsContainer = this.getQuestionCard().querySelector('.question-options');
         if (optionsContainer) {
             optionsContainer.parentNode.insertBefore(explanationDiv, optionsContainer.nextSibling);
         }
@@ -954,9 +2799,22 @@ class QuizManager {
             const bonusText = answerRecord.bonuses.map(bonus => bonus.description).join(', ');
             message += ` (${bonusText})`;
         }
+
+        // Name the confidence the answer was staked at
+        if (answerRecord.confidence) {
+            message += ` · ${APP_CONFIG.quiz.confidence.labels[answerRecord.confidence]} confidence`;
+        }
         
         // Show animated score popup
         this.showScorePopup(pointsText, answerRecord.isCorrect);
+
+        // The popup and toast are visual; screen readers get one sentence instead
+        if (window.uiManager) {
+            const verdict = answerRecord.isCorrect ? 'Correct!' : (answerRecord.timedOut ? 'Time\'s up.' : 'Incorrect.');
+            const answerText = !answerRecord.isCorrect && answerRecord.correctAnswer ?
+                ` The answer was ${markupManager.toPlainText(answerRecord.correctAnswer)}.` : '';
+            window.uiManager.announce(`${verdict}${answerText} ${message}.`, 'assertive');
+        }
         
         // Update current score display
         this.updateScoreDisplay();
@@ -964,7 +2822,7 @@ class QuizManager {
         if (window.uiManager) {
             window.uiManager.showNotification(
                 color,
-                answerRecord.isCorrect ? 'Correct!' : 'Incorrect',
+                answerRecord.isCorrect ? 'Correct!' : (answerRecord.timedOut ? 'Time\'s up!' : 'Incorrect'),
                 message,
                 2000
             );
@@ -980,6 +2838,7 @@ class QuizManager {
         const popup = document.createElement('div');
         popup.className = `score-popup ${isCorrect ? 'correct' : 'incorrect'}`;
         popup.textContent = pointsText;
+        popup.setAttribute('aria-hidden', 'true');
         
         if (!isCorrect) {
             popup.style.background = 'var(--color-error)';
@@ -995,6 +2854,22 @@ class QuizManager {
         }, 1500);
     }
 
+    /**
+     * Update the lives shown during an endless run
+     */
+    updateLivesDisplay() {
+        const livesElement = document.getElementById('quiz-lives');
+        if (!livesElement) return;
+
+        const endless = this.isEndlessMode();
+        livesElement.classList.toggle('hidden', !endless);
+        if (!endless) return;
+
+        const livesLeft = this.getLivesLeft();
+        livesElement.textContent = '❤️'.repeat(livesLeft) + '🖤'.repeat(this.currentQuiz.lives - livesLeft);
+        livesElement.setAttribute('aria-label', `${livesLeft} ${livesLeft === 1 ? 'life' : 'lives'} left`);
+    }
+
     /**
      * Update score display in real-time
      */
@@ -1019,8 +2894,10 @@ class QuizManager {
      * @returns {Object} Quiz results
      */
     calculateResults() {
+        const endless = this.isEndlessMode();
         const correctAnswers = this.userAnswers.filter(answer => answer.isCorrect).length;
-        const totalQuestions = this.questions.length;
+        // Endless runs prefetch questions that were never asked
+        const totalQuestions = endless ? this.userAnswers.length : this.questions.length;
         const timeSpent = this.currentQuiz.timeLimit - this.timeRemaining;
 
         // Use scoring system for comprehensive results
@@ -1028,8 +2905,11 @@ class QuizManager {
             window.scoreCalculator.calculateTotalScore(this.userAnswers, {
                 category: this.currentQuiz.category,
                 difficulty: this.currentQuiz.difficulty,
+                mode: this.currentQuiz.mode,
+                scoringProfile: this.currentQuiz.scoringVersion,
                 timeSpent: timeSpent,
-                timeLimit: this.currentQuiz.timeLimit
+                timeLimit: this.currentQuiz.timeLimit,
+                grading: this.currentQuiz.definition ? this.currentQuiz.definition.grading : null
             }) : {
                 totalPoints: this.score,
                 accuracy: totalQuestions > 0 ? (correctAnswers / totalQuestions) * 100 : 0,
@@ -1043,9 +2923,27 @@ class QuizManager {
             sessionId: this.currentQuiz.sessionId,
             category: this.currentQuiz.category,
             difficulty: this.currentQuiz.difficulty,
+            difficultyPath: this.userAnswers.map(answer => ({
+                difficulty: answer.difficulty,
+                isCorrect: answer.isCorrect
+            })),
+            mode: this.currentQuiz.mode,
+            timingMode: this.currentQuiz.timingMode,
+            lifelineAllowance: this.currentQuiz.lifelineAllowance,
+            challengeId: this.currentQuiz.challengeId,
+            dailyDate: this.currentQuiz.dailyDate || null,
+            definitionId: this.currentQuiz.definition ? this.currentQuiz.definition.id : null,
+            definitionName: this.currentQuiz.definition ? this.currentQuiz.definition.name : null,
+            grading: this.currentQuiz.definition ? this.currentQuiz.definition.grading || null : null,
+            seed: this.currentQuiz.seed,
+            scoringVersion: this.isEndlessMode() ? null : scoringResults.scoringVersion || null,
+            confidence: !!this.currentQuiz.confidence,
+            runLength: endless ? correctAnswers : null,
+            livesLeft: endless ? this.getLivesLeft() : null,
             totalQuestions,
             correctAnswers,
             incorrectAnswers: totalQuestions - correctAnswers,
+            timedOutAnswers: this.userAnswers.filter(answer => answer.timedOut).length,
             accuracy: scoringResults.accuracy,
             score: scoringResults.totalPoints,
             maxPossiblePoints: scoringResults.maxPossiblePoints,
@@ -1083,6 +2981,22 @@ class QuizManager {
             
             // Check for new achievements
             await this.checkAchievements(results);
+
+            // Finish the challenge this quiz was played for
+            if (results.challengeId && window.challengeManager) {
+                window.challengeManager.completeChallenge(results.challengeId, results);
+                if (window.dashboardManager) {
+                    window.dashboardManager.loadChallenges();
+                }
+            }
+
+            // Record the day's attempt and streak
+            if (results.dailyDate && window.dailyChallengeManager) {
+                window.dailyChallengeManager.completeDailyChallenge(results.dailyDate, results);
+                if (window.dashboardManager) {
+                    window.dashboardManager.loadDailyChallenge();
+                }
+            }
             
             console.log('✅ Quiz results saved successfully');
             
@@ -1091,6 +3005,40 @@ class QuizManager {
         }
     }
 
+    /**
+     * Save a finished endless run
+     * Completing the session ranks the run on its mode's leaderboard; endless runs
+     * have no quiz_results row and leave profile totals and achievements alone.
+     * @param {Object} results - Quiz results
+     */
+    async saveEndlessRun(results) {
+        try {
+            if (authManager.supabase && authManager.isInitialized && authManager.getCurrentUser()) {
+                // The database recomputes the totals from the recorded answers
+                await this.updateQuizSession({
+                    status: 'completed',
+                    questions_answered: results.answers.length,
+                    correct_answers: results.correctAnswers,
+                    total_points: results.score,
+                    time_spent: results.timeSpent,
+                    completed_at: results.completedAt.toISOString()
+                });
+            }
+
+            if (window.leaderboardManager) {
+                window.leaderboardManager.recordEndlessRun(results);
+            }
+            if (window.leaderboardUI) {
+                window.leaderboardUI.loadEndlessLeaderboard();
+            }
+
+            console.log('✅ Endless run saved successfully');
+
+        } catch (error) {
+            console.error('❌ Failed to save endless run:', error);
+        }
+    }
+
     /**
      * Save results to Supabase database
      * @param {Object} results - Quiz results
@@ -1101,15 +3049,25 @@ class QuizManager {
             if (!user) return;
 
             // Update quiz session status
+            // The database recomputes the totals from the recorded answers
             await this.updateQuizSession({
                 status: 'completed',
-                questions_answered: results.totalQuestions,
+                questions_answered: results.answers.length,
                 correct_answers: results.correctAnswers,
                 total_points: results.score,
                 time_spent: results.timeSpent,
                 completed_at: results.completedAt.toISOString()
             });
 
+            // quiz_results only accepts totals that match the server-recorded answers
+            const recorded = await this.getRecordedSessionTotals(results.sessionId);
+            if (recorded && recorded.total_points !== results.score) {
+                console.warn('⚠️ Server score differs from local score:', {
+                    server: recorded.total_points,
+                    local: results.score
+                });
+            }
+
             // Insert quiz result record
             const { error } = await authManager.supabase
                 .from('quiz_results')
@@ -1118,9 +3076,11 @@ class QuizManager {
                     quiz_session_id: results.sessionId,
                     category: results.category,
                     difficulty: results.difficulty,
-                    questions_answered: results.totalQuestions,
-                    correct_answers: results.correctAnswers,
-                    total_points: results.score,
+                    timing_mode: results.timingMode,
+                    difficulty_path: results.difficultyPath,
+                    questions_answered: recorded ? recorded.questions_answered : results.answers.length,
+                    correct_answers: recorded ? recorded.correct_answers : results.correctAnswers,
+                    total_points: recorded ? recorded.total_points : results.score,
                     accuracy: results.accuracy,
                     time_spent: results.timeSpent,
                     completed_at: results.completedAt.toISOString()
@@ -1135,6 +3095,33 @@ class QuizManager {
         }
     }
 
+    /**
+     * Fetch the totals the database recorded for a quiz session
+     * @param {string} sessionId - Quiz session ID
+     * @returns {Promise<Object|null>} Session totals or null
+     */
+    async getRecordedSessionTotals(sessionId) {
+        if (!sessionId) return null;
+
+        try {
+            const { data, error } = await authManager.supabase
+                .from('quiz_sessions')
+                .select('questions_answered, correct_answers, total_points')
+                .eq('id', sessionId)
+                .single();
+
+            if (error) {
+                throw error;
+            }
+
+            return data;
+
+        } catch (error) {
+            console.error('Failed to fetch recorded session totals:', error);
+            return null;
+        }
+    }
+
     /**
      * Update user statistics after quiz completion
      * @param {Object} results - Quiz results
@@ -1146,36 +3133,12 @@ class QuizManager {
             const user = authManager.getCurrentUser();
             if (!user) return;
 
-            // Get current user stats
-            const { data: profile } = await authManager.supabase
-                .from('profiles')
-                .select('*')
-                .eq('id', user.id)
-                .single();
+            // Profile totals are maintained by the update_user_stats trigger when the
+            // session completes, so clients cannot write their own points
 
-            if (profile) {
-                const newTotalPoints = (profile.total_points || 0) + results.score;
-                const newQuizzesCompleted = (profile.quizzes_completed || 0) + 1;
-                const newAverageScore = newTotalPoints / newQuizzesCompleted;
-                const newBestScore = Math.max(profile.best_score || 0, results.score);
-
-                // Update profile
-                await authManager.supabase
-                    .from('profiles')
-                    .update({
-                        total_points: newTotalPoints,
-                        quizzes_completed: newQuizzesCompleted,
-                        average_score: Math.round(newAverageScore * 100) / 100,
-                        best_score: newBestScore,
-                        last_quiz_date: results.completedAt.toISOString(),
-                        updated_at: new Date().toISOString()
-                    })
-                    .eq('id', user.id);
-
-                // Update leaderboard manager if available
-                if (window.leaderboardManager) {
-                    await window.leaderboardManager.updateUserScore(user.id, results.score);
-                }
+            // Update leaderboard manager if available
+            if (window.leaderboardManager) {
+                await window.leaderboardManager.updateUserScore(user.id, results.score);
             }
 
         } catch (error) {
@@ -1218,12 +3181,21 @@ class QuizManager {
             window.uiManager.showQuizResults(results);
             
             // Also show a notification
-            window.uiManager.showNotification(
-                'success',
-                'Quiz Completed!',
-                `You scored ${results.score} points with ${results.accuracy}% accuracy!`,
-                5000
-            );
+            if (results.runLength !== null) {
+                window.uiManager.showNotification(
+                    'success',
+                    'Run Over!',
+                    `${results.runLength} correct for ${results.score} points!`,
+                    5000
+                );
+            } else {
+                window.uiManager.showNotification(
+                    'success',
+                    'Quiz Completed!',
+                    `You scored ${results.score} points with ${results.accuracy}% accuracy!`,
+                    5000
+                );
+            }
         }
     }
 
@@ -1280,7 +3252,7 @@ class QuizManager {
         return {
             isActive: this.isQuizActive,
             currentQuestion: this.currentQuestionIndex + 1,
-            totalQuestions: this.questions.length,
+            totalQuestions: this.getTotalQuestions(),
             score: this.score,
             timeRemaining: this.timeRemaining,
             quiz: this.currentQuiz
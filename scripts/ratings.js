@@ -0,0 +1,240 @@
+// Skill Rating Module for QuizMaster app
+// Rates players and questions against each other and matches questions to a player's rating
+
+/**
+ * Rating Manager class
+ * Every ranked answer is a Glicko-1 match between the player and the question:
+ * the player wins by answering correctly and the question wins when it is
+ * missed. Players hold an overall rating (category 'all') and one per
+ * category; questions hold one rating, which relabels their difficulty once it
+ * settles. Practice, review and answers helped by 50/50 are not rated. Signed-in
+ * ratings are kept by submit_quiz_answer; guests keep theirs in local storage.
+ */
+class RatingManager {
+    constructor() {
+        this.config = APP_CONFIG.ratings;
+        this.storageKey = 'player_ratings';
+
+        console.log('📈 Rating Manager initialized');
+    }
+
+    /**
+     * Check whether the database should be used
+     * @returns {boolean} Use database
+     */
+    useDatabase() {
+        return !!(authManager.supabase && authManager.isInitialized && authManager.getCurrentUser());
+    }
+
+    /**
+     * Glicko scale factor, ln(10) / 400
+     * @returns {number} Scale factor
+     */
+    getScale() {
+        return Math.log(10) / 400;
+    }
+
+    /**
+     * Weight given to a result against an opponent, lower the less certain their rating
+     * @param {number} deviation - Opponent's rating deviation
+     * @returns {number} Weight between 0 and 1
+     */
+    getWeight(deviation) {
+        const q = this.getScale();
+        return 1 / Math.sqrt(1 + 3 * q * q * deviation * deviation / (Math.PI * Math.PI));
+    }
+
+    /**
+     * Expected score of a match (mirrors rating_expected_score)
+     * @param {number} rating - Rating of the side being scored
+     * @param {number} opponentRating - Opponent's rating
+     * @param {number} opponentDeviation - Opponent's rating deviation
+     * @returns {number} Chance of winning, 0 to 1
+     */
+    getExpectedScore(rating, opponentRating, opponentDeviation) {
+        return 1 / (1 + Math.pow(10, -this.getWeight(opponentDeviation) * (rating - opponentRating) / 400));
+    }
+
+    /**
+     * Rate one side of a match (mirrors glicko_update)
+     * @param {Object} side - { rating, deviation }
+     * @param {Object} opponent - { rating, deviation }, before the match
+     * @param {number} score - 1 for a win, 0 for a loss
+     * @returns {Object} { rating, deviation }
+     */
+    updateRating(side, opponent, score) {
+        const q = this.getScale();
+        const weight = this.getWeight(opponent.deviation);
+        const expected = this.getExpectedScore(side.rating, opponent.rating, opponent.deviation);
+        const dSquared = 1 / (q * q * weight * weight * expected * (1 - expected));
+        const variance = 1 / (1 / (side.deviation * side.deviation) + 1 / dSquared);
+
+        return {
+            rating: side.rating + q * variance * weight * (score - expected),
+            deviation: Math.max(Math.sqrt(variance), this.config.minDeviation)
+        };
+    }
+
+    /**
+     * Get a question's rating, seeded from its labeled difficulty until it has one
+     * @param {Object} question - Question
+     * @returns {Object} { rating, deviation }
+     */
+    getQuestionRating(question) {
+        return {
+            rating: question.rating !== null && question.rating !== undefined ?
+                Number(question.rating) :
+                (this.config.initialQuestionRatings[question.difficulty] || this.config.initialRating),
+            deviation: question.ratingDeviation !== null && question.ratingDeviation !== undefined ?
+                Number(question.ratingDeviation) : this.config.initialDeviation
+        };
+    }
+
+    /**
+     * Check whether an answer counts towards ratings
+     * @param {string} mode - Quiz mode
+     * @param {Array<string>} lifelines - Lifelines used on the question
+     * @returns {boolean} Rated
+     */
+    isRatedAnswer(mode, lifelines = []) {
+        return mode !== 'practice' && mode !== 'review' &&
+            !lifelines.some(lifeline => this.config.unratedLifelines.includes(lifeline));
+    }
+
+    /**
+     * Rate a guest's answer locally against the question's rating
+     * Mirrors rate_answer, except that question ratings are only kept on the server.
+     * @param {Object} question - Question answered
+     * @param {boolean} isCorrect - Whether the answer was correct
+     */
+    recordLocalAnswer(question, isCorrect) {
+        const ratings = Utils.storage.get(this.storageKey, {});
+        const opponent = this.getQuestionRating(question);
+        const category = question.category || 'General Knowledge';
+
+        ['all', category].forEach(key => {
+            const current = ratings[key] || this.getInitialRating();
+            ratings[key] = {
+                ...this.updateRating(current, opponent, isCorrect ? 1 : 0),
+                matches: current.matches + 1
+            };
+        });
+
+        Utils.storage.set(this.storageKey, ratings);
+    }
+
+    /**
+     * Rating a player starts with
+     * @returns {Object} { rating, deviation, matches }
+     */
+    getInitialRating() {
+        return { rating: this.config.initialRating, deviation: this.config.initialDeviation, matches: 0 };
+    }
+
+    /**
+     * Get a guest's rating in a category
+     * @param {string} category - Category, or 'all' for the overall rating
+     * @returns {Object} { rating, deviation, matches }
+     */
+    getLocalRating(category = 'all') {
+        const ratings = Utils.storage.get(this.storageKey, {});
+        const key = category && category !== 'all' ? category : 'all';
+        return ratings[key] || ratings.all || this.getInitialRating();
+    }
+
+    /**
+     * Get the current user's ratings, overall first and then by rated answers
+     * @returns {Promise<Array<Object>>} { category, rating, deviation, matches, provisional }
+     */
+    async getRatings() {
+        let rows = [];
+
+        try {
+            if (this.useDatabase()) {
+                const { data, error } = await authManager.supabase
+                    .from('player_ratings')
+                    .select('category, rating, deviation, matches')
+                    .eq('user_id', authManager.getCurrentUser().id);
+
+                if (error) {
+                    throw error;
+                }
+
+                rows = data || [];
+            } else {
+                rows = Object.entries(Utils.storage.get(this.storageKey, {}))
+                    .map(([category, rating]) => ({ category, ...rating }));
+            }
+        } catch (error) {
+            console.error('Failed to load ratings:', error);
+        }
+
+        return rows
+            .map(row => ({
+                category: row.category,
+                rating: Math.round(Number(row.rating)),
+                deviation: Math.round(Number(row.deviation)),
+                matches: row.matches || 0,
+                provisional: this.isProvisional(row)
+            }))
+            .sort((a, b) => (b.category === 'all') - (a.category === 'all') || b.matches - a.matches);
+    }
+
+    /**
+     * Check whether a rating is still too uncertain to rank
+     * @param {Object} rating - { deviation, matches }
+     * @returns {boolean} Provisional
+     */
+    isProvisional(rating) {
+        return rating.matches < this.config.minMatches || Number(rating.deviation) > this.config.provisionalDeviation;
+    }
+
+    /**
+     * Map a question rating onto a difficulty level (mirrors difficulty_for_rating)
+     * @param {number} rating - Question rating
+     * @returns {string} 'easy', 'medium' or 'hard'
+     */
+    getDifficultyForRating(rating) {
+        if (rating < this.config.difficultyBands.easy) return 'easy';
+        if (rating >= this.config.difficultyBands.hard) return 'hard';
+        return 'medium';
+    }
+
+    /**
+     * Pick the questions closest to the target chance of a correct answer
+     * Mirrors the matched pick in get_quiz_questions: the closest questions
+     * make a pool of matchPoolFactor times the count, picked from at random.
+     * @param {Array<Object>} questions - Candidate questions
+     * @param {number} playerRating - Player's rating
+     * @param {number} count - Number of questions
+     * @param {Function} random - Random number generator, e.g. from Utils.createRandom
+     * @returns {Array<Object>} Questions
+     */
+    pickMatchedQuestions(questions, playerRating, count, random = Math.random) {
+        const distance = question => {
+            const opponent = this.getQuestionRating(question);
+            // The player's chance of beating the question
+            return Math.abs(
+                this.getExpectedScore(playerRating, opponent.rating, opponent.deviation) - this.config.targetWinProbability
+            );
+        };
+
+        const pool = Utils.shuffleArray(questions, random)
+            .sort((a, b) => distance(a) - distance(b))
+            .slice(0, count * this.config.matchPoolFactor);
+
+        return Utils.shuffleArray(pool, random).slice(0, count);
+    }
+}
+
+// Create global instance
+const ratingManager = new RatingManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RatingManager;
+}
+
+// Make available globally
+window.RatingManager = RatingManager;
+window.ratingManager = ratingManager;
@@ -0,0 +1,254 @@
+// Spaced Repetition Review Module for QuizMaster app
+// Schedules previously missed questions for review using an SM-2 style algorithm
+
+/**
+ * Review Scheduler class
+ * Tracks a review schedule per (user, question) pair: repetitions, interval,
+ * ease factor and due date. Uses the review_schedule table when Supabase is
+ * available and local storage otherwise.
+ */
+class ReviewScheduler {
+    constructor() {
+        this.config = APP_CONFIG.quiz.review;
+        this.storageKey = 'review_schedule';
+
+        console.log('🔁 Review Scheduler initialized');
+    }
+
+    /**
+     * Check whether the database should be used
+     * @returns {boolean} Use database
+     */
+    useDatabase() {
+        return !!(authManager.supabase && authManager.isInitialized && authManager.getCurrentUser());
+    }
+
+    /**
+     * Rate how well a question was recalled on the SM-2 0-5 scale
+     * @param {boolean} isCorrect - Whether the answer was correct
+     * @param {boolean} timedOut - Whether the question ran out of time
+     * @param {number} timeSpent - Seconds spent on the question
+     * @param {string} difficulty - Question difficulty
+     * @returns {number} Recall quality (0-5)
+     */
+    getReviewQuality(isCorrect, timedOut, timeSpent, difficulty) {
+        if (timedOut) return 0;
+        if (!isCorrect) return 1;
+
+        const threshold = this.config.speedThresholds[difficulty] || this.config.speedThresholds.medium;
+
+        if (timeSpent <= threshold) return 5;
+        if (timeSpent <= threshold * 2) return 4;
+        return 3;
+    }
+
+    /**
+     * Calculate the next schedule for an entry (SM-2)
+     * Mirrored by the submit_review_answer database function.
+     * @param {Object} entry - Current schedule entry
+     * @param {number} quality - Recall quality (0-5)
+     * @returns {Object} Updated schedule fields
+     */
+    calculateNextReview(entry, quality) {
+        const easeFactor = entry.easeFactor || this.config.initialEaseFactor;
+        let repetitions = entry.repetitions || 0;
+        let intervalDays = entry.intervalDays || 0;
+        let lapses = entry.lapses || 0;
+
+        if (quality < 3) {
+            // Forgotten: start the question over
+            repetitions = 0;
+            intervalDays = 1;
+            lapses++;
+        } else {
+            repetitions++;
+            if (repetitions === 1) {
+                intervalDays = 1;
+            } else if (repetitions === 2) {
+                intervalDays = 6;
+            } else {
+                intervalDays = Math.round(intervalDays * easeFactor);
+            }
+        }
+
+        const newEaseFactor = Math.max(
+            this.config.minimumEaseFactor,
+            easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+        );
+
+        const dueDate = new Date();
+        dueDate.setDate(dueDate.getDate() + intervalDays);
+
+        return {
+            repetitions,
+            intervalDays,
+            lapses,
+            easeFactor: Math.round(newEaseFactor * 100) / 100,
+            dueDate: this.toDateString(dueDate),
+            lastReviewedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Format a date as YYYY-MM-DD in local time
+     * @param {Date} date - Date to format
+     * @returns {string} Date string
+     */
+    toDateString(date) {
+        const month = (date.getMonth() + 1).toString().padStart(2, '0');
+        const day = date.getDate().toString().padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Get the number of reviews due today
+     * @returns {Promise<number>} Due review count
+     */
+    async getDueCount() {
+        try {
+            if (this.useDatabase()) {
+                const user = authManager.getCurrentUser();
+                const { count, error } = await authManager.supabase
+                    .from('review_schedule')
+                    .select('id', { count: 'exact', head: true })
+                    .eq('user_id', user.id)
+                    .lte('due_date', this.toDateString(new Date()));
+
+                if (error) {
+                    throw error;
+                }
+
+                return count || 0;
+            }
+
+            return this.getLocalDueEntries().length;
+
+        } catch (error) {
+            console.error('Failed to get due review count:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Get questions due for review
+     * @param {number} count - Maximum number of questions
+     * @returns {Promise<Array>} Array of question objects
+     */
+    async getDueQuestions(count = this.config.questionsPerSession) {
+        if (this.useDatabase()) {
+            const { data, error } = await authManager.supabase
+                .rpc('get_due_review_questions', { p_count: count });
+
+            if (error) {
+                if (window.errorHandler) {
+                    window.errorHandler.handleDatabaseError(error, 'load_reviews');
+                }
+                throw error;
+            }
+
+            return (data || []).map(q => ({
+                id: q.id,
+                question: q.question_text,
+                type: q.question_type,
+                options: q.question_type === 'true_false' ?
+                    APP_CONFIG.quiz.trueFalseOptions : (q.options || []),
+                correctAnswer: null, // Revealed by the server once answered
+                acceptedAnswers: [],
+                explanation: null,
+                category: q.category,
+                difficulty: q.difficulty,
+                points: q.points_value || APP_CONFIG.quiz.pointsSystem[q.difficulty] || 10,
+                media: q.media || null,
+                serverGraded: true
+            }));
+        }
+
+        return this.getLocalDueEntries()
+            .slice(0, count)
+            .map(entry => entry.question);
+    }
+
+    /**
+     * Add a missed question to the local schedule
+     * The database schedules missed answers with a trigger on quiz_answers.
+     * @param {Object} question - Question that was missed
+     */
+    addMissedQuestion(question) {
+        if (this.useDatabase()) return;
+
+        const schedule = this.getLocalSchedule();
+        const existing = schedule[question.id];
+        const today = this.toDateString(new Date());
+
+        schedule[question.id] = existing ? {
+            ...existing,
+            repetitions: 0,
+            intervalDays: 0,
+            dueDate: existing.dueDate < today ? existing.dueDate : today
+        } : {
+            question,
+            repetitions: 0,
+            intervalDays: 0,
+            easeFactor: this.config.initialEaseFactor,
+            lapses: 0,
+            dueDate: today,
+            lastReviewedAt: null
+        };
+
+        Utils.storage.set(this.storageKey, schedule);
+    }
+
+    /**
+     * Record a locally graded review and reschedule the question
+     * @param {Object} question - Reviewed question
+     * @param {boolean} isCorrect - Whether the answer was correct
+     * @param {boolean} timedOut - Whether the question ran out of time
+     * @param {number} timeSpent - Seconds spent on the question
+     * @returns {Object|null} Updated schedule entry
+     */
+    recordLocalReview(question, isCorrect, timedOut, timeSpent) {
+        const schedule = this.getLocalSchedule();
+        const entry = schedule[question.id];
+        if (!entry) return null;
+
+        const quality = this.getReviewQuality(isCorrect, timedOut, timeSpent, question.difficulty);
+        schedule[question.id] = {
+            ...entry,
+            ...this.calculateNextReview(entry, quality)
+        };
+
+        Utils.storage.set(this.storageKey, schedule);
+        return schedule[question.id];
+    }
+
+    /**
+     * Get the local schedule keyed by question ID
+     * @returns {Object} Local schedule
+     */
+    getLocalSchedule() {
+        return Utils.storage.get(this.storageKey, {});
+    }
+
+    /**
+     * Get local schedule entries due today, oldest first
+     * @returns {Array} Due entries
+     */
+    getLocalDueEntries() {
+        const today = this.toDateString(new Date());
+        return Object.values(this.getLocalSchedule())
+            .filter(entry => entry.dueDate <= today)
+            .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+    }
+}
+
+// Create global instance
+const reviewScheduler = new ReviewScheduler();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReviewScheduler;
+}
+
+// Make available globally
+window.ReviewScheduler = ReviewScheduler;
+window.reviewScheduler = reviewScheduler;
@@ -3,11 +3,14 @@
 
 /**
  * Score Calculator class
- * Manages all scoring logic including bonuses, penalties, and special conditions
+ * Manages all scoring logic including bonuses, penalties, and special conditions.
+ * Standard quizzes are scored with a scoring profile from
+ * APP_CONFIG.quiz.scoring; endless runs have their own rules.
  */
 class ScoreCalculator {
     constructor() {
         this.pointsConfig = APP_CONFIG.quiz.pointsSystem;
+        this.scoringConfig = APP_CONFIG.quiz.scoring;
         this.streakMultiplier = 1.0;
         this.timeBonus = 0;
         
@@ -21,9 +24,21 @@ class ScoreCalculator {
      * @param {number} timeSpent - Time spent on question (seconds)
      * @param {number} consecutiveCorrect - Number of consecutive correct answers
      * @param {Object} options - Additional scoring options
+     * @param {Array<string>} options.lifelines - Lifelines used on the question
+     * @param {string} options.mode - Quiz mode; endless modes are scored by calculateEndlessAnswerPoints
+     * @param {string} options.scoringProfile - Scoring profile name or version id; the default profile when left out
+     * @param {string} options.confidence - 'low', 'medium' or 'high' on a confidence-weighted quiz; the
+     *     answer is then scored with APP_CONFIG.quiz.confidence.stakes instead of the profile's penalties
      * @returns {Object} Scoring result
      */
     calculateAnswerPoints(question, isCorrect, timeSpent, consecutiveCorrect = 0, options = {}) {
+        if (APP_CONFIG.quiz.endless.modes.includes(options.mode)) {
+            return this.calculateEndlessAnswerPoints(options.mode, question, isCorrect, timeSpent, consecutiveCorrect);
+        }
+
+        const rules = this.getProfile(options.scoringProfile).rules;
+        const confidence = APP_CONFIG.quiz.confidence;
+        const stakes = confidence.stakes[options.confidence] || null;
         let basePoints = question.points || this.getBasePoints(question.difficulty);
         let finalPoints = 0;
         let bonuses = [];
@@ -32,19 +47,33 @@ class ScoreCalculator {
         if (isCorrect) {
             finalPoints = basePoints;
 
-            // Consecutive answer bonus
-            if (consecutiveCorrect >= 2) {
-                const streakBonus = Math.floor(basePoints * this.pointsConfig.bonusMultiplier - basePoints);
-                finalPoints += streakBonus;
-                bonuses.push({
-                    type: 'streak',
-                    amount: streakBonus,
-                    description: `${consecutiveCorrect + 1} in a row!`
+            // Less than full confidence earns only a share of the base points
+            const withheld = stakes ? basePoints - this.floorPoints(basePoints * stakes.correct) : 0;
+            if (withheld > 0) {
+                finalPoints -= withheld;
+                penalties.push({
+                    type: 'confidence',
+                    amount: withheld,
+                    description: `${confidence.labels[options.confidence]} confidence`
                 });
             }
 
+            // Consecutive answer bonus
+            if (rules.streak && consecutiveCorrect >= rules.streak.minStreak) {
+                const streakBonus = this.floorPoints(basePoints * rules.streak.multiplier - basePoints);
+                if (streakBonus > 0) {
+                    finalPoints += streakBonus;
+                    bonuses.push({
+                        type: 'streak',
+                        amount: streakBonus,
+                        description: `${consecutiveCorrect + 1} in a row!`
+                    });
+                }
+            }
+
             // Speed bonus (if answered quickly)
-            const speedBonus = this.calculateSpeedBonus(basePoints, timeSpent, question.difficulty);
+            const speedBonus = rules.speed ?
+                this.calculateSpeedBonus(basePoints, timeSpent, question.difficulty, rules.speed) : 0;
             if (speedBonus > 0) {
                 finalPoints += speedBonus;
                 bonuses.push({
@@ -55,8 +84,8 @@ class ScoreCalculator {
             }
 
             // Difficulty bonus
-            if (question.difficulty === 'hard') {
-                const difficultyBonus = Math.floor(basePoints * 0.2);
+            const difficultyBonus = question.difficulty === 'hard' ? this.floorPoints(basePoints * (rules.hardBonus || 0)) : 0;
+            if (difficultyBonus > 0) {
                 finalPoints += difficultyBonus;
                 bonuses.push({
                     type: 'difficulty',
@@ -76,19 +105,48 @@ class ScoreCalculator {
                 });
             }
 
+            // Lifeline deductions
+            (options.lifelines || []).forEach(lifeline => {
+                const rate = APP_CONFIG.quiz.lifelines.deductions[lifeline] || 0;
+                const deduction = this.floorPoints(basePoints * rate);
+                if (deduction > 0) {
+                    finalPoints -= deduction;
+                    penalties.push({
+                        type: 'lifeline',
+                        lifeline,
+                        amount: deduction,
+                        description: 'Lifeline used'
+                    });
+                }
+            });
+
+        } else if (stakes) {
+            // The wrong answer costs what its confidence put at stake
+            const penalty = this.floorPoints(basePoints * stakes.incorrect);
+            finalPoints = 0 - penalty;
+            if (penalty > 0) {
+                penalties.push({
+                    type: 'confidence',
+                    amount: penalty,
+                    description: `Wrong at ${confidence.labels[options.confidence].toLowerCase()} confidence`
+                });
+            }
         } else {
             // Incorrect answer penalty
-            const penalty = Math.floor(basePoints * this.pointsConfig.penaltyPercentage);
-            finalPoints = -penalty;
-            penalties.push({
-                type: 'incorrect',
-                amount: penalty,
-                description: 'Incorrect answer'
-            });
+            const penalty = this.floorPoints(basePoints * (rules.incorrectPenalty || 0));
+            finalPoints = 0 - penalty; // 0 rather than -0 when there is no penalty
+            if (penalty > 0) {
+                penalties.push({
+                    type: 'incorrect',
+                    amount: penalty,
+                    description: 'Incorrect answer'
+                });
+            }
 
             // Time penalty for very slow answers
-            if (timeSpent > 60) { // More than 1 minute
-                const timePenalty = Math.floor(penalty * 0.5);
+            const timePenalty = rules.slowPenalty && timeSpent > rules.slowPenalty.afterSeconds ?
+                this.floorPoints(penalty * rules.slowPenalty.rate) : 0;
+            if (timePenalty > 0) {
                 finalPoints -= timePenalty;
                 penalties.push({
                     type: 'time',
@@ -98,40 +156,128 @@ class ScoreCalculator {
             }
         }
 
+        // Minimum bounds; a wrong answer can always lose its full confidence stake
+        const lowestPenalty = Math.max(Math.floor(basePoints * 0.5), stakes ? this.floorPoints(basePoints * stakes.incorrect) : 0);
+
         return {
             basePoints,
-            finalPoints: Math.max(finalPoints, isCorrect ? 1 : -Math.floor(basePoints * 0.5)), // Minimum bounds
+            finalPoints: Math.max(finalPoints, isCorrect ? 1 : -lowestPenalty),
             bonuses,
             penalties,
             isCorrect,
+            confidence: stakes ? options.confidence : null,
             breakdown: this.createPointsBreakdown(basePoints, bonuses, penalties)
         };
     }
 
+    /**
+     * Calculate points for a single answer in an endless run
+     * A miss costs a life rather than points. Survival rewards speed, since every
+     * correct answer also tops up the clock; sudden death multiplies the base
+     * points by the run so far (see calculateStreakMultiplier).
+     * @param {string} mode - 'survival' or 'sudden_death'
+     * @param {Object} question - Question object
+     * @param {boolean} isCorrect - Whether answer is correct
+     * @param {number} timeSpent - Time spent on question (seconds)
+     * @param {number} consecutiveCorrect - Number of consecutive correct answers before this one
+     * @returns {Object} Scoring result
+     */
+    calculateEndlessAnswerPoints(mode, question, isCorrect, timeSpent, consecutiveCorrect = 0) {
+        const basePoints = question.points || this.getBasePoints(question.difficulty);
+        let finalPoints = 0;
+        const bonuses = [];
+
+        if (isCorrect) {
+            finalPoints = basePoints;
+
+            if (mode === 'sudden_death') {
+                const multiplier = this.calculateStreakMultiplier(consecutiveCorrect + 1);
+                const runBonus = this.floorPoints(basePoints * multiplier) - basePoints;
+                if (runBonus > 0) {
+                    finalPoints += runBonus;
+                    bonuses.push({
+                        type: 'run',
+                        amount: runBonus,
+                        description: `×${multiplier} run multiplier`
+                    });
+                }
+            } else {
+                const speedBonus = this.calculateSpeedBonus(basePoints, timeSpent, question.difficulty);
+                if (speedBonus > 0) {
+                    finalPoints += speedBonus;
+                    bonuses.push({
+                        type: 'speed',
+                        amount: speedBonus,
+                        description: 'Quick answer!'
+                    });
+                }
+            }
+        }
+
+        return {
+            basePoints,
+            finalPoints,
+            bonuses,
+            penalties: [],
+            isCorrect,
+            breakdown: this.createPointsBreakdown(basePoints, bonuses, [])
+        };
+    }
+
     /**
      * Calculate speed bonus based on response time
+     * The bonus shrinks from its maximum at 0 seconds to nothing at the difficulty's threshold.
      * @param {number} basePoints - Base points for the question
      * @param {number} timeSpent - Time spent in seconds
      * @param {string} difficulty - Question difficulty
+     * @param {Object} speedRules - { thresholds, maxBonus } from a scoring profile; the default profile's when left out
      * @returns {number} Speed bonus points
      */
-    calculateSpeedBonus(basePoints, timeSpent, difficulty) {
-        const timeThresholds = {
-            easy: 10,    // 10 seconds for easy questions
-            medium: 15,  // 15 seconds for medium questions
-            hard: 20     // 20 seconds for hard questions
-        };
-
-        const threshold = timeThresholds[difficulty] || 15;
+    calculateSpeedBonus(basePoints, timeSpent, difficulty, speedRules = this.getProfile().rules.speed) {
+        const threshold = speedRules.thresholds[difficulty] || speedRules.thresholds.medium;
         
         if (timeSpent <= threshold) {
             const speedRatio = (threshold - timeSpent) / threshold;
-            return Math.floor(basePoints * speedRatio * 0.3); // Up to 30% bonus
+            return this.floorPoints(basePoints * speedRatio * speedRules.maxBonus);
         }
 
         return 0;
     }
 
+    /**
+     * Round points down the way the database's NUMERIC FLOOR does
+     * Binary floating point can land just under a whole number (50 × 2/3 × 0.3
+     * gives 9.999…), which would score a point less than the server.
+     * @param {number} value - Unrounded points
+     * @returns {number} Whole points
+     */
+    floorPoints(value) {
+        return Math.floor(value + 1e-9);
+    }
+
+    /**
+     * Get a scoring profile
+     * A name gives its current version; a version id gives exactly that
+     * version, retired or not, so old sessions can be rescored as they were.
+     * @param {string} [id] - Profile name or version id
+     * @returns {Object} { version, name, label, description, rules }; the default profile when not found
+     */
+    getProfile(id) {
+        const profiles = this.scoringConfig.profiles;
+
+        return profiles.find(profile => profile.version === id) ||
+            profiles.find(profile => profile.name === id && !profile.retired) ||
+            profiles.find(profile => profile.name === this.scoringConfig.defaultProfile && !profile.retired);
+    }
+
+    /**
+     * Get the scoring profiles a quiz can be started with
+     * @returns {Array<Object>} Current, non-retired profiles
+     */
+    getProfiles() {
+        return this.scoringConfig.profiles.filter(profile => !profile.retired);
+    }
+
     /**
      * Get base points for difficulty level
      * @param {string} difficulty - Question difficulty
@@ -145,6 +291,7 @@ class ScoreCalculator {
      * Calculate total quiz score
      * @param {Array} answers - Array of answer results
      * @param {Object} quizInfo - Quiz information
+     * @param {Object} quizInfo.grading - Grading settings from the quiz definition, see getGradingScheme
      * @returns {Object} Total score calculation
      */
     calculateTotalScore(answers, quizInfo = {}) {
@@ -173,11 +320,15 @@ class ScoreCalculator {
         });
 
         // Calculate completion bonuses
-        const completionBonuses = this.calculateCompletionBonuses(
-            answers, 
-            correctAnswers, 
-            quizInfo
-        );
+        const profile = this.getProfile(quizInfo.scoringProfile);
+        const completionBonuses = APP_CONFIG.quiz.endless.modes.includes(quizInfo.mode) ?
+            this.calculateEndlessBonuses(quizInfo.mode, answers, correctAnswers) :
+            this.calculateCompletionBonuses(
+                answers, 
+                correctAnswers, 
+                quizInfo,
+                profile.rules
+            );
 
         totalPoints += completionBonuses.reduce((sum, bonus) => sum + bonus.amount, 0);
 
@@ -185,7 +336,7 @@ class ScoreCalculator {
         const accuracy = answers.length > 0 ? (correctAnswers / answers.length) * 100 : 0;
 
         // Calculate performance grade
-        const grade = this.calculateGrade(accuracy, totalPoints, maxPossiblePoints);
+        const grade = this.calculateGrade(accuracy, totalPoints, maxPossiblePoints, quizInfo.grading);
 
         return {
             totalPoints: Math.max(0, totalPoints), // Ensure non-negative
@@ -197,6 +348,7 @@ class ScoreCalculator {
             totalPenalties,
             completionBonuses,
             grade,
+            scoringVersion: profile.version,
             breakdown: {
                 baseScore: totalPoints - totalBonuses + totalPenalties,
                 bonuses: totalBonuses,
@@ -211,58 +363,82 @@ class ScoreCalculator {
      * @param {Array} answers - Array of answers
      * @param {number} correctAnswers - Number of correct answers
      * @param {Object} quizInfo - Quiz information
+     * @param {Object} rules - Scoring profile rules; the default profile's when left out
      * @returns {Array} Array of completion bonuses
      */
-    calculateCompletionBonuses(answers, correctAnswers, quizInfo) {
+    calculateCompletionBonuses(answers, correctAnswers, quizInfo, rules = this.getProfile().rules) {
         const bonuses = [];
         const accuracy = (correctAnswers / answers.length) * 100;
+        const perQuestion = rules.completionBonuses || {};
+        const addBonus = (type, description) => {
+            const amount = Math.floor(answers.length * (perQuestion[type] || 0));
+            if (amount > 0) {
+                bonuses.push({ type, amount, description });
+            }
+        };
 
         // Perfect score bonus
         if (accuracy === 100) {
-            bonuses.push({
-                type: 'perfect_score',
-                amount: Math.floor(answers.length * 10),
-                description: 'Perfect Score! 🏆'
-            });
+            addBonus('perfect_score', 'Perfect Score! 🏆');
         }
 
         // High accuracy bonus
         else if (accuracy >= 90) {
-            bonuses.push({
-                type: 'high_accuracy',
-                amount: Math.floor(answers.length * 5),
-                description: 'Excellent Performance! ⭐'
-            });
+            addBonus('high_accuracy', 'Excellent Performance! ⭐');
         }
 
         // Quiz completion bonus
         if (answers.length >= 10) {
-            bonuses.push({
-                type: 'completion',
-                amount: Math.floor(answers.length * 2),
-                description: 'Quiz Completion Bonus'
-            });
+            addBonus('completion', 'Quiz Completion Bonus');
         }
 
         // Fast completion bonus
         if (quizInfo.timeSpent && quizInfo.timeLimit) {
             const timeRatio = quizInfo.timeSpent / quizInfo.timeLimit;
             if (timeRatio < 0.5 && accuracy >= 70) {
-                bonuses.push({
-                    type: 'speed_completion',
-                    amount: Math.floor(answers.length * 3),
-                    description: 'Lightning Fast! ⚡'
-                });
+                addBonus('speed_completion', 'Lightning Fast! ⚡');
             }
         }
 
         // Category mastery bonus (if all questions in category are correct)
         if (quizInfo.category && quizInfo.category !== 'all' && accuracy === 100) {
-            bonuses.push({
-                type: 'category_mastery',
-                amount: Math.floor(answers.length * 8),
-                description: `${quizInfo.category} Master! 🎓`
-            });
+            addBonus('category_mastery', `${quizInfo.category} Master! 🎓`);
+        }
+
+        return bonuses;
+    }
+
+    /**
+     * Calculate the bonuses for finishing an endless run
+     * Survival pays for each life left when the clock ran out; sudden death pays
+     * for every milestone the run passed.
+     * @param {string} mode - 'survival' or 'sudden_death'
+     * @param {Array} answers - Array of answers
+     * @param {number} correctAnswers - Number of correct answers
+     * @returns {Array} Array of completion bonuses
+     */
+    calculateEndlessBonuses(mode, answers, correctAnswers) {
+        const config = APP_CONFIG.quiz.endless[mode];
+        const bonuses = [];
+
+        if (mode === 'sudden_death') {
+            const milestones = Math.floor(correctAnswers / config.milestoneEvery);
+            if (milestones > 0) {
+                bonuses.push({
+                    type: 'milestone',
+                    amount: milestones * config.milestoneBonus,
+                    description: `${milestones * config.milestoneEvery} in a row! 🔥`
+                });
+            }
+        } else {
+            const livesLeft = Math.max(0, config.lives - (answers.length - correctAnswers));
+            if (livesLeft > 0 && answers.length > 0) {
+                bonuses.push({
+                    type: 'lives_left',
+                    amount: livesLeft * config.livesLeftBonus,
+                    description: `${livesLeft} ${livesLeft === 1 ? 'life' : 'lives'} left ❤️`
+                });
+            }
         }
 
         return bonuses;
@@ -270,64 +446,139 @@ class ScoreCalculator {
 
     /**
      * Calculate performance grade
+     * Percentile schemes grade with their fallback scheme until the percentile
+     * is known and enough other attempts are in; the grade then carries a note.
      * @param {number} accuracy - Accuracy percentage
      * @param {number} totalPoints - Total points earned
      * @param {number} maxPoints - Maximum possible points
-     * @returns {Object} Grade information
+     * @param {Object} grading - Grading settings from the quiz definition, see getGradingScheme
+     * @param {Object} context - { percentile, attempts } for percentile schemes, from getQuizPercentile
+     * @returns {Object} Grade information: { letter, description, color, icon, percentage, scheme,
+     *     schemeLabel, basis, value, note }
      */
-    calculateGrade(accuracy, totalPoints, maxPoints) {
-        let letter, description, color;
-
-        if (accuracy >= 95) {
-            letter = 'A+';
-            description = 'Outstanding!';
-            color = '#10b981';
-        } else if (accuracy >= 90) {
-            letter = 'A';
-            description = 'Excellent!';
-            color = '#10b981';
-        } else if (accuracy >= 85) {
-            letter = 'A-';
-            description = 'Very Good!';
-            color = '#34d399';
-        } else if (accuracy >= 80) {
-            letter = 'B+';
-            description = 'Good!';
-            color = '#60a5fa';
-        } else if (accuracy >= 75) {
-            letter = 'B';
-            description = 'Above Average';
-            color = '#60a5fa';
-        } else if (accuracy >= 70) {
-            letter = 'B-';
-            description = 'Satisfactory';
-            color = '#93c5fd';
-        } else if (accuracy >= 65) {
-            letter = 'C+';
-            description = 'Fair';
-            color = '#fbbf24';
-        } else if (accuracy >= 60) {
-            letter = 'C';
-            description = 'Needs Improvement';
-            color = '#fbbf24';
-        } else if (accuracy >= 50) {
-            letter = 'D';
-            description = 'Below Average';
-            color = '#f87171';
-        } else {
-            letter = 'F';
-            description = 'Keep Practicing!';
-            color = '#ef4444';
+    calculateGrade(accuracy, totalPoints, maxPoints, grading = null, context = {}) {
+        const scheme = this.getGradingScheme(grading);
+
+        if (scheme.basis === 'percentile' &&
+            (context.percentile === null || context.percentile === undefined || (context.attempts || 0) < scheme.minResults)) {
+            return {
+                ...this.calculateGrade(accuracy, totalPoints, maxPoints, { scheme: scheme.fallback }),
+                note: `Percentile grades start once ${scheme.minResults} others have finished this saved quiz`
+            };
+        }
+
+        const value = scheme.basis === 'percentile' ? context.percentile : accuracy;
+        const band = this.findGradeBand(scheme.bands, value);
+
+        return {
+            letter: band.letter,
+            description: this.fillGradeText(band.description, { value: Math.round(value), cutScore: scheme.cutScore }),
+            color: band.color,
+            icon: band.icon,
+            percentage: accuracy,
+            scheme: scheme.name,
+            schemeLabel: scheme.label,
+            basis: scheme.basis,
+            value,
+            note: null
+        };
+    }
+
+    /**
+     * Resolve a quiz's grading scheme from APP_CONFIG.quiz.grading
+     * @param {Object} grading - { scheme, cutScore, bands } from a quiz definition; custom schemes give
+     *     bands as { min, letter }. Unknown schemes and custom schemes without a band starting at 0%
+     *     get the default.
+     * @returns {Object} { name, label, basis, bands, cutScore, fallback, minResults } with bands highest first
+     */
+    getGradingScheme(grading = null) {
+        const config = APP_CONFIG.quiz.grading;
+        const requested = grading && grading.scheme;
+
+        if (requested === 'custom' && Array.isArray(grading.bands) && grading.bands.some(band => band.min === 0)) {
+            const letterBands = config.schemes.letter.bands;
+            return {
+                name: 'custom',
+                label: config.customLabel,
+                basis: 'accuracy',
+                bands: grading.bands
+                    .map(band => {
+                        const letterBand = this.findGradeBand(letterBands, band.min);
+                        return {
+                            min: band.min,
+                            letter: band.letter,
+                            description: band.min > 0 ? `${band.min}% or more correct` : '',
+                            color: letterBand.color,
+                            icon: letterBand.icon
+                        };
+                    })
+                    .sort((a, b) => b.min - a.min),
+                cutScore: null,
+                fallback: null,
+                minResults: 0
+            };
+        }
+
+        const name = Object.keys(config.schemes).includes(requested) ? requested : config.defaultScheme;
+        const scheme = config.schemes[name];
+        const hasCutScore = scheme.cutScore !== undefined;
+        const cutScore = hasCutScore && requested === name && grading.cutScore !== undefined && grading.cutScore !== null ?
+            Number(grading.cutScore) : (hasCutScore ? scheme.cutScore : null);
+        const bands = scheme.bands
+            .map(band => ({ ...band }))
+            .sort((a, b) => b.min - a.min);
+
+        if (hasCutScore) {
+            bands[0].min = cutScore;
         }
 
         return {
-            letter,
-            description,
-            color,
-            percentage: accuracy
+            name,
+            label: this.fillGradeText(scheme.label, { cutScore }),
+            basis: scheme.basis,
+            bands,
+            cutScore,
+            fallback: scheme.fallback || null,
+            minResults: scheme.minResults || 0
         };
     }
 
+    /**
+     * Find the highest band a value reaches
+     * @param {Array<Object>} bands - Bands, highest min first
+     * @param {number} value - Accuracy or percentile
+     * @returns {Object} Band; the lowest band when the value is below them all
+     */
+    findGradeBand(bands, value) {
+        return bands.find(band => value >= band.min) || bands[bands.length - 1];
+    }
+
+    /**
+     * Fill {placeholders} in a scheme's label or a band's description
+     * @param {string} text - Text with placeholders
+     * @param {Object} values - Placeholder values
+     * @returns {string} Text
+     */
+    fillGradeText(text, values) {
+        return String(text || '').replace(/\{(\w+)\}/g, (match, key) =>
+            values[key] !== undefined && values[key] !== null ? values[key] : match);
+    }
+
+    /**
+     * Work out where an accuracy falls among other attempts (mirrors get_quiz_percentile)
+     * @param {Array<number>} accuracies - Accuracy of each other attempt
+     * @param {number} accuracy - Accuracy being ranked
+     * @returns {number|null} Percent of the attempts with lower accuracy, ties counting half;
+     *     null without other attempts
+     */
+    calculatePercentile(accuracies, accuracy) {
+        if (accuracies.length === 0) return null;
+
+        const below = accuracies.filter(other => other < accuracy).length +
+            0.5 * accuracies.filter(other => other === accuracy).length;
+        return Math.round(below * 100 / accuracies.length);
+    }
+
     /**
      * Create detailed points breakdown
      * @param {number} basePoints - Base points
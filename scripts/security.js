@@ -40,7 +40,7 @@ class SecurityManager {
      * Set up Content Security Policy
      */
     setupCSP() {
-        // Add CSP meta tag if not present
+        // Add CSP meta tag if not present (keep in step with the header in netlify.toml)
         if (!document.querySelector('meta[http-equiv="Content-Security-Policy"]')) {
             const cspMeta = document.createElement('meta');
             cspMeta.setAttribute('http-equiv', 'Content-Security-Policy');
@@ -49,7 +49,8 @@ class SecurityManager {
                 "script-src 'self' 'unsafe-inline' https://cdn.jsdelivr.net; " +
                 "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com; " +
                 "font-src 'self' https://fonts.gstatic.com; " +
-                "img-src 'self' data: https:; " +
+                "img-src 'self' data: blob: https:; " +
+                "media-src 'self' https:; " +
                 "connect-src 'self' https://*.supabase.co; " +
                 "frame-ancestors 'none';"
             );
@@ -341,14 +342,49 @@ class SecurityManager {
     }
 
     /**
-     * Sanitize HTML content
+     * Sanitize HTML content against an allowlist
+     * Allowed tags keep only allowed class names and no other attributes.
+     * Script-like elements are dropped; any other tag is replaced by its text.
      * @param {string} html - HTML to sanitize
+     * @param {Object} allowed - { tags, classes }, defaults to APP_CONFIG.security.allowedMarkup
      * @returns {string} Sanitized HTML
      */
-    sanitizeHTML(html) {
-        const div = document.createElement('div');
-        div.textContent = html;
-        return div.innerHTML;
+    sanitizeHTML(html, allowed = APP_CONFIG.security.allowedMarkup) {
+        // Template content is inert: nothing in it runs or loads while it's cleaned
+        const template = document.createElement('template');
+        template.innerHTML = html;
+
+        const clean = (parent) => {
+            [...parent.childNodes].forEach(node => {
+                if (node.nodeType === Node.TEXT_NODE) return;
+
+                if (node.nodeType !== Node.ELEMENT_NODE) {
+                    node.remove();
+                    return;
+                }
+
+                const tag = node.tagName.toLowerCase();
+                if (!allowed.tags.includes(tag)) {
+                    if (['script', 'style', 'iframe', 'object', 'embed', 'template'].includes(tag)) {
+                        node.remove();
+                    } else {
+                        node.replaceWith(document.createTextNode(node.textContent));
+                    }
+                    return;
+                }
+
+                const classes = [...node.classList].filter(name => allowed.classes.includes(name));
+                [...node.attributes].forEach(attribute => node.removeAttribute(attribute.name));
+                if (classes.length > 0) {
+                    node.className = classes.join(' ');
+                }
+
+                clean(node);
+            });
+        };
+
+        clean(template.content);
+        return template.innerHTML;
     }
 
     /**
@@ -11,6 +11,8 @@ class UIManager {
         this.theme = 'light';
         this.notifications = [];
         this.modals = [];
+        this.lastResults = null;
+        this.modalReturnFocus = null;
         
         // Initialize UI components
         this.initializeUI();
@@ -143,10 +145,15 @@ class UIManager {
             });
         }
 
-        // Close modal with Escape key
+        // Escape closes an open modal, or offers to quit a running quiz
         document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
+            if (e.key !== 'Escape') return;
+
+            if (this.modals.length > 0) {
                 this.closeModal();
+            } else if (this.currentPage === 'quiz' && window.quizManager && window.quizManager.isQuizActive) {
+                e.preventDefault();
+                this.handleQuitQuiz();
             }
         });
     }
@@ -768,6 +775,19 @@ class UIManager {
         container.appendChild(modal);
         container.classList.remove('hidden');
 
+        // Announce it as a dialog and move focus into it, returning it on close
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('aria-label', title);
+        if (this.modals.length === 0) {
+            this.modalReturnFocus = document.activeElement;
+        }
+        const focusTarget = modal.querySelector('input, select, textarea, .modal-footer .btn') || modal;
+        if (focusTarget === modal) {
+            modal.setAttribute('tabindex', '-1');
+        }
+        focusTarget.focus();
+
         // Store reference
         this.modals.push(modal);
     }
@@ -782,6 +802,27 @@ class UIManager {
             container.innerHTML = '<div class="modal-backdrop"></div><div class="modal-content"></div>';
         }
         this.modals = [];
+
+        if (this.modalReturnFocus && document.body.contains(this.modalReturnFocus)) {
+            this.modalReturnFocus.focus();
+        }
+        this.modalReturnFocus = null;
+    }
+
+    /**
+     * Read a message out to screen readers
+     * @param {string} message - Message
+     * @param {string} politeness - 'polite' waits for a pause, 'assertive' interrupts
+     */
+    announce(message, politeness = 'polite') {
+        const region = document.getElementById(`sr-announcer-${politeness}`);
+        if (!region) return;
+
+        // Clear first so the same message twice in a row is read again
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = message;
+        }, 50);
     }
 
     /**
@@ -794,12 +835,50 @@ class UIManager {
             startQuizBtn.addEventListener('click', this.handleStartQuiz.bind(this));
         }
 
+        // Scoring profiles come from APP_CONFIG.quiz.scoring
+        const scoringSelect = document.getElementById('quiz-scoring-profile');
+        if (scoringSelect && window.scoreCalculator) {
+            scoringSelect.innerHTML = window.scoreCalculator.getProfiles().map(profile => `
+                <option value="${Utils.encodeHTMLEntities(profile.name)}" title="${Utils.encodeHTMLEntities(profile.description)}"
+                    ${profile.name === APP_CONFIG.quiz.scoring.defaultProfile ? 'selected' : ''}>${Utils.escapeHTML(profile.label)}</option>
+            `).join('');
+        }
+
+        // Endless modes ignore the question count, timer and lifeline settings
+        const modeSelect = document.getElementById('quiz-mode');
+        if (modeSelect) {
+            modeSelect.addEventListener('change', () => this.updateQuizModeSettings());
+        }
+
         // Quit quiz button
         const quitQuizBtn = document.getElementById('quit-quiz-btn');
         if (quitQuizBtn) {
             quitQuizBtn.addEventListener('click', this.handleQuitQuiz.bind(this));
         }
 
+        // Number keys, T/F and Enter answer questions (Escape is handled with modals)
+        document.addEventListener('keydown', (e) => {
+            if (this.currentPage !== 'quiz' || this.modals.length > 0 || !window.quizManager) return;
+
+            if (window.quizManager.handleShortcut(e)) {
+                e.preventDefault();
+            }
+        });
+
+        // Lifeline buttons are re-rendered with every question
+        const lifelines = document.getElementById('quiz-lifelines');
+        if (lifelines) {
+            lifelines.addEventListener('click', async (e) => {
+                const button = e.target.closest('[data-lifeline]');
+                if (!button || !window.quizManager) return;
+
+                const result = await window.quizManager.useLifeline(button.getAttribute('data-lifeline'));
+                if (!result.success) {
+                    this.showNotification('warning', 'Lifeline', result.message, 3000);
+                }
+            });
+        }
+
         // Quiz results buttons
         const takeAnotherQuizBtn = document.getElementById('take-another-quiz-btn');
         if (takeAnotherQuizBtn) {
@@ -820,6 +899,45 @@ class UIManager {
             reviewAnswersBtn.addEventListener('click', this.handleReviewAnswers.bind(this));
         }
 
+        const challengeFriendBtn = document.getElementById('challenge-friend-btn');
+        if (challengeFriendBtn) {
+            challengeFriendBtn.addEventListener('click', this.handleChallengeFriend.bind(this));
+        }
+
+        const compareChallengeBtn = document.getElementById('compare-challenge-btn');
+        if (compareChallengeBtn) {
+            compareChallengeBtn.addEventListener('click', () => {
+                if (this.lastResults && this.lastResults.challengeId) {
+                    this.showChallengeComparison(this.lastResults.challengeId);
+                }
+            });
+        }
+
+        const copySeedBtn = document.getElementById('copy-seed-btn');
+        if (copySeedBtn) {
+            copySeedBtn.addEventListener('click', async () => {
+                if (!this.lastResults || !this.lastResults.seed) return;
+
+                const copied = await Utils.copyToClipboard(this.lastResults.seed);
+                if (copied) {
+                    this.showNotification('success', 'Seed Copied', 'Start a quiz with the same settings and this seed to replay it');
+                } else {
+                    this.showNotification('error', 'Copy Failed', 'Could not copy the seed');
+                }
+            });
+        }
+
+        const shareDailyBtn = document.getElementById('share-daily-btn');
+        if (shareDailyBtn) {
+            shareDailyBtn.addEventListener('click', async () => {
+                if (!this.lastResults || !this.lastResults.dailyDate || !window.dailyChallengeManager) return;
+
+                const manager = window.dailyChallengeManager;
+                const result = await manager.shareResult(manager.summarizeResults(this.lastResults));
+                this.showNotification(result.success ? 'success' : 'error', 'Daily Challenge', result.message);
+            });
+        }
+
         // Quick start buttons
         const quickStartButtons = document.querySelectorAll('.quick-start-buttons .btn');
         quickStartButtons.forEach(button => {
@@ -833,6 +951,25 @@ class UIManager {
         });
     }
 
+    /**
+     * Switch off the quiz settings the chosen mode doesn't use
+     */
+    updateQuizModeSettings() {
+        const modeSelect = document.getElementById('quiz-mode');
+        const endless = !!modeSelect && APP_CONFIG.quiz.endless.modes.includes(modeSelect.value);
+
+        ['quiz-count', 'quiz-timing-mode', 'quiz-lifeline-allowance'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.disabled = endless;
+        });
+
+        // Only ranked quizzes pick a scoring profile or rate their answers
+        ['quiz-scoring-profile', 'quiz-confidence'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.disabled = !!modeSelect && modeSelect.value !== 'standard';
+        });
+    }
+
     /**
      * Handle start quiz button click
      */
@@ -840,28 +977,41 @@ class UIManager {
         const categorySelect = document.getElementById('quiz-category');
         const difficultySelect = document.getElementById('quiz-difficulty');
         const countSelect = document.getElementById('quiz-count');
+        const timingModeSelect = document.getElementById('quiz-timing-mode');
+        const lifelineSelect = document.getElementById('quiz-lifeline-allowance');
+        const seedInput = document.getElementById('quiz-seed');
+        const modeSelect = document.getElementById('quiz-mode');
+        const scoringSelect = document.getElementById('quiz-scoring-profile');
+        const confidenceSelect = document.getElementById('quiz-confidence');
 
         const category = categorySelect.value;
         const difficulty = difficultySelect.value;
         const questionCount = parseInt(countSelect.value);
-
-        await this.startQuiz(category, difficulty, questionCount);
+        const timingMode = timingModeSelect ? timingModeSelect.value : APP_CONFIG.quiz.defaultTimingMode;
+        const lifelines = lifelineSelect ? parseInt(lifelineSelect.value) : APP_CONFIG.quiz.lifelines.defaultAllowance;
+        const seed = seedInput ? seedInput.value.trim() : '';
+        const mode = modeSelect ? modeSelect.value : APP_CONFIG.quiz.defaultMode;
+        const scoringProfile = scoringSelect ? scoringSelect.value : APP_CONFIG.quiz.scoring.defaultProfile;
+        const confidence = !!confidenceSelect && confidenceSelect.value === 'on';
+
+        await this.startQuiz(category, difficulty, questionCount, { timingMode, lifelines, seed, mode, scoringProfile, confidence });
     }
 
     /**
      * Start a quiz with given parameters
-     * @param {string} category - Quiz category
+     * @param {string|Object} category - Quiz category, or a QuizBuilder definition in place of all settings
      * @param {string} difficulty - Quiz difficulty
      * @param {number} questionCount - Number of questions
+     * @param {Object} options - Additional quiz options (e.g. timingMode)
      */
-    async startQuiz(category, difficulty, questionCount) {
+    async startQuiz(category, difficulty, questionCount, options = {}) {
         try {
             // Show loading state
             this.showQuizLoading();
 
             // Start quiz using quiz manager
             if (window.quizManager) {
-                const result = await window.quizManager.startQuiz(category, difficulty, questionCount);
+                const result = await window.quizManager.startQuiz(category, difficulty, questionCount, options);
                 
                 if (result.success) {
                     this.showQuizInterface();
@@ -881,18 +1031,38 @@ class UIManager {
         }
     }
 
+    /**
+     * Resume a checkpointed quiz
+     * @param {Object} checkpoint - Checkpoint from QuizManager.getResumableQuiz
+     */
+    async resumeQuiz(checkpoint) {
+        if (!window.quizManager) return;
+
+        this.showPage('quiz');
+        this.showQuizInterface();
+
+        const result = await window.quizManager.resumeQuiz(checkpoint);
+        if (result.success) {
+            this.showNotification('success', 'Quiz Resumed', result.message);
+        } else {
+            this.showNotification('error', 'Failed to Resume Quiz', result.message);
+            this.showQuizSelection();
+        }
+    }
+
     /**
      * Start a quick quiz
-     * @param {string} category - Quiz category
+     * @param {string|Object} category - Quiz category, or a QuizBuilder definition in place of all settings
      * @param {string} difficulty - Quiz difficulty
      * @param {number} questionCount - Number of questions
+     * @param {Object} options - Additional quiz options (e.g. mode)
      */
-    async startQuickQuiz(category, difficulty, questionCount) {
+    async startQuickQuiz(category, difficulty, questionCount, options = {}) {
         // Navigate to quiz page first
         this.showPage('quiz');
         
         // Start the quiz
-        await this.startQuiz(category, difficulty, questionCount);
+        await this.startQuiz(category, difficulty, questionCount, options);
     }
 
     /**
@@ -933,6 +1103,131 @@ class UIManager {
         }
     }
 
+    /**
+     * Ask who to challenge, then send them the quiz just finished
+     */
+    handleChallengeFriend() {
+        const results = this.lastResults;
+        if (!results || !window.challengeManager) return;
+
+        this.showModal(
+            'Challenge a Friend',
+            `
+                <p>They'll get the same ${results.answers.length} questions in the same order. Can they beat ${Utils.formatNumber(results.score)} points?</p>
+                <div class="form-group">
+                    <label for="challenge-opponent">Their username</label>
+                    <input type="text" id="challenge-opponent" maxlength="20" autocomplete="off" spellcheck="false">
+                </div>
+            `,
+            [
+                {
+                    text: 'Cancel',
+                    class: 'btn-outline',
+                    action: 'cancel'
+                },
+                {
+                    text: 'Send Challenge',
+                    class: 'btn-primary',
+                    action: 'send',
+                    handler: async () => {
+                        const opponentInput = document.getElementById('challenge-opponent');
+                        const opponent = opponentInput ? opponentInput.value : '';
+                        const result = await window.challengeManager.createChallenge(
+                            results, window.quizManager ? window.quizManager.questions : [], opponent
+                        );
+
+                        if (result.success) {
+                            this.showNotification('success', 'Challenge Sent', result.message);
+                            if (window.dashboardManager) {
+                                window.dashboardManager.loadChallenges();
+                            }
+                        } else {
+                            this.showNotification('error', 'Challenge Failed', result.message);
+                        }
+                    }
+                }
+            ]
+        );
+    }
+
+    /**
+     * Show both players' answers to a completed challenge side by side
+     * @param {string} challengeId - Challenge ID
+     */
+    async showChallengeComparison(challengeId) {
+        if (!window.challengeManager) return;
+
+        const result = await window.challengeManager.getComparison(challengeId);
+        if (!result.success) {
+            this.showNotification('info', 'Challenge', result.message);
+            return;
+        }
+
+        const challenge = result.challenge;
+        const challengerName = challenge ? challenge.challengerUsername : 'Challenger';
+        const opponentName = challenge ? challenge.opponentUsername : 'Opponent';
+
+        const renderAnswer = (answer) => {
+            if (!answer) {
+                return '<td class="comparison-answer missing">—</td>';
+            }
+
+            const text = answer.timedOut ? '<em>Time ran out</em>' : Utils.escapeHTML(answer.answer);
+            return `
+                <td class="comparison-answer ${answer.isCorrect ? 'correct' : 'incorrect'}">
+                    ${text} ${answer.isCorrect ? '✓' : '✗'}
+                    <span class="comparison-meta">${answer.points > 0 ? '+' : ''}${answer.points} pts · ${answer.timeTaken}s</span>
+                </td>
+            `;
+        };
+
+        let summary = '';
+        if (challenge) {
+            const outcome = window.challengeManager.getOutcome(challenge);
+            const outcomeText = { won: 'You won!', lost: 'You lost.', tied: 'It\'s a tie!' }[outcome] || '';
+            summary = `
+                <div class="comparison-summary">
+                    <span>${Utils.escapeHTML(challengerName)}: <strong>${Utils.formatNumber(challenge.challengerScore)}</strong></span>
+                    <span class="comparison-outcome">${outcomeText}</span>
+                    <span>${Utils.escapeHTML(opponentName)}: <strong>${Utils.formatNumber(challenge.opponentScore || 0)}</strong></span>
+                </div>
+            `;
+        }
+
+        const comparisonHTML = `
+            ${summary}
+            <table class="comparison-table">
+                <thead>
+                    <tr>
+                        <th>Question</th>
+                        <th>${Utils.escapeHTML(challengerName)}</th>
+                        <th>${Utils.escapeHTML(opponentName)}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${result.rows.map(row => `
+                        <tr>
+                            <td class="comparison-question">
+                                <strong>Q${row.position}:</strong> ${markupManager.render(row.question)}
+                                <span class="comparison-meta">Answer: ${markupManager.render(row.correctAnswer)}</span>
+                            </td>
+                            ${renderAnswer(row.challenger)}
+                            ${renderAnswer(row.opponent)}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        this.showModal('Challenge Results', comparisonHTML, [
+            {
+                text: 'Close',
+                class: 'btn-primary',
+                action: 'close'
+            }
+        ]);
+    }
+
     /**
      * Show quiz selection screen
      */
@@ -979,6 +1274,23 @@ class UIManager {
         if (quizInterface) quizInterface.classList.add('hidden');
         if (quizResults) quizResults.classList.remove('hidden');
 
+        // Challenges are made from ranked quizzes (not reviews or practice), and compared once played;
+        // the daily set stays out of challenges so nobody sees it early
+        this.lastResults = results;
+        const challengeFriendBtn = document.getElementById('challenge-friend-btn');
+        if (challengeFriendBtn) {
+            challengeFriendBtn.classList.toggle('hidden',
+                results.mode !== 'standard' || !!results.challengeId || !!results.dailyDate || results.answers.length === 0);
+        }
+        const compareChallengeBtn = document.getElementById('compare-challenge-btn');
+        if (compareChallengeBtn) {
+            compareChallengeBtn.classList.toggle('hidden', !results.challengeId);
+        }
+        const shareDailyBtn = document.getElementById('share-daily-btn');
+        if (shareDailyBtn) {
+            shareDailyBtn.classList.toggle('hidden', !results.dailyDate);
+        }
+
         // Update results display
         this.updateResultsDisplay(results);
     }
@@ -1026,22 +1338,60 @@ class UIManager {
         // Update results header with grade
         this.updateResultsHeader(results);
 
+        // Show the seed so the quiz can be shared and replayed
+        const resultsSeed = document.getElementById('results-seed');
+        const resultsSeedValue = document.getElementById('results-seed-value');
+        if (resultsSeed && resultsSeedValue) {
+            resultsSeedValue.textContent = results.seed || '';
+            resultsSeed.classList.toggle('hidden', !results.seed);
+        }
+
+        // Name the scoring profile version the score was worked out with
+        const resultsScoring = document.getElementById('results-scoring');
+        if (resultsScoring && window.scoreCalculator) {
+            const profile = results.scoringVersion ? window.scoreCalculator.getProfile(results.scoringVersion) : null;
+            document.getElementById('results-scoring-label').textContent = profile ? profile.label : '';
+            document.getElementById('results-scoring-version').textContent = results.scoringVersion || '';
+            resultsScoring.classList.toggle('hidden', !results.scoringVersion);
+        }
+
         // Show detailed breakdown if available
         if (results.breakdown || results.completionBonuses) {
             this.showDetailedBreakdown(results);
         }
 
-        // Update results icon based on performance
+        // Confidence-weighted quizzes add the player's calibration across their history
+        if (results.confidence) {
+            this.showCalibrationChart();
+        }
+    }
+
+    /**
+     * Update results header with grade information
+     * Names the grading scheme the quiz was graded with; custom grade labels
+     * come from quiz definitions, so they are escaped.
+     * @param {Object} results - Quiz results
+     */
+    updateResultsHeader(results) {
+        const resultsHeader = document.querySelector('.results-header h2');
+        const resultsSubtext = document.querySelector('.results-header p');
         const resultsIcon = document.querySelector('.results-icon');
+
+        if (results.grade) {
+            if (resultsHeader) {
+                resultsHeader.innerHTML = `Quiz Complete! <span style="color: ${Utils.encodeHTMLEntities(results.grade.color || '')}">${Utils.escapeHTML(results.grade.letter)}</span>`;
+            }
+            if (resultsSubtext) {
+                resultsSubtext.textContent = [results.grade.description, results.grade.schemeLabel, results.grade.note]
+                    .filter(Boolean)
+                    .join(' · ');
+            }
+        }
+
+        // Update results icon based on performance
         if (resultsIcon) {
-            if (results.grade && results.grade.letter) {
-                // Use grade-based icons
-                const gradeIcons = {
-                    'A+': '🏆', 'A': '🥇', 'A-': '⭐',
-                    'B+': '🎉', 'B': '👏', 'B-': '👍',
-                    'C+': '📈', 'C': '📊', 'D': '📚', 'F': '💪'
-                };
-                resultsIcon.textContent = gradeIcons[results.grade.letter] || '🎯';
+            if (results.grade && results.grade.icon) {
+                resultsIcon.textContent = results.grade.icon;
             } else {
                 // Fallback to accuracy-based icons
                 if (results.accuracy >= 90) {
@@ -1055,22 +1405,18 @@ class UIManager {
                 }
             }
         }
-    }
 
-    /**
-     * Update results header with grade information
-     * @param {Object} results - Quiz results
-     */
-    updateResultsHeader(results) {
-        const resultsHeader = document.querySelector('.results-header h2');
-        const resultsSubtext = document.querySelector('.results-header p');
+        if (results.mode === 'practice' && resultsSubtext) {
+            resultsSubtext.textContent = 'Practice run: not counted towards your stats or the leaderboard.';
+        }
 
-        if (results.grade) {
+        if (results.runLength !== null && results.runLength !== undefined) {
             if (resultsHeader) {
-                resultsHeader.innerHTML = `Quiz Complete! <span style="color: ${results.grade.color}">${results.grade.letter}</span>`;
+                const runLabel = results.mode === 'sudden_death' ? 'in a row' : 'correct';
+                resultsHeader.textContent = `Run Over! ${results.runLength} ${runLabel}`;
             }
             if (resultsSubtext) {
-                resultsSubtext.textContent = results.grade.description;
+                resultsSubtext.textContent = `${APP_CONFIG.quiz.endless.labels[results.mode]} run: ranked on its own leaderboard.`;
             }
         }
     }
@@ -1133,6 +1479,11 @@ class UIManager {
 
         breakdownHTML += '</div>';
 
+        // Difficulty path for adaptive quizzes
+        if (results.difficulty === 'adaptive' && results.difficultyPath && results.difficultyPath.length > 0) {
+            breakdownHTML += this.renderDifficultyPath(results.difficultyPath);
+        }
+
         // Completion bonuses details
         if (results.completionBonuses && results.completionBonuses.length > 0) {
             breakdownHTML += '<div class="breakdown-section"><h3>Achievement Bonuses</h3>';
@@ -1150,6 +1501,104 @@ class UIManager {
         breakdownContainer.innerHTML = breakdownHTML;
     }
 
+    /**
+     * Render an adaptive quiz's difficulty path as a step chart
+     * @param {Array} difficultyPath - Difficulty and correctness of each answer, in order
+     * @returns {string} Chart HTML
+     */
+    renderDifficultyPath(difficultyPath) {
+        const levels = APP_CONFIG.quiz.difficulties;
+
+        const bars = difficultyPath.map((step, index) => {
+            const level = levels.indexOf(step.difficulty) + 1;
+            return `
+                <div class="difficulty-path-step ${step.isCorrect ? 'correct' : 'incorrect'}"
+                    style="height: ${(level / levels.length) * 100}%"
+                    title="Q${index + 1}: ${Utils.escapeHTML(step.difficulty)} (${step.isCorrect ? 'correct' : 'missed'})">
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="breakdown-section">
+                <h3>Difficulty Path</h3>
+                <div class="difficulty-path-chart" role="img"
+                    aria-label="Difficulty by question: ${difficultyPath.map(step => step.difficulty).join(', ')}">
+                    <div class="difficulty-path-axis">
+                        ${[...levels].reverse().map(level => `<span>${Utils.escapeHTML(level)}</span>`).join('')}
+                    </div>
+                    <div class="difficulty-path-steps">${bars}</div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Add the calibration chart to the results breakdown
+     */
+    async showCalibrationChart() {
+        const breakdownContainer = document.querySelector('.results-breakdown');
+        if (!breakdownContainer || !window.calibrationTracker) return;
+
+        const stats = await window.calibrationTracker.getStats();
+        if (stats.answers === 0) return;
+
+        breakdownContainer.insertAdjacentHTML('beforeend', this.renderCalibrationChart(stats));
+    }
+
+    /**
+     * Render stated confidence against actual accuracy
+     * Each level's bar shows the share answered correctly over the shaded
+     * range of accuracy that level scores best in.
+     * @param {Object} stats - Calibration from CalibrationTracker.getStats
+     * @returns {string} Chart HTML
+     */
+    renderCalibrationChart(stats) {
+        const rows = stats.levels.map(level => {
+            const [low, high] = level.range;
+            const summary = level.answers > 0 ?
+                `${level.accuracy}% correct of ${level.answers}` : 'No answers yet';
+
+            return `
+                <li class="calibration-row ${level.status || ''}">
+                    <span class="calibration-level">${Utils.escapeHTML(level.label)}</span>
+                    <span class="calibration-track" aria-hidden="true">
+                        <span class="calibration-target" style="left: ${low}%; width: ${high - low}%"></span>
+                        <span class="calibration-bar" style="width: ${level.answers > 0 ? level.accuracy : 0}%"></span>
+                    </span>
+                    <span class="calibration-value">${summary}
+                        <span class="sr-only">, best between ${low}% and ${high}%</span>
+                    </span>
+                </li>
+            `;
+        }).join('');
+
+        const verdict = stats.verdict ? `
+            <p class="calibration-verdict ${stats.verdict.status}">
+                ${Utils.escapeHTML(stats.verdict.label)}${stats.verdict.status !== 'calibrated' ? `: accuracy ${Math.abs(stats.verdict.gap)}% ${stats.verdict.gap < 0 ? 'below' : 'above'} target` : ''}
+            </p>
+        ` : `<p class="calibration-verdict">Rate ${APP_CONFIG.quiz.confidence.minAnswers} answers at a level to see how calibrated you are.</p>`;
+
+        return `
+            <div class="breakdown-section">
+                <h3>Confidence Calibration</h3>
+                <ul class="calibration-chart">${rows}</ul>
+                ${verdict}
+            </div>
+        `;
+    }
+
+    /**
+     * Format the player's answer for the answer review
+     * Chosen options are rendered like the question; typed answers are shown as typed.
+     * @param {Object} answer - Answer record
+     * @returns {string} HTML
+     */
+    formatReviewAnswer(answer) {
+        return answer.questionType === 'fill_blank' ?
+            Utils.escapeHTML(answer.selectedAnswer) : markupManager.render(answer.selectedAnswer);
+    }
+
     /**
      * Show answer review modal
      * @param {Array} answers - Array of answer objects
@@ -1161,15 +1610,32 @@ class UIManager {
             reviewHTML += `
                 <div class="review-item ${answer.isCorrect ? 'correct' : 'incorrect'}">
                     <div class="review-question">
-                        <strong>Q${index + 1}:</strong> ${Utils.escapeHTML(answer.question)}
+                        <strong>Q${index + 1}:</strong> ${markupManager.render(answer.question)}
+                        ${answer.questionType === 'true_false' ? '<span class="review-type">True / False</span>' : ''}
+                        ${answer.questionType === 'fill_blank' ? '<span class="review-type">Fill in the blank</span>' : ''}
                     </div>
                     <div class="review-answer">
-                        <strong>Your Answer:</strong> ${Utils.escapeHTML(answer.selectedAnswer)}
+                        <strong>Your Answer:</strong> ${answer.timedOut ? '<em>Time ran out</em>' : this.formatReviewAnswer(answer)}
                         ${answer.isCorrect ? '✓' : '✗'}
                     </div>
-                    ${!answer.isCorrect ? `
+                    ${!answer.isCorrect && answer.correctAnswer ? `
                         <div class="review-correct">
-                            <strong>Correct Answer:</strong> ${Utils.escapeHTML(answer.correctAnswer)}
+                            <strong>Correct Answer:</strong> ${markupManager.render(answer.correctAnswer)}
+                            ${answer.acceptedAnswers && answer.acceptedAnswers.length > 0 ? `
+                                <span class="review-alternates">(also accepted: ${Utils.escapeHTML(answer.acceptedAnswers.join(', '))})</span>
+                            ` : ''}
+                        </div>
+                    ` : ''}
+                    ${answer.lifelines && answer.lifelines.length > 0 ? `
+                        <div class="review-lifelines">
+                            <strong>Lifelines:</strong> ${answer.lifelines.map(lifeline =>
+                                Utils.escapeHTML(APP_CONFIG.quiz.lifelines.labels[lifeline] || lifeline)
+                            ).join(', ')}
+                        </div>
+                    ` : ''}
+                    ${answer.confidence ? `
+                        <div class="review-confidence">
+                            <strong>Confidence:</strong> ${Utils.escapeHTML(APP_CONFIG.quiz.confidence.labels[answer.confidence] || answer.confidence)}
                         </div>
                     ` : ''}
                     <div class="review-points">
@@ -115,15 +115,57 @@ class Utils {
         return Number(((value / total) * 100).toFixed(decimals));
     }
 
+    /**
+     * Hash a string to an unsigned 32-bit integer (FNV-1a)
+     * The same string always gives the same number, so it can seed a fixed pick.
+     * @param {string} str - String to hash
+     * @returns {number} Hash
+     */
+    static hashString(str) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Generate a seed for a reproducible quiz
+     * @returns {string} Seed of 7 base-36 characters
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000).toString(36).padStart(7, '0');
+    }
+
+    /**
+     * Create a seeded pseudo-random number generator (mulberry32)
+     * The same seed always gives the same sequence, so anything picked or
+     * shuffled with it can be reproduced from the seed alone.
+     * @param {string|number} seed - Seed
+     * @returns {Function} Generator returning numbers in [0, 1), like Math.random
+     */
+    static createRandom(seed) {
+        let state = this.hashString(String(seed));
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
     /**
      * Shuffle array using Fisher-Yates algorithm
      * @param {Array} array - Array to shuffle
+     * @param {Function} random - Random number generator, e.g. from createRandom
      * @returns {Array} Shuffled array
      */
-    static shuffleArray(array) {
+    static shuffleArray(array, random = Math.random) {
         const shuffled = [...array];
         for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(random() * (i + 1));
             [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
         }
         return shuffled;
@@ -133,10 +175,11 @@ class Utils {
      * Get random items from array
      * @param {Array} array - Source array
      * @param {number} count - Number of items to get
+     * @param {Function} random - Random number generator, e.g. from createRandom
      * @returns {Array} Random items
      */
-    static getRandomItems(array, count) {
-        const shuffled = this.shuffleArray(array);
+    static getRandomItems(array, count, random = Math.random) {
+        const shuffled = this.shuffleArray(array, random);
         return shuffled.slice(0, Math.min(count, array.length));
     }
 
@@ -228,6 +271,48 @@ class Utils {
         return div.innerHTML;
     }
 
+    /**
+     * Decode HTML entities such as &quot; and &#039;
+     * @param {string} str - Entity-encoded string
+     * @returns {string} Decoded string
+     */
+    static decodeHTMLEntities(str) {
+        const textarea = document.createElement('textarea');
+        textarea.innerHTML = str;
+        return textarea.value;
+    }
+
+    /**
+     * Encode characters as HTML entities, quotes included
+     * @param {string} str - String to encode
+     * @returns {string} Encoded string
+     */
+    static encodeHTMLEntities(str) {
+        return String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    /**
+     * Normalize a free-text answer for comparison
+     * Lowercases, strips accents and collapses whitespace so that
+     * "  Café  au Lait" and "cafe au lait" compare equal.
+     * @param {string} str - Answer text
+     * @returns {string} Normalized answer
+     */
+    static normalizeAnswer(str) {
+        if (str === null || str === undefined) return '';
+        return String(str)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
     /**
      * Deep clone an object
      * @param {Object} obj - Object to clone
@@ -321,6 +406,24 @@ class Utils {
         }
     }
 
+    /**
+     * Download text content as a file
+     * @param {string} content - File content
+     * @param {string} filename - File name
+     * @param {string} mimeType - MIME type
+     */
+    static downloadFile(content, filename, mimeType = 'text/plain') {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Local storage wrapper with error handling
      */
@@ -423,6 +526,19 @@ class Utils {
             const url = new URL(window.location);
             url.searchParams.delete(key);
             window.history.pushState({}, '', url);
+        },
+
+        /**
+         * Build a link to the app with the given parameters
+         * @param {Object} params - Parameters to set
+         * @returns {string} Absolute URL
+         */
+        buildUrl(params) {
+            const url = new URL(window.location);
+            url.search = '';
+            url.hash = '';
+            Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+            return url.toString();
         }
     };
 
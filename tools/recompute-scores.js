@@ -0,0 +1,433 @@
+// Score Recomputation Tool for QuizMaster app
+// Replays recorded answers through ScoreCalculator and reports, or writes SQL to repair, totals that differ
+
+/**
+ * Score Auditor class
+ * Runs under Node against an export of the database, so it needs no database
+ * driver: export with the query from --export-query (one JSON document) or
+ * with psql \copy (a directory of CSV files), audit the export, then apply the
+ * SQL it writes with psql. Each completed session is replayed answer by answer
+ * in the order they were given, with the time taken, lifelines and confidence
+ * rating the server recorded and the streak built up so far, under the
+ * session's scoring_version.
+ *
+ * Usage:
+ *   node tools/recompute-scores.js --export-query [json|csv] > export.sql
+ *   psql "$DATABASE_URL" -At -f export.sql > dump.json
+ *   node tools/recompute-scores.js dump.json [--json] [--sql fixes.sql]
+ *   psql "$DATABASE_URL" -f fixes.sql
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// The browser scripts publish themselves on window and read each other as
+// globals; their load-time logging would mix with the report on stdout
+global.window = global;
+const log = console.log;
+console.log = () => {};
+const { APP_CONFIG } = require('../scripts/config.js');
+global.APP_CONFIG = APP_CONFIG;
+global.Utils = require('../scripts/utils.js');
+require('../scripts/scoring.js');
+console.log = log;
+
+// Sessions recorded before scoring profiles existed were scored with these
+// rules (scoring_rules() gives them to a session without a version)
+const LEGACY_SCORING_VERSION = 'classic-v1';
+
+// Columns read from each exported table
+const EXPORT_COLUMNS = {
+    quiz_sessions: ['id', 'user_id', 'category', 'time_limit', 'time_spent', 'game_mode', 'scoring_version', 'total_points', 'status'],
+    quiz_answers: ['id', 'quiz_session_id', 'question_id', 'is_correct', 'points_earned', 'time_taken', 'lifelines_used', 'confidence', 'difficulty', 'answered_at'],
+    questions: ['id', 'difficulty', 'points_value'],
+    quiz_results: ['id', 'quiz_session_id', 'user_id', 'total_points']
+};
+
+class ScoreAuditor {
+    /**
+     * @param {Object} dump - Rows keyed by table: quiz_sessions, quiz_answers, questions, quiz_results
+     */
+    constructor(dump) {
+        // The instance scoring.js created at load
+        this.calculator = window.scoreCalculator;
+        this.sessions = (dump.quiz_sessions || []).map(row => ({
+            ...row,
+            time_limit: this.toInteger(row.time_limit),
+            time_spent: this.toInteger(row.time_spent),
+            total_points: this.toInteger(row.total_points),
+            game_mode: row.game_mode || 'standard',
+            scoring_version: row.scoring_version || LEGACY_SCORING_VERSION
+        }));
+        this.answersBySession = new Map();
+        (dump.quiz_answers || []).forEach(row => {
+            const answers = this.answersBySession.get(row.quiz_session_id) || [];
+            answers.push({
+                ...row,
+                is_correct: this.toBoolean(row.is_correct),
+                points_earned: this.toInteger(row.points_earned),
+                time_taken: this.toInteger(row.time_taken),
+                lifelines_used: this.toJSON(row.lifelines_used, [])
+            });
+            this.answersBySession.set(row.quiz_session_id, answers);
+        });
+        this.questions = new Map((dump.questions || []).map(row => [row.id, {
+            ...row,
+            points_value: this.toInteger(row.points_value)
+        }]));
+        this.results = new Map((dump.quiz_results || []).map(row => [row.quiz_session_id, {
+            ...row,
+            total_points: this.toInteger(row.total_points)
+        }]));
+    }
+
+    /**
+     * Read an export: a JSON file, or a directory holding <table>.csv files
+     * @param {string} source - File or directory path
+     * @returns {Object} Rows keyed by table
+     */
+    static readDump(source) {
+        if (!fs.statSync(source).isDirectory()) {
+            return JSON.parse(fs.readFileSync(source, 'utf8'));
+        }
+
+        return Object.keys(EXPORT_COLUMNS).reduce((dump, table) => {
+            const file = path.join(source, `${table}.csv`);
+            dump[table] = fs.existsSync(file) ? ScoreAuditor.parseCsv(fs.readFileSync(file, 'utf8')) : [];
+            return dump;
+        }, {});
+    }
+
+    /**
+     * Parse CSV with a header row, as written by psql's \copy ... CSV HEADER
+     * Empty unquoted fields are NULL; quoted ones are empty strings.
+     * @param {string} text - CSV text
+     * @returns {Array<Object>} Rows keyed by column
+     */
+    static parseCsv(text) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+        let wasQuoted = false;
+
+        const endField = () => {
+            record.push(field === '' && !wasQuoted ? null : field);
+            field = '';
+            wasQuoted = false;
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+                wasQuoted = true;
+            } else if (char === ',') {
+                endField();
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                endField();
+                records.push(record);
+                record = [];
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || wasQuoted || record.length > 0) {
+            endField();
+            records.push(record);
+        }
+
+        const [header, ...rows] = records;
+        return header ? rows.map(values => Object.fromEntries(header.map((column, index) => [column, values[index]]))) : [];
+    }
+
+    /**
+     * Build the psql script that exports what the audit reads
+     * @param {string} format - 'json' for one document on stdout, 'csv' for \copy files in ./dump
+     * @returns {string} SQL
+     */
+    static buildExportQuery(format = 'json') {
+        const selects = {
+            quiz_sessions: `SELECT ${EXPORT_COLUMNS.quiz_sessions.join(', ')} FROM quiz_sessions WHERE status = 'completed'`,
+            quiz_answers: `SELECT ${EXPORT_COLUMNS.quiz_answers.map(column => `qa.${column}`).join(', ')} FROM quiz_answers qa ` +
+                `JOIN quiz_sessions qs ON qs.id = qa.quiz_session_id WHERE qs.status = 'completed'`,
+            questions: `SELECT ${EXPORT_COLUMNS.questions.join(', ')} FROM questions`,
+            quiz_results: `SELECT ${EXPORT_COLUMNS.quiz_results.join(', ')} FROM quiz_results`
+        };
+
+        if (format === 'csv') {
+            return Object.entries(selects)
+                .map(([table, select]) => `\\copy (${select}) TO 'dump/${table}.csv' CSV HEADER`)
+                .join('\n') + '\n';
+        }
+
+        const parts = Object.entries(selects)
+            .map(([table, select]) => `    '${table}', (SELECT COALESCE(json_agg(t), '[]') FROM (${select}) t)`);
+        return `SELECT json_build_object(\n${parts.join(',\n')}\n);\n`;
+    }
+
+    /**
+     * Replay one session's answers
+     * @param {Object} session - quiz_sessions row
+     * @returns {Object} { total, answers: [{ id, stored, recomputed }], missingQuestions }
+     */
+    replaySession(session) {
+        const answers = [...(this.answersBySession.get(session.id) || [])]
+            .sort((a, b) => new Date(a.answered_at) - new Date(b.answered_at));
+
+        let streak = 0;
+        let missingQuestions = 0;
+        const replayed = answers.map(answer => {
+            const question = this.questions.get(answer.question_id);
+            if (!question) missingQuestions++;
+
+            // Questions can be relabeled by rating calibration, so the difficulty
+            // recorded with the answer wins over the current label
+            const difficulty = answer.difficulty || (question ? question.difficulty : 'medium');
+            const scoring = this.calculator.calculateAnswerPoints(
+                { points: question ? question.points_value : 0, difficulty },
+                answer.is_correct,
+                answer.time_taken || 0,
+                streak,
+                {
+                    lifelines: answer.lifelines_used,
+                    mode: session.game_mode,
+                    scoringProfile: session.scoring_version,
+                    confidence: answer.confidence || null
+                }
+            );
+            streak = answer.is_correct ? streak + 1 : 0;
+
+            return {
+                id: answer.id,
+                stored: answer.points_earned,
+                recomputed: scoring.finalPoints,
+                isCorrect: answer.is_correct,
+                points: scoring.finalPoints
+            };
+        });
+
+        const totals = this.calculator.calculateTotalScore(replayed, {
+            category: session.category,
+            mode: session.game_mode,
+            scoringProfile: session.scoring_version,
+            timeSpent: session.time_spent,
+            timeLimit: session.time_limit
+        });
+
+        return {
+            total: totals.totalPoints,
+            answers: replayed.map(({ id, stored, recomputed }) => ({ id, stored, recomputed })),
+            missingQuestions
+        };
+    }
+
+    /**
+     * Replay every completed session and collect those whose stored totals differ
+     * @param {Object} options - Audit options
+     * @param {string} options.userId - Only audit this user's sessions
+     * @returns {Object} { sessionsChecked, mismatches, userDeltas }, userDeltas being the
+     *     change in each user's standard session totals (what profiles.total_points sums)
+     */
+    audit(options = {}) {
+        const mismatches = [];
+        const userDeltas = {};
+        let sessionsChecked = 0;
+
+        this.sessions
+            .filter(session => session.status === 'completed' && (!options.userId || session.user_id === options.userId))
+            .forEach(session => {
+                sessionsChecked++;
+                const replay = this.replaySession(session);
+                const result = this.results.get(session.id) || null;
+                const answerMismatches = replay.answers.filter(answer => answer.stored !== answer.recomputed);
+
+                if (session.total_points === replay.total && answerMismatches.length === 0 &&
+                    (!result || result.total_points === replay.total)) {
+                    return;
+                }
+
+                mismatches.push({
+                    sessionId: session.id,
+                    userId: session.user_id,
+                    gameMode: session.game_mode,
+                    scoringVersion: session.scoring_version,
+                    storedSessionTotal: session.total_points,
+                    storedResultTotal: result ? result.total_points : null,
+                    recomputedTotal: replay.total,
+                    answerMismatches,
+                    missingQuestions: replay.missingQuestions
+                });
+
+                // Endless runs leave profile totals alone (see update_user_stats)
+                if (session.game_mode === 'standard' && session.total_points !== replay.total) {
+                    userDeltas[session.user_id] = (userDeltas[session.user_id] || 0) + replay.total - session.total_points;
+                }
+            });
+
+        return { sessionsChecked, mismatches, userDeltas };
+    }
+
+    /**
+     * Write the SQL that brings stored totals in line with the audit
+     * Finished sessions are locked by sync_quiz_session_totals, so triggers are
+     * switched off for the transaction; run it as a superuser. Profile totals
+     * move by the change in the user's sessions, which keeps achievement rewards.
+     * @param {Object} report - Report from audit()
+     * @returns {string} SQL
+     */
+    buildFixSql(report) {
+        const quote = value => `'${String(value).replace(/'/g, "''")}'`;
+        const lines = [
+            `-- Written by tools/recompute-scores.js on ${new Date().toISOString()}`,
+            `-- ${report.mismatches.length} of ${report.sessionsChecked} completed sessions differ from their recomputed totals`,
+            'BEGIN;',
+            'SET LOCAL session_replication_role = replica;',
+            ''
+        ];
+
+        report.mismatches.forEach(mismatch => {
+            lines.push(`-- Session ${mismatch.sessionId} (${mismatch.scoringVersion}): ${mismatch.storedSessionTotal} -> ${mismatch.recomputedTotal}`);
+            mismatch.answerMismatches.forEach(answer => {
+                lines.push(`UPDATE quiz_answers SET points_earned = ${answer.recomputed} WHERE id = ${quote(answer.id)};`);
+            });
+            lines.push(`UPDATE quiz_sessions SET total_points = ${mismatch.recomputedTotal} WHERE id = ${quote(mismatch.sessionId)};`);
+            lines.push(`UPDATE quiz_results SET total_points = ${mismatch.recomputedTotal} WHERE quiz_session_id = ${quote(mismatch.sessionId)};`);
+        });
+
+        const users = Object.entries(report.userDeltas).filter(([, delta]) => delta !== 0);
+        if (users.length > 0) {
+            lines.push('', '-- Profile totals, best and average scores feed the leaderboard view');
+            users.forEach(([userId, delta]) => {
+                lines.push(
+                    'UPDATE profiles SET',
+                    `    total_points = GREATEST(0, total_points ${delta < 0 ? '-' : '+'} ${Math.abs(delta)}),`,
+                    "    best_score = (SELECT MAX(total_points) FROM quiz_sessions WHERE user_id = profiles.id AND status = 'completed' AND game_mode = 'standard'),",
+                    '    average_score = (SELECT AVG(total_points) FROM quiz_results WHERE user_id = profiles.id),',
+                    '    updated_at = NOW()',
+                    `WHERE id = ${quote(userId)};`
+                );
+            });
+        }
+
+        lines.push('', 'COMMIT;', '');
+        return lines.join('\n');
+    }
+
+    /**
+     * Describe an audit for the terminal
+     * @param {Object} report - Report from audit()
+     * @returns {string} Report text
+     */
+    formatReport(report) {
+        const lines = [`Checked ${report.sessionsChecked} completed sessions, ${report.mismatches.length} differ.`];
+
+        report.mismatches.forEach(mismatch => {
+            const resultTotal = mismatch.storedResultTotal === null ? 'no result' : `result ${mismatch.storedResultTotal}`;
+            lines.push(
+                `  ${mismatch.sessionId} [${mismatch.gameMode}, ${mismatch.scoringVersion}] user ${mismatch.userId}: ` +
+                `session ${mismatch.storedSessionTotal}, ${resultTotal}, recomputed ${mismatch.recomputedTotal}` +
+                (mismatch.answerMismatches.length > 0 ? `, ${mismatch.answerMismatches.length} answers differ` : '') +
+                (mismatch.missingQuestions > 0 ? `, ${mismatch.missingQuestions} questions missing from the export` : '')
+            );
+        });
+
+        const users = Object.entries(report.userDeltas).filter(([, delta]) => delta !== 0);
+        if (users.length > 0) {
+            lines.push('Profile total changes:');
+            users.forEach(([userId, delta]) => lines.push(`  ${userId}: ${delta > 0 ? '+' : ''}${delta}`));
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Read an integer column; JSON exports give numbers and CSV exports text
+     * @param {*} value - Column value
+     * @returns {number|null} Integer, or null for NULL
+     */
+    toInteger(value) {
+        return value === null || value === undefined || value === '' ? null : parseInt(value, 10);
+    }
+
+    /**
+     * Read a boolean column (psql writes t/f)
+     * @param {*} value - Column value
+     * @returns {boolean} Value
+     */
+    toBoolean(value) {
+        return value === true || value === 't' || value === 'true';
+    }
+
+    /**
+     * Read a JSONB column, which CSV exports leave as text
+     * @param {*} value - Column value
+     * @param {*} fallback - Value for NULL or unreadable JSON
+     * @returns {*} Parsed value
+     */
+    toJSON(value, fallback) {
+        if (value === null || value === undefined || value === '') return fallback;
+        if (typeof value !== 'string') return value;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return fallback;
+        }
+    }
+}
+
+/**
+ * Run the tool from the command line
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {number} Exit code: 0 when everything matches, 1 when totals differ, 2 on bad usage
+ */
+function main(args) {
+    const option = name => {
+        const index = args.indexOf(name);
+        return index === -1 ? null : (args[index + 1] || '');
+    };
+
+    if (args.includes('--export-query')) {
+        process.stdout.write(ScoreAuditor.buildExportQuery(option('--export-query') === 'csv' ? 'csv' : 'json'));
+        return 0;
+    }
+
+    const valueOptions = ['--sql', '--user'];
+    const source = args.find((arg, index) => !arg.startsWith('--') && !valueOptions.includes(args[index - 1]));
+    if (!source) {
+        console.error('Usage: node tools/recompute-scores.js <dump.json | dump directory> [--json] [--sql fixes.sql] [--user <id>]');
+        console.error('       node tools/recompute-scores.js --export-query [json|csv]');
+        return 2;
+    }
+
+    const auditor = new ScoreAuditor(ScoreAuditor.readDump(source));
+    const report = auditor.audit({ userId: option('--user') });
+
+    console.log(args.includes('--json') ? JSON.stringify(report, null, 2) : auditor.formatReport(report));
+
+    const sqlFile = option('--sql');
+    if (sqlFile) {
+        fs.writeFileSync(sqlFile, auditor.buildFixSql(report));
+        console.error(`Wrote ${sqlFile}`);
+    }
+
+    return report.mismatches.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = ScoreAuditor;